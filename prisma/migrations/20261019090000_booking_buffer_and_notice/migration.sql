@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `therapists` ADD COLUMN `buffer_minutes` INTEGER NULL DEFAULT 10,
+    ADD COLUMN `min_notice_minutes` INTEGER NULL DEFAULT 120;
+
+-- CreateIndex
+CREATE INDEX `bookings_therapist_id_scheduled_start_idx` ON `bookings`(`therapist_id`, `scheduled_start`);
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE `booking_status_history` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `booking_id` INTEGER NOT NULL,
+    `from_status` VARCHAR(30) NULL,
+    `to_status` VARCHAR(30) NOT NULL,
+    `action` VARCHAR(30) NOT NULL,
+    `actor_type` VARCHAR(20) NOT NULL,
+    `actor_id` INTEGER NULL,
+    `reason` TEXT NULL,
+    `metadata` JSON NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    INDEX `booking_status_history_booking_id_idx`(`booking_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `booking_status_history` ADD CONSTRAINT `booking_status_history_booking_id_fkey` FOREIGN KEY (`booking_id`) REFERENCES `bookings`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- DropForeignKey
+ALTER TABLE `sessions` DROP FOREIGN KEY `session_therapist`;
+
+-- AlterTable
+ALTER TABLE `sessions` ADD COLUMN `therapist_id` INTEGER NULL;
+
+-- Backfill therapist from the linked booking
+UPDATE `sessions` s JOIN `bookings` b ON b.`id` = s.`booking_id` SET s.`therapist_id` = b.`therapist_id`;
+
+ALTER TABLE `sessions` MODIFY `therapist_id` INTEGER NOT NULL;
+
+-- CreateTable
+CREATE TABLE `session_participants` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `session_id` INTEGER NOT NULL,
+    `participant_type` VARCHAR(20) NOT NULL,
+    `participant_id` INTEGER NOT NULL,
+    `joined_at` DATETIME(6) NOT NULL,
+    `left_at` DATETIME(6) NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    INDEX `session_participants_session_id_participant_type_participant_id_idx`(`session_id`, `participant_type`, `participant_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `sessions` ADD CONSTRAINT `sessions_therapist_id_fkey` FOREIGN KEY (`therapist_id`) REFERENCES `therapists`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `session_participants` ADD CONSTRAINT `session_participants_session_id_fkey` FOREIGN KEY (`session_id`) REFERENCES `sessions`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
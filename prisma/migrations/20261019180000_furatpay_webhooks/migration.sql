@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `webhook_logs` ADD COLUMN `event_id` VARCHAR(255) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `payments_furatpay_invoice_id_key` ON `payments`(`furatpay_invoice_id`);
+
+-- CreateIndex
+CREATE INDEX `webhook_logs_source_event_id_idx` ON `webhook_logs`(`source`, `event_id`);
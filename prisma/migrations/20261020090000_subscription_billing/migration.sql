@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `subscription_id` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `subscriptions` ADD COLUMN `sessions_per_period` INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN `sessions_used` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `current_period_start` DATETIME(6) NULL,
+    ADD COLUMN `renewal_attempts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `next_retry_at` DATETIME(6) NULL,
+    ADD COLUMN `paused_at` DATETIME(6) NULL,
+    ADD COLUMN `expired_at` DATETIME(6) NULL;
+
+-- Backfill: existing subscriptions are in their first period; monthly ones get the monthly allowance
+UPDATE `subscriptions` SET `current_period_start` = `started_at`;
+UPDATE `subscriptions` SET `sessions_per_period` = 4 WHERE `type` = 'monthly';
+
+-- CreateIndex
+CREATE INDEX `subscriptions_status_renews_at_idx` ON `subscriptions`(`status`, `renews_at`);
+
+-- CreateIndex
+CREATE INDEX `subscriptions_status_next_retry_at_idx` ON `subscriptions`(`status`, `next_retry_at`);
+
+-- AddForeignKey
+ALTER TABLE `bookings` ADD CONSTRAINT `bookings_subscription_id_fkey` FOREIGN KEY (`subscription_id`) REFERENCES `subscriptions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,50 @@
+-- AlterTable
+ALTER TABLE `therapist_payouts` ADD COLUMN `gross_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `commission_rate` DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `commission_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `approved_at` DATETIME(6) NULL,
+    ADD COLUMN `approved_by` INTEGER NULL,
+    ADD COLUMN `reference` VARCHAR(255) NULL,
+    ADD COLUMN `failed_at` DATETIME(6) NULL,
+    ADD COLUMN `failure_reason` TEXT NULL,
+    ADD COLUMN `updated_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6);
+
+-- Backfill: payouts recorded before commissions were tracked paid out their full amount
+UPDATE `therapist_payouts` SET `gross_amount` = `total_amount`, `updated_at` = `created_at`;
+
+ALTER TABLE `therapist_payouts` ALTER COLUMN `gross_amount` DROP DEFAULT,
+    ALTER COLUMN `commission_rate` DROP DEFAULT,
+    ALTER COLUMN `commission_amount` DROP DEFAULT,
+    ALTER COLUMN `updated_at` DROP DEFAULT;
+
+-- CreateTable
+CREATE TABLE `therapist_payout_items` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `payout_id` INTEGER NOT NULL,
+    `booking_id` INTEGER NOT NULL,
+    `payment_id` INTEGER NULL,
+    `subscription_id` INTEGER NULL,
+    `gross_amount` DECIMAL(10, 2) NOT NULL,
+    `commission_amount` DECIMAL(10, 2) NOT NULL,
+    `net_amount` DECIMAL(10, 2) NOT NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    UNIQUE INDEX `therapist_payout_items_booking_id_key`(`booking_id`),
+    INDEX `therapist_payout_items_payout_id_idx`(`payout_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `therapist_payouts_therapist_id_period_start_idx` ON `therapist_payouts`(`therapist_id`, `period_start`);
+
+-- CreateIndex
+CREATE INDEX `therapist_payouts_status_idx` ON `therapist_payouts`(`status`);
+
+-- AddForeignKey
+ALTER TABLE `therapist_payouts` ADD CONSTRAINT `therapist_payouts_therapist_id_fkey` FOREIGN KEY (`therapist_id`) REFERENCES `therapists`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `therapist_payout_items` ADD CONSTRAINT `therapist_payout_items_payout_id_fkey` FOREIGN KEY (`payout_id`) REFERENCES `therapist_payouts`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `therapist_payout_items` ADD CONSTRAINT `therapist_payout_items_booking_id_fkey` FOREIGN KEY (`booking_id`) REFERENCES `bookings`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- DropForeignKey
+-- Recipients can be therapists or admins as well as users, so recipient_id can't reference users
+ALTER TABLE `notifications` DROP FOREIGN KEY `notification_user`;
+
+-- DropIndex
+DROP INDEX `notification_user` ON `notifications`;
+
+-- CreateIndex
+CREATE INDEX `notifications_recipient_type_recipient_id_channel_created_at_idx` ON `notifications`(`recipient_type`, `recipient_id`, `channel`, `created_at`);
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `scheduled_jobs` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `type` VARCHAR(50) NOT NULL,
+    `key` VARCHAR(191) NOT NULL,
+    `payload` JSON NULL,
+    `run_at` DATETIME(6) NOT NULL,
+    `status` VARCHAR(20) NOT NULL DEFAULT 'pending',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `max_attempts` INTEGER NOT NULL DEFAULT 3,
+    `locked_at` DATETIME(6) NULL,
+    `locked_by` VARCHAR(100) NULL,
+    `last_error` TEXT NULL,
+    `completed_at` DATETIME(6) NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` DATETIME(6) NOT NULL,
+
+    UNIQUE INDEX `scheduled_jobs_key_key`(`key`),
+    INDEX `scheduled_jobs_status_run_at_idx`(`status`, `run_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
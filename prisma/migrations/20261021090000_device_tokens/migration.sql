@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE `device_tokens` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `owner_type` VARCHAR(20) NOT NULL,
+    `owner_id` INTEGER NOT NULL,
+    `token` VARCHAR(255) NOT NULL,
+    `platform` VARCHAR(20) NULL,
+    `device_info` JSON NULL,
+    `last_seen_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` DATETIME(6) NOT NULL,
+
+    UNIQUE INDEX `device_tokens_token_key`(`token`),
+    INDEX `device_tokens_owner_type_owner_id_idx`(`owner_type`, `owner_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Carry over the single token each account had (a token stored on two accounts goes to the first)
+INSERT IGNORE INTO `device_tokens` (`owner_type`, `owner_id`, `token`, `device_info`, `last_seen_at`, `updated_at`)
+SELECT 'user', `id`, `fcm_token`, `device_info`, `updated_at`, CURRENT_TIMESTAMP(6)
+FROM `users`
+WHERE `fcm_token` IS NOT NULL AND `fcm_token` <> '' AND CHAR_LENGTH(`fcm_token`) <= 255 AND `deleted_at` IS NULL;
+
+INSERT IGNORE INTO `device_tokens` (`owner_type`, `owner_id`, `token`, `device_info`, `last_seen_at`, `updated_at`)
+SELECT 'therapist', `id`, `fcm_token`, `device_info`, `updated_at`, CURRENT_TIMESTAMP(6)
+FROM `therapists`
+WHERE `fcm_token` IS NOT NULL AND `fcm_token` <> '' AND CHAR_LENGTH(`fcm_token`) <= 255 AND `deleted_at` IS NULL;
+
+-- AlterTable
+ALTER TABLE `users` DROP COLUMN `fcm_token`,
+    DROP COLUMN `device_info`;
+
+-- AlterTable
+ALTER TABLE `therapists` DROP COLUMN `fcm_token`,
+    DROP COLUMN `device_info`;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE `notification_templates` ADD COLUMN `html_template` JSON NULL;
+
+-- CreateTable
+CREATE TABLE `email_outbox` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `notification_id` INTEGER NULL,
+    `to_address` VARCHAR(255) NOT NULL,
+    `subject` VARCHAR(255) NOT NULL,
+    `html` MEDIUMTEXT NOT NULL,
+    `text` TEXT NOT NULL,
+    `language` VARCHAR(5) NOT NULL DEFAULT 'en',
+    `status` VARCHAR(20) NOT NULL DEFAULT 'pending',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `max_attempts` INTEGER NOT NULL DEFAULT 5,
+    `next_attempt_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `last_error` TEXT NULL,
+    `message_id` VARCHAR(255) NULL,
+    `sent_at` DATETIME(6) NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` DATETIME(6) NOT NULL,
+
+    INDEX `email_outbox_status_next_attempt_at_idx`(`status`, `next_attempt_at`),
+    INDEX `email_outbox_notification_id_idx`(`notification_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,9 @@
+-- Plain-text codes can't be converted to hashes (and none were ever sent)
+DELETE FROM `otp_verifications`;
+
+-- AlterTable
+ALTER TABLE `otp_verifications` DROP COLUMN `otp_code`,
+    ADD COLUMN `code_hash` VARCHAR(64) NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `otp_verifications_phone_purpose_created_at_idx` ON `otp_verifications`(`phone`, `purpose`, `created_at`);
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE `password_reset_tokens` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `account_type` VARCHAR(20) NOT NULL,
+    `account_id` INTEGER NOT NULL,
+    `token_hash` VARCHAR(64) NOT NULL,
+    `expires_at` DATETIME(6) NOT NULL,
+    `used_at` DATETIME(6) NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    UNIQUE INDEX `password_reset_tokens_token_hash_key`(`token_hash`),
+    INDEX `password_reset_tokens_account_type_account_id_idx`(`account_type`, `account_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE `user_identities` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `user_id` INTEGER NOT NULL,
+    `provider` VARCHAR(20) NOT NULL,
+    `subject` VARCHAR(255) NOT NULL,
+    `email` VARCHAR(255) NULL,
+    `last_used_at` DATETIME(6) NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    UNIQUE INDEX `user_identities_provider_subject_key`(`provider`, `subject`),
+    UNIQUE INDEX `user_identities_user_id_provider_key`(`user_id`, `provider`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `refresh_tokens`
+    ADD COLUMN `family_id` VARCHAR(36) NULL,
+    ADD COLUMN `replaced_by_id` INTEGER NULL,
+    ADD COLUMN `device_name` VARCHAR(100) NULL,
+    ADD COLUMN `user_agent` VARCHAR(512) NULL,
+    ADD COLUMN `ip_address` VARCHAR(45) NULL;
+
+-- Every existing token becomes its own session
+UPDATE `refresh_tokens` SET `family_id` = UUID() WHERE `family_id` IS NULL;
+
+ALTER TABLE `refresh_tokens` MODIFY `family_id` VARCHAR(36) NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `refresh_tokens_family_id_idx` ON `refresh_tokens`(`family_id`);
+
+-- CreateIndex
+CREATE INDEX `refresh_tokens_user_type_user_id_idx` ON `refresh_tokens`(`user_type`, `user_id`);
+
+-- CreateIndex
+CREATE INDEX `refresh_tokens_expires_at_idx` ON `refresh_tokens`(`expires_at`);
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `login_throttles` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `scope` VARCHAR(20) NOT NULL,
+    `key` VARCHAR(255) NOT NULL,
+    `failures` INTEGER NOT NULL DEFAULT 0,
+    `first_failed_at` DATETIME(6) NOT NULL,
+    `last_failed_at` DATETIME(6) NOT NULL,
+    `locked_until` DATETIME(6) NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` DATETIME(6) NOT NULL,
+
+    UNIQUE INDEX `login_throttles_scope_key_key`(`scope`, `key`),
+    INDEX `login_throttles_locked_until_idx`(`locked_until`),
+    INDEX `login_throttles_last_failed_at_idx`(`last_failed_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
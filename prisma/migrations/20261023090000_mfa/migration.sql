@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE `roles` ADD COLUMN `mfa_required` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `mfa_credentials` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `account_type` VARCHAR(20) NOT NULL,
+    `account_id` INTEGER NOT NULL,
+    `secret` VARCHAR(255) NOT NULL,
+    `confirmed_at` DATETIME(6) NULL,
+    `last_used_step` INTEGER NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` DATETIME(6) NOT NULL,
+
+    UNIQUE INDEX `mfa_credentials_account_type_account_id_key`(`account_type`, `account_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `mfa_recovery_codes` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `account_type` VARCHAR(20) NOT NULL,
+    `account_id` INTEGER NOT NULL,
+    `code_hash` VARCHAR(64) NOT NULL,
+    `used_at` DATETIME(6) NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+    INDEX `mfa_recovery_codes_account_type_account_id_idx`(`account_type`, `account_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE `audit_logs` ADD COLUMN `request_id` VARCHAR(64) NULL;
+
+-- CreateIndex
+CREATE INDEX `audit_logs_entity_type_entity_id_idx` ON `audit_logs`(`entity_type`, `entity_id`);
+
+-- CreateIndex
+CREATE INDEX `audit_logs_actor_type_actor_id_idx` ON `audit_logs`(`actor_type`, `actor_id`);
+
+-- CreateIndex
+CREATE INDEX `audit_logs_created_at_idx` ON `audit_logs`(`created_at`);
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `data_exports` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `user_id` INTEGER NOT NULL,
+    `status` VARCHAR(20) NOT NULL DEFAULT 'pending',
+    `file` LONGBLOB NULL,
+    `file_size` INTEGER NULL,
+    `error` TEXT NULL,
+    `completed_at` DATETIME(6) NULL,
+    `expires_at` DATETIME(6) NULL,
+    `created_at` DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+    `updated_at` DATETIME(6) NOT NULL,
+
+    INDEX `data_exports_user_id_created_at_idx`(`user_id`, `created_at`),
+    INDEX `data_exports_status_expires_at_idx`(`status`, `expires_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,8 @@
+-- Clear the content of emails already sent or failed (it may hold reset and verification links)
+UPDATE `email_outbox` SET `html` = '', `text` = '' WHERE `status` IN ('sent', 'failed');
+
+-- Remove the links from saved reset and verification notifications
+UPDATE `notifications` n
+INNER JOIN `notification_templates` t ON n.`template_id` = t.`id`
+SET n.`body` = ''
+WHERE t.`name` IN ('password_reset', 'email_verification');
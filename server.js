@@ -4,6 +4,8 @@ import app from "./src/app.js";
 import logger from "./src/config/logger.js";
 import prisma from "./src/config/prisma.js";
 import { initializeSocket } from "./src/socket/index.js";
+import { NODE_ENV } from "./src/config/constants.js";
+import { startJobScheduler, stopJobScheduler } from "./src/jobs/index.js";
 
 const PORT = env.PORT;
 
@@ -25,6 +27,11 @@ const server = httpServer.listen(PORT, () => {
   console.log(`📚 API Docs: http://localhost:${PORT}/api-docs`);
   console.log(`🔗 API Base: http://localhost:${PORT}/api/v1`);
   console.log(`🔌 Socket.IO: ws://localhost:${PORT}\n`);
+
+  // Run scheduled and recurring jobs (reminders, subscription billing, cleanups) in the background
+  if (env.NODE_ENV !== NODE_ENV.TEST) {
+    startJobScheduler();
+  }
 });
 
 // Graceful shutdown handler
@@ -37,6 +44,9 @@ const gracefulShutdown = async (signal) => {
     console.log("✓ HTTP server closed");
 
     try {
+      // Let job runs in progress finish before the database goes away
+      await stopJobScheduler();
+
       // Disconnect Prisma
       await prisma.$disconnect();
       logger.info("Database connection closed");
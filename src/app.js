@@ -30,6 +30,7 @@ import questionnaireRoutes from "./modules/questionnaires/questionnaire.routes.j
 import specialtyRoutes from "./modules/specialties/specialty.routes.js";
 import subscriptionRoutes from "./modules/subscriptions/subscription.routes.js";
 import uploadRoutes from "./modules/uploads/upload.routes.js";
+import notificationRoutes from "./modules/notifications/notification.routes.js";
 
 const app = express();
 
@@ -56,7 +57,13 @@ app.use(
 app.use(cors());
 
 // Body parsing
-app.use(express.json({ limit: "10mb" }));
+// Keep the raw body around so webhook signatures can be verified
+app.use(express.json({
+  limit: "10mb",
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Response compression
@@ -96,6 +103,7 @@ app.use(`${API_PREFIX}/questionnaires`, questionnaireRoutes);
 app.use(`${API_PREFIX}/specialties`, specialtyRoutes);
 app.use(`${API_PREFIX}/subscriptions`, subscriptionRoutes);
 app.use(`${API_PREFIX}/uploads`, uploadRoutes);
+app.use(`${API_PREFIX}/notifications`, notificationRoutes);
 
 // Error handling (must be last)
 app.use(notFoundHandler);
@@ -15,6 +15,7 @@ export const RATE_LIMIT_MAX_REQUESTS = 100; // max 100 requests per window
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   NO_CONTENT: 204,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
@@ -42,6 +43,9 @@ export const ERROR_MESSAGES = {
   USER_NOT_FOUND: "User not found",
   EMAIL_EXISTS: "Email already registered",
   PHONE_EXISTS: "Phone number already registered",
+  RESET_TOKEN_INVALID: "Invalid or expired reset link. Please request a new one",
+  VERIFICATION_TOKEN_INVALID: "Invalid or expired verification link. Please request a new one",
+  EMAIL_NOT_VERIFIED: "Please verify your email address to continue",
 };
 
 // Environment
@@ -66,6 +70,15 @@ export const USER_TYPES = {
   USER: "user",
 };
 
+// Roles created by the seeder; authorize() maps therapists and patients to
+// their role by name, so these can't be renamed or deactivated
+export const SYSTEM_ROLES = {
+  SUPER_ADMIN: "super_admin",
+  ADMIN: "admin",
+  THERAPIST: "therapist",
+  PATIENT: "patient",
+};
+
 // User Status
 export const USER_STATUS = {
   ACTIVE: "active",
@@ -74,6 +87,9 @@ export const USER_STATUS = {
   PENDING_VERIFICATION: "pending_verification",
 };
 
+// Patients who can sign in (an unverified email only holds back some actions)
+export const ACTIVE_USER_STATUSES = [USER_STATUS.ACTIVE, USER_STATUS.PENDING_VERIFICATION];
+
 // Therapist Status
 export const THERAPIST_STATUS = {
   PENDING: "pending",
@@ -114,12 +130,15 @@ export const PAYMENT_STATUS = {
   PAID: "paid",
   FAILED: "failed",
   REFUNDED: "refunded",
+  PARTIALLY_REFUNDED: "partially_refunded",
   EXPIRED: "expired",
 };
 
 // Subscription Status
 export const SUBSCRIPTION_STATUS = {
+  PENDING: "pending", // Waiting for the first payment
   ACTIVE: "active",
+  PAST_DUE: "past_due", // Renewal unpaid, retrying on the dunning schedule
   CANCELLED: "cancelled",
   EXPIRED: "expired",
   PAUSED: "paused",
@@ -162,6 +181,66 @@ export const NOTIFICATION_STATUS = {
   FAILED: "failed",
 };
 
+// Push Notification Devices
+export const DEVICE_PLATFORMS = {
+  IOS: "ios",
+  ANDROID: "android",
+  WEB: "web",
+};
+
+export const DEVICE_CONFIG = {
+  MAX_PER_ACCOUNT: 10, // Registering another drops the least recently seen
+};
+
+// FCM errors meaning the token will never work again, so it is removed
+export const FCM_STALE_TOKEN_ERRORS = ["UNREGISTERED", "SENDER_ID_MISMATCH"];
+
+// Email Outbox
+export const EMAIL_STATUS = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+export const EMAIL_CONFIG = {
+  MAX_ATTEMPTS: 5,
+  RETRY_AFTER_SECONDS: [60, 300, 1800, 7200], // Wait before the 2nd, 3rd, 4th and 5th attempts
+  SENDING_TIMEOUT_MINUTES: 10, // An email still "sending" after this is assumed lost with its instance and retried
+  RETENTION_DAYS: 30, // Sent and failed emails are deleted from the outbox after this
+  CLEANUP_INTERVAL_HOURS: 24, // How often old outbox emails are deleted
+};
+
+// Languages written right to left (emails are laid out accordingly)
+export const RTL_LANGUAGES = ["ar", "ku"];
+
+// SMS Senders (development only until a provider is added)
+export const SMS_PROVIDERS = {
+  CONSOLE: "console",
+  FILE: "file",
+};
+
+// Video/Audio Providers
+export const VIDEO_PROVIDERS = {
+  LOOPBACK: "loopback",
+  DAILY: "daily",
+  WEBRTC: "webrtc", // Peer-to-peer over our own Socket.IO signaling (/calls namespace)
+};
+
+// Normalized video provider webhook events
+export const VIDEO_PROVIDER_EVENTS = {
+  PARTICIPANT_JOINED: "participant.joined",
+  PARTICIPANT_LEFT: "participant.left",
+  ROOM_ENDED: "room.ended",
+};
+
+// FuratPay webhook events
+export const FURATPAY_EVENTS = {
+  INVOICE_PAID: "invoice.paid",
+  INVOICE_FAILED: "invoice.failed",
+  INVOICE_EXPIRED: "invoice.expired",
+};
+
 // Message Types
 export const MESSAGE_TYPES = {
   TEXT: "text",
@@ -186,6 +265,12 @@ export const OTP_PURPOSE = {
   PHONE_VERIFICATION: "phone_verification",
 };
 
+// What a failed login counter is kept for
+export const LOGIN_THROTTLE_SCOPES = {
+  ACCOUNT: "account", // One login identifier (email or phone) of one account type
+  IP: "ip",
+};
+
 // Days of Week
 export const DAYS_OF_WEEK = {
   MONDAY: "monday",
@@ -220,6 +305,12 @@ export const AUTH_PROVIDERS = {
   APPLE: "apple",
 };
 
+// Sign in with Google / Apple
+export const SOCIAL_AUTH_CONFIG = {
+  JWKS_CACHE_SECONDS: 3600, // When the provider doesn't say how long to cache its keys
+  JWKS_MIN_REFRESH_SECONDS: 60, // An unknown key ID refetches the keys at most this often
+};
+
 // Payout Status
 export const PAYOUT_STATUS = {
   PENDING: "pending",
@@ -259,6 +350,90 @@ export const FREE_SESSION_CONFIG = {
   ALLOWED_SESSION_TYPES: ["video", "audio", "chat"], // All types allowed for free session
 };
 
+// Bookable Slot Configuration
+export const SLOT_CONFIG = {
+  DEFAULT_RANGE_DAYS: 14,
+  MAX_RANGE_DAYS: 31,
+  BLOCKING_BOOKING_STATUSES: ["pending", "confirmed", "rescheduled"], // Bookings that occupy a slot
+};
+
+// Booking Rules (per-therapist values override these defaults)
+export const BOOKING_RULES = {
+  DEFAULT_BUFFER_MINUTES: 10, // Gap kept free after each session
+  DEFAULT_MIN_NOTICE_MINUTES: 120, // Bookings must start at least 2 hours from now
+  MAX_BUFFER_MINUTES: 120,
+  MAX_MIN_NOTICE_MINUTES: 14 * 24 * 60, // 14 days
+};
+
+// Session Configuration
+export const SESSION_CONFIG = {
+  JOIN_OPENS_BEFORE_MINUTES: 10, // Participants can enter the room 10 minutes early
+  JOIN_CLOSES_AFTER_MINUTES: 15, // A session nobody has started can't be joined 15 minutes after its start
+  ROOM_EXPIRES_AFTER_END_MINUTES: 30, // Provider rooms and tokens stay valid 30 minutes past scheduled_end
+  WEBHOOK_TOLERANCE_SECONDS: 300, // Signed provider webhooks older than 5 minutes are rejected as replays
+  CLOSE_EXPIRED_INTERVAL_MINUTES: 15, // How often sessions left in progress past their room's expiry are closed
+  CLOSE_EXPIRED_BATCH_SIZE: 100,
+};
+
+// Payment Configuration
+export const PAYMENT_CONFIG = {
+  INVOICE_EXPIRES_MINUTES: 60, // FuratPay pay links stay valid for an hour
+  WEBHOOK_TOLERANCE_SECONDS: 300, // Signed webhooks older than 5 minutes are rejected as replays
+  PAYABLE_BOOKING_STATUSES: ["pending", "confirmed", "rescheduled"],
+  REFUNDABLE_STATUSES: ["paid", "partially_refunded"],
+  REFUND_TIMEOUT_MS: 20000, // Covers the provider call made while the payment row is locked
+};
+
+// Subscription Billing Configuration
+export const SUBSCRIPTION_CONFIG = {
+  PERIOD_DAYS: { weekly: 7, monthly: 30 },
+  SESSIONS_PER_PERIOD: { weekly: 1, monthly: 4 },
+  RETRY_AFTER_HOURS: [24, 72, 120], // Renewal retried 1, 3 and 5 days after renews_at
+  EXPIRE_AFTER_HOURS: 168, // Still unpaid 7 days after renews_at: subscription expires
+  BILLING_INTERVAL_MINUTES: 15, // How often the billing engine looks for due subscriptions
+  BILLING_BATCH_SIZE: 100,
+};
+
+// Background Job Status
+export const JOB_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+// Background Job Types
+export const JOB_TYPES = {
+  SESSION_REMINDER: "session_reminder",
+  EMAIL_DELIVERY: "email_delivery",
+  REFRESH_TOKEN_CLEANUP: "refresh_token_cleanup",
+  LOGIN_THROTTLE_CLEANUP: "login_throttle_cleanup",
+  DATA_EXPORT: "data_export",
+  DATA_EXPORT_CLEANUP: "data_export_cleanup",
+  SUBSCRIPTION_BILLING: "subscription_billing",
+  EMAIL_OUTBOX_CLEANUP: "email_outbox_cleanup",
+  EXPIRED_SESSION_CLOSE: "expired_session_close",
+};
+
+// Job Scheduler Configuration
+export const JOB_CONFIG = {
+  POLL_INTERVAL_SECONDS: 30,
+  BATCH_SIZE: 50,
+  MAX_ATTEMPTS: 3,
+  RETRY_AFTER_SECONDS: [60, 300], // Wait before the 2nd and 3rd attempts
+  LOCK_TIMEOUT_MINUTES: 10, // A job still running after this is assumed lost with its instance and retried
+};
+
+// Session Reminders (sent to both parties of a confirmed booking)
+export const REMINDER_CONFIG = {
+  OFFSETS: [
+    { name: "24h", minutes: 24 * 60 },
+    { name: "1h", minutes: 60 },
+    { name: "10m", minutes: 10 },
+  ],
+};
+
 // JWT Configuration
 export const JWT_CONFIG = {
   ACCESS_TOKEN_EXPIRES_IN: "15m",
@@ -270,6 +445,77 @@ export const OTP_CONFIG = {
   LENGTH: 6,
   EXPIRES_IN_MINUTES: 10,
   MAX_ATTEMPTS: 3,
+  RESEND_COOLDOWN_SECONDS: 60,
+  MAX_REQUESTS_PER_HOUR: 5, // Per phone number and purpose
+};
+
+// Login Session Configuration
+export const LOGIN_SESSION_CONFIG = {
+  CLEANUP_INTERVAL_HOURS: 24, // How often expired refresh tokens are deleted
+};
+
+// Brute-force Protection for Password Logins
+export const LOGIN_PROTECTION_CONFIG = {
+  WINDOW_MINUTES: 15, // Failures are forgotten this long after the last one
+  FREE_ATTEMPTS: 3, // Failures before delays start
+  BASE_DELAY_SECONDS: 2, // Wait after the next failure, doubling with each one after it
+  MAX_DELAY_SECONDS: 60,
+  MAX_FAILURES: 10, // Per login identifier; reaching it locks the identifier
+  LOCKOUT_MINUTES: 30,
+  IP_MAX_FAILURES: 50, // Per IP address across all identifiers; reaching it locks the IP
+  IP_LOCKOUT_MINUTES: 15,
+  CLEANUP_INTERVAL_HOURS: 1, // How often stale counters are deleted
+};
+
+// Two-factor Authentication (TOTP) for Admins and Therapists
+export const MFA_CONFIG = {
+  ISSUER: "Nurozh", // Name shown in authenticator apps
+  DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  WINDOW_STEPS: 1, // Codes from one step either side are accepted (clock drift)
+  CHALLENGE_EXPIRES_IN: "5m", // Time to enter the code after the password
+  RECOVERY_CODE_COUNT: 10,
+};
+
+// Audit Log Configuration
+export const AUDIT_CONFIG = {
+  // Fields whose names contain one of these are stored as "[REDACTED]"
+  REDACTED_FIELDS: [
+    "password", "token", "secret", "otp", "recovery_code", "api_key", "authorization",
+    "card_number", "cvv", "therapist_notes",
+  ],
+  EXPORT_MAX_ROWS: 10000, // Per CSV export; narrow the filters for more
+};
+
+// Personal Data Export Status
+export const DATA_EXPORT_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  READY: "ready",
+  FAILED: "failed",
+  EXPIRED: "expired",
+};
+
+// Personal Data Export Configuration (patients)
+export const DATA_EXPORT_CONFIG = {
+  LINK_EXPIRES_IN: "15m", // Signed download link
+  RETENTION_DAYS: 7, // The file is deleted this long after it's ready
+  COOLDOWN_HOURS: 24, // Between export requests
+  CLEANUP_INTERVAL_HOURS: 6, // How often expired files are deleted
+};
+
+// Password Reset Configuration
+export const PASSWORD_RESET_CONFIG = {
+  TOKEN_EXPIRES_IN_MINUTES: 60,
+  RESEND_COOLDOWN_SECONDS: 60,
+  MAX_REQUESTS_PER_HOUR: 5, // Per account
+};
+
+// Email Verification Configuration
+export const EMAIL_VERIFICATION_CONFIG = {
+  TOKEN_EXPIRES_IN_HOURS: 48,
+  RESEND_COOLDOWN_SECONDS: 60,
+  MAX_REQUESTS_PER_HOUR: 5, // Per patient
 };
 
 // File Upload Configuration
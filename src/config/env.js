@@ -1,6 +1,9 @@
 import "dotenv/config";
 import { z } from "zod";
-import { NODE_ENV } from "./constants.js";
+import { NODE_ENV, SMS_PROVIDERS, VIDEO_PROVIDERS } from "./constants.js";
+
+// "a, b,c" -> ["a", "b", "c"]
+const toList = (value) => (value ? value.split(",").map((item) => item.trim()).filter(Boolean) : []);
 
 // Define environment variable schema
 const envSchema = z.object({
@@ -32,16 +35,109 @@ const envSchema = z.object({
   JWT_ACCESS_EXPIRES_IN: z.string().default("15m"),
   JWT_REFRESH_EXPIRES_IN: z.string().default("7d"),
 
+  // Web app base URL, used for links in emails (e.g., APP_URL/reset-password?token=...)
+  APP_URL: z.string().url().default("http://localhost:5173"),
+
+  // Hold patients who haven't verified their email back from booking and messaging
+  EMAIL_VERIFICATION_REQUIRED: z.enum(["true", "false"]).transform((value) => value === "true").default("true"),
+
+  // Sign in with Google / Apple (each is off until its client IDs are set, comma-separated
+  // for the web, iOS and Android apps). The JWKS URLs can be file:// URLs for a local key set in tests
+  GOOGLE_CLIENT_IDS: z.string().optional().transform(toList),
+  GOOGLE_JWKS_URL: z.string().url().default("https://www.googleapis.com/oauth2/v3/certs"),
+  APPLE_CLIENT_IDS: z.string().optional().transform(toList),
+  APPLE_JWKS_URL: z.string().url().default("https://appleid.apple.com/auth/keys"),
+
+  // Key for hashing one-time codes before they're stored
+  OTP_SECRET: z
+    .string()
+    .min(32, "OTP_SECRET must be at least 32 characters")
+    .default("your-super-secret-otp-key-change-in-production"),
+
+  // Key for encrypting two-factor (TOTP) secrets; changing it invalidates every enrolled authenticator
+  MFA_ENCRYPTION_KEY: z
+    .string()
+    .min(32, "MFA_ENCRYPTION_KEY must be at least 32 characters")
+    .default("your-super-secret-mfa-key-change-in-production"),
+
   // Bunny CDN (optional in development)
   BUNNY_CDN_STORAGE_ZONE: z.string().optional(),
   BUNNY_CDN_API_KEY: z.string().optional(),
   BUNNY_CDN_PULL_ZONE_URL: z.string().url().optional(),
 
+  // Video/audio provider ("loopback" generates local rooms for development and tests)
+  VIDEO_PROVIDER: z.enum([VIDEO_PROVIDERS.LOOPBACK, VIDEO_PROVIDERS.DAILY]).default(VIDEO_PROVIDERS.LOOPBACK),
+  VIDEO_LOOPBACK_BASE_URL: z.string().url().default("http://localhost:3000/loopback"),
+  DAILY_API_KEY: z.string().optional(),
+  DAILY_API_URL: z.string().url().default("https://api.daily.co/v1"),
+  DAILY_WEBHOOK_SECRET: z.string().optional(),
+
+  // FuratPay (defaults point at the local mock: npm run mock:furatpay)
+  FURATPAY_API_URL: z.string().url().default("http://localhost:4010/v1"),
+  FURATPAY_API_KEY: z.string().optional(),
+  FURATPAY_WEBHOOK_SECRET: z.string().optional(),
+  FURATPAY_CALLBACK_URL: z.string().url().default("http://localhost:3000/api/v1/payments/webhook"),
+  FURATPAY_RETURN_URL: z.string().url().optional(),
+
+  // Firebase Cloud Messaging (push is off until the service account is set;
+  // point both URLs at the local mock for development: npm run mock:fcm)
+  FCM_PROJECT_ID: z.string().optional(),
+  FCM_CLIENT_EMAIL: z.string().optional(),
+  FCM_PRIVATE_KEY: z.string().optional(),
+  FCM_API_URL: z.string().url().default("https://fcm.googleapis.com"),
+  FCM_TOKEN_URL: z.string().url().default("https://oauth2.googleapis.com/token"),
+
+  // SMTP (email is off until SMTP_HOST is set; for development point it at a
+  // local catcher such as Mailpit: SMTP_HOST=localhost SMTP_PORT=1025)
+  SMTP_HOST: z.string().optional(),
+  SMTP_PORT: z
+    .string()
+    .regex(/^\d+$/, "SMTP_PORT must be a number")
+    .transform(Number)
+    .default("587"),
+  SMTP_SECURE: z.enum(["true", "false"]).transform((value) => value === "true").default("false"),
+  SMTP_USER: z.string().optional(),
+  SMTP_PASSWORD: z.string().optional(),
+  EMAIL_FROM: z.string().default("Nurozh <no-reply@nurozh.com>"),
+
+  // SMS sender (console logs messages, file appends them to SMS_FILE_PATH; console
+  // is used in development when unset)
+  SMS_PROVIDER: z.enum([SMS_PROVIDERS.CONSOLE, SMS_PROVIDERS.FILE]).optional(),
+  SMS_FILE_PATH: z.string().default("logs/sms.log"),
+
+  // Cancellation refund policy: full refund when a patient cancels more than
+  // CANCELLATION_FULL_REFUND_HOURS ahead, CANCELLATION_LATE_REFUND_PERCENT inside that window
+  CANCELLATION_FULL_REFUND_HOURS: z
+    .string()
+    .regex(/^\d+$/, "CANCELLATION_FULL_REFUND_HOURS must be a number")
+    .transform(Number)
+    .default("24"),
+  CANCELLATION_LATE_REFUND_PERCENT: z
+    .string()
+    .regex(/^\d+$/, "CANCELLATION_LATE_REFUND_PERCENT must be a number")
+    .transform(Number)
+    .refine((value) => value <= 100, "CANCELLATION_LATE_REFUND_PERCENT must be between 0 and 100")
+    .default("50"),
+
+  // Share of each paid session the platform keeps when paying therapists out
+  PLATFORM_COMMISSION_PERCENT: z
+    .string()
+    .regex(/^\d+(\.\d{1,2})?$/, "PLATFORM_COMMISSION_PERCENT must be a number")
+    .transform(Number)
+    .refine((value) => value <= 100, "PLATFORM_COMMISSION_PERCENT must be between 0 and 100")
+    .default("20"),
+
   // Logging
   LOG_LEVEL: z
     .enum(["error", "warn", "info", "debug"])
     .default("info")
     .optional(),
+}).refine((data) => data.VIDEO_PROVIDER !== VIDEO_PROVIDERS.DAILY || !!data.DAILY_API_KEY, {
+  message: "DAILY_API_KEY is required when VIDEO_PROVIDER is daily",
+  path: ["DAILY_API_KEY"],
+}).refine((data) => data.VIDEO_PROVIDER !== VIDEO_PROVIDERS.DAILY || !!data.DAILY_WEBHOOK_SECRET, {
+  message: "DAILY_WEBHOOK_SECRET is required when VIDEO_PROVIDER is daily",
+  path: ["DAILY_WEBHOOK_SECRET"],
 });
 
 // Validate environment variables
@@ -37,6 +37,7 @@ const options = {
       { name: "Specialties", description: "Specialty management endpoints" },
       { name: "Subscriptions", description: "Subscription management endpoints" },
       { name: "Uploads", description: "File upload endpoints" },
+      { name: "Notifications", description: "In-app notification inbox endpoints" },
     ],
     components: {
       securitySchemes: {
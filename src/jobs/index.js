@@ -0,0 +1,53 @@
+import {
+  DATA_EXPORT_CONFIG,
+  EMAIL_CONFIG,
+  JOB_TYPES,
+  LOGIN_PROTECTION_CONFIG,
+  LOGIN_SESSION_CONFIG,
+  SESSION_CONFIG,
+  SUBSCRIPTION_CONFIG,
+} from "../config/constants.js";
+import { purgeStaleLoginThrottles } from "../modules/auth/login-throttle.service.js";
+import { purgeExpiredRefreshTokens } from "../modules/auth/session.service.js";
+import { sendSessionReminder } from "../modules/bookings/booking.reminders.js";
+import { purgeOldOutboxEmails, sendOutboxEmail } from "../modules/notifications/email.outbox.js";
+import { closeExpiredSessions } from "../modules/sessions/session.service.js";
+import { runSubscriptionBilling } from "../modules/subscriptions/subscription.billing.js";
+import { buildDataExport, purgeExpiredDataExports } from "../modules/users/data-export.service.js";
+import { registerJobHandler, registerRecurringJob, startJobScheduler, stopJobScheduler } from "./scheduler.js";
+
+registerJobHandler(JOB_TYPES.SESSION_REMINDER, sendSessionReminder);
+registerJobHandler(JOB_TYPES.EMAIL_DELIVERY, ({ email_id }) => sendOutboxEmail(email_id));
+registerJobHandler(JOB_TYPES.DATA_EXPORT, buildDataExport);
+registerRecurringJob(
+  JOB_TYPES.REFRESH_TOKEN_CLEANUP,
+  { key: "refresh-token-cleanup", intervalSeconds: LOGIN_SESSION_CONFIG.CLEANUP_INTERVAL_HOURS * 60 * 60 },
+  () => purgeExpiredRefreshTokens(),
+);
+registerRecurringJob(
+  JOB_TYPES.LOGIN_THROTTLE_CLEANUP,
+  { key: "login-throttle-cleanup", intervalSeconds: LOGIN_PROTECTION_CONFIG.CLEANUP_INTERVAL_HOURS * 60 * 60 },
+  () => purgeStaleLoginThrottles(),
+);
+registerRecurringJob(
+  JOB_TYPES.SUBSCRIPTION_BILLING,
+  { key: "subscription-billing", intervalSeconds: SUBSCRIPTION_CONFIG.BILLING_INTERVAL_MINUTES * 60 },
+  () => runSubscriptionBilling(),
+);
+registerRecurringJob(
+  JOB_TYPES.EXPIRED_SESSION_CLOSE,
+  { key: "expired-session-close", intervalSeconds: SESSION_CONFIG.CLOSE_EXPIRED_INTERVAL_MINUTES * 60 },
+  () => closeExpiredSessions(),
+);
+registerRecurringJob(
+  JOB_TYPES.EMAIL_OUTBOX_CLEANUP,
+  { key: "email-outbox-cleanup", intervalSeconds: EMAIL_CONFIG.CLEANUP_INTERVAL_HOURS * 60 * 60 },
+  () => purgeOldOutboxEmails(),
+);
+registerRecurringJob(
+  JOB_TYPES.DATA_EXPORT_CLEANUP,
+  { key: "data-export-cleanup", intervalSeconds: DATA_EXPORT_CONFIG.CLEANUP_INTERVAL_HOURS * 60 * 60 },
+  () => purgeExpiredDataExports(),
+);
+
+export { startJobScheduler, stopJobScheduler };
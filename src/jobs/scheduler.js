@@ -0,0 +1,268 @@
+import os from "os";
+import prisma from "../config/prisma.js";
+import logger from "../config/logger.js";
+import { JOB_CONFIG, JOB_STATUS } from "../config/constants.js";
+
+const { PENDING, RUNNING, COMPLETED, FAILED, CANCELLED } = JOB_STATUS;
+
+// Written to locked_by so a stuck job can be traced to the instance that claimed it
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - One of JOB_TYPES
+ * @param {(payload: Object, job: Object) => Promise<void>} handler - Throws to have the job retried
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+const recurringJobs = new Map();
+
+/**
+ * Register a job that runs every intervalSeconds
+ * After each run (successful or not) it schedules its next run under the same
+ * key, which counts as moving the job: failures aren't retried early, the next
+ * run picks up the work.
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} schedule
+ * @param {string} schedule.key - Job key (one job of the type exists at a time)
+ * @param {number} schedule.intervalSeconds - Time between runs
+ * @param {(payload: Object, job: Object) => Promise<void>} handler
+ */
+export const registerRecurringJob = (type, { key, intervalSeconds }, handler) => {
+  recurringJobs.set(key, { type, intervalSeconds });
+  registerJobHandler(type, async (payload, job) => {
+    try {
+      await handler(payload, job);
+    } finally {
+      await scheduleJob({ type, key, runAt: new Date(Date.now() + intervalSeconds * 1000) });
+    }
+  });
+};
+
+/**
+ * Schedule recurring jobs that have no upcoming run (first start, or the last
+ * run couldn't reschedule itself)
+ */
+const ensureRecurringJobs = async () => {
+  if (recurringJobs.size === 0) return;
+
+  const existing = await prisma.scheduledJob.findMany({
+    where: { key: { in: [...recurringJobs.keys()] }, status: { in: [PENDING, RUNNING] } },
+    select: { key: true },
+  });
+  const scheduled = new Set(existing.map((job) => job.key));
+
+  for (const [key, { type }] of recurringJobs) {
+    if (!scheduled.has(key)) {
+      await scheduleJob({ type, key, runAt: new Date() });
+    }
+  }
+};
+
+/**
+ * Schedule a job, or move it if a job with the same key exists
+ * Moving resets it to pending with a fresh set of attempts, even if it already ran.
+ * @param {Object} job
+ * @param {string} job.type - One of JOB_TYPES
+ * @param {string} job.key - Unique key used to move or cancel it later
+ * @param {Date} job.runAt - When it should run
+ * @param {Object} [job.payload] - Passed to the handler
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Object>} Scheduled job
+ */
+export const scheduleJob = ({ type, key, runAt, payload }, client = prisma) => {
+  const data = {
+    type,
+    payload,
+    run_at: runAt,
+    status: PENDING,
+    attempts: 0,
+    max_attempts: JOB_CONFIG.MAX_ATTEMPTS,
+    locked_at: null,
+    locked_by: null,
+    last_error: null,
+    completed_at: null,
+  };
+
+  return client.scheduledJob.upsert({
+    where: { key },
+    create: { key, ...data },
+    update: data,
+  });
+};
+
+/**
+ * Cancel pending jobs by key or key prefix (jobs already running are left to finish)
+ * @param {Object} match
+ * @param {string[]} [match.keys] - Exact keys
+ * @param {string} [match.keyPrefix] - Every key starting with this
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+export const cancelJobs = async ({ keys, keyPrefix }, client = prisma) => {
+  const { count } = await client.scheduledJob.updateMany({
+    where: {
+      status: PENDING,
+      ...(keys && { key: { in: keys } }),
+      ...(keyPrefix && { key: { startsWith: keyPrefix } }),
+    },
+    data: { status: CANCELLED },
+  });
+  return count;
+};
+
+/**
+ * Claim a due job for this instance
+ * Guarded on the status and run time it was read with, so two instances never
+ * both run it and a job moved in the meantime isn't run at its old time.
+ * @returns {Promise<Date|null>} Lock time (identifies this claim), or null if it wasn't claimed
+ */
+const claimJob = async (job) => {
+  const lockedAt = new Date();
+  const { count } = await prisma.scheduledJob.updateMany({
+    where: { id: job.id, status: PENDING, run_at: job.run_at },
+    data: { status: RUNNING, locked_at: lockedAt, locked_by: INSTANCE_ID, attempts: { increment: 1 } },
+  });
+  return count === 1 ? lockedAt : null;
+};
+
+/**
+ * Record how a claimed job ended, unless it was moved or cancelled while running
+ */
+const finishJob = (job, lockedAt, data) => {
+  return prisma.scheduledJob.updateMany({
+    where: { id: job.id, status: RUNNING, locked_at: lockedAt },
+    data,
+  });
+};
+
+/**
+ * Run one claimed job and record the outcome
+ * Failures are retried after RETRY_AFTER_SECONDS until max_attempts is reached.
+ * @returns {Promise<string>} completed, retried or failed
+ */
+const runJob = async (job, lockedAt) => {
+  const attempts = job.attempts + 1;
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+
+    await handler(job.payload || {}, job);
+    await finishJob(job, lockedAt, { status: COMPLETED, completed_at: new Date(), last_error: null });
+    return "completed";
+  } catch (error) {
+    const retry = attempts < job.max_attempts && handlers.has(job.type);
+    logger.error("Scheduled job failed", {
+      jobId: job.id,
+      type: job.type,
+      key: job.key,
+      attempt: attempts,
+      willRetry: retry,
+      error: error.message,
+    });
+
+    if (!retry) {
+      await finishJob(job, lockedAt, { status: FAILED, last_error: error.message });
+      return "failed";
+    }
+
+    const delaySeconds = JOB_CONFIG.RETRY_AFTER_SECONDS[attempts - 1] ?? JOB_CONFIG.RETRY_AFTER_SECONDS.at(-1);
+    await finishJob(job, lockedAt, {
+      status: PENDING,
+      run_at: new Date(Date.now() + delaySeconds * 1000),
+      locked_at: null,
+      locked_by: null,
+      last_error: error.message,
+    });
+    return "retried";
+  }
+};
+
+/**
+ * Run every job that is due, one at a time
+ * Jobs left running by an instance that died are put back first.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{ completed: number, retried: number, failed: number, recovered: number }>} Summary
+ */
+export const runDueJobs = async (now = new Date()) => {
+  const { count: recovered } = await prisma.scheduledJob.updateMany({
+    where: {
+      status: RUNNING,
+      locked_at: { lt: new Date(now.getTime() - JOB_CONFIG.LOCK_TIMEOUT_MINUTES * 60 * 1000) },
+    },
+    data: { status: PENDING, locked_at: null, locked_by: null },
+  });
+
+  if (recovered > 0) {
+    logger.warn("Recovered scheduled jobs abandoned while running", { count: recovered });
+  }
+
+  const due = await prisma.scheduledJob.findMany({
+    where: { status: PENDING, run_at: { lte: now } },
+    orderBy: [{ run_at: "asc" }, { id: "asc" }],
+    take: JOB_CONFIG.BATCH_SIZE,
+  });
+
+  const summary = { completed: 0, retried: 0, failed: 0, recovered };
+
+  for (const job of due) {
+    const lockedAt = await claimJob(job);
+    if (!lockedAt) {
+      continue;
+    }
+    summary[await runJob(job, lockedAt)]++;
+  }
+
+  if (due.length > 0) {
+    logger.info("Scheduled jobs run completed", summary);
+  }
+
+  return summary;
+};
+
+let schedulerTimer = null;
+let schedulerRun = null;
+
+/**
+ * Poll for due jobs every POLL_INTERVAL_SECONDS (one run at a time)
+ * Recurring jobs are scheduled on the first poll.
+ */
+export const startJobScheduler = () => {
+  if (schedulerTimer) return;
+
+  let recurringScheduled = false;
+
+  const tick = () => {
+    if (schedulerRun) return;
+    schedulerRun = (recurringScheduled ? Promise.resolve() : ensureRecurringJobs())
+      .then(() => {
+        recurringScheduled = true;
+        return runDueJobs();
+      })
+      .catch((error) => logger.error("Scheduled jobs run failed", { error: error.message }))
+      .finally(() => {
+        schedulerRun = null;
+      });
+  };
+
+  schedulerTimer = setInterval(tick, JOB_CONFIG.POLL_INTERVAL_SECONDS * 1000);
+  schedulerTimer.unref();
+  tick();
+};
+
+/**
+ * Stop polling and wait for a run in progress to finish
+ * @returns {Promise<void>}
+ */
+export const stopJobScheduler = async () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+  await schedulerRun;
+};
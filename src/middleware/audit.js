@@ -0,0 +1,131 @@
+import prisma from "../config/prisma.js";
+import logger from "../config/logger.js";
+import { getAuditContext, recordAudit } from "../modules/audit/audit.service.js";
+
+// Related records included in responses aren't part of the audited entity
+const isRelation = (value) => Array.isArray(value) || (!!value && typeof value === "object" && "id" in value);
+
+const snapshot = (record) => Object.fromEntries(
+  Object.entries(record).filter(([, value]) => !isRelation(value)),
+);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Work out what changed between the record before the request and the response
+ * @returns {{ old_values?: Object, new_values?: Object }}
+ */
+const describeChange = (before, after) => {
+  const isRecord = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+  if (isRecord(before) && isRecord(after)) {
+    const changed = Object.keys(before).filter((key) => key !== "updated_at"
+      && key in after
+      && !isRelation(before[key])
+      && !sameValue(before[key], after[key]));
+    return {
+      old_values: Object.fromEntries(changed.map((key) => [key, before[key]])),
+      new_values: Object.fromEntries(changed.map((key) => [key, after[key]])),
+    };
+  }
+  if (isRecord(before)) {
+    return { old_values: snapshot(before) };
+  }
+  if (isRecord(after)) {
+    return { new_values: snapshot(after) };
+  }
+  return {};
+};
+
+const routeId = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) ? id : null;
+};
+
+/**
+ * Audit middleware - records a successful request in the audit log
+ *
+ * The entry is written after the response is sent (2xx/3xx only) and a failure to
+ * write it is logged, never returned to the client. Old values come from `model`
+ * (the record is loaded before the handler runs) and new values from the
+ * response's data; for updates only the fields that changed are kept. Values are
+ * redacted by recordAudit. Changes a service already audits in its own
+ * transaction (refunds, payouts, roles) don't use this.
+ *
+ * @param {string} action - Dotted action name (e.g., "booking.cancelled")
+ * @param {Object} [options]
+ * @param {string|Function} [options.entity] - Entity type, or (req) => type (default: the action's prefix)
+ * @param {string} [options.model] - Prisma model to load the current record from by :id
+ * @param {Function} [options.entityId] - (req, data) => ID (default: :id, else the response data's id);
+ *   called without data to find the record to load
+ * @param {Function} [options.values] - (req, data) => new values, for responses that aren't the
+ *   entity itself (e.g., a replaced list)
+ * @returns {Function} Express middleware
+ */
+export const audit = (action, { entity = action.split(".")[0], model, entityId, values } = {}) => {
+  const resolveId = (req, data) => (entityId ? entityId(req, data) : (routeId(req) ?? data?.id));
+
+  return async (req, res, next) => {
+    let before = null;
+    try {
+      const id = resolveId(req);
+      if (model && Number.isInteger(id)) {
+        before = await prisma[model].findUnique({ where: { id } });
+      }
+    } catch (error) {
+      logger.error("Audit lookup failed", { action, error: error.message });
+    }
+
+    let data;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      data = body?.data;
+      return json(body);
+    };
+
+    const write = () => {
+      const id = resolveId(req, data);
+      if (!Number.isInteger(id)) {
+        logger.warn("Audit entry skipped: no entity ID", { action, path: req.originalUrl });
+        return;
+      }
+
+      recordAudit({
+        actor: { type: req.user.type, id: req.user.id },
+        action,
+        entity_type: typeof entity === "function" ? entity(req) : entity,
+        entity_id: id,
+        ...(values ? { new_values: values(req, data) } : describeChange(before, data)),
+        context: getAuditContext(req),
+      }).catch((error) => {
+        logger.error("Failed to write audit log", { action, entityId: id, error: error.message });
+      });
+    };
+
+    res.on("finish", () => {
+      if (res.statusCode >= 400 || !req.user) {
+        return;
+      }
+      try {
+        write();
+      } catch (error) {
+        logger.error("Failed to write audit log", { action, error: error.message });
+      }
+    });
+
+    next();
+  };
+};
+
+/**
+ * Audit middleware for changes the signed-in account makes to itself
+ * (entity: the account's type and ID)
+ * @param {string} action - Dotted action name (e.g., "mfa.enabled")
+ * @param {Object} [options] - As for audit()
+ * @returns {Function} Express middleware
+ */
+export const auditOwnAccount = (action, options = {}) => audit(action, {
+  entity: (req) => req.user.type,
+  ...options,
+  entityId: (req) => req.user.id,
+});
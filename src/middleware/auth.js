@@ -1,7 +1,8 @@
 import { verifyAccessToken, extractTokenFromHeader } from "../utils/jwt.js";
 import { UnauthorizedError, ForbiddenError } from "../utils/errors.js";
 import prisma from "../config/prisma.js";
-import { USER_TYPES, ERROR_MESSAGES } from "../config/constants.js";
+import { env } from "../config/env.js";
+import { USER_TYPES, USER_STATUS, ACTIVE_USER_STATUSES, ERROR_MESSAGES } from "../config/constants.js";
 
 /**
  * Authentication middleware
@@ -23,6 +24,8 @@ export const authenticate = async (req, res, next) => {
       email: decoded.email,
       type: decoded.type,
       role: decoded.role,
+      // Login session (refresh token family); tokens issued before sessions existed have none
+      sessionId: decoded.sid ?? null,
     };
 
     next();
@@ -46,6 +49,7 @@ export const optionalAuth = async (req, res, next) => {
         email: decoded.email,
         type: decoded.type,
         role: decoded.role,
+        sessionId: decoded.sid ?? null,
       };
     }
 
@@ -139,7 +143,7 @@ export const verifyUserActive = async (req, res, next) => {
         if (!user || user.deleted_at) {
           throw new UnauthorizedError("User account not found");
         }
-        if (user.status !== "active") {
+        if (!ACTIVE_USER_STATUSES.includes(user.status)) {
           throw new ForbiddenError("User account is not active");
         }
         break;
@@ -154,6 +158,40 @@ export const verifyUserActive = async (req, res, next) => {
   }
 };
 
+/**
+ * Check that a patient has verified their email address
+ * Only applies when EMAIL_VERIFICATION_REQUIRED is on; other account types pass.
+ * Shared by requireVerifiedEmail and the Socket.IO handlers.
+ * @param {Object} user - req.user / socket.user ({ id, type })
+ * @throws {ForbiddenError} If the patient's email is still unverified
+ */
+export const assertEmailVerified = async (user) => {
+  if (!env.EMAIL_VERIFICATION_REQUIRED || user?.type !== USER_TYPES.USER) {
+    return;
+  }
+
+  const record = await prisma.user.findUnique({
+    where: { id: user.id },
+    select: { status: true },
+  });
+  if (record?.status === USER_STATUS.PENDING_VERIFICATION) {
+    throw new ForbiddenError(ERROR_MESSAGES.EMAIL_NOT_VERIFIED);
+  }
+};
+
+/**
+ * Hold patients back until they've verified their email address
+ * Use after authenticate middleware
+ */
+export const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    await assertEmailVerified(req.user);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Check if user owns the resource or is admin
  * @param {Function} getResourceOwnerId - Function to get owner ID from request
@@ -11,7 +11,7 @@ const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
  * @param {string} roleName - Role name
  * @returns {Promise<Set<string>>} Set of permission names
  */
-const getRolePermissions = async (roleName) => {
+export const getRolePermissions = async (roleName) => {
   const cacheKey = `role:${roleName}`;
   const cached = permissionCache.get(cacheKey);
 
@@ -0,0 +1,109 @@
+import "dotenv/config";
+import { fileURLToPath } from "url";
+import express from "express";
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Local Firebase Cloud Messaging stand-in for development and tests
+ *
+ * Implements the service account token exchange and the HTTP v1 send endpoint,
+ * answering the way FCM does. Run with `npm run mock:fcm`, then set
+ * FCM_API_URL=http://localhost:4020 and FCM_TOKEN_URL=http://localhost:4020/token.
+ * Assertions are decoded but not signature-checked, so any RSA key works.
+ *
+ * Extra endpoints for driving pushes:
+ * - GET  /mock/messages      messages accepted so far
+ * - POST /mock/unregister    { token } - later sends to it fail with UNREGISTERED
+ *
+ * Tokens starting with "unregistered" always fail with UNREGISTERED.
+ */
+
+const fcmError = (res, httpStatus, status, message, errorCode) => {
+  res.status(httpStatus).json({
+    error: {
+      code: httpStatus,
+      message,
+      status,
+      details: errorCode ? [{ "@type": "type.googleapis.com/google.firebase.fcm.v1.FcmError", errorCode }] : [],
+    },
+  });
+};
+
+/**
+ * Create the mock FCM app
+ * @param {Object} [config]
+ * @param {string} [config.projectId] - Only accept sends for this project (any project if unset)
+ * @returns {Object} Express app, with `messages`, `accessTokens` and `unregistered` for inspection
+ */
+export const createFcmMock = ({ projectId } = {}) => {
+  const app = express();
+  const messages = [];
+  const accessTokens = new Set();
+  const unregistered = new Set();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.post("/token", (req, res) => {
+    const claims = req.body.assertion ? jwt.decode(req.body.assertion) : null;
+
+    if (req.body.grant_type !== "urn:ietf:params:oauth:grant-type:jwt-bearer" || !claims?.iss || !claims?.scope) {
+      return res.status(400).json({ error: "invalid_grant", error_description: "Invalid JWT assertion" });
+    }
+
+    const accessToken = `mock-${uuidv4()}`;
+    accessTokens.add(accessToken);
+    res.json({ access_token: accessToken, expires_in: 3600, token_type: "Bearer" });
+  });
+
+  // The real path ends in "messages:send", which Express would read as a route parameter
+  app.post(/^\/v1\/projects\/([^/]+)\/messages:send$/, (req, res) => {
+    const token = req.headers.authorization?.replace(/^Bearer /, "");
+    if (!accessTokens.has(token)) {
+      return fcmError(res, 401, "UNAUTHENTICATED", "Request had invalid authentication credentials.");
+    }
+
+    const project = decodeURIComponent(req.params[0]);
+    if (projectId && project !== projectId) {
+      return fcmError(res, 403, "PERMISSION_DENIED", "SenderId mismatch", "SENDER_ID_MISMATCH");
+    }
+
+    const message = req.body.message;
+    if (!message?.token) {
+      return fcmError(res, 400, "INVALID_ARGUMENT", "Message must have a token", "INVALID_ARGUMENT");
+    }
+    if (message.token.startsWith("unregistered") || unregistered.has(message.token)) {
+      return fcmError(res, 404, "NOT_FOUND", "Requested entity was not found.", "UNREGISTERED");
+    }
+
+    const name = `projects/${project}/messages/${uuidv4()}`;
+    messages.push({ name, ...message, received_at: new Date().toISOString() });
+    res.json({ name });
+  });
+
+  app.get("/mock/messages", (req, res) => {
+    res.json(messages);
+  });
+
+  app.post("/mock/unregister", (req, res) => {
+    if (!req.body.token) return res.status(400).json({ error: "token is required" });
+    unregistered.add(req.body.token);
+    res.json({ unregistered: req.body.token });
+  });
+
+  app.messages = messages;
+  app.accessTokens = accessTokens;
+  app.unregistered = unregistered;
+  return app;
+};
+
+// Started directly: npm run mock:fcm
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.FCM_MOCK_PORT || "4020", 10);
+  const app = createFcmMock({ projectId: process.env.FCM_PROJECT_ID });
+
+  app.listen(port, () => {
+    console.log(`📱 FCM mock running on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,234 @@
+import "dotenv/config";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import express from "express";
+import axios from "axios";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Local FuratPay stand-in for development and tests
+ *
+ * Implements the slice of the FuratPay API the platform uses (invoices and refunds) and
+ * delivers signed webhooks to the invoice's callback_url, exactly as the
+ * real provider would. Run with `npm run mock:furatpay`.
+ *
+ * Extra endpoints for driving payments:
+ * - POST /v1/invoices/:id/refunds   { amount, reason } + Idempotency-Key header
+ * - POST /v1/invoices/:id/simulate  { status: "paid" | "failed" | "expired", timestamp? }
+ * - POST /v1/events/:id/redeliver   resend a previous event (replay testing)
+ * - GET  /pay/:id                   pay page with Pay / Decline buttons
+ */
+
+const INVOICE_STATUS_EVENTS = {
+  paid: "invoice.paid",
+  failed: "invoice.failed",
+  expired: "invoice.expired",
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Create the mock FuratPay app
+ * @param {Object} config
+ * @param {string} [config.apiKey] - Required bearer token (any token accepted if unset)
+ * @param {string} config.webhookSecret - Secret used to sign webhooks
+ * @param {string} config.baseUrl - Public base URL of the mock, used for pay links
+ * @returns {Object} Express app, with `invoices` and `events` maps for inspection
+ */
+export const createFuratPayMock = ({ apiKey, webhookSecret, baseUrl }) => {
+  const app = express();
+  const invoices = new Map();
+  const events = new Map();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  const requireApiKey = (req, res, next) => {
+    if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+      return res.status(401).json({ error: "invalid_api_key" });
+    }
+    next();
+  };
+
+  /**
+   * Sign and POST an event to the invoice's callback URL
+   */
+  const deliver = async (invoice, event, timestamp = Math.floor(Date.now() / 1000)) => {
+    const rawBody = JSON.stringify(event);
+    const signature = crypto.createHmac("sha256", webhookSecret).update(`${timestamp}.${rawBody}`).digest("hex");
+
+    try {
+      const response = await axios.post(invoice.callback_url, rawBody, {
+        timeout: 10000,
+        headers: {
+          "content-type": "application/json",
+          "x-furatpay-timestamp": String(timestamp),
+          "x-furatpay-signature": signature,
+        },
+      });
+      return { status: response.status, body: response.data };
+    } catch (error) {
+      return { status: error.response?.status || null, body: error.response?.data || error.message };
+    }
+  };
+
+  const settle = async (invoice, status, timestamp) => {
+    invoice.status = status;
+    if (status === "paid") {
+      invoice.paid_at = new Date().toISOString();
+      invoice.transaction_id = `txn_${uuidv4()}`;
+    }
+
+    const event = {
+      id: `evt_${uuidv4()}`,
+      type: INVOICE_STATUS_EVENTS[status],
+      created_at: new Date().toISOString(),
+      data: {
+        invoice_id: invoice.id,
+        reference: invoice.reference,
+        amount: invoice.amount,
+        currency: invoice.currency,
+        status,
+        payment_method: status === "paid" ? "card" : null,
+        transaction_id: invoice.transaction_id || null,
+      },
+    };
+    events.set(event.id, { invoiceId: invoice.id, event });
+
+    return { event, delivery: await deliver(invoice, event, timestamp) };
+  };
+
+  app.post("/v1/invoices", requireApiKey, (req, res) => {
+    const { reference, amount, currency, description, customer, callback_url, return_url, expires_at } = req.body;
+
+    if (!(Number(amount) > 0) || !currency || !callback_url) {
+      return res.status(400).json({ error: "amount, currency and callback_url are required" });
+    }
+
+    const id = `inv_${uuidv4()}`;
+    const invoice = {
+      id,
+      reference,
+      amount: Number(amount).toFixed(2),
+      currency,
+      description,
+      customer,
+      callback_url,
+      return_url: return_url || null,
+      status: "pending",
+      pay_link: `${baseUrl}/pay/${id}`,
+      expires_at: expires_at || new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      refunds: [],
+      created_at: new Date().toISOString(),
+    };
+    invoices.set(id, invoice);
+
+    res.status(201).json(invoice);
+  });
+
+  app.get("/v1/invoices/:id", requireApiKey, (req, res) => {
+    const invoice = invoices.get(req.params.id);
+    if (!invoice) return res.status(404).json({ error: "invoice_not_found" });
+    res.json(invoice);
+  });
+
+  app.post("/v1/invoices/:id/refunds", requireApiKey, (req, res) => {
+    const invoice = invoices.get(req.params.id);
+    if (!invoice) return res.status(404).json({ error: "invoice_not_found" });
+
+    // Replaying an idempotency key returns the original refund
+    const key = req.headers["idempotency-key"];
+    const previous = key && invoice.refunds.find((refund) => refund.idempotency_key === key);
+    if (previous) return res.json(previous);
+
+    if (!["paid", "partially_refunded"].includes(invoice.status)) {
+      return res.status(400).json({ error: "invoice_not_refundable" });
+    }
+
+    const cents = Math.round(Number(req.body.amount) * 100);
+    const refundedCents = invoice.refunds.reduce((sum, refund) => sum + Math.round(Number(refund.amount) * 100), 0);
+    const paidCents = Math.round(Number(invoice.amount) * 100);
+    if (!(cents > 0) || refundedCents + cents > paidCents) {
+      return res.status(400).json({ error: "refund_amount_exceeds_balance" });
+    }
+
+    const refund = {
+      id: `ref_${uuidv4()}`,
+      invoice_id: invoice.id,
+      amount: (cents / 100).toFixed(2),
+      reason: req.body.reason || null,
+      status: "succeeded",
+      idempotency_key: key || null,
+      created_at: new Date().toISOString(),
+    };
+    invoice.refunds.push(refund);
+    invoice.status = refundedCents + cents === paidCents ? "refunded" : "partially_refunded";
+
+    res.status(201).json(refund);
+  });
+
+  app.post("/v1/invoices/:id/simulate", async (req, res) => {
+    const invoice = invoices.get(req.params.id);
+    if (!invoice) return res.status(404).json({ error: "invoice_not_found" });
+
+    const status = req.body.status || "paid";
+    if (!INVOICE_STATUS_EVENTS[status]) {
+      return res.status(400).json({ error: "status must be paid, failed or expired" });
+    }
+
+    res.json(await settle(invoice, status, req.body.timestamp));
+  });
+
+  app.post("/v1/events/:id/redeliver", async (req, res) => {
+    const stored = events.get(req.params.id);
+    if (!stored) return res.status(404).json({ error: "event_not_found" });
+
+    const delivery = await deliver(invoices.get(stored.invoiceId), stored.event, req.body.timestamp);
+    res.json({ event: stored.event, delivery });
+  });
+
+  app.get("/pay/:id", (req, res) => {
+    const invoice = invoices.get(req.params.id);
+    if (!invoice) return res.status(404).send("Invoice not found");
+
+    res.type("html").send(`<!doctype html>
+<html>
+  <body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+    <h2>FuratPay (mock)</h2>
+    <p>${escapeHtml(invoice.description || invoice.reference || invoice.id)}</p>
+    <p><strong>${escapeHtml(invoice.amount)} ${escapeHtml(invoice.currency)}</strong> &mdash; ${invoice.status}</p>
+    ${invoice.status === "pending" ? `
+    <form method="post"><input type="hidden" name="status" value="paid"><button>Pay</button></form>
+    <form method="post"><input type="hidden" name="status" value="failed"><button>Decline</button></form>` : ""}
+  </body>
+</html>`);
+  });
+
+  app.post("/pay/:id", async (req, res) => {
+    const invoice = invoices.get(req.params.id);
+    if (!invoice) return res.status(404).send("Invoice not found");
+
+    if (invoice.status === "pending") {
+      await settle(invoice, req.body.status === "failed" ? "failed" : "paid");
+    }
+    res.redirect(303, invoice.return_url || `/pay/${invoice.id}`);
+  });
+
+  app.invoices = invoices;
+  app.events = events;
+  return app;
+};
+
+// Started directly: npm run mock:furatpay
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.FURATPAY_MOCK_PORT || "4010", 10);
+  const app = createFuratPayMock({
+    apiKey: process.env.FURATPAY_API_KEY,
+    webhookSecret: process.env.FURATPAY_WEBHOOK_SECRET || "mock-furatpay-webhook-secret",
+    baseUrl: `http://localhost:${port}`,
+  });
+
+  app.listen(port, () => {
+    console.log(`💳 FuratPay mock running on http://localhost:${port}/v1`);
+  });
+}
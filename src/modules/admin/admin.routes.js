@@ -1,11 +1,34 @@
 import { Router } from "express";
 import { authenticate, adminOnly } from "../../middleware/auth.js";
 import { authorize } from "../../middleware/rbac.js";
+import { validate } from "../../middleware/validate.js";
+import { audit } from "../../middleware/audit.js";
 import prisma from "../../config/prisma.js";
 import { successResponse, paginatedResponse, buildPaginationResponse, parsePaginationParams, sanitizeAdmin } from "../../utils/helpers.js";
-import { NotFoundError, ConflictError } from "../../utils/errors.js";
+import { NotFoundError, ConflictError, BadRequestError } from "../../utils/errors.js";
 import { hashPassword } from "../../utils/password.js";
-import { HTTP_STATUS } from "../../config/constants.js";
+import { HTTP_STATUS, PAYOUT_STATUS } from "../../config/constants.js";
+import { getAuditContext, listAuditLogs, exportAuditLogs } from "../audit/audit.service.js";
+import { runPayouts, getPayout, approvePayout, markPayoutPaid, markPayoutFailed } from "../payouts/payout.service.js";
+import { listLoginLockouts, unlockLogin } from "../auth/login-throttle.service.js";
+import {
+  listRoles,
+  getRole,
+  createRole,
+  updateRole,
+  grantPermissions,
+  revokePermission,
+  listPermissions,
+  assignAdminRole,
+} from "../roles/role.service.js";
+import {
+  createRoleSchema,
+  updateRoleSchema,
+  roleParamsSchema,
+  grantPermissionsSchema,
+  revokePermissionSchema,
+  assignAdminRoleSchema,
+} from "../roles/role.schema.js";
 
 const router = Router();
 
@@ -98,7 +121,7 @@ router.get("/admins", authenticate, adminOnly, async (req, res, next) => {
  *       409:
  *         description: Email already registered
  */
-router.post("/admins", authenticate, adminOnly, async (req, res, next) => {
+router.post("/admins", authenticate, adminOnly, audit("admin.created"), async (req, res, next) => {
   try {
     const { email, password, first_name, last_name, role } = req.body;
 
@@ -696,6 +719,7 @@ router.get("/bookings/:id", authenticate, authorize("bookings:read"), async (req
  * /api/v1/admin/audit-logs:
  *   get:
  *     summary: Get audit logs
+ *     description: Newest first. Sensitive values (passwords, tokens, secrets...) are stored redacted.
  *     tags: [Admin]
  *     security:
  *       - BearerAuth: []
@@ -710,9 +734,49 @@ router.get("/bookings/:id", authenticate, authorize("bookings:read"), async (req
  *         schema:
  *           type: integer
  *         description: Items per page (default 10)
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *           example: booking
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: actor_type
+ *         schema:
+ *           type: string
+ *           enum: [admin, therapist, user, system]
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action, or a prefix ending in "." (e.g., "booking.")
+ *       - in: query
+ *         name: request_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive when a plain date
  *     responses:
  *       200:
  *         description: Audit logs retrieved successfully
+ *       400:
+ *         description: Invalid filter
  *       401:
  *         description: Unauthorized
  *       403:
@@ -721,11 +785,7 @@ router.get("/bookings/:id", authenticate, authorize("bookings:read"), async (req
 router.get("/audit-logs", authenticate, authorize("admin:audit_logs"), async (req, res, next) => {
   try {
     const { page, limit, skip } = parsePaginationParams(req.query);
-
-    const [logs, total] = await Promise.all([
-      prisma.auditLog.findMany({ skip, take: limit, orderBy: { created_at: "desc" } }),
-      prisma.auditLog.count(),
-    ]);
+    const { logs, total } = await listAuditLogs(req.query, { skip, limit });
 
     const pagination = buildPaginationResponse(page, limit, total);
     res.json(paginatedResponse(logs, pagination));
@@ -734,4 +794,890 @@ router.get("/audit-logs", authenticate, authorize("admin:audit_logs"), async (re
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs/export:
+ *   get:
+ *     summary: Export audit logs as CSV
+ *     description: |
+ *       Same filters as GET /admin/audit-logs, newest first, up to 10,000 rows. When more match,
+ *       the X-Export-Truncated header is set; narrow the filters (e.g., by date) to get the rest.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *           example: booking
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: actor_type
+ *         schema:
+ *           type: string
+ *           enum: [admin, therapist, user, system]
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action, or a prefix ending in "." (e.g., "booking.")
+ *       - in: query
+ *         name: request_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive when a plain date
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Forbidden - Requires admin:audit_logs permission
+ */
+router.get("/audit-logs/export", authenticate, authorize("admin:audit_logs"), async (req, res, next) => {
+  try {
+    const { csv, count, truncated } = await exportAuditLogs(req.query);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="audit-logs-${date}.csv"`);
+    res.setHeader("X-Export-Count", String(count));
+    if (truncated) {
+      res.setHeader("X-Export-Truncated", "true");
+    }
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/roles:
+ *   get:
+ *     summary: Get roles
+ *     description: Each role with its number of permissions and admins. System roles can't be deactivated.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *       403:
+ *         description: Forbidden - Requires admin:roles permission
+ */
+router.get("/roles", authenticate, authorize("admin:roles"), async (req, res, next) => {
+  try {
+    const roles = await listRoles();
+    res.json(successResponse(roles, "Roles retrieved successfully"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/roles:
+ *   post:
+ *     summary: Create a role
+ *     description: New roles are admin roles; assign them with PUT /admin/admins/{id}/role.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: support
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["users:read", "bookings:read"]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Unknown permission
+ *       403:
+ *         description: Forbidden - Requires admin:roles permission, and only super admins can grant permissions they don't have
+ *       409:
+ *         description: Role already exists
+ */
+router.post("/roles", authenticate, authorize("admin:roles"), validate(createRoleSchema), async (req, res, next) => {
+  try {
+    const role = await createRole(req.body, req.user, getAuditContext(req));
+    res.status(HTTP_STATUS.CREATED).json(successResponse(role, "Role created successfully"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/roles/{name}:
+ *   get:
+ *     summary: Get a role with its permissions
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role retrieved successfully
+ *       403:
+ *         description: Forbidden - Requires admin:roles permission
+ *       404:
+ *         description: Role not found
+ */
+router.get("/roles/:name", authenticate, authorize("admin:roles"), validate(roleParamsSchema), async (req, res, next) => {
+  try {
+    const role = await getRole(req.params.name);
+    res.json(successResponse(role, "Role retrieved successfully"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/roles/{name}:
+ *   put:
+ *     summary: Update a role
+ *     description: |
+ *       A deactivated role grants no permissions until it's activated again. System roles
+ *       (super_admin, admin, therapist, patient) can't be deactivated.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               is_active:
+ *                 type: boolean
+ *               mfa_required:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Deactivating a system role, or two-factor on the patient role
+ *       403:
+ *         description: Forbidden - Requires admin:roles permission, and only super admins can change their own role or super_admin
+ *       404:
+ *         description: Role not found
+ */
+router.put("/roles/:name", authenticate, authorize("admin:roles"), validate(updateRoleSchema), async (req, res, next) => {
+  try {
+    const role = await updateRole(req.params.name, req.body, req.user, getAuditContext(req));
+    res.json(successResponse(role, "Role updated successfully"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/roles/{name}:
+ *   delete:
+ *     summary: Deactivate a role
+ *     description: The role stays (and its admins keep it) but grants no permissions. Reactivate it with PUT.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deactivated successfully
+ *       400:
+ *         description: System roles can't be deactivated
+ *       403:
+ *         description: Forbidden - Requires admin:roles permission, and only super admins can change their own role or super_admin
+ *       404:
+ *         description: Role not found
+ */
+router.delete("/roles/:name", authenticate, authorize("admin:roles"), validate(roleParamsSchema), async (req, res, next) => {
+  try {
+    const role = await updateRole(
+      req.params.name,
+      { is_active: false },
+      req.user,
+      getAuditContext(req),
+    );
+    res.json(successResponse(role, "Role deactivated successfully"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/roles/{name}/permissions:
+ *   post:
+ *     summary: Grant permissions to a role
+ *     description: Permissions the role already has are skipped. Takes effect on the next request.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["payments:read"]
+ *     responses:
+ *       200:
+ *         description: Permissions granted
+ *       400:
+ *         description: Unknown permission
+ *       403:
+ *         description: |
+ *           Forbidden - Requires admin:roles permission. Only super admins can change their own role or
+ *           super_admin, or grant permissions they don't have
+ *       404:
+ *         description: Role not found
+ */
+router.post("/roles/:name/permissions", authenticate, authorize("admin:roles"), validate(grantPermissionsSchema), async (req, res, next) => {
+  try {
+    const role = await grantPermissions(
+      req.params.name,
+      req.body.permissions,
+      req.user,
+      getAuditContext(req),
+    );
+    res.json(successResponse(role, "Permissions granted"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/roles/{name}/permissions/{permission}:
+ *   delete:
+ *     summary: Revoke a permission from a role
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: permission
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: payments:read
+ *     responses:
+ *       200:
+ *         description: Permission revoked
+ *       403:
+ *         description: Forbidden - Requires admin:roles permission, and only super admins can change their own role or super_admin
+ *       404:
+ *         description: Role not found, or it doesn't have the permission
+ */
+router.delete("/roles/:name/permissions/:permission", authenticate, authorize("admin:roles"), validate(revokePermissionSchema), async (req, res, next) => {
+  try {
+    const role = await revokePermission(
+      req.params.name,
+      req.params.permission,
+      req.user,
+      getAuditContext(req),
+    );
+    res.json(successResponse(role, "Permission revoked"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/permissions:
+ *   get:
+ *     summary: Get all permissions, grouped by module
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *       403:
+ *         description: Forbidden - Requires admin:roles permission
+ */
+router.get("/permissions", authenticate, authorize("admin:roles"), async (req, res, next) => {
+  try {
+    const permissions = await listPermissions();
+    res.json(successResponse(permissions, "Permissions retrieved successfully"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/admins/{id}/role:
+ *   put:
+ *     summary: Assign a role to an admin
+ *     description: |
+ *       Any active role except therapist and patient. The admin's sessions are ended so the new
+ *       role applies from their next login. Only a super admin can grant or remove super_admin,
+ *       and nobody can change their own role.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: support
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ *       400:
+ *         description: Inactive role, or one that isn't for admins
+ *       403:
+ *         description: Forbidden - Requires admin:roles permission
+ *       404:
+ *         description: Admin or role not found
+ */
+router.put("/admins/:id/role", authenticate, authorize("admin:roles"), validate(assignAdminRoleSchema), async (req, res, next) => {
+  try {
+    const admin = await assignAdminRole(req.params.id, req.body.role, req.user, getAuditContext(req));
+    res.json(successResponse(admin, "Role assigned"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/roles/{name}/mfa:
+ *   put:
+ *     summary: Require two-factor authentication for a role
+ *     description: |
+ *       Applies to admins and therapists with the role. Those without an authenticator set it
+ *       up at their next login; those with one can no longer turn it off.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: admin
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Setting updated
+ *       400:
+ *         description: Missing setting, or a patient role
+ *       403:
+ *         description: Forbidden - Requires admin:settings permission
+ *       404:
+ *         description: Role not found
+ */
+router.put("/roles/:name/mfa", authenticate, authorize("admin:settings"), async (req, res, next) => {
+  try {
+    const required = req.body?.required;
+    if (typeof required !== "boolean") {
+      throw new BadRequestError("required must be true or false");
+    }
+
+    const role = await updateRole(
+      req.params.name,
+      { mfa_required: required },
+      { type: req.user.type, id: req.user.id },
+      getAuditContext(req),
+    );
+
+    res.json(successResponse(role, "Two-factor setting updated"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/login-lockouts:
+ *   get:
+ *     summary: List locked logins
+ *     description: |
+ *       Login identifiers (account type and email or phone, e.g. "user:pat@example.com") and IP
+ *       addresses locked after repeated failed password logins, until locked_until.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lockouts retrieved successfully
+ *       403:
+ *         description: Forbidden - Requires admin:security permission
+ */
+router.get("/login-lockouts", authenticate, authorize("admin:security"), async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req.query);
+    const { lockouts, total } = await listLoginLockouts({ skip, limit });
+
+    const pagination = buildPaginationResponse(page, limit, total);
+    res.json(paginatedResponse(lockouts, pagination));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/login-lockouts/{id}:
+ *   delete:
+ *     summary: Unlock a login
+ *     description: Lifts the lockout and clears the failed attempts behind it.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Login unlocked
+ *       403:
+ *         description: Forbidden - Requires admin:security permission
+ *       404:
+ *         description: Lockout not found
+ */
+router.delete("/login-lockouts/:id", authenticate, authorize("admin:security"), async (req, res, next) => {
+  try {
+    const lockoutId = parseInt(req.params.id, 10);
+    if (isNaN(lockoutId)) {
+      throw new NotFoundError("Lockout not found");
+    }
+
+    await unlockLogin(lockoutId, { type: req.user.type, id: req.user.id }, getAuditContext(req));
+    res.json(successResponse(null, "Login unlocked"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Parse a payout ID route param
+ */
+const parsePayoutId = (value) => {
+  const payoutId = parseInt(value, 10);
+  if (isNaN(payoutId)) {
+    throw new NotFoundError("Payout not found");
+  }
+  return payoutId;
+};
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/run:
+ *   post:
+ *     summary: Run therapist payouts for a period
+ *     description: |
+ *       Totals completed bookings scheduled in the period that were paid (and not refunded) or
+ *       covered by a subscription, per therapist and currency, and creates a pending payout for
+ *       each with one line item per booking. PLATFORM_COMMISSION_PERCENT of each booking is kept
+ *       as commission. Bookings already on a payout are skipped, so a period can be run again to
+ *       pick up late completions.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - period_start
+ *               - period_end
+ *             properties:
+ *               period_start:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-09-01"
+ *               period_end:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the period (inclusive)
+ *                 example: "2026-09-30"
+ *               therapist_id:
+ *                 type: integer
+ *                 description: Only pay out this therapist
+ *     responses:
+ *       201:
+ *         description: Payout run completed
+ *       400:
+ *         description: Invalid period
+ *       403:
+ *         description: Forbidden - Requires payouts:create permission
+ */
+router.post("/payouts/run", authenticate, authorize("payouts:create"), async (req, res, next) => {
+  try {
+    const { period_start, period_end, therapist_id } = req.body;
+
+    const therapistId = therapist_id !== undefined && therapist_id !== null ? parseInt(therapist_id, 10) : undefined;
+    if (Number.isNaN(therapistId)) {
+      throw new BadRequestError("therapist_id must be an integer");
+    }
+
+    const result = await runPayouts({
+      periodStart: period_start,
+      periodEnd: period_end,
+      therapistId,
+      actor: { type: req.user.type, id: req.user.id },
+      context: getAuditContext(req),
+    });
+
+    res.status(HTTP_STATUS.CREATED).json(successResponse(result, `${result.payouts.length} payout(s) created`));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts:
+ *   get:
+ *     summary: Get therapist payouts
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, paid, failed]
+ *       - in: query
+ *         name: therapist_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payouts list retrieved successfully
+ *       403:
+ *         description: Forbidden - Requires payouts:read permission
+ */
+router.get("/payouts", authenticate, authorize("payouts:read"), async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req.query);
+    const { status, therapist_id } = req.query;
+
+    const where = {};
+
+    if (status) {
+      if (!Object.values(PAYOUT_STATUS).includes(status)) {
+        throw new BadRequestError(`Invalid status. Must be one of: ${Object.values(PAYOUT_STATUS).join(", ")}`);
+      }
+      where.status = status;
+    }
+
+    if (therapist_id) {
+      where.therapist_id = parseInt(therapist_id, 10);
+    }
+
+    const [payouts, total] = await Promise.all([
+      prisma.therapistPayout.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { created_at: "desc" },
+        include: {
+          therapist: {
+            select: { id: true, first_name: true, last_name: true, email: true },
+          },
+          _count: { select: { items: true } },
+        },
+      }),
+      prisma.therapistPayout.count({ where }),
+    ]);
+
+    const pagination = buildPaginationResponse(page, limit, total);
+    res.json(paginatedResponse(payouts, pagination));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/{id}:
+ *   get:
+ *     summary: Get payout by ID with its line items
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payout details retrieved successfully
+ *       404:
+ *         description: Payout not found
+ */
+router.get("/payouts/:id", authenticate, authorize("payouts:read"), async (req, res, next) => {
+  try {
+    const payout = await getPayout(parsePayoutId(req.params.id));
+    res.json(successResponse(payout));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/{id}/approve:
+ *   post:
+ *     summary: Approve a payout for transfer
+ *     description: Moves a pending (or previously failed) payout to processing.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payout approved
+ *       400:
+ *         description: Payout cannot be approved in its current status
+ *       404:
+ *         description: Payout not found
+ *       409:
+ *         description: Payout was updated concurrently
+ */
+router.post("/payouts/:id/approve", authenticate, authorize("payouts:process"), async (req, res, next) => {
+  try {
+    const payout = await approvePayout(
+      parsePayoutId(req.params.id),
+      { type: req.user.type, id: req.user.id },
+      getAuditContext(req),
+    );
+    res.json(successResponse(payout, "Payout approved"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/{id}/mark-paid:
+ *   post:
+ *     summary: Mark an approved payout as paid
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reference:
+ *                 type: string
+ *                 description: Bank transfer reference
+ *     responses:
+ *       200:
+ *         description: Payout marked as paid
+ *       400:
+ *         description: Payout is not processing
+ *       404:
+ *         description: Payout not found
+ *       409:
+ *         description: Payout was updated concurrently
+ */
+router.post("/payouts/:id/mark-paid", authenticate, authorize("payouts:process"), async (req, res, next) => {
+  try {
+    const payout = await markPayoutPaid(parsePayoutId(req.params.id), {
+      reference: req.body?.reference,
+      actor: { type: req.user.type, id: req.user.id },
+      context: getAuditContext(req),
+    });
+    res.json(successResponse(payout, "Payout marked as paid"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/payouts/{id}/mark-failed:
+ *   post:
+ *     summary: Mark an approved payout as failed
+ *     description: A failed payout can be approved again to retry the transfer.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payout marked as failed
+ *       400:
+ *         description: Missing reason or payout is not processing
+ *       404:
+ *         description: Payout not found
+ *       409:
+ *         description: Payout was updated concurrently
+ */
+router.post("/payouts/:id/mark-failed", authenticate, authorize("payouts:process"), async (req, res, next) => {
+  try {
+    const payout = await markPayoutFailed(parsePayoutId(req.params.id), {
+      reason: req.body?.reason,
+      actor: { type: req.user.type, id: req.user.id },
+      context: getAuditContext(req),
+    });
+    res.json(successResponse(payout, "Payout marked as failed"));
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -0,0 +1,187 @@
+import prisma from "../../config/prisma.js";
+import { AUDIT_CONFIG } from "../../config/constants.js";
+import { BadRequestError } from "../../utils/errors.js";
+import { toCsv } from "../../utils/csv.js";
+
+const REDACTED = "[REDACTED]";
+
+const AUDIT_LOG_COLUMNS = [
+  "id", "created_at", "actor_type", "actor_id", "action", "entity_type", "entity_id",
+  "old_values", "new_values", "metadata", "ip_address", "user_agent", "request_id",
+];
+
+const isSensitiveField = (key) => {
+  const name = key.toLowerCase();
+  return AUDIT_CONFIG.REDACTED_FIELDS.some((field) => name.includes(field));
+};
+
+/**
+ * Replace sensitive values (passwords, tokens, secrets...) before they're stored
+ * @param {*} values - Values to store; objects and arrays are walked
+ * @returns {*} Copy with sensitive fields set to "[REDACTED]"
+ */
+export const redactAuditValues = (values) => {
+  if (Array.isArray(values)) {
+    return values.map(redactAuditValues);
+  }
+  if (!values || typeof values !== "object" || values instanceof Date) {
+    return values;
+  }
+
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [
+    key,
+    isSensitiveField(key) && value !== null && value !== undefined ? REDACTED : redactAuditValues(value),
+  ]));
+};
+
+/**
+ * Pull the request details stored with an audit entry
+ * @param {Object} [req] - Express request
+ * @returns {{ ip_address: (string|null), user_agent: (string|null), request_id: (string|null) }}
+ */
+export const getAuditContext = (req) => ({
+  ip_address: req?.ip || null,
+  user_agent: req?.headers?.["user-agent"] || null,
+  request_id: req?.id ? String(req.id).slice(0, 64) : null,
+});
+
+/**
+ * Write an audit log entry
+ * Values are redacted (see AUDIT_CONFIG.REDACTED_FIELDS) before they're stored.
+ * @param {Object} entry
+ * @param {Object} entry.actor - { type, id } of who did it
+ * @param {string} entry.action - Dotted action name (e.g., "payment.refunded")
+ * @param {string} entry.entity_type - e.g., "payment", "booking"
+ * @param {number} entry.entity_id - ID of the affected record
+ * @param {Object} [entry.old_values] - Relevant fields before the change
+ * @param {Object} [entry.new_values] - Relevant fields after the change
+ * @param {Object} [entry.metadata] - Extra context
+ * @param {Object} [entry.context] - { ip_address, user_agent, request_id } from getAuditContext
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Object>} Created audit log
+ */
+export const recordAudit = (
+  { actor, action, entity_type, entity_id, old_values, new_values, metadata, context },
+  client = prisma,
+) => {
+  return client.auditLog.create({
+    data: {
+      actor_type: actor.type,
+      actor_id: actor.id ?? null,
+      action,
+      entity_type,
+      entity_id,
+      old_values: old_values ? redactAuditValues(old_values) : undefined,
+      new_values: new_values ? redactAuditValues(new_values) : undefined,
+      metadata: metadata ? redactAuditValues(metadata) : undefined,
+      ip_address: context?.ip_address || null,
+      user_agent: context?.user_agent || null,
+      request_id: context?.request_id || null,
+    },
+  });
+};
+
+const parseId = (value, name) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 0) {
+    throw new BadRequestError(`${name} must be an integer`);
+  }
+  return id;
+};
+
+const parseDate = (value, name, endOfDay = false) => {
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new BadRequestError(`${name} must be a date`);
+  }
+  // A plain YYYY-MM-DD "to" date includes the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
+
+/**
+ * Build the audit log query from request filters
+ * @param {Object} filters - entity_type, entity_id, actor_type, actor_id, action (exact, or a
+ *   prefix ending in "." such as "booking."), request_id, from and to (dates or timestamps)
+ * @returns {Object} Prisma where clause
+ * @throws {BadRequestError} For an invalid ID or date
+ */
+export const buildAuditLogWhere = (filters = {}) => {
+  const where = {};
+
+  if (filters.entity_type) {
+    where.entity_type = filters.entity_type;
+  }
+  const entityId = parseId(filters.entity_id, "entity_id");
+  if (entityId !== undefined) {
+    where.entity_id = entityId;
+  }
+  if (filters.actor_type) {
+    where.actor_type = filters.actor_type;
+  }
+  const actorId = parseId(filters.actor_id, "actor_id");
+  if (actorId !== undefined) {
+    where.actor_id = actorId;
+  }
+  if (filters.action) {
+    where.action = filters.action.endsWith(".") ? { startsWith: filters.action } : filters.action;
+  }
+  if (filters.request_id) {
+    where.request_id = filters.request_id;
+  }
+
+  const from = parseDate(filters.from, "from");
+  const to = parseDate(filters.to, "to", true);
+  if (from || to) {
+    where.created_at = {};
+    if (from) {
+      where.created_at.gte = from;
+    }
+    if (to) {
+      where.created_at.lt = to;
+    }
+  }
+
+  return where;
+};
+
+/**
+ * List audit log entries, newest first
+ * @param {Object} filters - See buildAuditLogWhere
+ * @param {Object} pagination - { skip, limit } from parsePaginationParams
+ * @returns {Promise<{ logs: Object[], total: number }>}
+ */
+export const listAuditLogs = async (filters, { skip, limit }) => {
+  const where = buildAuditLogWhere(filters);
+  const [logs, total] = await Promise.all([
+    prisma.auditLog.findMany({ where, skip, take: limit, orderBy: { created_at: "desc" } }),
+    prisma.auditLog.count({ where }),
+  ]);
+  return { logs, total };
+};
+
+/**
+ * Export audit log entries as CSV, newest first
+ * @param {Object} filters - See buildAuditLogWhere
+ * @returns {Promise<{ csv: string, count: number, truncated: boolean }>} truncated is set when more
+ *   than AUDIT_CONFIG.EXPORT_MAX_ROWS entries matched
+ */
+export const exportAuditLogs = async (filters) => {
+  const logs = await prisma.auditLog.findMany({
+    where: buildAuditLogWhere(filters),
+    orderBy: { created_at: "desc" },
+    take: AUDIT_CONFIG.EXPORT_MAX_ROWS + 1,
+  });
+
+  const truncated = logs.length > AUDIT_CONFIG.EXPORT_MAX_ROWS;
+  const rows = truncated ? logs.slice(0, AUDIT_CONFIG.EXPORT_MAX_ROWS) : logs;
+  return { csv: toCsv(AUDIT_LOG_COLUMNS, rows), count: rows.length, truncated };
+};
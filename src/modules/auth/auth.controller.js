@@ -1,6 +1,8 @@
 import * as authService from "./auth.service.js";
+import * as mfaService from "./mfa.service.js";
+import { getSessionContext } from "./session.service.js";
 import { successResponse } from "../../utils/helpers.js";
-import { HTTP_STATUS } from "../../config/constants.js";
+import { AUTH_PROVIDERS, HTTP_STATUS, OTP_PURPOSE } from "../../config/constants.js";
 
 /**
  * @desc    Register new user
@@ -9,7 +11,7 @@ import { HTTP_STATUS } from "../../config/constants.js";
  */
 export const registerUser = async (req, res, next) => {
   try {
-    const result = await authService.registerUser(req.body);
+    const result = await authService.registerUser(req.body, getSessionContext(req));
     res.status(HTTP_STATUS.CREATED).json(successResponse(result, "User registered successfully"));
   } catch (error) {
     next(error);
@@ -39,7 +41,7 @@ export const registerTherapist = async (req, res, next) => {
  */
 export const loginUser = async (req, res, next) => {
   try {
-    const result = await authService.loginUser(req.body);
+    const result = await authService.loginUser(req.body, getSessionContext(req));
     res.status(HTTP_STATUS.OK).json(successResponse(result, "Login successful"));
   } catch (error) {
     next(error);
@@ -53,8 +55,9 @@ export const loginUser = async (req, res, next) => {
  */
 export const loginTherapist = async (req, res, next) => {
   try {
-    const result = await authService.loginTherapist(req.body);
-    res.status(HTTP_STATUS.OK).json(successResponse(result, "Login successful"));
+    const result = await authService.loginTherapist(req.body, getSessionContext(req));
+    const message = result.mfa_required ? "Two-factor authentication required" : "Login successful";
+    res.status(HTTP_STATUS.OK).json(successResponse(result, message));
   } catch (error) {
     next(error);
   }
@@ -67,13 +70,203 @@ export const loginTherapist = async (req, res, next) => {
  */
 export const loginAdmin = async (req, res, next) => {
   try {
-    const result = await authService.loginAdmin(req.body);
+    const result = await authService.loginAdmin(req.body, getSessionContext(req));
+    const message = result.mfa_required ? "Two-factor authentication required" : "Login successful";
+    res.status(HTTP_STATUS.OK).json(successResponse(result, message));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Finish a therapist or admin login with an authenticator or recovery code
+ * @route   POST /api/v1/auth/login/mfa
+ * @access  Public (MFA token from the password step)
+ */
+export const verifyMfaLogin = async (req, res, next) => {
+  try {
+    const result = await authService.verifyMfaLogin(req.body, getSessionContext(req));
     res.status(HTTP_STATUS.OK).json(successResponse(result, "Login successful"));
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Get two-factor authentication status
+ * @route   GET /api/v1/auth/mfa
+ * @access  Private (Therapist, Admin)
+ */
+export const getMfaStatus = async (req, res, next) => {
+  try {
+    const result = await mfaService.getMfaStatus(req.user);
+    res.status(HTTP_STATUS.OK).json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start authenticator setup
+ * @route   POST /api/v1/auth/mfa/setup
+ * @access  Private (Therapist, Admin)
+ */
+export const setupMfa = async (req, res, next) => {
+  try {
+    const result = await mfaService.setupMfa(req.user);
+    res.status(HTTP_STATUS.OK).json(successResponse(result, "Scan the code with your authenticator app, then confirm"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm authenticator setup and turn two-factor authentication on
+ * @route   POST /api/v1/auth/mfa/confirm
+ * @access  Private (Therapist, Admin)
+ */
+export const confirmMfa = async (req, res, next) => {
+  try {
+    const result = await mfaService.confirmMfa(req.user, req.body);
+    res.status(HTTP_STATUS.OK).json(successResponse(result, "Two-factor authentication enabled"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace the two-factor recovery codes
+ * @route   POST /api/v1/auth/mfa/recovery-codes
+ * @access  Private (Therapist, Admin)
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const result = await mfaService.regenerateRecoveryCodes(req.user, req.body);
+    res.status(HTTP_STATUS.OK).json(successResponse(result, "New recovery codes generated"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Turn two-factor authentication off
+ * @route   DELETE /api/v1/auth/mfa
+ * @access  Private (Therapist, Admin)
+ */
+export const disableMfa = async (req, res, next) => {
+  try {
+    await mfaService.disableMfa(req.user, req.body);
+    res.status(HTTP_STATUS.OK).json(successResponse(null, "Two-factor authentication disabled"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Login (or register) a user with a Google ID token
+ * @route   POST /api/v1/auth/login/google
+ * @access  Public
+ */
+export const loginWithGoogle = async (req, res, next) => {
+  try {
+    const result = await authService.loginWithProvider(AUTH_PROVIDERS.GOOGLE, req.body, getSessionContext(req));
+    res.status(result.is_new_user ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json(successResponse(result, "Login successful"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Login (or register) a user with an Apple ID token
+ * @route   POST /api/v1/auth/login/apple
+ * @access  Public
+ */
+export const loginWithApple = async (req, res, next) => {
+  try {
+    const result = await authService.loginWithProvider(AUTH_PROVIDERS.APPLE, req.body, getSessionContext(req));
+    res.status(result.is_new_user ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json(successResponse(result, "Login successful"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List sign-in providers linked to the current user
+ * @route   GET /api/v1/auth/providers
+ * @access  Private (User)
+ */
+export const getLinkedProviders = async (req, res, next) => {
+  try {
+    const result = await authService.getLinkedProviders(req.user);
+    res.status(HTTP_STATUS.OK).json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Link a Google or Apple account to the current user
+ * @route   POST /api/v1/auth/providers/:provider
+ * @access  Private (User)
+ */
+export const linkProvider = async (req, res, next) => {
+  try {
+    const result = await authService.linkProvider(req.user, req.params.provider, req.body);
+    res.status(HTTP_STATUS.OK).json(successResponse(result, "Account linked"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlink a Google or Apple account from the current user
+ * @route   DELETE /api/v1/auth/providers/:provider
+ * @access  Private (User)
+ */
+export const unlinkProvider = async (req, res, next) => {
+  try {
+    const result = await authService.unlinkProvider(req.user, req.params.provider);
+    res.status(HTTP_STATUS.OK).json(successResponse(result, "Account unlinked"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Text a one-time code for phone registration, login or verification
+ * @route   POST /api/v1/auth/otp/request
+ * @access  Public (phone verification: Private)
+ */
+export const requestOtp = async (req, res, next) => {
+  try {
+    const result = await authService.requestOtp(req.body, req.user);
+    res.status(HTTP_STATUS.OK).json(successResponse(result, "Verification code sent"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify a one-time code (registers, logs in or verifies the phone)
+ * @route   POST /api/v1/auth/otp/verify
+ * @access  Public (phone verification: Private)
+ */
+export const verifyOtp = async (req, res, next) => {
+  try {
+    const result = await authService.verifyOtp(req.body, req.user, getSessionContext(req));
+
+    if (req.body.purpose === OTP_PURPOSE.REGISTRATION) {
+      return res.status(HTTP_STATUS.CREATED).json(successResponse(result, "User registered successfully"));
+    }
+    if (req.body.purpose === OTP_PURPOSE.LOGIN) {
+      return res.status(HTTP_STATUS.OK).json(successResponse(result, "Login successful"));
+    }
+    res.status(HTTP_STATUS.OK).json(successResponse(result, "Phone number verified"));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Refresh access token
  * @route   POST /api/v1/auth/refresh
@@ -82,7 +275,7 @@ export const loginAdmin = async (req, res, next) => {
 export const refreshToken = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
-    const result = await authService.refreshAccessToken(refreshToken);
+    const result = await authService.refreshAccessToken(refreshToken, getSessionContext(req));
     res.status(HTTP_STATUS.OK).json(successResponse(result, "Token refreshed successfully"));
   } catch (error) {
     next(error);
@@ -118,6 +311,34 @@ export const logoutAll = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    List the current account's active login sessions
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const result = await authService.getSessions(req.user);
+    res.status(HTTP_STATUS.OK).json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    End one of the current account's login sessions
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @access  Private
+ */
+export const endSession = async (req, res, next) => {
+  try {
+    await authService.endSession(req.user, req.params.id);
+    res.status(HTTP_STATUS.OK).json(successResponse(null, "Session ended"));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Change password
  * @route   POST /api/v1/auth/change-password
@@ -138,6 +359,64 @@ export const changePassword = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Send password reset instructions (same response whether or not the account exists)
+ * @route   POST /api/v1/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    await authService.forgotPassword(req.body);
+    res.status(HTTP_STATUS.OK).json(
+      successResponse(null, "If an account matches, we've sent instructions to reset the password"),
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password with a reset link token or a phone one-time code
+ * @route   POST /api/v1/auth/reset-password
+ * @access  Public
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const result = await authService.resetPassword(req.body);
+    res.status(HTTP_STATUS.OK).json(successResponse(result, "Password reset successfully. Please log in again"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify email address with the token from the verification link
+ * @route   POST /api/v1/auth/verify-email
+ * @access  Public
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const result = await authService.verifyEmail(req.body);
+    res.status(HTTP_STATUS.OK).json(successResponse(result, "Email address verified"));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a new email verification link
+ * @route   POST /api/v1/auth/verify-email/resend
+ * @access  Private (User)
+ */
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const result = await authService.resendVerificationEmail(req.user);
+    res.status(HTTP_STATUS.OK).json(successResponse(result, "Verification email sent"));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/v1/auth/me
@@ -1,8 +1,10 @@
 import { Router } from "express";
 import * as authController from "./auth.controller.js";
 import { validate } from "../../middleware/validate.js";
-import { authenticate } from "../../middleware/auth.js";
+import { authenticate, optionalAuth, requireUserType } from "../../middleware/auth.js";
 import { authorize } from "../../middleware/rbac.js";
+import { auditOwnAccount } from "../../middleware/audit.js";
+import { USER_TYPES } from "../../config/constants.js";
 import {
   userRegisterSchema,
   therapistRegisterSchema,
@@ -10,7 +12,19 @@ import {
   therapistLoginSchema,
   adminLoginSchema,
   refreshTokenSchema,
+  endSessionSchema,
+  mfaLoginSchema,
+  mfaCodeBodySchema,
+  disableMfaSchema,
   changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  socialLoginSchema,
+  linkProviderSchema,
+  unlinkProviderSchema,
+  requestOtpSchema,
+  verifyOtpSchema,
 } from "./auth.schema.js";
 
 const router = Router();
@@ -20,6 +34,9 @@ const router = Router();
  * /api/v1/auth/register/user:
  *   post:
  *     summary: Register a new user
+ *     description: |
+ *       Registering with an email emails a verification link; until it's used the account is
+ *       `pending_verification` (see /api/v1/auth/verify-email).
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -167,6 +184,8 @@ router.post(
  *               $ref: '#/components/schemas/LoginResponse'
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts from this login or IP address
  */
 router.post(
   "/login/user",
@@ -179,6 +198,9 @@ router.post(
  * /api/v1/auth/login/therapist:
  *   post:
  *     summary: Login as therapist
+ *     description: |
+ *       With two-factor authentication on (or required for the role), returns
+ *       `{ mfa_required: true, mfa_token }` instead of tokens; finish with POST /auth/login/mfa.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -191,6 +213,8 @@ router.post(
  *         description: Login successful
  *       401:
  *         description: Invalid credentials or not approved
+ *       429:
+ *         description: Too many failed attempts from this login or IP address
  */
 router.post(
   "/login/therapist",
@@ -203,6 +227,9 @@ router.post(
  * /api/v1/auth/login/admin:
  *   post:
  *     summary: Login as admin
+ *     description: |
+ *       With two-factor authentication on (or required for the role), returns
+ *       `{ mfa_required: true, mfa_token }` instead of tokens; finish with POST /auth/login/mfa.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -215,6 +242,8 @@ router.post(
  *         description: Login successful
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts from this login or IP address
  */
 router.post(
   "/login/admin",
@@ -222,11 +251,490 @@ router.post(
   authController.loginAdmin
 );
 
+/**
+ * @swagger
+ * /api/v1/auth/login/mfa:
+ *   post:
+ *     summary: Finish a therapist or admin login with a two-factor code
+ *     description: |
+ *       Takes the mfa_token from the password step (valid 5 minutes) and a code from the
+ *       authenticator app, or one of the recovery codes. If the role requires two-factor
+ *       authentication and none was set up, the password step returned `setup` (secret and
+ *       otpauth URL); the first code confirms it and the response includes `recovery_codes`.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfa_token
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recovery_code:
+ *                 type: string
+ *                 example: "ABCDE-FGHIJ"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code, or the MFA token expired
+ *       429:
+ *         description: Too many failed attempts from this login or IP address
+ */
+router.post(
+  "/login/mfa",
+  validate(mfaLoginSchema),
+  authController.verifyMfaLogin,
+);
+
+const staffOnly = requireUserType(USER_TYPES.THERAPIST, USER_TYPES.ADMIN);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa:
+ *   get:
+ *     summary: Two-factor authentication status
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether it's on, whether the role requires it, and recovery codes left
+ *   delete:
+ *     summary: Turn two-factor authentication off
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Wrong password or code, or it isn't on
+ *       403:
+ *         description: Required for the account's role
+ */
+router.get("/mfa", authenticate, staffOnly, authController.getMfaStatus);
+router.delete(
+  "/mfa",
+  authenticate,
+  staffOnly,
+  validate(disableMfaSchema),
+  auditOwnAccount("mfa.disabled", { values: () => null }),
+  authController.disableMfa,
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/setup:
+ *   post:
+ *     summary: Start authenticator setup
+ *     description: |
+ *       Returns a new secret and its otpauth:// URI (show it as a QR code). Two-factor
+ *       authentication is only on once a code is confirmed with POST /auth/mfa/confirm.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URL
+ *       409:
+ *         description: Two-factor authentication is already on
+ */
+router.post("/mfa/setup", authenticate, staffOnly, authController.setupMfa);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/confirm:
+ *   post:
+ *     summary: Confirm authenticator setup
+ *     description: Turns two-factor authentication on and returns the recovery codes (shown only this once).
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code, or setup wasn't started
+ */
+router.post(
+  "/mfa/confirm",
+  authenticate,
+  staffOnly,
+  validate(mfaCodeBodySchema),
+  auditOwnAccount("mfa.enabled", { values: () => null }),
+  authController.confirmMfa,
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: Takes a current authenticator code; the old recovery codes stop working.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code, or two-factor authentication isn't on
+ */
+router.post(
+  "/mfa/recovery-codes",
+  authenticate,
+  staffOnly,
+  validate(mfaCodeBodySchema),
+  auditOwnAccount("mfa.recovery_codes_regenerated", { values: () => null }),
+  authController.regenerateRecoveryCodes,
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/login/google:
+ *   post:
+ *     summary: Login with Google
+ *     description: |
+ *       Verifies a Google ID token. Signs in the user linked to the Google account; otherwise links the
+ *       user with the same (Google-verified) email, or creates a new user (201).
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_token
+ *             properties:
+ *               id_token:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *                 description: Nonce the app sent in the sign-in request, if any
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               preferred_language:
+ *                 type: string
+ *                 enum: [en, ar, ku]
+ *               timezone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       201:
+ *         description: New user created and logged in
+ *       401:
+ *         description: Invalid ID token, no verified email, or account not active
+ *       409:
+ *         description: The account with this email is linked to a different provider account
+ */
+router.post(
+  "/login/google",
+  validate(socialLoginSchema),
+  authController.loginWithGoogle,
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/login/apple:
+ *   post:
+ *     summary: Login with Apple
+ *     description: |
+ *       Verifies an Apple ID token, like /login/google. Apple gives the user's name only to the app on
+ *       the first sign-in, so send `first_name` and `last_name` when you have them.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_token
+ *             properties:
+ *               id_token:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *                 description: Nonce the app sent in the sign-in request, if any
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               preferred_language:
+ *                 type: string
+ *                 enum: [en, ar, ku]
+ *               timezone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       201:
+ *         description: New user created and logged in
+ *       401:
+ *         description: Invalid ID token, no verified email, or account not active
+ *       409:
+ *         description: The account with this email is linked to a different provider account
+ */
+router.post(
+  "/login/apple",
+  validate(socialLoginSchema),
+  authController.loginWithApple,
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/providers:
+ *   get:
+ *     summary: List linked sign-in providers
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked providers, and whether the user has a password
+ */
+router.get("/providers", authenticate, authController.getLinkedProviders);
+
+/**
+ * @swagger
+ * /api/v1/auth/providers/{provider}:
+ *   post:
+ *     summary: Link a Google or Apple account
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_token
+ *             properties:
+ *               id_token:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account linked
+ *       401:
+ *         description: Invalid ID token
+ *       409:
+ *         description: Linked to another user, or a different account of this provider is linked already
+ *   delete:
+ *     summary: Unlink a Google or Apple account
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     responses:
+ *       200:
+ *         description: Account unlinked
+ *       400:
+ *         description: It's the user's only way to sign in
+ *       404:
+ *         description: No account of this provider is linked
+ */
+router.post(
+  "/providers/:provider",
+  authenticate,
+  validate(linkProviderSchema),
+  authController.linkProvider,
+);
+router.delete(
+  "/providers/:provider",
+  authenticate,
+  validate(unlinkProviderSchema),
+  authController.unlinkProvider,
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/otp/request:
+ *   post:
+ *     summary: Text a one-time code to a phone number
+ *     description: |
+ *       Purposes:
+ *       - `registration`: sign up with a phone number (must not be registered yet)
+ *       - `login`: sign in to the patient account registered with the number
+ *       - `phone_verification`: add or confirm the signed-in patient's number (requires a Bearer token)
+ *
+ *       Codes expire after 10 minutes and allow 3 attempts. A new code can be requested after
+ *       60 seconds (5 per hour); it replaces the previous one.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - purpose
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+9647501234567"
+ *               purpose:
+ *                 type: string
+ *                 enum: [registration, login, phone_verification]
+ *               language:
+ *                 type: string
+ *                 enum: [en, ar, ku]
+ *                 description: Language of the text message (defaults to the account's language)
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       401:
+ *         description: Phone verification without signing in
+ *       404:
+ *         description: No account with this phone number (login)
+ *       409:
+ *         description: Phone number already registered
+ *       429:
+ *         description: Requested again too soon or too often
+ */
+router.post(
+  "/otp/request",
+  optionalAuth,
+  validate(requestOtpSchema),
+  authController.requestOtp,
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/otp/verify:
+ *   post:
+ *     summary: Verify a one-time code
+ *     description: |
+ *       - `registration`: creates the patient with a verified phone number and returns tokens (201);
+ *         `first_name` and `last_name` are required
+ *       - `login`: returns tokens
+ *       - `phone_verification`: sets the signed-in patient's phone number as verified
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - otp
+ *               - purpose
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *                 example: "123456"
+ *               purpose:
+ *                 type: string
+ *                 enum: [registration, login, phone_verification]
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               gender:
+ *                 type: string
+ *                 enum: [male, female, other, prefer_not_to_say]
+ *               preferred_language:
+ *                 type: string
+ *                 enum: [en, ar, ku]
+ *               timezone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in or phone number verified
+ *       201:
+ *         description: User registered successfully
+ *       400:
+ *         description: Wrong, expired or used code
+ *       409:
+ *         description: Phone number or email already registered
+ */
+router.post(
+  "/otp/verify",
+  optionalAuth,
+  validate(verifyOtpSchema),
+  authController.verifyOtp,
+);
+
 /**
  * @swagger
  * /api/v1/auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: |
+ *       Returns a new token pair; the refresh token sent is used up. Sending a
+ *       used refresh token again ends its whole session, since it means the
+ *       token was copied.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -243,7 +751,7 @@ router.post(
  *       200:
  *         description: Token refreshed successfully
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Invalid, expired, revoked or reused refresh token
  */
 router.post(
   "/refresh",
@@ -295,6 +803,56 @@ router.post(
  */
 router.post("/logout-all", authenticate, authController.logoutAll);
 
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List active login sessions
+ *     description: |
+ *       One entry per device signed in to the account. Apps can name their
+ *       device with the X-Device-Name header when logging in; otherwise the
+ *       user agent and IP address identify it. The session making the request
+ *       is marked current.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ */
+router.get("/sessions", authenticate, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: End a login session
+ *     description: |
+ *       The session's refresh token stops working at once. Access tokens
+ *       already issued to it stay valid until they expire.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       404:
+ *         description: No such active session
+ */
+router.delete(
+  "/sessions/:id",
+  authenticate,
+  validate(endSessionSchema),
+  authController.endSession,
+);
+
 /**
  * @swagger
  * /api/v1/auth/change-password:
@@ -331,9 +889,141 @@ router.post(
   "/change-password",
   authenticate,
   validate(changePasswordSchema),
+  auditOwnAccount("password.changed", { values: () => null }),
   authController.changePassword
 );
 
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     description: |
+ *       Emails a single-use reset link to the user, therapist or admin with this email address.
+ *       Patients can give their phone number instead to get a one-time code by SMS.
+ *       The response is the same whether or not the account exists.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *                 description: Patients only
+ *               userType:
+ *                 type: string
+ *                 enum: [user, therapist, admin]
+ *                 default: user
+ *     responses:
+ *       200:
+ *         description: Instructions sent if the account exists
+ */
+router.post(
+  "/forgot-password",
+  validate(forgotPasswordSchema),
+  authController.forgotPassword,
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: |
+ *       Sets a new password with the token from the reset link, or with the patient's phone number
+ *       and the code texted to it. Signs the account out of every device.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *                 example: "123456"
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid, expired or used token or code
+ */
+router.post(
+  "/reset-password",
+  validate(resetPasswordSchema),
+  authController.resetPassword,
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: |
+ *       Uses the token from the link emailed at registration. Patients who register with an email
+ *       can sign in straight away, but can't book sessions or send messages until it's verified
+ *       (when EMAIL_VERIFICATION_REQUIRED is on).
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Invalid, expired or used token
+ */
+router.post(
+  "/verify-email",
+  validate(verifyEmailSchema),
+  authController.verifyEmail,
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: No email address, or already verified
+ *       429:
+ *         description: Requested again too soon or too often
+ */
+router.post("/verify-email/resend", authenticate, authController.resendVerificationEmail);
+
 /**
  * @swagger
  * /api/v1/auth/me:
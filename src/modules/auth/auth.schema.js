@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { AUTH_PROVIDERS, MFA_CONFIG, OTP_CONFIG, OTP_PURPOSE } from "../../config/constants.js";
 
 // Common email schema
 const emailSchema = z.string().email("Invalid email format").toLowerCase().trim();
@@ -9,6 +10,18 @@ const passwordSchema = z
   .min(8, "Password must be at least 8 characters")
   .max(100, "Password must be at most 100 characters");
 
+// Phone number for one-time codes (digits, optionally starting with +)
+const otpPhoneSchema = z.string().trim().regex(/^\+?\d{10,15}$/, "Invalid phone number");
+
+// One-time code
+const otpCodeSchema = z.string().regex(new RegExp(`^\\d{${OTP_CONFIG.LENGTH}}$`), `OTP must be ${OTP_CONFIG.LENGTH} digits`);
+
+// Authenticator (TOTP) code
+const mfaCodeSchema = z.string().trim().regex(new RegExp(`^\\d{${MFA_CONFIG.DIGITS}}$`), `Code must be ${MFA_CONFIG.DIGITS} digits`);
+
+// Recovery code (XXXXX-XXXXX)
+const recoveryCodeSchema = z.string().trim().min(10).max(20);
+
 // User registration schema
 export const userRegisterSchema = z.object({
   body: z.object({
@@ -87,6 +100,79 @@ export const therapistLoginSchema = z.object({
   }),
 });
 
+// Sign-in providers patients can log in with or link
+const socialProviderSchema = z.enum([AUTH_PROVIDERS.GOOGLE, AUTH_PROVIDERS.APPLE]);
+
+// ID token from the provider's sign-in SDK, with the nonce the app sent (if any)
+const idTokenFields = {
+  id_token: z.string().min(1, "ID token is required").max(4096),
+  nonce: z.string().max(255).optional(),
+};
+
+// Google / Apple login schema (the profile fields are used when this creates the account)
+export const socialLoginSchema = z.object({
+  body: z.object({
+    ...idTokenFields,
+    first_name: z.string().max(100).optional(),
+    last_name: z.string().max(100).optional(),
+    preferred_language: z.enum(["en", "ar", "ku"]).default("en"),
+    timezone: z.string().default("UTC"),
+  }),
+});
+
+// Link provider schema
+export const linkProviderSchema = z.object({
+  params: z.object({
+    provider: socialProviderSchema,
+  }),
+  body: z.object(idTokenFields),
+});
+
+// Unlink provider schema
+export const unlinkProviderSchema = z.object({
+  params: z.object({
+    provider: socialProviderSchema,
+  }),
+});
+
+// Second login step schema
+export const mfaLoginSchema = z.object({
+  body: z.object({
+    mfa_token: z.string().min(1, "MFA token is required"),
+    code: mfaCodeSchema.optional(),
+    recovery_code: recoveryCodeSchema.optional(),
+  }).refine(
+    (data) => !!data.code !== !!data.recovery_code,
+    { message: "Either code or recovery_code is required" },
+  ),
+});
+
+// Authenticator code schema (confirm setup, new recovery codes)
+export const mfaCodeBodySchema = z.object({
+  body: z.object({
+    code: mfaCodeSchema,
+  }),
+});
+
+// Turn off two-factor authentication schema
+export const disableMfaSchema = z.object({
+  body: z.object({
+    password: z.string().min(1, "Password is required"),
+    code: mfaCodeSchema.optional(),
+    recovery_code: recoveryCodeSchema.optional(),
+  }).refine(
+    (data) => !!data.code !== !!data.recovery_code,
+    { message: "Either code or recovery_code is required" },
+  ),
+});
+
+// End session schema
+export const endSessionSchema = z.object({
+  params: z.object({
+    id: z.string().uuid("Invalid session ID"),
+  }),
+});
+
 // Refresh token schema
 export const refreshTokenSchema = z.object({
   body: z.object({
@@ -106,43 +192,72 @@ export const changePasswordSchema = z.object({
   ),
 });
 
-// Forgot password schema
+// Forgot password schema (reset codes by phone are for patients only)
 export const forgotPasswordSchema = z.object({
   body: z.object({
     email: emailSchema.optional(),
-    phone: z.string().min(10).max(20).optional(),
-    userType: z.enum(["user", "therapist"]).default("user"),
+    phone: otpPhoneSchema.optional(),
+    userType: z.enum(["user", "therapist", "admin"]).default("user"),
   }).refine(
     (data) => data.email || data.phone,
-    { message: "Either email or phone is required" }
+    { message: "Either email or phone is required" },
+  ).refine(
+    (data) => !data.phone || data.userType === "user",
+    { message: "Only patients can reset their password by phone", path: ["phone"] },
   ),
 });
 
-// Reset password schema
+// Reset password schema (with the token from the reset link, or the phone number and the code texted to it)
 export const resetPasswordSchema = z.object({
   body: z.object({
-    token: z.string().min(1, "Token is required"),
+    token: z.string().min(1).max(100).optional(),
+    phone: otpPhoneSchema.optional(),
+    otp: otpCodeSchema.optional(),
     password: passwordSchema,
     confirmPassword: z.string().min(1, "Confirm password is required"),
   }).refine(
     (data) => data.password === data.confirmPassword,
-    { message: "Passwords do not match", path: ["confirmPassword"] }
+    { message: "Passwords do not match", path: ["confirmPassword"] },
+  ).refine(
+    (data) => data.token || (data.phone && data.otp),
+    { message: "Either token or phone and otp are required", path: ["token"] },
   ),
 });
 
-// Verify OTP schema
-export const verifyOtpSchema = z.object({
+// Verify email schema
+export const verifyEmailSchema = z.object({
   body: z.object({
-    phone: z.string().min(10).max(20),
-    otp: z.string().length(6, "OTP must be 6 digits"),
-    purpose: z.enum(["registration", "login", "password_reset", "phone_verification"]),
+    token: z.string().min(1, "Token is required").max(100),
   }),
 });
 
+// Purposes a one-time code can be requested for
+const otpPurposeSchema = z.enum([OTP_PURPOSE.REGISTRATION, OTP_PURPOSE.LOGIN, OTP_PURPOSE.PHONE_VERIFICATION]);
+
+// Verify OTP schema (registration also takes the new patient's profile)
+export const verifyOtpSchema = z.object({
+  body: z.object({
+    phone: otpPhoneSchema,
+    otp: otpCodeSchema,
+    purpose: otpPurposeSchema,
+    email: emailSchema.optional(),
+    first_name: z.string().min(2).max(100).optional(),
+    last_name: z.string().min(2).max(100).optional(),
+    date_of_birth: z.string().datetime().optional(),
+    gender: z.enum(["male", "female", "other", "prefer_not_to_say"]).optional(),
+    preferred_language: z.enum(["en", "ar", "ku"]).default("en"),
+    timezone: z.string().default("UTC"),
+  }).refine(
+    (data) => data.purpose !== OTP_PURPOSE.REGISTRATION || (data.first_name && data.last_name),
+    { message: "first_name and last_name are required to register", path: ["first_name"] },
+  ),
+});
+
 // Request OTP schema
 export const requestOtpSchema = z.object({
   body: z.object({
-    phone: z.string().min(10).max(20),
-    purpose: z.enum(["registration", "login", "password_reset", "phone_verification"]),
+    phone: otpPhoneSchema,
+    purpose: otpPurposeSchema,
+    language: z.enum(["en", "ar", "ku"]).optional(),
   }),
 });
@@ -1,29 +1,49 @@
 import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
 import { hashPassword, comparePassword } from "../../utils/password.js";
-import {
-  generateTokenPair,
-  verifyRefreshToken,
-  calculateExpirationDate,
-} from "../../utils/jwt.js";
-import { generateOTP } from "../../utils/helpers.js";
+import { verifyMfaToken } from "../../utils/jwt.js";
 import {
   UnauthorizedError,
   NotFoundError,
   ConflictError,
   BadRequestError,
+  ForbiddenError,
+  InternalServerError,
 } from "../../utils/errors.js";
 import {
   USER_TYPES,
   ERROR_MESSAGES,
-  OTP_CONFIG,
+  OTP_PURPOSE,
+  SUPPORTED_LANGUAGES,
   THERAPIST_STATUS,
+  NOTIFICATION_CHANNELS,
+  PASSWORD_RESET_CONFIG,
+  USER_STATUS,
+  ACTIVE_USER_STATUSES,
+  AUTH_PROVIDERS,
 } from "../../config/constants.js";
 import { env } from "../../config/env.js";
+import { consumeOtp, sendOtp } from "./otp.service.js";
+import { consumeResetToken, createResetToken, expireResetTokens } from "./password-reset.service.js";
+import { consumeVerificationToken, sendVerificationEmail } from "./email-verification.service.js";
+import { getSocialProvider } from "./social.providers.js";
+import { assertLoginAllowed, clearLoginFailures, recordLoginFailure } from "./login-throttle.service.js";
+import { createMfaChallenge, verifyMfaChallenge } from "./mfa.service.js";
+import {
+  endSession as endAccountSession,
+  endSessionByToken,
+  listSessions,
+  rotateSession,
+  startSession,
+} from "./session.service.js";
+import { notify } from "../notifications/notification.service.js";
 
 /**
  * Register a new user
+ * @param {Object} data - Registration data
+ * @param {Object} [context] - Device details for the login session
  */
-export const registerUser = async (data) => {
+export const registerUser = async (data, context) => {
   // Check if email already exists
   if (data.email) {
     const existingEmail = await prisma.user.findUnique({
@@ -50,10 +70,12 @@ export const registerUser = async (data) => {
       preferred_language: data.preferred_language,
       timezone: data.timezone,
       auth_provider: data.email ? "email" : "phone",
-      status: "active",
+      status: data.email ? USER_STATUS.PENDING_VERIFICATION : USER_STATUS.ACTIVE,
     },
   });
 
+  await startEmailVerification(user);
+
   // Generate tokens
   const tokenPayload = {
     id: user.id,
@@ -62,10 +84,7 @@ export const registerUser = async (data) => {
     role: "patient",
   };
 
-  const tokens = generateTokenPair(tokenPayload);
-
-  // Store refresh token
-  await storeRefreshToken(tokens.refreshToken, USER_TYPES.USER, user.id);
+  const tokens = await startSession(tokenPayload, context);
 
   // Remove sensitive data
   const { password_hash: _, ...userWithoutPassword } = user;
@@ -158,10 +177,23 @@ export const registerTherapist = async (data, adminId) => {
   };
 };
 
+/**
+ * Count a failed password login and build the error to throw
+ */
+const rejectLogin = async (attempt, account = null) => {
+  await recordLoginFailure(attempt, account);
+  return new UnauthorizedError(ERROR_MESSAGES.INVALID_CREDENTIALS);
+};
+
 /**
  * Login user
+ * @param {Object} data - Credentials
+ * @param {Object} [context] - Device details for the login session
  */
-export const loginUser = async (data) => {
+export const loginUser = async (data, context) => {
+  const attempt = { userType: USER_TYPES.USER, identifier: data.email || data.phone, ip: context?.ip_address };
+  await assertLoginAllowed(attempt);
+
   let user;
 
   if (data.email) {
@@ -175,22 +207,23 @@ export const loginUser = async (data) => {
   }
 
   if (!user) {
-    throw new UnauthorizedError(ERROR_MESSAGES.INVALID_CREDENTIALS);
+    throw await rejectLogin(attempt);
   }
 
   if (user.deleted_at) {
     throw new UnauthorizedError("Account has been deleted");
   }
 
-  if (user.status !== "active") {
+  if (!ACTIVE_USER_STATUSES.includes(user.status)) {
     throw new UnauthorizedError("Account is not active");
   }
 
-  // Verify password
-  const isValid = await comparePassword(data.password, user.password_hash);
+  // Verify password (patients who signed up by phone, Google or Apple may not have one)
+  const isValid = !!user.password_hash && await comparePassword(data.password, user.password_hash);
   if (!isValid) {
-    throw new UnauthorizedError(ERROR_MESSAGES.INVALID_CREDENTIALS);
+    throw await rejectLogin(attempt, user);
   }
+  await clearLoginFailures(attempt);
 
   // Update last login
   await prisma.user.update({
@@ -206,10 +239,7 @@ export const loginUser = async (data) => {
     role: "patient",
   };
 
-  const tokens = generateTokenPair(tokenPayload);
-
-  // Store refresh token
-  await storeRefreshToken(tokens.refreshToken, USER_TYPES.USER, user.id);
+  const tokens = await startSession(tokenPayload, context);
 
   // Remove sensitive data
   const { password_hash: _, ...userWithoutPassword } = user;
@@ -222,14 +252,19 @@ export const loginUser = async (data) => {
 
 /**
  * Login therapist
+ * @param {Object} data - Credentials
+ * @param {Object} [context] - Device details for the login session
  */
-export const loginTherapist = async (data) => {
+export const loginTherapist = async (data, context) => {
+  const attempt = { userType: USER_TYPES.THERAPIST, identifier: data.email, ip: context?.ip_address };
+  await assertLoginAllowed(attempt);
+
   const therapist = await prisma.therapist.findUnique({
     where: { email: data.email },
   });
 
   if (!therapist) {
-    throw new UnauthorizedError(ERROR_MESSAGES.INVALID_CREDENTIALS);
+    throw await rejectLogin(attempt);
   }
 
   if (therapist.deleted_at) {
@@ -245,47 +280,34 @@ export const loginTherapist = async (data) => {
   // Verify password
   const isValid = await comparePassword(data.password, therapist.password_hash);
   if (!isValid) {
-    throw new UnauthorizedError(ERROR_MESSAGES.INVALID_CREDENTIALS);
+    throw await rejectLogin(attempt, therapist);
   }
 
-  // Update last login
-  await prisma.therapist.update({
-    where: { id: therapist.id },
-    data: { last_login_at: new Date() },
-  });
-
-  // Generate tokens
-  const tokenPayload = {
-    id: therapist.id,
-    email: therapist.email,
-    type: USER_TYPES.THERAPIST,
-    role: "therapist",
-  };
-
-  const tokens = generateTokenPair(tokenPayload);
-
-  // Store refresh token
-  await storeRefreshToken(tokens.refreshToken, USER_TYPES.THERAPIST, therapist.id);
-
-  // Remove sensitive data
-  const { password_hash: _, ...therapistWithoutPassword } = therapist;
+  // Failures are only cleared once the second step is passed too
+  const challenge = await createMfaChallenge(USER_TYPES.THERAPIST, therapist);
+  if (challenge) {
+    return challenge;
+  }
+  await clearLoginFailures(attempt);
 
-  return {
-    therapist: therapistWithoutPassword,
-    ...tokens,
-  };
+  return signInStaff(USER_TYPES.THERAPIST, therapist, context);
 };
 
 /**
  * Login admin
+ * @param {Object} data - Credentials
+ * @param {Object} [context] - Device details for the login session
  */
-export const loginAdmin = async (data) => {
+export const loginAdmin = async (data, context) => {
+  const attempt = { userType: USER_TYPES.ADMIN, identifier: data.email, ip: context?.ip_address };
+  await assertLoginAllowed(attempt);
+
   const admin = await prisma.admin.findUnique({
     where: { email: data.email },
   });
 
   if (!admin) {
-    throw new UnauthorizedError(ERROR_MESSAGES.INVALID_CREDENTIALS);
+    throw await rejectLogin(attempt);
   }
 
   if (!admin.is_active) {
@@ -295,96 +317,103 @@ export const loginAdmin = async (data) => {
   // Verify password
   const isValid = await comparePassword(data.password, admin.password_hash);
   if (!isValid) {
-    throw new UnauthorizedError(ERROR_MESSAGES.INVALID_CREDENTIALS);
+    throw await rejectLogin(attempt, admin);
+  }
+
+  const challenge = await createMfaChallenge(USER_TYPES.ADMIN, admin);
+  if (challenge) {
+    return challenge;
+  }
+  await clearLoginFailures(attempt);
+
+  return signInStaff(USER_TYPES.ADMIN, admin, context);
+};
+
+/**
+ * Whether a therapist or admin may still sign in (checked again after the second step)
+ */
+const canStaffSignIn = (account, type) => {
+  if (!account) {
+    return false;
   }
+  return type === USER_TYPES.ADMIN
+    ? !!account.is_active
+    : !account.deleted_at && account.status === THERAPIST_STATUS.APPROVED;
+};
+
+/**
+ * Sign a therapist or admin in: record the login and start a session
+ * @returns {Promise<Object>} { therapist | admin, accessToken, refreshToken }
+ */
+const signInStaff = async (type, account, context) => {
+  const model = accountModels[type];
 
   // Update last login
-  await prisma.admin.update({
-    where: { id: admin.id },
+  await prisma[model].update({
+    where: { id: account.id },
     data: { last_login_at: new Date() },
   });
 
-  // Generate tokens
-  const tokenPayload = {
-    id: admin.id,
-    email: admin.email,
-    type: USER_TYPES.ADMIN,
-    role: admin.role,
-  };
-
-  const tokens = generateTokenPair(tokenPayload);
-
-  // Store refresh token
-  await storeRefreshToken(tokens.refreshToken, USER_TYPES.ADMIN, admin.id);
+  const tokens = await startSession({
+    id: account.id,
+    email: account.email,
+    type,
+    role: type === USER_TYPES.ADMIN ? account.role : "therapist",
+  }, context);
 
   // Remove sensitive data
-  const { password_hash: _, ...adminWithoutPassword } = admin;
+  const { password_hash: _, ...accountWithoutPassword } = account;
 
   return {
-    admin: adminWithoutPassword,
+    [model]: accountWithoutPassword,
     ...tokens,
   };
 };
 
 /**
- * Refresh access token
+ * Second step of a therapist or admin login: the authenticator code
+ * A challenge that sets up the authenticator (required by the role, not yet
+ * enrolled) is finished by its first code, and the response then carries the
+ * recovery codes. Wrong codes count towards the login lockout like wrong passwords.
+ * @param {Object} data - { mfa_token, code } or { mfa_token, recovery_code }
+ * @param {Object} [context] - Device details for the login session
+ * @returns {Promise<Object>} { therapist | admin, accessToken, refreshToken, recovery_codes? }
  */
-export const refreshAccessToken = async (refreshToken) => {
-  // Verify the refresh token
-  const decoded = verifyRefreshToken(refreshToken);
-
-  // Check if token exists in database and is not revoked
-  const storedToken = await prisma.refreshToken.findUnique({
-    where: { token: refreshToken },
-  });
-
-  if (!storedToken) {
-    throw new UnauthorizedError("Invalid refresh token");
+export const verifyMfaLogin = async (data, context) => {
+  const challenge = verifyMfaToken(data.mfa_token);
+  const account = await prisma[accountModels[challenge.type]]?.findUnique({ where: { id: challenge.id } });
+  if (!canStaffSignIn(account, challenge.type)) {
+    throw new UnauthorizedError("Account is not active");
   }
 
-  if (storedToken.revoked_at) {
-    throw new UnauthorizedError("Refresh token has been revoked");
-  }
+  const attempt = { userType: challenge.type, identifier: account.email, ip: context?.ip_address };
+  await assertLoginAllowed(attempt);
 
-  if (new Date() > storedToken.expires_at) {
-    throw new UnauthorizedError("Refresh token has expired");
+  const result = await verifyMfaChallenge(challenge, data);
+  if (!result) {
+    await recordLoginFailure(attempt, account);
+    throw new UnauthorizedError("Invalid authentication code");
   }
+  await clearLoginFailures(attempt);
 
-  // Generate new token pair
-  const tokenPayload = {
-    id: decoded.id,
-    email: decoded.email,
-    type: decoded.type,
-    role: decoded.role,
-  };
-
-  const tokens = generateTokenPair(tokenPayload);
-
-  // Revoke old refresh token and store new one
-  await prisma.refreshToken.update({
-    where: { id: storedToken.id },
-    data: { revoked_at: new Date() },
-  });
-
-  await storeRefreshToken(tokens.refreshToken, decoded.type, decoded.id);
+  return { ...(await signInStaff(challenge.type, account, context)), ...result };
+};
 
-  return tokens;
+/**
+ * Refresh access token
+ * Rotates the refresh token; see rotateSession for reuse detection.
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} [context] - Device details for the login session
+ */
+export const refreshAccessToken = (refreshToken, context) => {
+  return rotateSession(refreshToken, context);
 };
 
 /**
- * Logout - revoke refresh token
+ * Logout - end the session the refresh token belongs to
  */
 export const logout = async (refreshToken) => {
-  const storedToken = await prisma.refreshToken.findUnique({
-    where: { token: refreshToken },
-  });
-
-  if (storedToken && !storedToken.revoked_at) {
-    await prisma.refreshToken.update({
-      where: { id: storedToken.id },
-      data: { revoked_at: new Date() },
-    });
-  }
+  await endSessionByToken(refreshToken);
 
   return { success: true };
 };
@@ -405,6 +434,24 @@ export const logoutAll = async (userId, userType) => {
   return { success: true };
 };
 
+/**
+ * List the signed-in account's active login sessions
+ * @param {Object} currentUser - req.user ({ id, type, sessionId })
+ * @returns {Promise<Object[]>} Sessions; the one making the request is marked current
+ */
+export const getSessions = (currentUser) => {
+  return listSessions(currentUser);
+};
+
+/**
+ * Sign the account out of one session (another device, or this one)
+ * @param {Object} currentUser - req.user
+ * @param {string} sessionId - Session ID from getSessions
+ */
+export const endSession = (currentUser, sessionId) => {
+  return endAccountSession(currentUser, sessionId);
+};
+
 /**
  * Change password
  */
@@ -434,7 +481,7 @@ export const changePassword = async (userId, userType, currentPassword, newPassw
   }
 
   // Verify current password
-  const isValid = await comparePassword(currentPassword, user.password_hash);
+  const isValid = !!user.password_hash && await comparePassword(currentPassword, user.password_hash);
   if (!isValid) {
     throw new UnauthorizedError("Current password is incorrect");
   }
@@ -454,22 +501,6 @@ export const changePassword = async (userId, userType, currentPassword, newPassw
   return { success: true };
 };
 
-/**
- * Store refresh token in database
- */
-const storeRefreshToken = async (token, userType, userId) => {
-  const expiresAt = calculateExpirationDate(env.JWT_REFRESH_EXPIRES_IN);
-
-  await prisma.refreshToken.create({
-    data: {
-      token,
-      user_type: userType,
-      user_id: userId,
-      expires_at: expiresAt,
-    },
-  });
-};
-
 /**
  * Get current user profile
  */
@@ -505,3 +536,587 @@ export const getCurrentUser = async (userId, userType) => {
 
   return userWithoutPassword;
 };
+
+/**
+ * Email a new patient the link that verifies their email address
+ * A failure is logged rather than thrown: the account exists either way, and
+ * the patient can ask for the email again.
+ */
+const startEmailVerification = async (user) => {
+  if (!user.email) {
+    return;
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error("Could not start email verification", { userId: user.id, error: error.message });
+  }
+};
+
+/**
+ * Sign a patient in: start a login session
+ */
+const createUserSession = async (user, context) => {
+  const tokens = await startSession({
+    id: user.id,
+    email: user.email,
+    type: USER_TYPES.USER,
+    role: "patient",
+  }, context);
+
+  const { password_hash: _, ...userWithoutPassword } = user;
+
+  return {
+    user: userWithoutPassword,
+    ...tokens,
+  };
+};
+
+/**
+ * Phone verification is for a signed-in patient adding or confirming their number
+ */
+const requirePatient = (currentUser) => {
+  if (currentUser?.type !== USER_TYPES.USER) {
+    throw new UnauthorizedError("Sign in to verify a phone number");
+  }
+};
+
+/**
+ * Make sure a phone number isn't registered to another patient
+ */
+const assertPhoneAvailable = async (phone, userId = null) => {
+  const owner = await prisma.user.findUnique({ where: { phone } });
+  if (owner && owner.id !== userId) {
+    throw new ConflictError(ERROR_MESSAGES.PHONE_EXISTS);
+  }
+};
+
+/**
+ * Text a one-time code for phone registration, login or phone verification
+ * @param {Object} data - { phone, purpose, language }
+ * @param {Object} [currentUser] - Signed-in account (required for phone verification)
+ */
+export const requestOtp = async ({ phone, purpose, language }, currentUser = null) => {
+  let user = null;
+
+  switch (purpose) {
+    case OTP_PURPOSE.REGISTRATION:
+      await assertPhoneAvailable(phone);
+      break;
+    case OTP_PURPOSE.LOGIN:
+      // Registration already tells whether a number is taken, so saying so here gives nothing away
+      user = await prisma.user.findUnique({ where: { phone } });
+      if (!user || user.deleted_at) {
+        throw new NotFoundError("No account is registered with this phone number");
+      }
+      break;
+    case OTP_PURPOSE.PHONE_VERIFICATION:
+      requirePatient(currentUser);
+      await assertPhoneAvailable(phone, currentUser.id);
+      user = await prisma.user.findUnique({ where: { id: currentUser.id } });
+      break;
+    default:
+      throw new BadRequestError("Unsupported OTP purpose");
+  }
+
+  const result = await sendOtp({
+    phone,
+    purpose,
+    language: language || user?.preferred_language || SUPPORTED_LANGUAGES.EN,
+  });
+
+  return { phone, purpose, ...result };
+};
+
+/**
+ * Check a one-time code and complete what it was requested for
+ * - registration: creates the patient (phone already verified) and signs them in
+ * - login: signs the patient in
+ * - phone_verification: sets the signed-in patient's phone number as verified
+ * @param {Object} data - { phone, purpose, otp } plus the profile fields for registration
+ * @param {Object} [currentUser] - Signed-in account (required for phone verification)
+ * @param {Object} [context] - Device details for the login session
+ * @returns {Promise<Object>} { user, accessToken, refreshToken } ({ user } for phone verification)
+ */
+export const verifyOtp = async (data, currentUser = null, context) => {
+  const { phone, purpose, otp: code } = data;
+  const now = new Date();
+
+  switch (purpose) {
+    case OTP_PURPOSE.REGISTRATION: {
+      await assertPhoneAvailable(phone);
+      if (data.email && await prisma.user.findUnique({ where: { email: data.email } })) {
+        throw new ConflictError(ERROR_MESSAGES.EMAIL_EXISTS);
+      }
+
+      await consumeOtp({ phone, purpose, code });
+
+      const user = await prisma.user.create({
+        data: {
+          phone,
+          email: data.email,
+          first_name: data.first_name,
+          last_name: data.last_name,
+          date_of_birth: data.date_of_birth ? new Date(data.date_of_birth) : null,
+          gender: data.gender,
+          preferred_language: data.preferred_language,
+          timezone: data.timezone,
+          auth_provider: "phone",
+          status: data.email ? USER_STATUS.PENDING_VERIFICATION : USER_STATUS.ACTIVE,
+          phone_verified_at: now,
+          last_login_at: now,
+        },
+      });
+
+      await startEmailVerification(user);
+
+      return createUserSession(user, context);
+    }
+
+    case OTP_PURPOSE.LOGIN: {
+      await consumeOtp({ phone, purpose, code });
+
+      const user = await prisma.user.findUnique({ where: { phone } });
+      if (!user) {
+        throw new UnauthorizedError(ERROR_MESSAGES.USER_NOT_FOUND);
+      }
+      if (user.deleted_at) {
+        throw new UnauthorizedError("Account has been deleted");
+      }
+      if (!ACTIVE_USER_STATUSES.includes(user.status)) {
+        throw new UnauthorizedError("Account is not active");
+      }
+
+      const updated = await prisma.user.update({
+        where: { id: user.id },
+        data: { last_login_at: now, phone_verified_at: user.phone_verified_at || now },
+      });
+
+      return createUserSession(updated, context);
+    }
+
+    case OTP_PURPOSE.PHONE_VERIFICATION: {
+      requirePatient(currentUser);
+      await consumeOtp({ phone, purpose, code });
+      await assertPhoneAvailable(phone, currentUser.id);
+
+      const user = await prisma.user.update({
+        where: { id: currentUser.id },
+        data: { phone, phone_verified_at: now },
+      });
+
+      const { password_hash: _, ...userWithoutPassword } = user;
+      return { user: userWithoutPassword };
+    }
+
+    default:
+      throw new BadRequestError("Unsupported OTP purpose");
+  }
+};
+
+// Prisma model holding each account type
+const accountModels = {
+  [USER_TYPES.USER]: "user",
+  [USER_TYPES.THERAPIST]: "therapist",
+  [USER_TYPES.ADMIN]: "admin",
+};
+
+/**
+ * Deleted and deactivated accounts can't reset their password
+ */
+const canResetPassword = (account, type) => {
+  if (!account) {
+    return false;
+  }
+  return type === USER_TYPES.ADMIN ? account.is_active : !account.deleted_at;
+};
+
+/**
+ * Send password reset instructions if the account exists: a reset link by
+ * email, or a one-time code by SMS when a patient asks by phone number
+ */
+const sendPasswordReset = async ({ email, phone, userType }) => {
+  if (phone) {
+    const user = await prisma.user.findUnique({ where: { phone } });
+    if (!canResetPassword(user, USER_TYPES.USER)) {
+      return;
+    }
+
+    try {
+      await sendOtp({
+        phone,
+        purpose: OTP_PURPOSE.PASSWORD_RESET,
+        language: user.preferred_language || SUPPORTED_LANGUAGES.EN,
+      });
+    } catch (error) {
+      logger.warn("Password reset code not sent", { userId: user.id, error: error.message });
+    }
+    return;
+  }
+
+  const account = await prisma[accountModels[userType]].findUnique({ where: { email } });
+  if (!canResetPassword(account, userType)) {
+    return;
+  }
+
+  const reset = await createResetToken({ type: userType, id: account.id });
+  if (!reset) {
+    return;
+  }
+
+  const notifications = await notify(
+    { type: userType, id: account.id },
+    "password_reset",
+    {
+      name: account.first_name,
+      link: `${env.APP_URL}/reset-password?token=${reset.token}`,
+      minutes: PASSWORD_RESET_CONFIG.TOKEN_EXPIRES_IN_MINUTES,
+    },
+    null,
+    { channels: [NOTIFICATION_CHANNELS.EMAIL], secretVariables: ["link"] },
+  );
+  if (notifications.length === 0) {
+    logger.warn("Password reset email not sent", { userType, accountId: account.id });
+  }
+};
+
+/**
+ * Start a password reset for a user, therapist or admin
+ *
+ * Looks the account up and sends the instructions after the response has
+ * gone out, so neither the response nor how long it takes tells whether the
+ * account exists. Rate limits are applied silently for the same reason.
+ * @param {Object} data - { email, userType } or { phone } (patients only)
+ */
+export const forgotPassword = async (data) => {
+  sendPasswordReset(data).catch((error) => {
+    logger.error("Password reset request failed", { userType: data.userType, error: error.message });
+  });
+
+  return { success: true };
+};
+
+/**
+ * Set a new password with a reset link token, or with a one-time code sent
+ * to the patient's phone, then sign the account out everywhere
+ * @param {Object} data - { token, password } or { phone, otp, password }
+ * @returns {Promise<{ userType: string }>} Type of the account whose password was reset
+ * @throws {BadRequestError} If the token or code is invalid, expired or used
+ */
+export const resetPassword = async ({ token, phone, otp: code, password }) => {
+  const password_hash = await hashPassword(password);
+  let account;
+
+  if (token) {
+    account = await prisma.$transaction(async (tx) => {
+      const reset = await consumeResetToken(token, tx);
+      const model = tx[accountModels[reset.account_type]];
+
+      const found = await model.findUnique({ where: { id: reset.account_id } });
+      if (!canResetPassword(found, reset.account_type)) {
+        throw new BadRequestError(ERROR_MESSAGES.RESET_TOKEN_INVALID);
+      }
+
+      await model.update({ where: { id: found.id }, data: { password_hash } });
+      return { type: reset.account_type, id: found.id, identifiers: [found.email, found.phone] };
+    });
+  } else {
+    await consumeOtp({ phone, purpose: OTP_PURPOSE.PASSWORD_RESET, code });
+
+    const user = await prisma.user.findUnique({ where: { phone } });
+    if (!canResetPassword(user, USER_TYPES.USER)) {
+      throw new BadRequestError("Invalid or expired verification code. Please request a new one");
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password_hash, phone_verified_at: user.phone_verified_at || new Date() },
+    });
+    account = { type: USER_TYPES.USER, id: user.id, identifiers: [user.email, user.phone] };
+  }
+
+  await expireResetTokens(account);
+  await logoutAll(account.id, account.type);
+
+  // The owner has proven themselves, so a lockout from someone guessing their password is lifted
+  for (const identifier of account.identifiers.filter(Boolean)) {
+    await clearLoginFailures({ userType: account.type, identifier });
+  }
+
+  return { userType: account.type };
+};
+
+/**
+ * Verify a patient's email address with the token from the verification link
+ * Lifts the hold on booking and messaging for accounts pending verification.
+ * @param {Object} data - { token }
+ * @returns {Promise<{ user: Object }>} The updated user
+ * @throws {BadRequestError} If the token is invalid, expired or used, or the email address has changed since
+ */
+export const verifyEmail = async ({ token }) => {
+  const user = await prisma.$transaction(async (tx) => {
+    const record = await consumeVerificationToken(token, tx);
+
+    const found = await tx.user.findUnique({ where: { id: record.user_id } });
+    if (!found || found.deleted_at || found.email !== record.email) {
+      throw new BadRequestError(ERROR_MESSAGES.VERIFICATION_TOKEN_INVALID);
+    }
+
+    return tx.user.update({
+      where: { id: found.id },
+      data: {
+        email_verified_at: found.email_verified_at || new Date(),
+        ...(found.status === USER_STATUS.PENDING_VERIFICATION && { status: USER_STATUS.ACTIVE }),
+      },
+    });
+  });
+
+  const { password_hash: _, ...userWithoutPassword } = user;
+  return { user: userWithoutPassword };
+};
+
+/**
+ * Send the signed-in patient a new email verification link
+ * @param {Object} currentUser - Signed-in account
+ * @returns {Promise<{ expires_at: Date, resend_after_seconds: number }>}
+ * @throws {TooManyRequestsError} Inside the resend cooldown or over the hourly limit
+ */
+export const resendVerificationEmail = async (currentUser) => {
+  if (currentUser.type !== USER_TYPES.USER) {
+    throw new ForbiddenError("Only patients verify their email address here");
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: currentUser.id } });
+  if (!user || user.deleted_at) {
+    throw new NotFoundError(ERROR_MESSAGES.USER_NOT_FOUND);
+  }
+  if (!user.email) {
+    throw new BadRequestError("Your account has no email address to verify");
+  }
+  if (user.email_verified_at) {
+    throw new BadRequestError("Your email address is already verified");
+  }
+
+  return sendVerificationEmail(user);
+};
+
+const PROVIDER_LABELS = {
+  [AUTH_PROVIDERS.GOOGLE]: "Google",
+  [AUTH_PROVIDERS.APPLE]: "Apple",
+};
+
+/**
+ * Check an ID token with the provider that issued it
+ */
+const verifyProviderToken = async (provider, { id_token: idToken, nonce }) => {
+  const verifier = getSocialProvider(provider);
+  if (!verifier) {
+    throw new InternalServerError(`${PROVIDER_LABELS[provider]} sign-in is not configured`);
+  }
+  return verifier.verify(idToken, { nonce });
+};
+
+/**
+ * Linked sign-in providers are managed by patients only
+ */
+const requirePatientAccount = (currentUser) => {
+  if (currentUser?.type !== USER_TYPES.USER) {
+    throw new ForbiddenError("Only patients can link sign-in providers");
+  }
+};
+
+/**
+ * Deleted and deactivated patients can't sign in
+ */
+const assertCanSignIn = (user) => {
+  if (user.deleted_at) {
+    throw new UnauthorizedError("Account has been deleted");
+  }
+  if (!ACTIVE_USER_STATUSES.includes(user.status)) {
+    throw new UnauthorizedError("Account is not active");
+  }
+};
+
+/**
+ * Sign a patient in with a Google or Apple ID token
+ * - A patient already linked to the provider account is signed in
+ * - Otherwise the patient with the same email (verified by the provider) is
+ *   linked and signed in. If that patient never verified the email, their
+ *   password is removed and their sessions revoked: whoever set it hadn't
+ *   shown they own the address.
+ * - Otherwise a new patient is created (Apple sends the name only to the app,
+ *   so it comes from the request)
+ * @param {string} provider - google or apple
+ * @param {Object} data - { id_token, nonce, first_name, last_name, preferred_language, timezone }
+ * @param {Object} [context] - Device details for the login session
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, is_new_user }
+ */
+export const loginWithProvider = async (provider, data, context) => {
+  const identity = await verifyProviderToken(provider, data);
+  const now = new Date();
+
+  const linked = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider, subject: identity.subject } },
+  });
+
+  let user;
+  let isNewUser = false;
+
+  if (linked) {
+    user = await prisma.user.findUnique({ where: { id: linked.user_id } });
+    if (!user) {
+      throw new UnauthorizedError(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+    assertCanSignIn(user);
+
+    await prisma.userIdentity.update({ where: { id: linked.id }, data: { last_used_at: now } });
+  } else {
+    if (!identity.emailVerified) {
+      throw new UnauthorizedError(
+        `Your ${PROVIDER_LABELS[provider]} account didn't share a verified email address. Sign in another way and link it from your account`,
+      );
+    }
+
+    const identityData = { provider, subject: identity.subject, email: identity.email, last_used_at: now };
+    const existing = await prisma.user.findUnique({ where: { email: identity.email } });
+
+    if (existing) {
+      assertCanSignIn(existing);
+
+      const otherIdentity = await prisma.userIdentity.findUnique({
+        where: { user_id_provider: { user_id: existing.id, provider } },
+      });
+      if (otherIdentity) {
+        throw new ConflictError(`This account is linked to a different ${PROVIDER_LABELS[provider]} account`);
+      }
+
+      user = await prisma.$transaction(async (tx) => {
+        await tx.userIdentity.create({ data: { user_id: existing.id, ...identityData } });
+        return tx.user.update({
+          where: { id: existing.id },
+          data: {
+            email_verified_at: existing.email_verified_at || now,
+            ...(existing.status === USER_STATUS.PENDING_VERIFICATION && { status: USER_STATUS.ACTIVE }),
+            ...(!existing.email_verified_at && { password_hash: null }),
+          },
+        });
+      });
+
+      if (!existing.email_verified_at) {
+        await logoutAll(existing.id, USER_TYPES.USER);
+      }
+    } else {
+      user = await prisma.$transaction(async (tx) => {
+        const created = await tx.user.create({
+          data: {
+            email: identity.email,
+            first_name: identity.firstName || data.first_name || "",
+            last_name: identity.lastName || data.last_name || "",
+            preferred_language: data.preferred_language,
+            timezone: data.timezone,
+            auth_provider: provider,
+            status: USER_STATUS.ACTIVE,
+            email_verified_at: now,
+          },
+        });
+        await tx.userIdentity.create({ data: { user_id: created.id, ...identityData } });
+        return created;
+      });
+      isNewUser = true;
+    }
+  }
+
+  const updated = await prisma.user.update({ where: { id: user.id }, data: { last_login_at: now } });
+
+  return { ...(await createUserSession(updated, context)), is_new_user: isNewUser };
+};
+
+/**
+ * List the sign-in providers linked to the signed-in patient
+ * @param {Object} currentUser - Signed-in account
+ * @returns {Promise<{ providers: Object[], has_password: boolean }>}
+ */
+export const getLinkedProviders = async (currentUser) => {
+  requirePatientAccount(currentUser);
+
+  const [user, providers] = await Promise.all([
+    prisma.user.findUnique({ where: { id: currentUser.id }, select: { password_hash: true } }),
+    prisma.userIdentity.findMany({
+      where: { user_id: currentUser.id },
+      select: { provider: true, email: true, created_at: true, last_used_at: true },
+      orderBy: { created_at: "asc" },
+    }),
+  ]);
+  if (!user) {
+    throw new NotFoundError(ERROR_MESSAGES.USER_NOT_FOUND);
+  }
+
+  return { providers, has_password: !!user.password_hash };
+};
+
+/**
+ * Link a Google or Apple account to the signed-in patient
+ * @param {Object} currentUser - Signed-in account
+ * @param {string} provider - google or apple
+ * @param {Object} data - { id_token, nonce }
+ * @returns {Promise<Object>} Linked providers (as getLinkedProviders)
+ * @throws {ConflictError} If the provider account belongs to another patient, or another one is linked already
+ */
+export const linkProvider = async (currentUser, provider, data) => {
+  requirePatientAccount(currentUser);
+  const identity = await verifyProviderToken(provider, data);
+
+  const owner = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider, subject: identity.subject } },
+  });
+  if (owner && owner.user_id !== currentUser.id) {
+    throw new ConflictError(`This ${PROVIDER_LABELS[provider]} account is linked to another account`);
+  }
+
+  if (!owner) {
+    const current = await prisma.userIdentity.findUnique({
+      where: { user_id_provider: { user_id: currentUser.id, provider } },
+    });
+    if (current) {
+      throw new ConflictError(`A different ${PROVIDER_LABELS[provider]} account is linked already. Unlink it first`);
+    }
+
+    await prisma.userIdentity.create({
+      data: { user_id: currentUser.id, provider, subject: identity.subject, email: identity.email },
+    });
+  }
+
+  return getLinkedProviders(currentUser);
+};
+
+/**
+ * Unlink a Google or Apple account from the signed-in patient
+ * The patient must still have a way to sign in afterwards: a password, a
+ * phone number (one-time codes) or another linked provider.
+ * @param {Object} currentUser - Signed-in account
+ * @param {string} provider - google or apple
+ * @returns {Promise<Object>} Linked providers (as getLinkedProviders)
+ */
+export const unlinkProvider = async (currentUser, provider) => {
+  requirePatientAccount(currentUser);
+
+  const user = await prisma.user.findUnique({ where: { id: currentUser.id } });
+  if (!user) {
+    throw new NotFoundError(ERROR_MESSAGES.USER_NOT_FOUND);
+  }
+
+  const identities = await prisma.userIdentity.findMany({ where: { user_id: user.id } });
+  const identity = identities.find((item) => item.provider === provider);
+  if (!identity) {
+    throw new NotFoundError(`No ${PROVIDER_LABELS[provider]} account is linked`);
+  }
+
+  if (!user.password_hash && !user.phone && identities.length === 1) {
+    throw new BadRequestError("This is your only way to sign in. Set a password (use forgot password) before unlinking it");
+  }
+
+  await prisma.userIdentity.delete({ where: { id: identity.id } });
+
+  return getLinkedProviders(currentUser);
+};
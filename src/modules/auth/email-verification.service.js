@@ -0,0 +1,91 @@
+import crypto from "crypto";
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { env } from "../../config/env.js";
+import { EMAIL_VERIFICATION_CONFIG, ERROR_MESSAGES, NOTIFICATION_CHANNELS, USER_TYPES } from "../../config/constants.js";
+import { BadRequestError, TooManyRequestsError } from "../../utils/errors.js";
+import { notify } from "../notifications/notification.service.js";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Email a patient a link that verifies their email address
+ * Only the newest link works: earlier unused ones are expired.
+ * @param {Object} user - User record ({ id, email, first_name })
+ * @returns {Promise<{ expires_at: Date, resend_after_seconds: number }>}
+ * @throws {TooManyRequestsError} Inside the resend cooldown or over MAX_REQUESTS_PER_HOUR
+ */
+export const sendVerificationEmail = async (user) => {
+  const now = new Date();
+  const recent = await prisma.emailVerificationToken.findMany({
+    where: { user_id: user.id, created_at: { gte: new Date(now.getTime() - 60 * 60 * 1000) } },
+    orderBy: { created_at: "desc" },
+    select: { created_at: true },
+  });
+
+  const waitSeconds = recent.length > 0
+    ? Math.ceil(EMAIL_VERIFICATION_CONFIG.RESEND_COOLDOWN_SECONDS - (now - recent[0].created_at) / 1000)
+    : 0;
+  if (waitSeconds > 0) {
+    throw new TooManyRequestsError(`Please wait ${waitSeconds} seconds before requesting another email`);
+  }
+  if (recent.length >= EMAIL_VERIFICATION_CONFIG.MAX_REQUESTS_PER_HOUR) {
+    throw new TooManyRequestsError("Too many verification emails requested. Please try again later");
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(now.getTime() + EMAIL_VERIFICATION_CONFIG.TOKEN_EXPIRES_IN_HOURS * 60 * 60 * 1000);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.emailVerificationToken.updateMany({
+      where: { user_id: user.id, used_at: null, expires_at: { gt: now } },
+      data: { expires_at: now },
+    });
+    await tx.emailVerificationToken.create({
+      data: { user_id: user.id, email: user.email, token_hash: hashToken(token), expires_at: expiresAt },
+    });
+  });
+
+  const notifications = await notify(
+    { type: USER_TYPES.USER, id: user.id },
+    "email_verification",
+    {
+      name: user.first_name,
+      link: `${env.APP_URL}/verify-email?token=${token}`,
+      hours: EMAIL_VERIFICATION_CONFIG.TOKEN_EXPIRES_IN_HOURS,
+    },
+    null,
+    { channels: [NOTIFICATION_CHANNELS.EMAIL], secretVariables: ["link"] },
+  );
+  if (notifications.length === 0) {
+    logger.warn("Verification email not sent", { userId: user.id });
+  }
+
+  return { expires_at: expiresAt, resend_after_seconds: EMAIL_VERIFICATION_CONFIG.RESEND_COOLDOWN_SECONDS };
+};
+
+/**
+ * Check an email verification token and use it up
+ * @param {string} token - Token from the verification link
+ * @param {Object} [tx] - Transaction client, so the token is only used up if verification goes through
+ * @returns {Promise<Object>} The token record ({ user_id, email, ... })
+ * @throws {BadRequestError} If the token is unknown, expired or already used
+ */
+export const consumeVerificationToken = async (token, tx = prisma) => {
+  const now = new Date();
+  const record = await tx.emailVerificationToken.findUnique({ where: { token_hash: hashToken(token) } });
+
+  if (!record || record.used_at || record.expires_at <= now) {
+    throw new BadRequestError(ERROR_MESSAGES.VERIFICATION_TOKEN_INVALID);
+  }
+
+  const { count } = await tx.emailVerificationToken.updateMany({
+    where: { id: record.id, used_at: null },
+    data: { used_at: now },
+  });
+  if (count === 0) {
+    throw new BadRequestError(ERROR_MESSAGES.VERIFICATION_TOKEN_INVALID);
+  }
+
+  return record;
+};
@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import axios from "axios";
+import logger from "../../config/logger.js";
+import { SOCIAL_AUTH_CONFIG } from "../../config/constants.js";
+
+/**
+ * How long the provider says its keys can be cached (Cache-Control max-age)
+ */
+const maxAgeSeconds = (headers) => {
+  const match = /max-age=(\d+)/.exec(headers?.["cache-control"] || "");
+  return match ? Number(match[1]) : SOCIAL_AUTH_CONFIG.JWKS_CACHE_SECONDS;
+};
+
+/**
+ * Client for a provider's JSON Web Key Set
+ *
+ * Keys are cached for as long as the provider allows. A key ID that isn't in
+ * the cache refetches the set (providers rotate keys), but at most every
+ * JWKS_MIN_REFRESH_SECONDS so made-up key IDs can't turn every request into a
+ * fetch. If a refetch fails, the keys already cached keep being used.
+ * @param {Object} config
+ * @param {string} config.url - JWKS URL; a file:// URL reads a local key set (for tests)
+ * @returns {Object} JWKS client
+ */
+export const createJwksClient = ({ url }) => {
+  let keys = new Map();
+  let expiresAt = 0;
+  let fetchedAt = 0;
+  let request = null;
+
+  const fetchKeys = async () => {
+    let jwks;
+    let cacheSeconds = SOCIAL_AUTH_CONFIG.JWKS_CACHE_SECONDS;
+
+    if (url.startsWith("file:")) {
+      jwks = JSON.parse(await fs.readFile(new URL(url), "utf8"));
+    } else {
+      const response = await axios.get(url, { timeout: 10000 });
+      jwks = response.data;
+      cacheSeconds = maxAgeSeconds(response.headers);
+    }
+
+    keys = new Map(
+      (jwks.keys || [])
+        .filter((jwk) => jwk.kid && jwk.kty === "RSA")
+        .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })]),
+    );
+    fetchedAt = Date.now();
+    expiresAt = fetchedAt + cacheSeconds * 1000;
+  };
+
+  // Concurrent lookups share one fetch
+  const refresh = async () => {
+    if (!request) {
+      request = fetchKeys().finally(() => {
+        request = null;
+      });
+    }
+
+    try {
+      await request;
+    } catch (error) {
+      if (keys.size === 0) {
+        throw error;
+      }
+      // Try again later rather than on every request
+      fetchedAt = Date.now();
+      expiresAt = fetchedAt + SOCIAL_AUTH_CONFIG.JWKS_MIN_REFRESH_SECONDS * 1000;
+      logger.warn("JWKS refresh failed, using cached keys", { url, error: error.message });
+    }
+  };
+
+  return {
+    /**
+     * Get the public key for a key ID
+     * @param {string} kid - Key ID from the token header
+     * @returns {Promise<crypto.KeyObject|null>} Public key, or null if the provider has no such key
+     */
+    async getKey(kid) {
+      if (Date.now() >= expiresAt) {
+        await refresh();
+      } else if (!keys.has(kid) && Date.now() - fetchedAt >= SOCIAL_AUTH_CONFIG.JWKS_MIN_REFRESH_SECONDS * 1000) {
+        await refresh();
+      }
+      return keys.get(kid) || null;
+    },
+  };
+};
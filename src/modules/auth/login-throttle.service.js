@@ -0,0 +1,190 @@
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { env } from "../../config/env.js";
+import { LOGIN_PROTECTION_CONFIG, LOGIN_THROTTLE_SCOPES } from "../../config/constants.js";
+import { NotFoundError, TooManyRequestsError } from "../../utils/errors.js";
+import { recordAudit } from "../audit/audit.service.js";
+import { notify } from "../notifications/notification.service.js";
+
+const { ACCOUNT, IP } = LOGIN_THROTTLE_SCOPES;
+
+/**
+ * Counters a login attempt is checked against: the identifier (email or phone
+ * for the account type) and, when known, the IP address
+ */
+const throttleKeys = ({ userType, identifier, ip }) => [
+  { scope: ACCOUNT, key: `${userType}:${String(identifier).trim().toLowerCase()}` },
+  ...(ip ? [{ scope: IP, key: ip }] : []),
+];
+
+const minutesFromNow = (now, minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+/**
+ * Seconds until a counter allows another attempt (0 if it does now)
+ * Identifiers get a delay that doubles with each failure past FREE_ATTEMPTS;
+ * IP addresses, often shared, are only ever locked.
+ */
+const waitSeconds = (throttle, now) => {
+  if (throttle.locked_until > now) {
+    return Math.ceil((throttle.locked_until - now) / 1000);
+  }
+
+  const windowStart = minutesFromNow(now, -LOGIN_PROTECTION_CONFIG.WINDOW_MINUTES);
+  const extraFailures = throttle.failures - LOGIN_PROTECTION_CONFIG.FREE_ATTEMPTS;
+  if (throttle.scope !== ACCOUNT || extraFailures <= 0 || throttle.last_failed_at < windowStart) {
+    return 0;
+  }
+
+  const delaySeconds = Math.min(
+    LOGIN_PROTECTION_CONFIG.BASE_DELAY_SECONDS * 2 ** (extraFailures - 1),
+    LOGIN_PROTECTION_CONFIG.MAX_DELAY_SECONDS,
+  );
+  return Math.max(0, Math.ceil((throttle.last_failed_at.getTime() + delaySeconds * 1000 - now) / 1000));
+};
+
+/**
+ * Refuse a login attempt while its identifier or IP address has to wait or is locked
+ * Checked before the password, and the same whether or not the account exists.
+ * @param {Object} attempt - { userType, identifier, ip }
+ * @throws {TooManyRequestsError} With how long to wait
+ */
+export const assertLoginAllowed = async (attempt) => {
+  const now = new Date();
+  const throttles = await prisma.loginThrottle.findMany({ where: { OR: throttleKeys(attempt) } });
+
+  const seconds = Math.max(0, ...throttles.map((throttle) => waitSeconds(throttle, now)));
+  if (seconds === 0) {
+    return;
+  }
+
+  const wait = seconds > 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+  throw new TooManyRequestsError(`Too many failed login attempts. Please try again in ${wait}`);
+};
+
+/**
+ * Count one failure on a counter, starting a new window if the last failure is too old
+ * @returns {Promise<boolean>} Whether this failure locked it
+ */
+const countFailure = async ({ scope, key }, now) => {
+  const windowStart = minutesFromNow(now, -LOGIN_PROTECTION_CONFIG.WINDOW_MINUTES);
+  const { count } = await prisma.loginThrottle.updateMany({
+    where: { scope, key, last_failed_at: { gte: windowStart } },
+    data: { failures: { increment: 1 }, last_failed_at: now },
+  });
+
+  if (count === 0) {
+    await prisma.loginThrottle.upsert({
+      where: { scope_key: { scope, key } },
+      create: { scope, key, failures: 1, first_failed_at: now, last_failed_at: now },
+      update: { failures: 1, first_failed_at: now, last_failed_at: now },
+    });
+  }
+
+  const [maxFailures, lockoutMinutes] = scope === ACCOUNT
+    ? [LOGIN_PROTECTION_CONFIG.MAX_FAILURES, LOGIN_PROTECTION_CONFIG.LOCKOUT_MINUTES]
+    : [LOGIN_PROTECTION_CONFIG.IP_MAX_FAILURES, LOGIN_PROTECTION_CONFIG.IP_LOCKOUT_MINUTES];
+
+  // Guarded on the count, so only one of several concurrent failures locks it
+  const locked = await prisma.loginThrottle.updateMany({
+    where: { scope, key, failures: { gte: maxFailures } },
+    data: { failures: 0, locked_until: minutesFromNow(now, lockoutMinutes) },
+  });
+  if (locked.count === 0) {
+    return false;
+  }
+
+  logger.warn("Login locked after repeated failures", { scope, key, minutes: lockoutMinutes });
+  return true;
+};
+
+/**
+ * Record a failed password login
+ * The account owner is told when their login gets locked.
+ * @param {Object} attempt - { userType, identifier, ip }
+ * @param {Object} [account] - The account the identifier belongs to, if there is one
+ */
+export const recordLoginFailure = async (attempt, account = null) => {
+  const now = new Date();
+  const [accountKey, ipKey] = throttleKeys(attempt);
+
+  const accountLocked = await countFailure(accountKey, now);
+  if (ipKey) {
+    await countFailure(ipKey, now);
+  }
+
+  if (accountLocked && account) {
+    await notify(
+      { type: attempt.userType, id: account.id },
+      "account_locked",
+      {
+        name: account.first_name,
+        minutes: LOGIN_PROTECTION_CONFIG.LOCKOUT_MINUTES,
+        link: `${env.APP_URL}/forgot-password`,
+      },
+    );
+  }
+};
+
+/**
+ * Forget an identifier's failures after a successful login
+ * @param {Object} attempt - { userType, identifier }
+ */
+export const clearLoginFailures = async (attempt) => {
+  const [accountKey] = throttleKeys(attempt);
+  await prisma.loginThrottle.deleteMany({ where: accountKey });
+};
+
+/**
+ * List identifiers and IP addresses that are locked now
+ * @param {Object} pagination - { skip, limit } from parsePaginationParams
+ * @returns {Promise<{ lockouts: Object[], total: number }>}
+ */
+export const listLoginLockouts = async ({ skip, limit }) => {
+  const where = { locked_until: { gt: new Date() } };
+  const [lockouts, total] = await Promise.all([
+    prisma.loginThrottle.findMany({ where, skip, take: limit, orderBy: { locked_until: "desc" } }),
+    prisma.loginThrottle.count({ where }),
+  ]);
+  return { lockouts, total };
+};
+
+/**
+ * Lift a lockout (and forget the failures behind it)
+ * @param {number} id - Login throttle ID from listLoginLockouts
+ * @param {Object} actor - { type, id } of the admin
+ * @param {Object} [context] - Request context from getAuditContext
+ * @throws {NotFoundError} If there is no such counter
+ */
+export const unlockLogin = async (id, actor, context) => {
+  const throttle = await prisma.loginThrottle.findUnique({ where: { id } });
+  if (!throttle) {
+    throw new NotFoundError("Lockout not found");
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.loginThrottle.delete({ where: { id } });
+    await recordAudit({
+      actor,
+      action: "login.unlocked",
+      entity_type: "login_throttle",
+      entity_id: id,
+      old_values: { scope: throttle.scope, key: throttle.key, locked_until: throttle.locked_until },
+      context,
+    }, tx);
+  });
+};
+
+/**
+ * Delete counters whose failures are forgotten and that aren't locked
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of counters deleted
+ */
+export const purgeStaleLoginThrottles = async (now = new Date()) => {
+  const { count } = await prisma.loginThrottle.deleteMany({
+    where: {
+      last_failed_at: { lt: minutesFromNow(now, -LOGIN_PROTECTION_CONFIG.WINDOW_MINUTES) },
+      OR: [{ locked_until: null }, { locked_until: { lte: now } }],
+    },
+  });
+  return count;
+};
@@ -0,0 +1,323 @@
+import crypto from "crypto";
+import prisma from "../../config/prisma.js";
+import { env } from "../../config/env.js";
+import { MFA_CONFIG, USER_TYPES } from "../../config/constants.js";
+import { generateMfaToken, getExpirationInSeconds } from "../../utils/jwt.js";
+import { comparePassword } from "../../utils/password.js";
+import { base32Encode, buildTotpUri, generateTotpSecret, verifyTotp } from "../../utils/totp.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../../utils/errors.js";
+
+const INVALID_CODE_MESSAGE = "Invalid authentication code";
+
+const accountModels = {
+  [USER_TYPES.THERAPIST]: "therapist",
+  [USER_TYPES.ADMIN]: "admin",
+};
+
+// TOTP secrets have to be read back to check codes, so they're encrypted rather than hashed
+const encryptionKey = crypto.createHash("sha256").update(env.MFA_ENCRYPTION_KEY).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64url")).join(".");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+// Recovery codes are compared without their dash or case
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+};
+
+const accountWhere = (type, id) => ({ account_type_account_id: { account_type: type, account_id: id } });
+
+const findCredential = (type, id) => prisma.mfaCredential.findUnique({ where: accountWhere(type, id) });
+
+/**
+ * Load the signed-in admin or therapist
+ */
+const findAccount = async ({ type, id }) => {
+  const account = accountModels[type] ? await prisma[accountModels[type]].findUnique({ where: { id } }) : null;
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+  return account;
+};
+
+/**
+ * Whether the account's role requires two-factor authentication
+ * @param {string} type - therapist or admin
+ * @param {Object} account - Therapist or admin record
+ * @returns {Promise<boolean>}
+ */
+export const isMfaRequired = async (type, account) => {
+  const roleName = type === USER_TYPES.ADMIN ? account.role : "therapist";
+  if (!roleName) {
+    return false;
+  }
+  const role = await prisma.role.findUnique({ where: { name: roleName }, select: { mfa_required: true } });
+  return !!role?.mfa_required;
+};
+
+/**
+ * Start (or restart) authenticator setup with a new secret
+ * The secret only takes effect once a code from it is confirmed.
+ * @returns {Promise<{ secret: string, otpauth_url: string }>}
+ * @throws {ConflictError} If two-factor authentication is already on
+ */
+const startEnrollment = async (type, account) => {
+  const existing = await findCredential(type, account.id);
+  if (existing?.confirmed_at) {
+    throw new ConflictError("Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+  await prisma.mfaCredential.upsert({
+    where: accountWhere(type, account.id),
+    create: { account_type: type, account_id: account.id, secret: encryptSecret(secret) },
+    update: { secret: encryptSecret(secret), confirmed_at: null, last_used_step: null },
+  });
+
+  return {
+    secret,
+    otpauth_url: buildTotpUri({
+      secret,
+      issuer: MFA_CONFIG.ISSUER,
+      account: account.email,
+      digits: MFA_CONFIG.DIGITS,
+      period: MFA_CONFIG.PERIOD_SECONDS,
+    }),
+  };
+};
+
+/**
+ * Check an authenticator code and use it up (each code works once)
+ * @returns {Promise<boolean>}
+ */
+const useTotpCode = async (credential, code) => {
+  const step = verifyTotp(decryptSecret(credential.secret), String(code ?? ""), {
+    digits: MFA_CONFIG.DIGITS,
+    period: MFA_CONFIG.PERIOD_SECONDS,
+    window: MFA_CONFIG.WINDOW_STEPS,
+  });
+  if (step === null) {
+    return false;
+  }
+
+  const { count } = await prisma.mfaCredential.updateMany({
+    where: { id: credential.id, OR: [{ last_used_step: null }, { last_used_step: { lt: step } }] },
+    data: { last_used_step: step },
+  });
+  return count === 1;
+};
+
+/**
+ * Check a recovery code and use it up
+ * @returns {Promise<boolean>}
+ */
+const useRecoveryCode = async (type, id, code) => {
+  const { count } = await prisma.mfaRecoveryCode.updateMany({
+    where: { account_type: type, account_id: id, code_hash: hashRecoveryCode(code), used_at: null },
+    data: { used_at: new Date() },
+  });
+  return count === 1;
+};
+
+/**
+ * Replace an account's recovery codes
+ * @returns {Promise<string[]>} The new codes (only ever shown this once)
+ */
+const issueRecoveryCodes = async (type, id, client = prisma) => {
+  const codes = Array.from({ length: MFA_CONFIG.RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await client.mfaRecoveryCode.deleteMany({ where: { account_type: type, account_id: id } });
+  await client.mfaRecoveryCode.createMany({
+    data: codes.map((code) => ({ account_type: type, account_id: id, code_hash: hashRecoveryCode(code) })),
+  });
+
+  return codes;
+};
+
+/**
+ * Confirm a pending authenticator with its first code
+ * @returns {Promise<string[]|null>} Recovery codes, or null if the code is wrong
+ * @throws {BadRequestError} If setup wasn't started
+ */
+const confirmEnrollment = async (type, id, code) => {
+  const credential = await findCredential(type, id);
+  if (!credential || credential.confirmed_at) {
+    throw new BadRequestError("Start two-factor setup first");
+  }
+
+  if (!(await useTotpCode(credential, code))) {
+    return null;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.mfaCredential.update({ where: { id: credential.id }, data: { confirmed_at: new Date() } });
+    return issueRecoveryCodes(type, id, tx);
+  });
+};
+
+/**
+ * Decide whether a password login needs a second step
+ * Accounts with an authenticator get a challenge for its code. Accounts whose
+ * role requires two-factor authentication but have none get a challenge that
+ * sets one up: the first code confirms it.
+ * @param {string} type - therapist or admin
+ * @param {Object} account - Therapist or admin record
+ * @returns {Promise<Object|null>} { mfa_required, mfa_token, expires_in, setup? }, or null to sign in now
+ */
+export const createMfaChallenge = async (type, account) => {
+  const credential = await findCredential(type, account.id);
+  const enrolled = !!credential?.confirmed_at;
+
+  if (!enrolled && !(await isMfaRequired(type, account))) {
+    return null;
+  }
+
+  return {
+    mfa_required: true,
+    mfa_token: generateMfaToken({ id: account.id, type, enroll: !enrolled }),
+    expires_in: getExpirationInSeconds(MFA_CONFIG.CHALLENGE_EXPIRES_IN),
+    ...(!enrolled && { setup: await startEnrollment(type, account) }),
+  };
+};
+
+/**
+ * Check the second step of a login
+ * @param {Object} challenge - Decoded challenge token ({ id, type, enroll })
+ * @param {Object} data - { code } or { recovery_code }
+ * @returns {Promise<{ recovery_codes?: string[] }|null>} null if the code is wrong; recovery
+ *   codes when the login also finished setting up the authenticator
+ */
+export const verifyMfaChallenge = async ({ id, type, enroll }, { code, recovery_code: recoveryCode }) => {
+  if (enroll) {
+    const codes = code ? await confirmEnrollment(type, id, code) : null;
+    return codes && { recovery_codes: codes };
+  }
+
+  if (recoveryCode) {
+    return (await useRecoveryCode(type, id, recoveryCode)) ? {} : null;
+  }
+
+  const credential = await findCredential(type, id);
+  if (!credential?.confirmed_at) {
+    throw new UnauthorizedError("Two-factor authentication is not enabled. Please log in again");
+  }
+  return (await useTotpCode(credential, code)) ? {} : null;
+};
+
+/**
+ * Two-factor status of the signed-in admin or therapist
+ * @param {Object} currentUser - req.user
+ * @returns {Promise<{ enabled: boolean, required: boolean, recovery_codes_left: number }>}
+ */
+export const getMfaStatus = async (currentUser) => {
+  const account = await findAccount(currentUser);
+  const credential = await findCredential(currentUser.type, account.id);
+  const enabled = !!credential?.confirmed_at;
+
+  return {
+    enabled,
+    required: await isMfaRequired(currentUser.type, account),
+    recovery_codes_left: enabled
+      ? await prisma.mfaRecoveryCode.count({
+        where: { account_type: currentUser.type, account_id: account.id, used_at: null },
+      })
+      : 0,
+  };
+};
+
+/**
+ * Start authenticator setup for the signed-in admin or therapist
+ * @param {Object} currentUser - req.user
+ * @returns {Promise<{ secret: string, otpauth_url: string }>} Secret to type in, or the URI to show as a QR code
+ */
+export const setupMfa = async (currentUser) => {
+  const account = await findAccount(currentUser);
+  return startEnrollment(currentUser.type, account);
+};
+
+/**
+ * Turn two-factor authentication on with the first code from the authenticator
+ * @param {Object} currentUser - req.user
+ * @param {Object} data - { code }
+ * @returns {Promise<{ recovery_codes: string[] }>}
+ * @throws {BadRequestError} If setup wasn't started or the code is wrong
+ */
+export const confirmMfa = async (currentUser, { code }) => {
+  const codes = await confirmEnrollment(currentUser.type, currentUser.id, code);
+  if (!codes) {
+    throw new BadRequestError(INVALID_CODE_MESSAGE);
+  }
+  return { recovery_codes: codes };
+};
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ * @param {Object} currentUser - req.user
+ * @param {Object} data - { code } from the authenticator
+ * @returns {Promise<{ recovery_codes: string[] }>}
+ */
+export const regenerateRecoveryCodes = async (currentUser, { code }) => {
+  const credential = await findCredential(currentUser.type, currentUser.id);
+  if (!credential?.confirmed_at) {
+    throw new BadRequestError("Two-factor authentication is not enabled");
+  }
+  if (!(await useTotpCode(credential, code))) {
+    throw new BadRequestError(INVALID_CODE_MESSAGE);
+  }
+
+  return { recovery_codes: await issueRecoveryCodes(currentUser.type, currentUser.id) };
+};
+
+/**
+ * Turn two-factor authentication off
+ * @param {Object} currentUser - req.user
+ * @param {Object} data - { password, code } or { password, recovery_code }
+ * @throws {ForbiddenError} If the account's role requires it
+ * @throws {BadRequestError} If the password or code is wrong
+ */
+export const disableMfa = async (currentUser, { password, code, recovery_code: recoveryCode }) => {
+  const account = await findAccount(currentUser);
+  const credential = await findCredential(currentUser.type, account.id);
+  if (!credential?.confirmed_at) {
+    throw new BadRequestError("Two-factor authentication is not enabled");
+  }
+  if (await isMfaRequired(currentUser.type, account)) {
+    throw new ForbiddenError("Two-factor authentication is required for your role");
+  }
+
+  if (!(await comparePassword(password, account.password_hash))) {
+    throw new BadRequestError("Password is incorrect");
+  }
+  const codeValid = recoveryCode
+    ? await useRecoveryCode(currentUser.type, account.id, recoveryCode)
+    : await useTotpCode(credential, code);
+  if (!codeValid) {
+    throw new BadRequestError(INVALID_CODE_MESSAGE);
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.mfaCredential.delete({ where: { id: credential.id } });
+    await tx.mfaRecoveryCode.deleteMany({ where: { account_type: currentUser.type, account_id: account.id } });
+  });
+};
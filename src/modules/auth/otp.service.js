@@ -0,0 +1,128 @@
+import crypto from "crypto";
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { env } from "../../config/env.js";
+import { OTP_CONFIG, SUPPORTED_LANGUAGES } from "../../config/constants.js";
+import { generateOTP } from "../../utils/helpers.js";
+import { BadRequestError, InternalServerError, TooManyRequestsError } from "../../utils/errors.js";
+import { getSmsSender } from "../notifications/sms.sender.js";
+
+const OTP_MESSAGES = {
+  [SUPPORTED_LANGUAGES.EN]: "Your Nurozh verification code is {{code}}. It expires in {{minutes}} minutes.",
+  [SUPPORTED_LANGUAGES.AR]: "رمز التحقق الخاص بك في Nurozh هو {{code}}. تنتهي صلاحيته خلال {{minutes}} دقائق.",
+  [SUPPORTED_LANGUAGES.KU]: "کۆدی پشتڕاستکردنەوەت بۆ Nurozh: {{code}}. دوای {{minutes}} خولەک بەسەردەچێت.",
+};
+
+/**
+ * Hash a code for storage, bound to the phone number and purpose it was sent for
+ */
+const hashCode = (phone, purpose, code) => {
+  return crypto.createHmac("sha256", env.OTP_SECRET).update(`${phone}:${purpose}:${code}`).digest("hex");
+};
+
+/**
+ * Text a new one-time code to a phone number
+ * Only the latest code for a phone number and purpose can be used, so
+ * requesting a new one replaces the previous one.
+ * @param {Object} params
+ * @param {string} params.phone - Phone number to text
+ * @param {string} params.purpose - One of OTP_PURPOSE
+ * @param {string} [params.language] - Language of the text message
+ * @returns {Promise<{ expires_at: Date, resend_after_seconds: number }>}
+ * @throws {TooManyRequestsError} Inside the resend cooldown or over MAX_REQUESTS_PER_HOUR
+ */
+export const sendOtp = async ({ phone, purpose, language = SUPPORTED_LANGUAGES.EN }) => {
+  const sender = getSmsSender();
+  if (!sender) {
+    throw new InternalServerError("SMS is not configured");
+  }
+
+  const now = new Date();
+  const recent = await prisma.otpVerification.findMany({
+    where: { phone, purpose, created_at: { gte: new Date(now.getTime() - 60 * 60 * 1000) } },
+    orderBy: { created_at: "desc" },
+    select: { created_at: true },
+  });
+
+  const waitSeconds = recent.length > 0
+    ? Math.ceil(OTP_CONFIG.RESEND_COOLDOWN_SECONDS - (now - recent[0].created_at) / 1000)
+    : 0;
+  if (waitSeconds > 0) {
+    throw new TooManyRequestsError(`Please wait ${waitSeconds} seconds before requesting another code`);
+  }
+  if (recent.length >= OTP_CONFIG.MAX_REQUESTS_PER_HOUR) {
+    throw new TooManyRequestsError("Too many codes requested for this phone number. Please try again later");
+  }
+
+  const code = generateOTP(OTP_CONFIG.LENGTH);
+  const expiresAt = new Date(now.getTime() + OTP_CONFIG.EXPIRES_IN_MINUTES * 60 * 1000);
+
+  const otp = await prisma.otpVerification.create({
+    data: { phone, purpose, code_hash: hashCode(phone, purpose, code), expires_at: expiresAt, attempts: 0 },
+  });
+
+  const text = (OTP_MESSAGES[language] || OTP_MESSAGES[SUPPORTED_LANGUAGES.EN])
+    .replace("{{code}}", code)
+    .replace("{{minutes}}", OTP_CONFIG.EXPIRES_IN_MINUTES);
+
+  try {
+    await sender.send({ to: phone, text });
+  } catch (error) {
+    // A code that never arrived shouldn't count against the cooldown
+    await prisma.otpVerification.delete({ where: { id: otp.id } });
+    logger.error("OTP SMS failed", { purpose, provider: sender.name, error: error.message });
+    throw new InternalServerError("Could not send the verification code. Please try again");
+  }
+
+  return { expires_at: expiresAt, resend_after_seconds: OTP_CONFIG.RESEND_COOLDOWN_SECONDS };
+};
+
+/**
+ * Check a one-time code and use it up
+ * Every guess counts against MAX_ATTEMPTS (counted before comparing, so
+ * parallel guesses can't get past it) and a code works only once.
+ * @param {Object} params
+ * @param {string} params.phone - Phone number the code was sent to
+ * @param {string} params.purpose - One of OTP_PURPOSE
+ * @param {string} params.code - Code entered by the user
+ * @returns {Promise<Object>} The verification record
+ * @throws {BadRequestError} If the code is wrong, expired, used or out of attempts
+ */
+export const consumeOtp = async ({ phone, purpose, code }) => {
+  const now = new Date();
+  const otp = await prisma.otpVerification.findFirst({
+    where: { phone, purpose },
+    orderBy: { created_at: "desc" },
+  });
+
+  if (!otp || otp.verified_at || otp.expires_at <= now) {
+    throw new BadRequestError("Invalid or expired verification code. Please request a new one");
+  }
+
+  const { count } = await prisma.otpVerification.updateMany({
+    where: { id: otp.id, verified_at: null, attempts: { lt: OTP_CONFIG.MAX_ATTEMPTS } },
+    data: { attempts: { increment: 1 } },
+  });
+  if (count === 0) {
+    throw new BadRequestError("Too many incorrect attempts. Please request a new code");
+  }
+
+  const expected = Buffer.from(otp.code_hash);
+  const actual = Buffer.from(hashCode(phone, purpose, code));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    const attemptsLeft = OTP_CONFIG.MAX_ATTEMPTS - ((otp.attempts ?? 0) + 1);
+    throw new BadRequestError(attemptsLeft > 0
+      ? `Incorrect verification code. ${attemptsLeft} attempt(s) left`
+      : "Incorrect verification code. Please request a new code");
+  }
+
+  const { count: used } = await prisma.otpVerification.updateMany({
+    where: { id: otp.id, verified_at: null },
+    data: { verified_at: now },
+  });
+  if (used === 0) {
+    throw new BadRequestError("Invalid or expired verification code. Please request a new one");
+  }
+
+  return otp;
+};
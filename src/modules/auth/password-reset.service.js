@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import prisma from "../../config/prisma.js";
+import { ERROR_MESSAGES, PASSWORD_RESET_CONFIG } from "../../config/constants.js";
+import { BadRequestError } from "../../utils/errors.js";
+
+/**
+ * Tokens are random, so a plain SHA-256 is enough to keep them unusable if the table leaks
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Create a password reset token for an account
+ * Only the newest token works: earlier unused ones are expired. Inside the
+ * resend cooldown or over MAX_REQUESTS_PER_HOUR nothing is created, and the
+ * caller shouldn't say so (that would reveal the account exists).
+ * @param {Object} account - { type, id }
+ * @returns {Promise<{ token: string, expires_at: Date }|null>} Token to send, or null if rate limited
+ */
+export const createResetToken = async ({ type, id }) => {
+  const now = new Date();
+  const recent = await prisma.passwordResetToken.findMany({
+    where: { account_type: type, account_id: id, created_at: { gte: new Date(now.getTime() - 60 * 60 * 1000) } },
+    orderBy: { created_at: "desc" },
+    select: { created_at: true },
+  });
+
+  if (recent.length >= PASSWORD_RESET_CONFIG.MAX_REQUESTS_PER_HOUR) {
+    return null;
+  }
+  if (recent.length > 0 && now - recent[0].created_at < PASSWORD_RESET_CONFIG.RESEND_COOLDOWN_SECONDS * 1000) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(now.getTime() + PASSWORD_RESET_CONFIG.TOKEN_EXPIRES_IN_MINUTES * 60 * 1000);
+
+  await prisma.$transaction(async (tx) => {
+    await expireResetTokens({ type, id }, tx);
+    await tx.passwordResetToken.create({
+      data: { account_type: type, account_id: id, token_hash: hashToken(token), expires_at: expiresAt },
+    });
+  });
+
+  return { token, expires_at: expiresAt };
+};
+
+/**
+ * Check a password reset token and use it up
+ * @param {string} token - Token from the reset link
+ * @param {Object} [tx] - Transaction client, so the token is only used up if the reset goes through
+ * @returns {Promise<Object>} The token record ({ account_type, account_id, ... })
+ * @throws {BadRequestError} If the token is unknown, expired or already used
+ */
+export const consumeResetToken = async (token, tx = prisma) => {
+  const now = new Date();
+  const record = await tx.passwordResetToken.findUnique({ where: { token_hash: hashToken(token) } });
+
+  if (!record || record.used_at || record.expires_at <= now) {
+    throw new BadRequestError(ERROR_MESSAGES.RESET_TOKEN_INVALID);
+  }
+
+  const { count } = await tx.passwordResetToken.updateMany({
+    where: { id: record.id, used_at: null },
+    data: { used_at: now },
+  });
+  if (count === 0) {
+    throw new BadRequestError(ERROR_MESSAGES.RESET_TOKEN_INVALID);
+  }
+
+  return record;
+};
+
+/**
+ * Expire an account's outstanding reset tokens (e.g., after its password was reset)
+ * @param {Object} account - { type, id }
+ * @param {Object} [tx] - Transaction client
+ */
+export const expireResetTokens = ({ type, id }, tx = prisma) => {
+  const now = new Date();
+  return tx.passwordResetToken.updateMany({
+    where: { account_type: type, account_id: id, used_at: null, expires_at: { gt: now } },
+    data: { expires_at: now },
+  });
+};
@@ -0,0 +1,209 @@
+import crypto from "crypto";
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { env } from "../../config/env.js";
+import { generateTokenPair, verifyRefreshToken, calculateExpirationDate } from "../../utils/jwt.js";
+import { NotFoundError, UnauthorizedError } from "../../utils/errors.js";
+
+/**
+ * Pull the request details stored with a login session
+ * @param {Object} [req] - Express request
+ * @returns {{ device_name: (string|null), user_agent: (string|null), ip_address: (string|null) }}
+ */
+export const getSessionContext = (req) => ({
+  device_name: req?.headers?.["x-device-name"]?.slice(0, 100) || null,
+  user_agent: req?.headers?.["user-agent"]?.slice(0, 512) || null,
+  ip_address: req?.ip || null,
+});
+
+/**
+ * Issue a token pair and store its refresh token
+ * The session ID (sid) goes in both tokens, so requests made with the access
+ * token know which session they belong to.
+ */
+const issueTokens = async (payload, familyId, context = {}, client = prisma) => {
+  const tokens = generateTokenPair({ ...payload, sid: familyId });
+
+  const stored = await client.refreshToken.create({
+    data: {
+      token: tokens.refreshToken,
+      user_type: payload.type,
+      user_id: payload.id,
+      family_id: familyId,
+      device_name: context.device_name ?? null,
+      user_agent: context.user_agent ?? null,
+      ip_address: context.ip_address ?? null,
+      expires_at: calculateExpirationDate(env.JWT_REFRESH_EXPIRES_IN),
+    },
+  });
+
+  return { tokens, stored };
+};
+
+/**
+ * Revoke every token in a session
+ */
+const revokeFamily = (familyId, client = prisma) => {
+  return client.refreshToken.updateMany({
+    where: { family_id: familyId, revoked_at: null },
+    data: { revoked_at: new Date() },
+  });
+};
+
+/**
+ * Start a login session: a new refresh token family
+ * @param {Object} payload - Access token payload ({ id, email, type, role })
+ * @param {Object} [context] - Device details from getSessionContext
+ * @returns {Promise<{ accessToken: string, refreshToken: string }>}
+ */
+export const startSession = async (payload, context) => {
+  const { tokens } = await issueTokens(payload, crypto.randomUUID(), context);
+  return tokens;
+};
+
+/**
+ * Swap a refresh token for a new token pair in the same session
+ *
+ * The presented token is revoked and points at its replacement. A token that
+ * was already rotated being presented again means it was copied (or the
+ * rotation raced with another one): the whole session is revoked, so both the
+ * thief and the owner have to sign in again.
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} [context] - Device details from getSessionContext
+ * @returns {Promise<{ accessToken: string, refreshToken: string }>}
+ * @throws {UnauthorizedError} If the token is invalid, expired, revoked or reused
+ */
+export const rotateSession = async (refreshToken, context = {}) => {
+  const decoded = verifyRefreshToken(refreshToken);
+
+  const stored = await prisma.refreshToken.findUnique({ where: { token: refreshToken } });
+  if (!stored) {
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  const reuseDetected = async () => {
+    await revokeFamily(stored.family_id);
+    logger.warn("Refresh token reuse detected, session revoked", {
+      userType: stored.user_type,
+      userId: stored.user_id,
+      sessionId: stored.family_id,
+      ip: context.ip_address,
+    });
+    return new UnauthorizedError("Refresh token has already been used. Please log in again");
+  };
+
+  if (stored.revoked_at) {
+    if (stored.replaced_by_id) {
+      throw await reuseDetected();
+    }
+    throw new UnauthorizedError("Refresh token has been revoked");
+  }
+
+  if (new Date() > stored.expires_at) {
+    throw new UnauthorizedError("Refresh token has expired");
+  }
+
+  const payload = { id: decoded.id, email: decoded.email, type: decoded.type, role: decoded.role };
+  const deviceContext = { ...context, device_name: context.device_name ?? stored.device_name };
+
+  const tokens = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, revoked_at: null },
+      data: { revoked_at: new Date() },
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    const issued = await issueTokens(payload, stored.family_id, deviceContext, tx);
+    await tx.refreshToken.update({ where: { id: stored.id }, data: { replaced_by_id: issued.stored.id } });
+    return issued.tokens;
+  });
+
+  // Rotated by a concurrent request in the meantime
+  if (!tokens) {
+    throw await reuseDetected();
+  }
+
+  return tokens;
+};
+
+/**
+ * End the session a refresh token belongs to (logout)
+ * @param {string} refreshToken - Refresh token
+ */
+export const endSessionByToken = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({ where: { token: refreshToken } });
+  if (stored) {
+    await revokeFamily(stored.family_id);
+  }
+};
+
+/**
+ * List an account's active login sessions
+ * @param {Object} account - { id, type, sessionId } (sessionId marks the current session)
+ * @returns {Promise<Object[]>} Sessions, most recently used first
+ */
+export const listSessions = async ({ id, type, sessionId }) => {
+  const live = await prisma.refreshToken.findMany({
+    where: { user_type: type, user_id: id, revoked_at: null, expires_at: { gt: new Date() } },
+    orderBy: { created_at: "desc" },
+  });
+  if (live.length === 0) {
+    return [];
+  }
+
+  const familyIds = [...new Set(live.map((token) => token.family_id))];
+  const started = await prisma.refreshToken.groupBy({
+    by: ["family_id"],
+    where: { family_id: { in: familyIds } },
+    _min: { created_at: true },
+  });
+  const startedAt = new Map(started.map((row) => [row.family_id, row._min.created_at]));
+
+  const seen = new Set();
+  return live
+    .filter((token) => !seen.has(token.family_id) && seen.add(token.family_id))
+    .map((token) => ({
+      id: token.family_id,
+      device_name: token.device_name,
+      user_agent: token.user_agent,
+      ip_address: token.ip_address,
+      created_at: startedAt.get(token.family_id) || token.created_at,
+      last_active_at: token.created_at,
+      expires_at: token.expires_at,
+      current: token.family_id === sessionId,
+    }));
+};
+
+/**
+ * End one of an account's login sessions
+ * Its refresh token stops working at once; access tokens already issued run
+ * until they expire (JWT_ACCESS_EXPIRES_IN).
+ * @param {Object} account - { id, type }
+ * @param {string} sessionId - Session ID from listSessions
+ * @throws {NotFoundError} If the account has no such active session
+ */
+export const endSession = async ({ id, type }, sessionId) => {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { family_id: sessionId, user_type: type, user_id: id, revoked_at: null },
+    data: { revoked_at: new Date() },
+  });
+  if (count === 0) {
+    throw new NotFoundError("Session not found");
+  }
+};
+
+/**
+ * Delete refresh tokens past their expiry (revoked or not); they can't be used
+ * or reused any more
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of tokens deleted
+ */
+export const purgeExpiredRefreshTokens = async (now = new Date()) => {
+  const { count } = await prisma.refreshToken.deleteMany({ where: { expires_at: { lt: now } } });
+  if (count > 0) {
+    logger.info("Expired refresh tokens purged", { count });
+  }
+  return count;
+};
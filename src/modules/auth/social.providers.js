@@ -0,0 +1,98 @@
+import jwt from "jsonwebtoken";
+import { env } from "../../config/env.js";
+import { AUTH_PROVIDERS } from "../../config/constants.js";
+import { UnauthorizedError } from "../../utils/errors.js";
+import { createJwksClient } from "./jwks.client.js";
+
+const INVALID_TOKEN_MESSAGE = "Invalid or expired ID token";
+
+// Providers send email_verified as a boolean or as the string "true"
+const isTrue = (value) => value === true || value === "true";
+
+/**
+ * Verifies a sign-in provider's ID tokens
+ * @param {Object} config
+ * @param {string} config.name - Provider (one of AUTH_PROVIDERS)
+ * @param {string[]} config.issuers - Accepted "iss" values
+ * @param {string[]} config.clientIds - Our client IDs (accepted "aud" values)
+ * @param {Object} config.jwks - JWKS client for the provider's signing keys
+ * @returns {Object} Provider
+ */
+export const createSocialProvider = ({ name, issuers, clientIds, jwks }) => {
+  return {
+    name,
+
+    /**
+     * Verify an ID token's signature, issuer, audience, expiry and (if given) nonce
+     * @param {string} idToken - ID token from the app
+     * @param {Object} [options]
+     * @param {string} [options.nonce] - Nonce the app put in the sign-in request
+     * @returns {Promise<{ subject: string, email: string|null, emailVerified: boolean, firstName: string|null, lastName: string|null }>}
+     * @throws {UnauthorizedError} If the token doesn't check out
+     */
+    async verify(idToken, { nonce } = {}) {
+      const decoded = jwt.decode(idToken, { complete: true });
+      if (!decoded?.header?.kid) {
+        throw new UnauthorizedError(INVALID_TOKEN_MESSAGE);
+      }
+
+      const key = await jwks.getKey(decoded.header.kid);
+      if (!key) {
+        throw new UnauthorizedError(INVALID_TOKEN_MESSAGE);
+      }
+
+      let claims;
+      try {
+        claims = jwt.verify(idToken, key, { algorithms: ["RS256"], issuer: issuers, audience: clientIds });
+      } catch {
+        throw new UnauthorizedError(INVALID_TOKEN_MESSAGE);
+      }
+
+      if (!claims.sub || (nonce !== undefined && claims.nonce !== nonce)) {
+        throw new UnauthorizedError(INVALID_TOKEN_MESSAGE);
+      }
+
+      return {
+        subject: claims.sub,
+        email: claims.email ? claims.email.toLowerCase() : null,
+        emailVerified: !!claims.email && isTrue(claims.email_verified),
+        firstName: claims.given_name || null,
+        lastName: claims.family_name || null,
+      };
+    },
+  };
+};
+
+const factories = {
+  [AUTH_PROVIDERS.GOOGLE]: () => env.GOOGLE_CLIENT_IDS.length > 0
+    ? createSocialProvider({
+      name: AUTH_PROVIDERS.GOOGLE,
+      issuers: ["https://accounts.google.com", "accounts.google.com"],
+      clientIds: env.GOOGLE_CLIENT_IDS,
+      jwks: createJwksClient({ url: env.GOOGLE_JWKS_URL }),
+    })
+    : null,
+  // Apple only puts the user's name in the app's sign-in response, never in the token
+  [AUTH_PROVIDERS.APPLE]: () => env.APPLE_CLIENT_IDS.length > 0
+    ? createSocialProvider({
+      name: AUTH_PROVIDERS.APPLE,
+      issuers: ["https://appleid.apple.com"],
+      clientIds: env.APPLE_CLIENT_IDS,
+      jwks: createJwksClient({ url: env.APPLE_JWKS_URL }),
+    })
+    : null,
+};
+
+const providers = new Map();
+
+/**
+ * Get a sign-in provider configured for this environment
+ * @param {string} name - Provider (google or apple)
+ * @returns {Object|null} Provider, or null when it isn't configured
+ */
+export const getSocialProvider = (name) => {
+  if (!providers.has(name)) {
+    providers.set(name, factories[name]?.() ?? null);
+  }
+  return providers.get(name);
+};
@@ -0,0 +1,121 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../../config/prisma.js";
+import { BOOKING_RULES, SLOT_CONFIG } from "../../config/constants.js";
+import { BadRequestError, ConflictError } from "../../utils/errors.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Resolve a therapist's buffer and minimum notice, falling back to platform defaults
+ * @param {Object} therapist - Therapist record
+ * @returns {{ buffer_minutes: number, min_notice_minutes: number }}
+ */
+export const getBookingRules = (therapist) => ({
+  buffer_minutes: therapist.buffer_minutes ?? BOOKING_RULES.DEFAULT_BUFFER_MINUTES,
+  min_notice_minutes: therapist.min_notice_minutes ?? BOOKING_RULES.DEFAULT_MIN_NOTICE_MINUTES,
+});
+
+/**
+ * Earliest instant a booking with this therapist may start
+ * @param {Object} therapist - Therapist record
+ * @param {Date} [now] - Reference time
+ * @returns {Date} Now plus the therapist's minimum notice
+ */
+export const getEarliestStart = (therapist, now = new Date()) => {
+  return new Date(now.getTime() + getBookingRules(therapist).min_notice_minutes * MINUTE_MS);
+};
+
+/**
+ * Format a number of minutes for error messages (e.g., "2 hours", "45 minutes")
+ */
+const formatMinutes = (minutes) => {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? "" : "s"}`;
+  }
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
+
+/**
+ * Ensure a start time respects the therapist's minimum booking notice
+ * @param {Object} therapist - Therapist record
+ * @param {Date} start - Requested start
+ * @throws {BadRequestError} If the start is too soon
+ */
+export const assertMinimumNotice = (therapist, start) => {
+  if (start < getEarliestStart(therapist)) {
+    const { min_notice_minutes } = getBookingRules(therapist);
+    throw new BadRequestError(
+      `Bookings with this therapist must be made at least ${formatMinutes(min_notice_minutes)} in advance`,
+    );
+  }
+};
+
+/**
+ * Check whether [start, end) overlaps an existing booking widened by the buffer on both sides
+ * @param {Date} start - Candidate start
+ * @param {Date} end - Candidate end
+ * @param {Object} booking - Existing booking with scheduled_start / scheduled_end
+ * @param {number} bufferMinutes - Gap required between sessions
+ * @returns {boolean} True if the two collide
+ */
+export const overlapsWithBuffer = (start, end, booking, bufferMinutes) => {
+  const buffer = bufferMinutes * MINUTE_MS;
+  return start.getTime() < new Date(booking.scheduled_end).getTime() + buffer
+    && new Date(booking.scheduled_start).getTime() - buffer < end.getTime();
+};
+
+/**
+ * Find a booking that collides with [start, end) for a therapist, buffer included
+ * @param {Object} params
+ * @param {Object} params.therapist - Therapist record
+ * @param {Date} params.start - Candidate start
+ * @param {Date} params.end - Candidate end
+ * @param {number} [params.excludeBookingId] - Booking to ignore (the one being moved)
+ * @param {Object} [params.client] - Prisma client or transaction client
+ * @returns {Promise<Object|null>} First conflicting booking, if any
+ */
+export const findConflictingBooking = async ({ therapist, start, end, excludeBookingId, client = prisma }) => {
+  const buffer = getBookingRules(therapist).buffer_minutes * MINUTE_MS;
+
+  return client.booking.findFirst({
+    where: {
+      therapist_id: therapist.id,
+      status: { in: SLOT_CONFIG.BLOCKING_BOOKING_STATUSES },
+      scheduled_start: { lt: new Date(end.getTime() + buffer) },
+      scheduled_end: { gt: new Date(start.getTime() - buffer) },
+      ...(excludeBookingId && { id: { not: excludeBookingId } }),
+    },
+    orderBy: { scheduled_start: "asc" },
+  });
+};
+
+/**
+ * Throw if [start, end) collides with another booking for the therapist
+ * @param {Object} params - Same as findConflictingBooking
+ * @throws {ConflictError} If the time is taken
+ */
+export const assertNoConflict = async (params) => {
+  const conflict = await findConflictingBooking(params);
+  if (conflict) {
+    throw new ConflictError("This time slot is not available. Please choose a different time.");
+  }
+};
+
+/**
+ * Run schedule changes for a therapist inside a transaction holding a lock on
+ * the therapist's row. Concurrent bookings for the same therapist wait for the
+ * lock, so the conflict check and the write cannot interleave.
+ * @param {number} therapistId - Therapist whose schedule is being changed
+ * @param {Function} work - async (tx) => result
+ * @returns {Promise<*>} Result of work
+ */
+export const withTherapistScheduleLock = (therapistId, work) => {
+  return prisma.$transaction(
+    async (tx) => {
+      await tx.$queryRaw`SELECT id FROM therapists WHERE id = ${therapistId} FOR UPDATE`;
+      return work(tx);
+    },
+    { isolationLevel: Prisma.TransactionIsolationLevel.ReadCommitted },
+  );
+};
@@ -0,0 +1,56 @@
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { USER_TYPES } from "../../config/constants.js";
+import { notify } from "../notifications/notification.service.js";
+
+// Notification template sent for each booking event
+export const BOOKING_NOTIFICATION_TEMPLATES = {
+  create: "booking_requested",
+  confirm: "booking_confirmed",
+  accept_reschedule: "booking_confirmed",
+  reschedule: "booking_rescheduled",
+  cancel: "booking_cancelled",
+  reminder_24h: "session_reminder_24h",
+  reminder_1h: "session_reminder_1h",
+  reminder_10m: "session_reminder_10m",
+};
+
+const fullName = (person) => (person ? `${person.first_name} ${person.last_name}` : "");
+
+/**
+ * Tell the patient and the therapist about a booking event, except whichever of them caused it
+ * Each one's message names the other party and shows the session time in their own timezone.
+ * @param {Object} booking - Booking after the event
+ * @param {string} event - Key of BOOKING_NOTIFICATION_TEMPLATES
+ * @param {Object} actor - { type, id } of who caused it
+ * @returns {Promise<void>}
+ */
+export const notifyBookingParties = async (booking, event, actor) => {
+  const templateName = BOOKING_NOTIFICATION_TEMPLATES[event];
+
+  try {
+    const nameSelect = { first_name: true, last_name: true };
+    const [user, therapist] = await Promise.all([
+      prisma.user.findUnique({ where: { id: booking.user_id }, select: nameSelect }),
+      prisma.therapist.findUnique({ where: { id: booking.therapist_id }, select: nameSelect }),
+    ]);
+
+    const parties = [
+      { type: USER_TYPES.USER, id: booking.user_id, otherName: fullName(therapist) },
+      { type: USER_TYPES.THERAPIST, id: booking.therapist_id, otherName: fullName(user) },
+    ].filter((party) => !(party.type === actor.type && party.id === actor.id));
+
+    await Promise.all(
+      parties.map((party) =>
+        notify(
+          { type: party.type, id: party.id },
+          templateName,
+          { name: party.otherName, date: new Date(booking.scheduled_start) },
+          { type: "booking", id: booking.id },
+        ),
+      ),
+    );
+  } catch (error) {
+    logger.error("Booking notification failed", { bookingId: booking.id, event, error: error.message });
+  }
+};
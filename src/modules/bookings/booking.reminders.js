@@ -0,0 +1,88 @@
+import logger from "../../config/logger.js";
+import prisma from "../../config/prisma.js";
+import { ACTOR_TYPES, BOOKING_STATUS, JOB_TYPES, REMINDER_CONFIG } from "../../config/constants.js";
+import { cancelJobs, scheduleJob } from "../../jobs/scheduler.js";
+import { notifyBookingParties } from "./booking.notifications.js";
+
+const reminderKeyPrefix = (bookingId) => `booking-${bookingId}-reminder-`;
+
+/**
+ * Schedule (or move) a booking's session reminders for its current start time
+ * Reminders whose time has already passed are dropped.
+ * @param {Object} tx - Transaction client
+ * @param {Object} booking - Booking with its current scheduled_start
+ * @param {Date} [now] - Reference time
+ */
+export const scheduleBookingReminders = async (tx, booking, now = new Date()) => {
+  const start = new Date(booking.scheduled_start);
+  const passed = [];
+
+  for (const offset of REMINDER_CONFIG.OFFSETS) {
+    const key = `${reminderKeyPrefix(booking.id)}${offset.name}`;
+    const runAt = new Date(start.getTime() - offset.minutes * 60 * 1000);
+
+    if (runAt <= now) {
+      passed.push(key);
+      continue;
+    }
+
+    await scheduleJob(
+      {
+        type: JOB_TYPES.SESSION_REMINDER,
+        key,
+        runAt,
+        payload: { booking_id: booking.id, reminder: offset.name, scheduled_start: start.toISOString() },
+      },
+      tx,
+    );
+  }
+
+  // Left over from an earlier start time
+  if (passed.length > 0) {
+    await cancelJobs({ keys: passed }, tx);
+  }
+};
+
+/**
+ * Drop a booking's pending session reminders
+ * @param {Object} tx - Transaction client
+ * @param {number} bookingId - Booking ID
+ */
+export const cancelBookingReminders = (tx, bookingId) => {
+  return cancelJobs({ keyPrefix: reminderKeyPrefix(bookingId) }, tx);
+};
+
+/**
+ * Job handler: remind both parties of an upcoming confirmed session
+ *
+ * Skipped when the booking is no longer confirmed, has moved since the
+ * reminder was scheduled, or when the reminder runs so late that a closer
+ * reminder is already due (e.g., after downtime).
+ * @param {Object} payload - { booking_id, reminder, scheduled_start }
+ */
+export const sendSessionReminder = async ({ booking_id, reminder, scheduled_start }) => {
+  const booking = await prisma.booking.findUnique({ where: { id: booking_id } });
+
+  const skip = (reason) => logger.info("Session reminder skipped", { bookingId: booking_id, reminder, reason });
+
+  if (!booking || booking.status !== BOOKING_STATUS.CONFIRMED) {
+    return skip("booking not confirmed");
+  }
+
+  if (new Date(booking.scheduled_start).getTime() !== new Date(scheduled_start).getTime()) {
+    return skip("booking moved");
+  }
+
+  const index = REMINDER_CONFIG.OFFSETS.findIndex((offset) => offset.name === reminder);
+  const closer = REMINDER_CONFIG.OFFSETS[index + 1];
+  const minutesLeft = (new Date(booking.scheduled_start).getTime() - Date.now()) / 60000;
+
+  if (minutesLeft <= 0) {
+    return skip("session already started");
+  }
+  if (closer && minutesLeft <= closer.minutes) {
+    return skip(`superseded by the ${closer.name} reminder`);
+  }
+
+  await notifyBookingParties(booking, `reminder_${reminder}`, { type: ACTOR_TYPES.SYSTEM, id: null });
+};
@@ -1,10 +1,24 @@
 import { Router } from "express";
-import { authenticate } from "../../middleware/auth.js";
+import { authenticate, requireVerifiedEmail } from "../../middleware/auth.js";
 import { authorize } from "../../middleware/rbac.js";
+import { audit } from "../../middleware/audit.js";
 import prisma from "../../config/prisma.js";
 import { successResponse, paginatedResponse, buildPaginationResponse, parsePaginationParams } from "../../utils/helpers.js";
 import { NotFoundError, BadRequestError, ForbiddenError } from "../../utils/errors.js";
-import { HTTP_STATUS, BOOKING_STATUS, USER_TYPES, FREE_SESSION_CONFIG, DEFAULTS, THERAPIST_STATUS } from "../../config/constants.js";
+import { HTTP_STATUS, BOOKING_STATUS, USER_TYPES, DEFAULTS, THERAPIST_STATUS } from "../../config/constants.js";
+import { isBookableSlot, resolveSessionLength } from "./booking.slots.js";
+import { assertMinimumNotice, assertNoConflict, withTherapistScheduleLock } from "./booking.conflicts.js";
+import {
+  assertActorAllowed,
+  assertTransition,
+  transitionBooking,
+  recordBookingCreated,
+  getBookingTimeline,
+} from "./booking.state.js";
+import { refundCancelledBooking } from "../payments/payment.service.js";
+import { consumeSessionAllowance } from "../subscriptions/subscription.service.js";
+import { getAuditContext } from "../audit/audit.service.js";
+import { notifyBookingParties } from "./booking.notifications.js";
 
 const router = Router();
 
@@ -70,6 +84,10 @@ const sanitizeTherapist = (therapist) => {
  *         currency:
  *           type: string
  *           example: USD
+ *         subscription_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Subscription whose allowance covers this session
  *         user_notes:
  *           type: string
  *           example: "I've been feeling anxious lately"
@@ -78,6 +96,41 @@ const sanitizeTherapist = (therapist) => {
  *         created_at:
  *           type: string
  *           format: date-time
+ *     BookingStatusHistory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         from_status:
+ *           type: string
+ *           nullable: true
+ *           description: Null for the entry recorded at creation
+ *           example: pending
+ *         to_status:
+ *           type: string
+ *           example: confirmed
+ *         action:
+ *           type: string
+ *           enum: [create, confirm, reschedule, accept_reschedule, cancel, complete, no_show]
+ *           example: confirm
+ *         actor_type:
+ *           type: string
+ *           enum: [user, therapist, admin, system]
+ *           example: therapist
+ *         actor_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 5
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         metadata:
+ *           type: object
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -212,7 +265,11 @@ router.get("/", authenticate, async (req, res, next) => {
  * /api/v1/bookings:
  *   post:
  *     summary: Create a new booking (User only)
- *     description: Users can book sessions with therapists. First session is free (30 minutes).
+ *     description: |
+ *       Users can book sessions with therapists. First session is free (30 minutes).
+ *       With an active subscription to the therapist, the session comes out of the current
+ *       period's allowance (`amount` 0, `subscription_id` set) until it runs out; after that
+ *       sessions are charged per booking.
  *     tags: [Bookings]
  *     security:
  *       - BearerAuth: []
@@ -239,7 +296,7 @@ router.get("/", authenticate, async (req, res, next) => {
  *               scheduled_start:
  *                 type: string
  *                 format: date-time
- *                 description: Start time of the session (must be in the future)
+ *                 description: Start time of the session (must be one of the slots from GET /api/v1/therapists/{id}/slots)
  *                 example: "2026-01-20T10:00:00Z"
  *               user_notes:
  *                 type: string
@@ -262,15 +319,17 @@ router.get("/", authenticate, async (req, res, next) => {
  *                 data:
  *                   $ref: '#/components/schemas/Booking'
  *       400:
- *         description: Bad request - Invalid data or scheduling conflict
+ *         description: Bad request - Invalid data, not an open slot, or inside the therapist's minimum notice
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Only users can create bookings
+ *         description: Forbidden - Only users can create bookings, or the user's email isn't verified yet
  *       404:
  *         description: Therapist not found
+ *       409:
+ *         description: Conflict - Overlaps another booking (including the therapist's buffer)
  */
-router.post("/", authenticate, async (req, res, next) => {
+router.post("/", authenticate, requireVerifiedEmail, audit("booking.created"), async (req, res, next) => {
   try {
     // Only users (patients) can create bookings
     if (req.user.type !== USER_TYPES.USER) {
@@ -336,77 +395,79 @@ router.post("/", authenticate, async (req, res, next) => {
       throw new NotFoundError("Therapist not found");
     }
 
-    // Check for scheduling conflicts (therapist already has a booking at this time)
-    const conflictingBooking = await prisma.booking.findFirst({
-      where: {
-        therapist_id: therapistIdInt,
-        status: { in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED] },
-        OR: [
-          {
-            AND: [
-              { scheduled_start: { lte: startDate } },
-              { scheduled_end: { gt: startDate } },
-            ],
-          },
-        ],
-      },
-    });
-
-    if (conflictingBooking) {
-      throw new BadRequestError("This time slot is not available. Please choose a different time.");
-    }
+    assertMinimumNotice(therapist, startDate);
 
-    // Determine if this is a free session
-    const is_free_session = !user.free_session_used;
+    // Free first session runs 30 minutes, paid sessions use the therapist's length
+    const { is_free_session, duration_minutes } = resolveSessionLength(therapist, user, session_type);
 
-    // Calculate duration and amount
-    let duration_minutes;
-    let amount;
-    let currency = therapist.session_rate_currency || DEFAULTS.CURRENCY;
+    // The start must be one of the therapist's open slots
+    const isOpenSlot = await isBookableSlot({
+      therapist,
+      start: startDate,
+      durationMinutes: duration_minutes,
+    });
 
-    if (is_free_session) {
-      // Free session: 30 minutes, no charge
-      duration_minutes = FREE_SESSION_CONFIG.DURATION_MINUTES;
-      amount = 0;
-    } else {
-      // Paid session: use therapist's default duration and rate
-      duration_minutes = therapist.session_duration_minutes || DEFAULTS.SESSION_DURATION_MINUTES;
-      amount = therapist.session_rate_amount || 0;
+    if (!isOpenSlot) {
+      throw new BadRequestError("This time slot is not available. Please choose one of the therapist's open slots.");
     }
 
+    // Free session: no charge. Paid session: therapist's rate
+    const amount = is_free_session ? 0 : therapist.session_rate_amount || 0;
+    const currency = therapist.session_rate_currency || DEFAULTS.CURRENCY;
+
     // Calculate scheduled_end
     const endDate = new Date(startDate.getTime() + duration_minutes * 60 * 1000);
 
-    const booking = await prisma.booking.create({
-      data: {
-        user_id: req.user.id,
-        therapist_id: therapistIdInt,
-        session_type,
-        scheduled_start: startDate,
-        scheduled_end: endDate,
-        duration_minutes,
-        is_free_session,
-        amount,
-        currency,
-        status: BOOKING_STATUS.PENDING,
-        user_notes,
-      },
-      include: {
-        therapist: {
-          select: {
-            id: true,
-            first_name: true,
-            last_name: true,
-            email: true,
-            title: true,
+    // Re-check for overlaps under the therapist lock so two patients can't take the same slot
+    const booking = await withTherapistScheduleLock(therapistIdInt, async (tx) => {
+      await assertNoConflict({ therapist, start: startDate, end: endDate, client: tx });
+
+      // An active subscription with allowance left covers the session instead of a charge
+      const subscription = is_free_session
+        ? null
+        : await consumeSessionAllowance(tx, { userId: req.user.id, therapistId: therapistIdInt });
+
+      const created = await tx.booking.create({
+        data: {
+          user_id: req.user.id,
+          therapist_id: therapistIdInt,
+          session_type,
+          scheduled_start: startDate,
+          scheduled_end: endDate,
+          duration_minutes,
+          is_free_session,
+          amount: subscription ? 0 : amount,
+          currency,
+          subscription_id: subscription?.id ?? null,
+          status: BOOKING_STATUS.PENDING,
+          user_notes,
+        },
+        include: {
+          therapist: {
+            select: {
+              id: true,
+              first_name: true,
+              last_name: true,
+              email: true,
+              title: true,
+            },
           },
         },
-      },
+      });
+
+      await recordBookingCreated(tx, created, { type: req.user.type, id: req.user.id });
+
+      return created;
     });
 
-    const message = is_free_session
-      ? "Free session booking created successfully. Waiting for therapist confirmation."
-      : "Booking created successfully. Waiting for therapist confirmation.";
+    await notifyBookingParties(booking, "create", { type: req.user.type, id: req.user.id });
+
+    let message = "Booking created successfully. Waiting for therapist confirmation.";
+    if (is_free_session) {
+      message = "Free session booking created successfully. Waiting for therapist confirmation.";
+    } else if (booking.subscription_id) {
+      message = "Booking created using your subscription. Waiting for therapist confirmation.";
+    }
 
     res.status(HTTP_STATUS.CREATED).json(successResponse(booking, message));
   } catch (error) {
@@ -419,7 +480,7 @@ router.post("/", authenticate, async (req, res, next) => {
  * /api/v1/bookings/{id}:
  *   get:
  *     summary: Get booking by ID
- *     description: Get detailed information about a specific booking
+ *     description: Get detailed information about a specific booking, including its status timeline
  *     tags: [Bookings]
  *     security:
  *       - BearerAuth: []
@@ -442,7 +503,15 @@ router.post("/", authenticate, async (req, res, next) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/Booking'
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Booking'
+ *                     - type: object
+ *                       properties:
+ *                         timeline:
+ *                           type: array
+ *                           description: Status changes, oldest first
+ *                           items:
+ *                             $ref: '#/components/schemas/BookingStatusHistory'
  *       401:
  *         description: Unauthorized
  *       403:
@@ -499,7 +568,9 @@ router.get("/:id", authenticate, async (req, res, next) => {
       throw new ForbiddenError("You don't have permission to view this booking");
     }
 
-    res.json(successResponse(booking));
+    const timeline = await getBookingTimeline(bookingId);
+
+    res.json(successResponse({ ...booking, timeline }));
   } catch (error) {
     next(error);
   }
@@ -510,7 +581,7 @@ router.get("/:id", authenticate, async (req, res, next) => {
  * /api/v1/bookings/{id}/confirm:
  *   post:
  *     summary: Confirm booking (Therapist only)
- *     description: Therapist accepts and confirms a pending booking request
+ *     description: Therapist accepts and confirms a pending booking request. The booking's session is created on confirmation.
  *     tags: [Bookings]
  *     security:
  *       - BearerAuth: []
@@ -546,17 +617,14 @@ router.get("/:id", authenticate, async (req, res, next) => {
  *       404:
  *         description: Booking not found
  */
-router.post("/:id/confirm", authenticate, async (req, res, next) => {
+router.post("/:id/confirm", authenticate, audit("booking.confirmed", { model: "booking" }), async (req, res, next) => {
   try {
     const bookingId = parseInt(req.params.id, 10);
     if (isNaN(bookingId)) {
       throw new BadRequestError("Invalid booking ID");
     }
 
-    // Only therapists can confirm bookings
-    if (req.user.type !== USER_TYPES.THERAPIST) {
-      throw new ForbiddenError("Only therapists can confirm bookings");
-    }
+    assertActorAllowed("confirm", req.user.type);
 
     const existingBooking = await prisma.booking.findUnique({
       where: { id: bookingId },
@@ -571,18 +639,11 @@ router.post("/:id/confirm", authenticate, async (req, res, next) => {
       throw new ForbiddenError("You can only confirm your own bookings");
     }
 
-    // Check valid status transitions
-    const confirmableStatuses = [BOOKING_STATUS.PENDING, BOOKING_STATUS.RESCHEDULED];
-    if (!confirmableStatuses.includes(existingBooking.status)) {
-      throw new BadRequestError(`Cannot confirm a booking with status: ${existingBooking.status}`);
-    }
-
-    const booking = await prisma.booking.update({
-      where: { id: bookingId },
-      data: {
-        status: BOOKING_STATUS.CONFIRMED,
-        confirmed_at: new Date(),
-      },
+    // Marks the free session as used when applicable
+    const booking = await transitionBooking({
+      booking: existingBooking,
+      action: "confirm",
+      actor: { type: req.user.type, id: req.user.id },
       include: {
         user: {
           select: {
@@ -595,13 +656,7 @@ router.post("/:id/confirm", authenticate, async (req, res, next) => {
       },
     });
 
-    // If this is a free session, mark user's free session as used
-    if (booking.is_free_session) {
-      await prisma.user.update({
-        where: { id: booking.user_id },
-        data: { free_session_used: true },
-      });
-    }
+    await notifyBookingParties(booking, "confirm", { type: req.user.type, id: req.user.id });
 
     res.json(successResponse(booking, "Booking confirmed successfully"));
   } catch (error) {
@@ -650,15 +705,17 @@ router.post("/:id/confirm", authenticate, async (req, res, next) => {
  *       200:
  *         description: Booking rescheduled successfully
  *       400:
- *         description: Bad request - Invalid time or booking cannot be rescheduled
+ *         description: Bad request - Invalid time, inside the therapist's minimum notice, or booking cannot be rescheduled
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - Can only reschedule your own bookings
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Conflict - New time overlaps another booking (including the therapist's buffer)
  */
-router.post("/:id/reschedule", authenticate, async (req, res, next) => {
+router.post("/:id/reschedule", authenticate, audit("booking.reschedule_requested", { model: "booking" }), async (req, res, next) => {
   try {
     const bookingId = parseInt(req.params.id, 10);
     if (isNaN(bookingId)) {
@@ -680,6 +737,8 @@ router.post("/:id/reschedule", authenticate, async (req, res, next) => {
       throw new BadRequestError("New scheduled time must be in the future");
     }
 
+    assertActorAllowed("reschedule", req.user.type);
+
     const existingBooking = await prisma.booking.findUnique({
       where: { id: bookingId },
     });
@@ -696,40 +755,58 @@ router.post("/:id/reschedule", authenticate, async (req, res, next) => {
       throw new ForbiddenError("You can only reschedule your own bookings");
     }
 
-    // Check valid status transitions
-    const reschedulableStatuses = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.RESCHEDULED];
-    if (!reschedulableStatuses.includes(existingBooking.status)) {
-      throw new BadRequestError(`Cannot reschedule a booking with status: ${existingBooking.status}`);
+    assertTransition(existingBooking, "reschedule", req.user.type);
+
+    const therapist = await prisma.therapist.findUnique({
+      where: { id: existingBooking.therapist_id },
+    });
+
+    if (!therapist) {
+      throw new NotFoundError("Therapist not found");
     }
 
+    assertMinimumNotice(therapist, newStartDate);
+
     // Calculate new end time based on existing duration
     const newEndDate = new Date(newStartDate.getTime() + existingBooking.duration_minutes * 60 * 1000);
 
-    // Track who requested the reschedule
-    const rescheduled_by = req.user.type;
+    const booking = await withTherapistScheduleLock(therapist.id, async (tx) => {
+      await assertNoConflict({
+        therapist,
+        start: newStartDate,
+        end: newEndDate,
+        excludeBookingId: bookingId,
+        client: tx,
+      });
 
-    const booking = await prisma.booking.update({
-      where: { id: bookingId },
-      data: {
-        status: BOOKING_STATUS.RESCHEDULED,
-        scheduled_start: newStartDate,
-        scheduled_end: newEndDate,
-        reschedule_reason: reason,
-        rescheduled_at: new Date(),
-        rescheduled_by,
-        // Reset confirmation - needs to be confirmed again after reschedule
-        confirmed_at: null,
-      },
-      include: {
-        user: {
-          select: { id: true, first_name: true, last_name: true, email: true },
+      // Records who requested it and resets confirmation until the other party accepts
+      return transitionBooking({
+        booking: existingBooking,
+        action: "reschedule",
+        actor: { type: req.user.type, id: req.user.id },
+        reason,
+        data: {
+          scheduled_start: newStartDate,
+          scheduled_end: newEndDate,
         },
-        therapist: {
-          select: { id: true, first_name: true, last_name: true, email: true },
+        metadata: {
+          previous_start: existingBooking.scheduled_start,
+          new_start: newStartDate,
         },
-      },
+        client: tx,
+        include: {
+          user: {
+            select: { id: true, first_name: true, last_name: true, email: true },
+          },
+          therapist: {
+            select: { id: true, first_name: true, last_name: true, email: true },
+          },
+        },
+      });
     });
 
+    await notifyBookingParties(booking, "reschedule", { type: req.user.type, id: req.user.id });
+
     const otherParty = isUser ? "therapist" : "user";
     res.json(successResponse(booking, `Booking rescheduled successfully. Waiting for ${otherParty} confirmation.`));
   } catch (error) {
@@ -773,21 +850,25 @@ router.post("/:id/reschedule", authenticate, async (req, res, next) => {
  *                 data:
  *                   $ref: '#/components/schemas/Booking'
  *       400:
- *         description: Bad request - Booking is not in rescheduled status
+ *         description: Bad request - Booking is not in rescheduled status or the proposed time has passed
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - Cannot accept your own reschedule request
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Conflict - Proposed time has since been taken by another booking
  */
-router.post("/:id/accept-reschedule", authenticate, async (req, res, next) => {
+router.post("/:id/accept-reschedule", authenticate, audit("booking.rescheduled", { model: "booking" }), async (req, res, next) => {
   try {
     const bookingId = parseInt(req.params.id, 10);
     if (isNaN(bookingId)) {
       throw new BadRequestError("Invalid booking ID");
     }
 
+    assertActorAllowed("accept_reschedule", req.user.type);
+
     const existingBooking = await prisma.booking.findUnique({
       where: { id: bookingId },
     });
@@ -813,22 +894,46 @@ router.post("/:id/accept-reschedule", authenticate, async (req, res, next) => {
       throw new BadRequestError("You cannot accept your own reschedule request. The other party must accept.");
     }
 
-    const booking = await prisma.booking.update({
-      where: { id: bookingId },
-      data: {
-        status: BOOKING_STATUS.CONFIRMED,
-        confirmed_at: new Date(),
-      },
-      include: {
-        user: {
-          select: { id: true, first_name: true, last_name: true, email: true },
-        },
-        therapist: {
-          select: { id: true, first_name: true, last_name: true, email: true },
+    if (existingBooking.scheduled_start <= new Date()) {
+      throw new BadRequestError("The proposed time has already passed. Please reschedule again.");
+    }
+
+    const therapist = await prisma.therapist.findUnique({
+      where: { id: existingBooking.therapist_id },
+    });
+
+    if (!therapist) {
+      throw new NotFoundError("Therapist not found");
+    }
+
+    // The proposed time may have been taken since the reschedule was requested
+    const booking = await withTherapistScheduleLock(therapist.id, async (tx) => {
+      await assertNoConflict({
+        therapist,
+        start: existingBooking.scheduled_start,
+        end: existingBooking.scheduled_end,
+        excludeBookingId: bookingId,
+        client: tx,
+      });
+
+      return transitionBooking({
+        booking: existingBooking,
+        action: "accept_reschedule",
+        actor: { type: req.user.type, id: req.user.id },
+        client: tx,
+        include: {
+          user: {
+            select: { id: true, first_name: true, last_name: true, email: true },
+          },
+          therapist: {
+            select: { id: true, first_name: true, last_name: true, email: true },
+          },
         },
-      },
+      });
     });
 
+    await notifyBookingParties(booking, "accept_reschedule", { type: req.user.type, id: req.user.id });
+
     res.json(successResponse(booking, "Rescheduled booking accepted and confirmed"));
   } catch (error) {
     next(error);
@@ -843,6 +948,15 @@ router.post("/:id/accept-reschedule", authenticate, async (req, res, next) => {
  *     description: |
  *       Cancel a booking. Can be done by user, therapist, or admin.
  *       If a free session is cancelled before it's completed, the user's free session is restored.
+ *
+ *       A paid booking is refunded automatically per the cancellation policy:
+ *       - Therapist or admin cancels: full refund
+ *       - Patient cancels more than 24 hours ahead (CANCELLATION_FULL_REFUND_HOURS): full refund
+ *       - Patient cancels later: CANCELLATION_LATE_REFUND_PERCENT (default 50%) refund
+ *
+ *       The response's `refund` is null when nothing was paid; otherwise it has `status`
+ *       (refunded, not_refunded or failed), `amount` and the `policy` rule applied. A failed
+ *       refund doesn't undo the cancellation.
  *     tags: [Bookings]
  *     security:
  *       - BearerAuth: []
@@ -876,7 +990,7 @@ router.post("/:id/accept-reschedule", authenticate, async (req, res, next) => {
  *       404:
  *         description: Booking not found
  */
-router.post("/:id/cancel", authenticate, async (req, res, next) => {
+router.post("/:id/cancel", authenticate, audit("booking.cancelled", { model: "booking" }), async (req, res, next) => {
   try {
     const bookingId = parseInt(req.params.id, 10);
     if (isNaN(bookingId)) {
@@ -885,6 +999,8 @@ router.post("/:id/cancel", authenticate, async (req, res, next) => {
 
     const { reason } = req.body;
 
+    assertActorAllowed("cancel", req.user.type);
+
     const existingBooking = await prisma.booking.findUnique({
       where: { id: bookingId },
     });
@@ -902,31 +1018,26 @@ router.post("/:id/cancel", authenticate, async (req, res, next) => {
       throw new ForbiddenError("You don't have permission to cancel this booking");
     }
 
-    // Check valid status transitions
-    const cancellableStatuses = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.RESCHEDULED];
-    if (!cancellableStatuses.includes(existingBooking.status)) {
-      throw new BadRequestError(`Cannot cancel a booking with status: ${existingBooking.status}`);
-    }
+    const actor = { type: req.user.type, id: req.user.id };
 
-    const booking = await prisma.booking.update({
-      where: { id: bookingId },
-      data: {
-        status: BOOKING_STATUS.CANCELLED,
-        cancelled_at: new Date(),
-        cancellation_reason: reason,
-        cancelled_by: req.user.type,
-      },
+    // Restores the free session if it was confirmed but never held
+    const booking = await transitionBooking({
+      booking: existingBooking,
+      action: "cancel",
+      actor,
+      reason,
     });
 
-    // If this was a free session that was confirmed but not completed, restore user's free session
-    if (existingBooking.is_free_session && existingBooking.status === BOOKING_STATUS.CONFIRMED) {
-      await prisma.user.update({
-        where: { id: existingBooking.user_id },
-        data: { free_session_used: false },
-      });
-    }
+    // Paid bookings are refunded per the cancellation policy
+    const refund = await refundCancelledBooking({
+      booking: existingBooking,
+      actor,
+      context: getAuditContext(req),
+    });
 
-    res.json(successResponse(booking, "Booking cancelled successfully"));
+    await notifyBookingParties(booking, "cancel", actor);
+
+    res.json(successResponse({ ...booking, refund }, "Booking cancelled successfully"));
   } catch (error) {
     next(error);
   }
@@ -971,7 +1082,7 @@ router.post("/:id/cancel", authenticate, async (req, res, next) => {
  *       404:
  *         description: Booking not found
  */
-router.post("/:id/complete", authenticate, async (req, res, next) => {
+router.post("/:id/complete", authenticate, audit("booking.completed", { model: "booking" }), async (req, res, next) => {
   try {
     const bookingId = parseInt(req.params.id, 10);
     if (isNaN(bookingId)) {
@@ -980,9 +1091,7 @@ router.post("/:id/complete", authenticate, async (req, res, next) => {
 
     const { therapist_notes } = req.body;
 
-    if (req.user.type !== USER_TYPES.THERAPIST) {
-      throw new ForbiddenError("Only therapists can mark bookings as completed");
-    }
+    assertActorAllowed("complete", req.user.type);
 
     const existingBooking = await prisma.booking.findUnique({
       where: { id: bookingId },
@@ -996,17 +1105,11 @@ router.post("/:id/complete", authenticate, async (req, res, next) => {
       throw new ForbiddenError("You can only complete your own bookings");
     }
 
-    if (existingBooking.status !== BOOKING_STATUS.CONFIRMED) {
-      throw new BadRequestError("Only confirmed bookings can be marked as completed");
-    }
-
-    const booking = await prisma.booking.update({
-      where: { id: bookingId },
-      data: {
-        status: BOOKING_STATUS.COMPLETED,
-        therapist_notes,
-        completed_at: new Date(),
-      },
+    const booking = await transitionBooking({
+      booking: existingBooking,
+      action: "complete",
+      actor: { type: req.user.type, id: req.user.id },
+      data: { therapist_notes },
     });
 
     res.json(successResponse(booking, "Booking marked as completed"));
@@ -1054,7 +1157,7 @@ router.post("/:id/complete", authenticate, async (req, res, next) => {
  *       404:
  *         description: Booking not found
  */
-router.post("/:id/no-show", authenticate, async (req, res, next) => {
+router.post("/:id/no-show", authenticate, audit("booking.no_show", { model: "booking" }), async (req, res, next) => {
   try {
     const bookingId = parseInt(req.params.id, 10);
     if (isNaN(bookingId)) {
@@ -1063,9 +1166,7 @@ router.post("/:id/no-show", authenticate, async (req, res, next) => {
 
     const { notes } = req.body;
 
-    if (req.user.type !== USER_TYPES.THERAPIST) {
-      throw new ForbiddenError("Only therapists can mark bookings as no-show");
-    }
+    assertActorAllowed("no_show", req.user.type);
 
     const existingBooking = await prisma.booking.findUnique({
       where: { id: bookingId },
@@ -1079,20 +1180,15 @@ router.post("/:id/no-show", authenticate, async (req, res, next) => {
       throw new ForbiddenError("You can only mark your own bookings as no-show");
     }
 
-    if (existingBooking.status !== BOOKING_STATUS.CONFIRMED) {
-      throw new BadRequestError("Only confirmed bookings can be marked as no-show");
-    }
-
-    const booking = await prisma.booking.update({
-      where: { id: bookingId },
-      data: {
-        status: BOOKING_STATUS.NO_SHOW,
-        therapist_notes: notes,
-      },
+    // The free session is NOT restored (user forfeited it)
+    const booking = await transitionBooking({
+      booking: existingBooking,
+      action: "no_show",
+      actor: { type: req.user.type, id: req.user.id },
+      reason: notes,
+      data: { therapist_notes: notes },
     });
 
-    // Note: For no-show, the free session is NOT restored (user forfeited it)
-
     res.json(successResponse(booking, "Booking marked as no-show"));
   } catch (error) {
     next(error);
@@ -0,0 +1,194 @@
+import prisma from "../../config/prisma.js";
+import {
+  DEFAULTS,
+  FREE_SESSION_CONFIG,
+  SLOT_CONFIG,
+} from "../../config/constants.js";
+import {
+  resolveTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  toDateKey,
+  addCalendarDays,
+  timeColumnToMinutes,
+} from "../../utils/timezone.js";
+import { getBookingRules, getEarliestStart, overlapsWithBuffer } from "./booking.conflicts.js";
+
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Decide whether a booking is the free first session and how long it runs
+ * @param {Object} therapist - Therapist record
+ * @param {Object|null} user - User record (null for anonymous callers)
+ * @param {string} sessionType - Session type (video, audio, chat)
+ * @returns {{ is_free_session: boolean, duration_minutes: number }}
+ */
+export const resolveSessionLength = (therapist, user, sessionType) => {
+  const is_free_session = !!user
+    && !user.free_session_used
+    && FREE_SESSION_CONFIG.ALLOWED_SESSION_TYPES.includes(sessionType);
+
+  const duration_minutes = is_free_session
+    ? FREE_SESSION_CONFIG.DURATION_MINUTES
+    : therapist.session_duration_minutes || DEFAULTS.SESSION_DURATION_MINUTES;
+
+  return { is_free_session, duration_minutes };
+};
+
+/**
+ * Subtract a [start, end) range from a list of [start, end) ranges (minutes)
+ */
+const subtractRange = (windows, start, end) => {
+  return windows.flatMap((w) => {
+    if (end <= w.start || start >= w.end) return [w];
+    const remaining = [];
+    if (start > w.start) remaining.push({ start: w.start, end: start });
+    if (end < w.end) remaining.push({ start: end, end: w.end });
+    return remaining;
+  });
+};
+
+/**
+ * Convert a pair of TIME columns to a minutes window
+ */
+const toWindow = (startTime, endTime) => {
+  const start = timeColumnToMinutes(startTime);
+  let end = timeColumnToMinutes(endTime);
+  if (start === null || end === null) return null;
+  // "00:00" as an end time means midnight at the end of the day
+  if (end === 0) end = MINUTES_PER_DAY;
+  return end > start ? { start, end } : null;
+};
+
+/**
+ * Build the working windows for one local date
+ * @param {Array} weekly - Weekly availability rows for the weekday
+ * @param {Array} exceptions - Exceptions for the date
+ * @returns {Array<{start: number, end: number}>} Windows in minutes from midnight
+ */
+const buildDayWindows = (weekly, exceptions) => {
+  let windows = weekly.map((a) => toWindow(a.start_time, a.end_time)).filter(Boolean);
+
+  // Special hours replace the weekly schedule for that date
+  const specialHours = exceptions
+    .filter((e) => e.is_available)
+    .map((e) => toWindow(e.start_time, e.end_time))
+    .filter(Boolean);
+  if (specialHours.length > 0) {
+    windows = specialHours;
+  }
+
+  // Days off remove the whole day, or just the given hours
+  for (const exception of exceptions.filter((e) => !e.is_available)) {
+    const blocked = toWindow(exception.start_time, exception.end_time);
+    windows = blocked ? subtractRange(windows, blocked.start, blocked.end) : [];
+  }
+
+  return windows;
+};
+
+/**
+ * Expand a therapist's weekly schedule into concrete bookable slots
+ * @param {Object} params
+ * @param {Object} params.therapist - Therapist record (needs id, timezone, buffer and notice settings)
+ * @param {Date} params.from - Range start (inclusive)
+ * @param {Date} params.to - Range end (inclusive)
+ * @param {number} params.durationMinutes - Length of each slot
+ * @param {number} [params.excludeBookingId] - Booking to ignore (e.g. when rescheduling it)
+ * @returns {Promise<Array<{start: Date, end: Date}>>} Open slots ordered by start
+ */
+export const getBookableSlots = async ({ therapist, from, to, durationMinutes, excludeBookingId }) => {
+  const timeZone = resolveTimezone(therapist.timezone);
+  const { buffer_minutes } = getBookingRules(therapist);
+  const bufferMs = buffer_minutes * 60 * 1000;
+  const earliestStart = getEarliestStart(therapist);
+  const rangeStart = from > earliestStart ? from : earliestStart;
+
+  if (rangeStart >= to) {
+    return [];
+  }
+
+  // Pad the UTC query window by a day on each side to cover the time zone offset
+  const [weekly, exceptions, bookings] = await Promise.all([
+    prisma.therapistAvailability.findMany({
+      where: { therapist_id: therapist.id, is_active: true },
+    }),
+    prisma.therapistAvailabilityException.findMany({
+      where: {
+        therapist_id: therapist.id,
+        exception_date: {
+          gte: new Date(rangeStart.getTime() - DAY_MS),
+          lte: new Date(to.getTime() + DAY_MS),
+        },
+      },
+    }),
+    prisma.booking.findMany({
+      where: {
+        therapist_id: therapist.id,
+        status: { in: SLOT_CONFIG.BLOCKING_BOOKING_STATUSES },
+        scheduled_start: { lt: new Date(to.getTime() + bufferMs) },
+        scheduled_end: { gt: new Date(rangeStart.getTime() - bufferMs) },
+        ...(excludeBookingId && { id: { not: excludeBookingId } }),
+      },
+      select: { scheduled_start: true, scheduled_end: true },
+    }),
+  ]);
+
+  const exceptionsByDate = {};
+  for (const exception of exceptions) {
+    const key = new Date(exception.exception_date).toISOString().split("T")[0];
+    (exceptionsByDate[key] ||= []).push(exception);
+  }
+
+  const slots = [];
+  const lastDay = toDateKey(getZonedParts(to, timeZone));
+  let day = addCalendarDays(getZonedParts(rangeStart, timeZone), 0);
+
+  while (toDateKey(day) <= lastDay) {
+    const windows = buildDayWindows(
+      weekly.filter((a) => a.day_of_week?.toLowerCase() === day.weekday),
+      exceptionsByDate[toDateKey(day)] || [],
+    );
+
+    // Consecutive slots are spaced by the session length plus the buffer
+    for (const window of windows) {
+      for (let minute = window.start; minute + durationMinutes <= window.end; minute += durationMinutes + buffer_minutes) {
+        const start = zonedTimeToUtc(day, minute, timeZone);
+        const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+
+        if (start < rangeStart || end > to) continue;
+
+        const overlapsBooking = bookings.some((b) => overlapsWithBuffer(start, end, b, buffer_minutes));
+        if (!overlapsBooking) {
+          slots.push({ start, end });
+        }
+      }
+    }
+
+    day = addCalendarDays(day, 1);
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Check whether a start instant is one of the therapist's open slots
+ * @param {Object} params
+ * @param {Object} params.therapist - Therapist record
+ * @param {Date} params.start - Requested start
+ * @param {number} params.durationMinutes - Session length
+ * @param {number} [params.excludeBookingId] - Booking to ignore
+ * @returns {Promise<boolean>} True if the start matches an open slot
+ */
+export const isBookableSlot = async ({ therapist, start, durationMinutes, excludeBookingId }) => {
+  const slots = await getBookableSlots({
+    therapist,
+    from: new Date(start.getTime() - DAY_MS),
+    to: new Date(start.getTime() + DAY_MS),
+    durationMinutes,
+    excludeBookingId,
+  });
+
+  return slots.some((slot) => slot.start.getTime() === start.getTime());
+};
@@ -0,0 +1,295 @@
+import prisma from "../../config/prisma.js";
+import { BOOKING_STATUS, ACTOR_TYPES } from "../../config/constants.js";
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../../utils/errors.js";
+import {
+  ensureSessionForBooking,
+  cancelSessionForBooking,
+  completeSessionForBooking,
+} from "../sessions/session.service.js";
+import { restoreSessionAllowance } from "../subscriptions/subscription.service.js";
+import { scheduleBookingReminders, cancelBookingReminders } from "./booking.reminders.js";
+
+const { PENDING, CONFIRMED, RESCHEDULED, CANCELLED, COMPLETED, NO_SHOW } = BOOKING_STATUS;
+
+/**
+ * Booking transitions
+ *
+ * Each entry lists the statuses it can start from, the status it ends in, the
+ * actor types allowed to trigger it, the booking fields it stamps, and the
+ * side effects that run in the same transaction. Ownership (is this *your*
+ * booking) stays with the caller; this table only knows about roles.
+ */
+export const BOOKING_TRANSITIONS = {
+  confirm: {
+    label: "confirm",
+    from: [PENDING, RESCHEDULED],
+    to: CONFIRMED,
+    // System confirms pending bookings once their payment comes through
+    actors: [ACTOR_TYPES.THERAPIST, ACTOR_TYPES.SYSTEM],
+    forbiddenMessage: "Only therapists can confirm bookings",
+    stamp: () => ({ confirmed_at: new Date() }),
+    after: async (tx, booking) => {
+      // Confirming the free session consumes it
+      if (booking.is_free_session) {
+        await tx.user.update({
+          where: { id: booking.user_id },
+          data: { free_session_used: true },
+        });
+      }
+      await ensureSessionForBooking(tx, booking);
+      await scheduleBookingReminders(tx, booking);
+    },
+  },
+  reschedule: {
+    label: "reschedule",
+    from: [PENDING, CONFIRMED, RESCHEDULED],
+    to: RESCHEDULED,
+    actors: [ACTOR_TYPES.USER, ACTOR_TYPES.THERAPIST],
+    forbiddenMessage: "Only the patient or therapist can reschedule a booking",
+    stamp: ({ actor, reason }) => ({
+      reschedule_reason: reason,
+      rescheduled_at: new Date(),
+      rescheduled_by: actor.type,
+      // Needs to be confirmed again after reschedule
+      confirmed_at: null,
+    }),
+    after: async (tx, booking, previousStatus) => {
+      // Reminders follow the new time; they only go out once it's accepted
+      if (previousStatus !== PENDING) {
+        await scheduleBookingReminders(tx, booking);
+      }
+    },
+  },
+  accept_reschedule: {
+    label: "accept the reschedule of",
+    from: [RESCHEDULED],
+    to: CONFIRMED,
+    actors: [ACTOR_TYPES.USER, ACTOR_TYPES.THERAPIST],
+    forbiddenMessage: "Only the patient or therapist can accept a reschedule",
+    stamp: () => ({ confirmed_at: new Date() }),
+    after: async (tx, booking) => {
+      if (booking.is_free_session) {
+        await tx.user.update({
+          where: { id: booking.user_id },
+          data: { free_session_used: true },
+        });
+      }
+      await ensureSessionForBooking(tx, booking);
+      await scheduleBookingReminders(tx, booking);
+    },
+  },
+  cancel: {
+    label: "cancel",
+    from: [PENDING, CONFIRMED, RESCHEDULED],
+    to: CANCELLED,
+    actors: [ACTOR_TYPES.USER, ACTOR_TYPES.THERAPIST, ACTOR_TYPES.ADMIN, ACTOR_TYPES.SYSTEM],
+    forbiddenMessage: "You don't have permission to cancel this booking",
+    stamp: ({ actor, reason }) => ({
+      cancelled_at: new Date(),
+      cancellation_reason: reason,
+      cancelled_by: actor.type,
+    }),
+    after: async (tx, booking, previousStatus, actor) => {
+      // A confirmed free session that never happened is given back
+      if (booking.is_free_session && previousStatus === CONFIRMED) {
+        await tx.user.update({
+          where: { id: booking.user_id },
+          data: { free_session_used: false },
+        });
+      }
+      // So is a subscription session, unless the patient cancelled late
+      await restoreSessionAllowance(tx, booking, actor);
+      await cancelSessionForBooking(tx, booking.id);
+      await cancelBookingReminders(tx, booking.id);
+    },
+  },
+  complete: {
+    label: "complete",
+    from: [CONFIRMED],
+    to: COMPLETED,
+    actors: [ACTOR_TYPES.THERAPIST, ACTOR_TYPES.SYSTEM],
+    forbiddenMessage: "Only therapists can mark bookings as completed",
+    stamp: () => ({ completed_at: new Date() }),
+    after: async (tx, booking) => {
+      // Closes attendance if the session wasn't ended from the call itself
+      await completeSessionForBooking(tx, booking.id);
+      await cancelBookingReminders(tx, booking.id);
+    },
+  },
+  no_show: {
+    label: "mark as no-show",
+    from: [CONFIRMED],
+    to: NO_SHOW,
+    actors: [ACTOR_TYPES.THERAPIST, ACTOR_TYPES.SYSTEM],
+    forbiddenMessage: "Only therapists can mark bookings as no-show",
+    // The free session is NOT restored on no-show (user forfeited it)
+    after: async (tx, booking) => {
+      await cancelSessionForBooking(tx, booking.id);
+      await cancelBookingReminders(tx, booking.id);
+    },
+  },
+};
+
+/**
+ * Look up a transition definition
+ * @param {string} action - Transition name (key of BOOKING_TRANSITIONS)
+ * @returns {Object} Transition definition
+ */
+const getTransition = (action) => {
+  const transition = BOOKING_TRANSITIONS[action];
+  if (!transition) {
+    throw new BadRequestError(`Unknown booking action: ${action}`);
+  }
+  return transition;
+};
+
+/**
+ * Ensure an actor type may trigger a transition at all
+ * @param {string} action - Transition name (key of BOOKING_TRANSITIONS)
+ * @param {string} actorType - user, therapist, admin or system
+ * @throws {ForbiddenError} If the actor type may not trigger it
+ */
+export const assertActorAllowed = (action, actorType) => {
+  const transition = getTransition(action);
+  if (!transition.actors.includes(actorType)) {
+    throw new ForbiddenError(transition.forbiddenMessage);
+  }
+};
+
+/**
+ * Ensure a transition is allowed for the booking's status and the actor's type
+ * @param {Object} booking - Booking record
+ * @param {string} action - Transition name (key of BOOKING_TRANSITIONS)
+ * @param {string} actorType - user, therapist, admin or system
+ * @returns {Object} Transition definition
+ * @throws {ForbiddenError} If the actor type may not trigger it
+ * @throws {BadRequestError} If the booking's status does not allow it
+ */
+export const assertTransition = (booking, action, actorType) => {
+  assertActorAllowed(action, actorType);
+
+  const transition = getTransition(action);
+  if (!transition.from.includes(booking.status)) {
+    throw new BadRequestError(`Cannot ${transition.label} a booking with status: ${booking.status}`);
+  }
+
+  return transition;
+};
+
+/**
+ * Write a status history row
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} entry - History fields
+ * @returns {Promise<Object>} Created history row
+ */
+const recordHistory = (client, { booking_id, from_status, to_status, action, actor, reason, metadata }) => {
+  return client.bookingStatusHistory.create({
+    data: {
+      booking_id,
+      from_status,
+      to_status,
+      action,
+      actor_type: actor.type,
+      actor_id: actor.id ?? null,
+      reason: reason || null,
+      metadata: metadata || undefined,
+    },
+  });
+};
+
+/**
+ * Record the initial status of a newly created booking
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} booking - Created booking
+ * @param {Object} actor - { type, id }
+ * @returns {Promise<Object>} Created history row
+ */
+export const recordBookingCreated = (client, booking, actor) => {
+  return recordHistory(client, {
+    booking_id: booking.id,
+    from_status: null,
+    to_status: booking.status,
+    action: "create",
+    actor,
+  });
+};
+
+/**
+ * Move a booking through a transition: validates it, updates the booking,
+ * writes the history row and runs side effects in one transaction
+ * @param {Object} params
+ * @param {Object} params.booking - Booking record as loaded by the caller
+ * @param {string} params.action - Transition name (key of BOOKING_TRANSITIONS)
+ * @param {Object} params.actor - { type, id } of who triggers it
+ * @param {string} [params.reason] - Reason stored on the booking and in history
+ * @param {Object} [params.data] - Extra booking fields to update (e.g., new schedule)
+ * @param {Object} [params.metadata] - Extra context for the history row
+ * @param {Object} [params.include] - Prisma include for the returned booking
+ * @param {Object} [params.client] - Transaction client; a new transaction is opened if omitted
+ * @returns {Promise<Object>} Updated booking
+ */
+export const transitionBooking = async ({ booking, action, actor, reason, data = {}, metadata, include, client }) => {
+  const transition = assertTransition(booking, action, actor.type);
+
+  const run = async (tx) => {
+    // Guard on the status we validated against so concurrent transitions can't both win
+    const { count } = await tx.booking.updateMany({
+      where: { id: booking.id, status: booking.status },
+      data: {
+        ...transition.stamp?.({ actor, reason }),
+        ...data,
+        status: transition.to,
+      },
+    });
+
+    if (count === 0) {
+      const current = await tx.booking.findUnique({ where: { id: booking.id }, select: { id: true } });
+      if (!current) {
+        throw new NotFoundError("Booking not found");
+      }
+      throw new ConflictError("This booking was updated by someone else. Please refresh and try again.");
+    }
+
+    await recordHistory(tx, {
+      booking_id: booking.id,
+      from_status: booking.status,
+      to_status: transition.to,
+      action,
+      actor,
+      reason,
+      metadata,
+    });
+
+    // Side effects see the booking with the fields this transition changed (e.g., a new start)
+    if (transition.after) {
+      await transition.after(tx, { ...booking, ...data }, booking.status, actor);
+    }
+
+    return tx.booking.findUnique({ where: { id: booking.id }, include });
+  };
+
+  return client ? run(client) : prisma.$transaction(run);
+};
+
+/**
+ * Get a booking's status timeline, oldest first
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Array>} History rows
+ */
+export const getBookingTimeline = (bookingId) => {
+  return prisma.bookingStatusHistory.findMany({
+    where: { booking_id: bookingId },
+    orderBy: [{ created_at: "asc" }, { id: "asc" }],
+    select: {
+      id: true,
+      from_status: true,
+      to_status: true,
+      action: true,
+      actor_type: true,
+      actor_id: true,
+      reason: true,
+      metadata: true,
+      created_at: true,
+    },
+  });
+};
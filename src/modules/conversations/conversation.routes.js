@@ -1,5 +1,5 @@
 import { Router } from "express";
-import { authenticate } from "../../middleware/auth.js";
+import { authenticate, requireVerifiedEmail } from "../../middleware/auth.js";
 import { validate } from "../../middleware/validate.js";
 import prisma from "../../config/prisma.js";
 import { successResponse, paginatedResponse, buildPaginationResponse, parsePaginationParams } from "../../utils/helpers.js";
@@ -511,11 +511,11 @@ router.get("/:id/messages", authenticate, validate(getMessagesSchema), async (re
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Not a participant or admin
+ *         description: Forbidden - Not a participant or admin, or the user's email isn't verified yet
  *       404:
  *         description: Conversation not found
  */
-router.post("/:id/messages", authenticate, validate(sendMessageSchema), async (req, res, next) => {
+router.post("/:id/messages", authenticate, requireVerifiedEmail, validate(sendMessageSchema), async (req, res, next) => {
   try {
     const conversationId = req.params.id;
 
@@ -610,11 +610,11 @@ router.post("/:id/messages", authenticate, validate(sendMessageSchema), async (r
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin or no booking relationship
+ *         description: Forbidden - Admin, no booking relationship, or the user's email isn't verified yet
  *       404:
  *         description: Therapist/User not found
  */
-router.post("/", authenticate, validate(createConversationSchema), async (req, res, next) => {
+router.post("/", authenticate, requireVerifiedEmail, validate(createConversationSchema), async (req, res, next) => {
   try {
     // Block admins
     if (req.user.type === USER_TYPES.ADMIN) {
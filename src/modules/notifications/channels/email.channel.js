@@ -0,0 +1,27 @@
+import { NOTIFICATION_CHANNELS } from "../../../config/constants.js";
+import { renderEmail } from "../email.layout.js";
+
+/**
+ * Email channel: sends the notification to the recipient's email address
+ * The email goes through the outbox, so the notification stays pending until
+ * the outbox has sent it (or given up on it).
+ * @param {Object} config
+ * @param {Function} [config.queue] - async (email) => outbox row (see email.outbox.js); email is off without one
+ * @returns {Object} Notification channel
+ */
+export const createEmailChannel = ({ queue }) => ({
+  name: NOTIFICATION_CHANNELS.EMAIL,
+
+  canDeliver(recipient) {
+    return !!queue && !!recipient.email;
+  },
+
+  async send({ notification, recipient, rendered }) {
+    const language = rendered.language || recipient.language;
+    const email = renderEmail({ subject: rendered.title, text: rendered.body, html: rendered.html, language });
+
+    const queued = await queue({ ...email, to: recipient.email, language, notificationId: notification.id });
+
+    return { pending: true, data: { email: { outbox_id: queued.id } } };
+  },
+});
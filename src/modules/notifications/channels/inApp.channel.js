@@ -0,0 +1,24 @@
+import { NOTIFICATION_CHANNELS } from "../../../config/constants.js";
+import { emitToRecipient, formatInboxNotification, getUnreadNotificationCount } from "../notification.helpers.js";
+
+/**
+ * In-app channel: the saved notification is what the recipient's inbox shows.
+ * Connected clients also get it over their personal socket room so badges
+ * update without polling.
+ * @returns {Object} Notification channel
+ */
+export const createInAppChannel = () => ({
+  name: NOTIFICATION_CHANNELS.IN_APP,
+
+  canDeliver() {
+    return true;
+  },
+
+  async send({ notification, recipient }) {
+    const unreadCount = await getUnreadNotificationCount(recipient);
+    emitToRecipient(recipient, "new_notification", {
+      notification: formatInboxNotification(notification),
+      unreadCount,
+    });
+  },
+});
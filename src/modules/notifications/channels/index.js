@@ -0,0 +1,44 @@
+import { NOTIFICATION_CHANNELS } from "../../../config/constants.js";
+import { createInAppChannel } from "./inApp.channel.js";
+import { createPushChannel } from "./push.channel.js";
+import { createEmailChannel } from "./email.channel.js";
+import { createSmsChannel } from "./sms.channel.js";
+import { getFcmClient } from "../fcm.client.js";
+import { getEmailTransport } from "../email.transport.js";
+import { queueEmail } from "../email.outbox.js";
+import { getSmsSender } from "../sms.sender.js";
+
+/**
+ * Notification channel interface
+ *
+ * @typedef {Object} NotificationChannel
+ * @property {string} name - Stored in notifications.channel
+ * @property {(recipient: Object) => boolean} canDeliver - False when the channel has no provider or the recipient no address for it
+ * @property {(params: { notification: Object, recipient: Object, rendered: Object }) => Promise<{ data?: Object, pending?: boolean }|void>} send -
+ *   Sends `rendered` (the saved notification may have secrets hidden). Throws if delivery fails. `data` (returned, or set on the thrown error) is merged into the notification's data.
+ *   `pending` leaves the notification pending for the channel to mark sent or failed later.
+ */
+
+const factories = {
+  [NOTIFICATION_CHANNELS.IN_APP]: () => createInAppChannel(),
+  [NOTIFICATION_CHANNELS.PUSH]: () => createPushChannel({ client: getFcmClient() }),
+  [NOTIFICATION_CHANNELS.EMAIL]: () => createEmailChannel({ queue: getEmailTransport() ? queueEmail : null }),
+  [NOTIFICATION_CHANNELS.SMS]: () => createSmsChannel({ sender: getSmsSender() }),
+};
+
+const channels = new Map();
+
+/**
+ * Get a notification channel by name
+ * @param {string} name - One of NOTIFICATION_CHANNELS
+ * @returns {NotificationChannel|null} Channel, or null for an unknown name
+ */
+export const getNotificationChannel = (name) => {
+  if (!factories[name]) {
+    return null;
+  }
+  if (!channels.has(name)) {
+    channels.set(name, factories[name]());
+  }
+  return channels.get(name);
+};
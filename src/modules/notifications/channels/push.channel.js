@@ -0,0 +1,59 @@
+import logger from "../../../config/logger.js";
+import { NOTIFICATION_CHANNELS } from "../../../config/constants.js";
+import { removeDeviceTokens } from "../device.service.js";
+
+/**
+ * Push channel: delivers to every device registered to the recipient
+ *
+ * Tokens FCM reports as no longer valid are removed. The result for each
+ * device is saved on the notification (under data.push); it counts as sent
+ * if at least one device accepted it.
+ * @param {Object} config
+ * @param {Object} [config.client] - FCM client (see fcm.client.js); push is off without one
+ * @returns {Object} Notification channel
+ */
+export const createPushChannel = ({ client }) => ({
+  name: NOTIFICATION_CHANNELS.PUSH,
+
+  canDeliver(recipient) {
+    return !!client && recipient.devices?.length > 0;
+  },
+
+  async send({ notification, recipient, rendered }) {
+    const data = { ...notification.data, notification_id: notification.id };
+
+    const results = await Promise.all(
+      recipient.devices.map(async (device) => ({
+        device,
+        result: await client.send({ token: device.token, title: rendered.title, body: rendered.body, data }),
+      })),
+    );
+
+    const stale = results.filter(({ result }) => result.stale).map(({ device }) => device.id);
+    if (stale.length > 0) {
+      await removeDeviceTokens(stale);
+      logger.info("Removed unregistered push devices", {
+        recipientType: recipient.type,
+        recipientId: recipient.id,
+        count: stale.length,
+      });
+    }
+
+    // Device IDs only: tokens are credentials and don't belong in notification data
+    const push = {
+      devices: results.map(({ device, result }) => ({
+        device_id: device.id,
+        platform: device.platform,
+        ...(result.messageId ? { message_id: result.messageId } : { error: result.error, removed: result.stale }),
+      })),
+    };
+
+    if (!results.some(({ result }) => result.messageId)) {
+      const error = new Error(`Push failed on all devices: ${[...new Set(results.map(({ result }) => result.error))].join(", ")}`);
+      error.data = { push };
+      throw error;
+    }
+
+    return { data: { push } };
+  },
+});
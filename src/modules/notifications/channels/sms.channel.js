@@ -0,0 +1,19 @@
+import { NOTIFICATION_CHANNELS } from "../../../config/constants.js";
+
+/**
+ * SMS channel: texts the notification body to the recipient's phone
+ * @param {Object} config
+ * @param {Object} [config.sender] - SMS sender (see sms.sender.js); SMS is off without one
+ * @returns {Object} Notification channel
+ */
+export const createSmsChannel = ({ sender }) => ({
+  name: NOTIFICATION_CHANNELS.SMS,
+
+  canDeliver(recipient) {
+    return !!sender && !!recipient.phone;
+  },
+
+  async send({ recipient, rendered }) {
+    await sender.send({ to: recipient.phone, text: rendered.body });
+  },
+});
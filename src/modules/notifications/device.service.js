@@ -0,0 +1,81 @@
+import prisma from "../../config/prisma.js";
+import { DEVICE_CONFIG } from "../../config/constants.js";
+
+const ownerWhere = (owner) => ({ owner_type: owner.type, owner_id: owner.id });
+
+/**
+ * Register a device for push notifications, or refresh it if already registered
+ * A token registered by another account moves to this one (the device changed
+ * hands or someone else signed in on it). Past MAX_PER_ACCOUNT devices, the
+ * least recently seen ones are dropped.
+ * @param {Object} owner - { type, id } of the signed-in account
+ * @param {Object} device
+ * @param {string} device.token - FCM registration token
+ * @param {string} device.platform - One of DEVICE_PLATFORMS
+ * @param {Object} [device.device_info] - App version, model, OS version
+ * @returns {Promise<Object>} Device token record
+ */
+export const registerDevice = async (owner, { token, platform, device_info }) => {
+  const data = {
+    ...ownerWhere(owner),
+    platform,
+    device_info: device_info ?? null,
+    last_seen_at: new Date(),
+  };
+
+  const device = await prisma.deviceToken.upsert({
+    where: { token },
+    create: { token, ...data },
+    update: data,
+  });
+
+  const extra = await prisma.deviceToken.findMany({
+    where: ownerWhere(owner),
+    orderBy: [{ last_seen_at: "desc" }, { id: "desc" }],
+    skip: DEVICE_CONFIG.MAX_PER_ACCOUNT,
+    select: { id: true },
+  });
+
+  if (extra.length > 0) {
+    await removeDeviceTokens(extra.map((row) => row.id));
+  }
+
+  return device;
+};
+
+/**
+ * Stop sending push notifications to a device (e.g., on sign-out)
+ * @param {Object} owner - { type, id } of the signed-in account
+ * @param {string} token - FCM registration token
+ * @returns {Promise<number>} Number of devices removed (0 if it wasn't registered to this account)
+ */
+export const unregisterDevice = async (owner, token) => {
+  const { count } = await prisma.deviceToken.deleteMany({ where: { token, ...ownerWhere(owner) } });
+  return count;
+};
+
+/**
+ * Get the devices registered to an account
+ * @param {Object} owner - { type, id }
+ * @returns {Promise<Object[]>} Devices, most recently seen first
+ */
+export const getDevices = (owner) => {
+  return prisma.deviceToken.findMany({
+    where: ownerWhere(owner),
+    orderBy: { last_seen_at: "desc" },
+    select: { id: true, token: true, platform: true },
+  });
+};
+
+/**
+ * Delete device tokens by ID (e.g., ones FCM reports as unregistered)
+ * @param {number[]} ids - Device token IDs
+ * @returns {Promise<number>} Number removed
+ */
+export const removeDeviceTokens = async (ids) => {
+  if (ids.length === 0) {
+    return 0;
+  }
+  const { count } = await prisma.deviceToken.deleteMany({ where: { id: { in: ids } } });
+  return count;
+};
@@ -0,0 +1,76 @@
+import { RTL_LANGUAGES } from "../../config/constants.js";
+import { escapeHtml } from "../../utils/helpers.js";
+
+const URL_PATTERN = /https?:\/\/[^\s<]+[^\s<.,;:!?)]/g;
+
+const FONT_FAMILY = "Tahoma, Arial, Helvetica, sans-serif";
+
+/**
+ * Turn plain text into HTML paragraphs: blank lines split paragraphs, single
+ * newlines become line breaks and URLs become links
+ * @param {string} text - Plain text
+ * @returns {string} HTML
+ */
+const textToHtml = (text) => {
+  return text
+    .split(/\n\s*\n/)
+    .filter((paragraph) => paragraph.trim())
+    .map((paragraph) => {
+      const html = escapeHtml(paragraph.trim())
+        .replace(URL_PATTERN, (url) => `<a href="${url}" style="color:#2f6f9f;">${url}</a>`)
+        .replace(/\n/g, "<br>");
+      return `<p style="margin:0 0 16px;">${html}</p>`;
+    })
+    .join("\n");
+};
+
+/**
+ * Build an email's HTML and plain-text versions from a rendered notification
+ *
+ * The HTML wraps the content in a simple, table-based layout that email
+ * clients render consistently. Arabic and Kurdish emails are laid out right to
+ * left (`dir="rtl"` on the document and every block, since some clients drop
+ * the one on <html>).
+ * @param {Object} params
+ * @param {string} params.subject - Subject line (also the heading)
+ * @param {string} params.text - Plain-text body
+ * @param {string} [params.html] - HTML body from the template; built from `text` when missing
+ * @param {string} params.language - Language the content is written in
+ * @returns {{ subject: string, html: string, text: string }} Email content
+ */
+export const renderEmail = ({ subject, text, html, language }) => {
+  const dir = RTL_LANGUAGES.includes(language) ? "rtl" : "ltr";
+  const align = dir === "rtl" ? "right" : "left";
+  const content = html || textToHtml(text);
+
+  return {
+    subject,
+    text: `${subject}\n\n${text}\n`,
+    html: `<!doctype html>
+<html lang="${escapeHtml(language)}" dir="${dir}">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(subject)}</title>
+  </head>
+  <body style="margin:0; padding:0; background:#f4f5f7;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f5f7;">
+      <tr>
+        <td align="center" style="padding:24px 12px;">
+          <table role="presentation" width="100%" cellpadding="0" cellspacing="0" dir="${dir}" style="max-width:560px; background:#ffffff; border-radius:8px;">
+            <tr>
+              <td dir="${dir}" style="padding:32px; font-family:${FONT_FAMILY}; font-size:16px; line-height:1.6; color:#1f2933; text-align:${align};">
+                <h1 style="margin:0 0 16px; font-size:20px; line-height:1.4;">${escapeHtml(subject)}</h1>
+                ${content}
+              </td>
+            </tr>
+          </table>
+          <p dir="${dir}" style="margin:16px 0 0; font-family:${FONT_FAMILY}; font-size:12px; color:#7b8794; text-align:center;">Nurozh</p>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>
+`,
+  };
+};
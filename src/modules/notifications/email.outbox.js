@@ -0,0 +1,208 @@
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { EMAIL_CONFIG, EMAIL_STATUS, JOB_TYPES, NOTIFICATION_STATUS } from "../../config/constants.js";
+import { cancelJobs, scheduleJob } from "../../jobs/scheduler.js";
+import { getEmailTransport } from "./email.transport.js";
+
+const { PENDING, SENDING, SENT, FAILED } = EMAIL_STATUS;
+
+const jobKey = (emailId) => `email-${emailId}`;
+
+const retryDelaySeconds = (attempts) => {
+  return EMAIL_CONFIG.RETRY_AFTER_SECONDS[attempts - 1] ?? EMAIL_CONFIG.RETRY_AFTER_SECONDS.at(-1);
+};
+
+// SMTP 5xx replies are permanent (unknown mailbox, rejected content): retrying won't help
+const isPermanentFailure = (error) => error.responseCode >= 500 && error.responseCode < 600;
+
+/**
+ * Claim an email for one attempt
+ * Besides pending emails, takes over ones left "sending" by an instance that
+ * died mid-send.
+ * @returns {Promise<Object|null>} Claimed email, or null if it isn't due for sending
+ */
+const claimEmail = async (emailId) => {
+  const stuckBefore = new Date(Date.now() - EMAIL_CONFIG.SENDING_TIMEOUT_MINUTES * 60 * 1000);
+
+  const { count } = await prisma.emailOutbox.updateMany({
+    where: {
+      id: emailId,
+      OR: [{ status: PENDING }, { status: SENDING, updated_at: { lt: stuckBefore } }],
+    },
+    data: { status: SENDING, attempts: { increment: 1 } },
+  });
+
+  return count === 1 ? prisma.emailOutbox.findUnique({ where: { id: emailId } }) : null;
+};
+
+/**
+ * Record how an attempt ended, unless another instance has taken the email over since
+ * @returns {Promise<boolean>} Whether it was recorded
+ */
+const finishAttempt = async (email, data) => {
+  const { count } = await prisma.emailOutbox.updateMany({
+    where: { id: email.id, status: SENDING, attempts: email.attempts },
+    data,
+  });
+  return count === 1;
+};
+
+// Once an email is done with, its content (which may hold a reset or verification
+// link) is dropped; the notification keeps a copy without secrets
+const CLEARED_CONTENT = { html: "", text: "" };
+
+/**
+ * Mirror the email's final outcome on its notification
+ */
+const updateNotification = (email, data) => {
+  if (!email.notification_id) {
+    return null;
+  }
+  return prisma.notification.updateMany({ where: { id: email.notification_id }, data });
+};
+
+/**
+ * Make one attempt at sending an outbox email
+ *
+ * On failure the email is retried after RETRY_AFTER_SECONDS (through the job
+ * scheduler) until max_attempts is reached; SMTP 5xx rejections fail it
+ * straight away. Once sent or failed, its content is cleared and its
+ * notification is updated to match.
+ * @param {number} emailId - Outbox email ID
+ * @returns {Promise<string|null>} Status after the attempt, or null if the email wasn't due
+ */
+export const sendOutboxEmail = async (emailId) => {
+  const email = await claimEmail(emailId);
+  if (!email) {
+    return null;
+  }
+
+  try {
+    const transport = getEmailTransport();
+    if (!transport) {
+      throw new Error("SMTP is not configured");
+    }
+
+    const { messageId } = await transport.send({
+      to: email.to_address,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      language: email.language,
+    });
+
+    const sentAt = new Date();
+    if (await finishAttempt(email, {
+      status: SENT,
+      sent_at: sentAt,
+      message_id: messageId || null,
+      last_error: null,
+      ...CLEARED_CONTENT,
+    })) {
+      await cancelJobs({ keys: [jobKey(email.id)] });
+      await updateNotification(email, { status: NOTIFICATION_STATUS.SENT, sent_at: sentAt });
+    }
+    return SENT;
+  } catch (error) {
+    const retry = email.attempts < email.max_attempts && !isPermanentFailure(error);
+    logger.warn("Email send failed", {
+      emailId: email.id,
+      attempt: email.attempts,
+      willRetry: retry,
+      responseCode: error.responseCode,
+      error: error.message,
+    });
+
+    if (!retry) {
+      if (await finishAttempt(email, { status: FAILED, last_error: error.message, ...CLEARED_CONTENT })) {
+        await cancelJobs({ keys: [jobKey(email.id)] });
+        await updateNotification(email, {
+          status: NOTIFICATION_STATUS.FAILED,
+          failed_at: new Date(),
+          failure_reason: error.message,
+        });
+      }
+      return FAILED;
+    }
+
+    const nextAttemptAt = new Date(Date.now() + retryDelaySeconds(email.attempts) * 1000);
+    if (await finishAttempt(email, { status: PENDING, next_attempt_at: nextAttemptAt, last_error: error.message })) {
+      await scheduleJob({
+        type: JOB_TYPES.EMAIL_DELIVERY,
+        key: jobKey(email.id),
+        runAt: nextAttemptAt,
+        payload: { email_id: email.id },
+      });
+    }
+    return PENDING;
+  }
+};
+
+/**
+ * Put an email in the outbox and start sending it
+ * The first attempt runs in the background; a scheduled job picks the email
+ * up again if that attempt never finishes (e.g., the process exits mid-send).
+ * @param {Object} email
+ * @param {string} email.to - Recipient address
+ * @param {string} email.subject - Subject line
+ * @param {string} email.html - HTML body
+ * @param {string} email.text - Plain-text body
+ * @param {string} email.language - Language the email is written in
+ * @param {number} [email.notificationId] - Notification to mark sent or failed with the email
+ * @returns {Promise<Object>} Outbox email
+ */
+export const queueEmail = async ({ to, subject, html, text, language, notificationId }) => {
+  const now = new Date();
+
+  const email = await prisma.$transaction(async (tx) => {
+    const created = await tx.emailOutbox.create({
+      data: {
+        notification_id: notificationId ?? null,
+        to_address: to,
+        subject: subject.slice(0, 255),
+        html,
+        text,
+        language,
+        status: PENDING,
+        max_attempts: EMAIL_CONFIG.MAX_ATTEMPTS,
+        next_attempt_at: now,
+      },
+    });
+
+    await scheduleJob(
+      {
+        type: JOB_TYPES.EMAIL_DELIVERY,
+        key: jobKey(created.id),
+        runAt: new Date(now.getTime() + (EMAIL_CONFIG.SENDING_TIMEOUT_MINUTES + 1) * 60 * 1000),
+        payload: { email_id: created.id },
+      },
+      tx,
+    );
+
+    return created;
+  });
+
+  sendOutboxEmail(email.id).catch((error) => {
+    logger.error("Email send attempt crashed", { emailId: email.id, error: error.message });
+  });
+
+  return email;
+};
+
+/**
+ * Delete sent and failed emails older than EMAIL_CONFIG.RETENTION_DAYS
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of emails deleted
+ */
+export const purgeOldOutboxEmails = async (now = new Date()) => {
+  const { count } = await prisma.emailOutbox.deleteMany({
+    where: {
+      status: { in: [SENT, FAILED] },
+      updated_at: { lt: new Date(now.getTime() - EMAIL_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000) },
+    },
+  });
+  if (count > 0) {
+    logger.info("Old outbox emails purged", { count });
+  }
+  return count;
+};
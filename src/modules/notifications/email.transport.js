@@ -0,0 +1,72 @@
+import nodemailer from "nodemailer";
+import { env } from "../../config/env.js";
+
+/**
+ * SMTP transport for outgoing email
+ * @param {Object} config
+ * @param {string} config.host - SMTP server
+ * @param {number} config.port - SMTP port
+ * @param {boolean} config.secure - TLS from the start (port 465); otherwise STARTTLS when offered
+ * @param {string} [config.user] - SMTP username (no auth if unset)
+ * @param {string} [config.password] - SMTP password
+ * @param {string} config.from - Sender address
+ * @returns {Object} Email transport
+ */
+export const createSmtpTransport = ({ host, port, secure, user, password, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 30000,
+  });
+
+  return {
+    /**
+     * Send one email
+     * @param {Object} params
+     * @param {string} params.to - Recipient address
+     * @param {string} params.subject - Subject line
+     * @param {string} params.html - HTML body
+     * @param {string} params.text - Plain-text body
+     * @param {string} [params.language] - Sent as Content-Language
+     * @returns {Promise<{ messageId: string }>}
+     * @throws {Error} With `responseCode` set when the server rejected the email
+     */
+    async send({ to, subject, html, text, language }) {
+      const info = await transporter.sendMail({
+        from,
+        to,
+        subject,
+        html,
+        text,
+        headers: language ? { "Content-Language": language } : undefined,
+      });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+let transport;
+
+/**
+ * Get the email transport configured for this environment
+ * @returns {Object|null} Email transport, or null when SMTP isn't configured
+ */
+export const getEmailTransport = () => {
+  if (transport === undefined) {
+    transport = env.SMTP_HOST
+      ? createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE,
+        user: env.SMTP_USER,
+        password: env.SMTP_PASSWORD,
+        from: env.EMAIL_FROM,
+      })
+      : null;
+  }
+  return transport;
+};
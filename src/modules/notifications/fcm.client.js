@@ -0,0 +1,148 @@
+import axios from "axios";
+import jwt from "jsonwebtoken";
+import { env } from "../../config/env.js";
+import logger from "../../config/logger.js";
+import { FCM_STALE_TOKEN_ERRORS } from "../../config/constants.js";
+
+const FCM_SCOPE = "https://www.googleapis.com/auth/firebase.messaging";
+
+// Refresh the OAuth access token this long before Google says it expires
+const ACCESS_TOKEN_MARGIN_SECONDS = 60;
+
+/**
+ * FCM only accepts string values in a message's data
+ */
+const toStringMap = (data = {}) => {
+  return Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, typeof value === "string" ? value : JSON.stringify(value)]),
+  );
+};
+
+/**
+ * Pull the FCM error code out of an HTTP v1 error response
+ * e.g. { error: { status: "NOT_FOUND", details: [{ errorCode: "UNREGISTERED" }] } }
+ */
+const fcmErrorCode = (error) => {
+  const body = error.response?.data?.error;
+  if (!body) {
+    return error.code || "NETWORK_ERROR";
+  }
+  return body.details?.find((detail) => detail.errorCode)?.errorCode || body.status || `HTTP_${error.response.status}`;
+};
+
+/**
+ * Firebase Cloud Messaging HTTP v1 client
+ * Authenticates as a service account: a signed JWT is exchanged for an OAuth
+ * access token, which is cached until shortly before it expires.
+ * @param {Object} config
+ * @param {string} config.projectId - Firebase project ID
+ * @param {string} config.clientEmail - Service account email
+ * @param {string} config.privateKey - Service account private key (PEM)
+ * @param {string} config.apiUrl - FCM API base URL
+ * @param {string} config.tokenUrl - OAuth token endpoint
+ * @returns {Object} FCM client
+ */
+export const createFcmClient = ({ projectId, clientEmail, privateKey, apiUrl, tokenUrl }) => {
+  const client = axios.create({ baseURL: apiUrl, timeout: 10000 });
+
+  let accessToken = null;
+  let accessTokenExpiresAt = 0;
+  let accessTokenRequest = null;
+
+  const fetchAccessToken = async () => {
+    const assertion = jwt.sign({ scope: FCM_SCOPE }, privateKey, {
+      algorithm: "RS256",
+      issuer: clientEmail,
+      audience: tokenUrl,
+      expiresIn: 3600,
+    });
+
+    const { data } = await axios.post(
+      tokenUrl,
+      new URLSearchParams({ grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer", assertion }).toString(),
+      { timeout: 10000, headers: { "content-type": "application/x-www-form-urlencoded" } },
+    );
+
+    accessToken = data.access_token;
+    accessTokenExpiresAt = Date.now() + ((data.expires_in || 3600) - ACCESS_TOKEN_MARGIN_SECONDS) * 1000;
+    return accessToken;
+  };
+
+  // Sends to several devices at once share one token request
+  const getAccessToken = () => {
+    if (accessToken && Date.now() < accessTokenExpiresAt) {
+      return accessToken;
+    }
+    if (!accessTokenRequest) {
+      accessTokenRequest = fetchAccessToken().finally(() => {
+        accessTokenRequest = null;
+      });
+    }
+    return accessTokenRequest;
+  };
+
+  return {
+    /**
+     * Send a notification to one device
+     * Never throws: failures come back as an error code, with `stale` set when
+     * FCM says the token will never work again.
+     * @param {Object} params
+     * @param {string} params.token - Device registration token
+     * @param {string} params.title - Notification title
+     * @param {string} params.body - Notification body
+     * @param {Object} [params.data] - Extra data for the app (values are sent as strings)
+     * @returns {Promise<{ messageId: string } | { error: string, stale: boolean }>}
+     */
+    async send({ token, title, body, data }) {
+      try {
+        const { data: response } = await client.post(
+          `/v1/projects/${encodeURIComponent(projectId)}/messages:send`,
+          {
+            message: {
+              token,
+              notification: { title, body },
+              data: toStringMap(data),
+              android: { priority: "high" },
+              apns: { payload: { aps: { sound: "default" } } },
+            },
+          },
+          { headers: { Authorization: `Bearer ${await getAccessToken()}` } },
+        );
+
+        return { messageId: response.name };
+      } catch (error) {
+        if (error.response?.status === 401) {
+          accessToken = null;
+        }
+
+        const code = fcmErrorCode(error);
+        logger.warn("FCM send failed", { status: error.response?.status, error: code });
+        return { error: code, stale: FCM_STALE_TOKEN_ERRORS.includes(code) };
+      }
+    },
+  };
+};
+
+let fcm;
+
+/**
+ * Get the FCM client configured for this environment
+ * @returns {Object|null} FCM client, or null when the service account isn't configured
+ */
+export const getFcmClient = () => {
+  if (fcm === undefined) {
+    fcm = env.FCM_PROJECT_ID && env.FCM_CLIENT_EMAIL && env.FCM_PRIVATE_KEY
+      ? createFcmClient({
+        projectId: env.FCM_PROJECT_ID,
+        clientEmail: env.FCM_CLIENT_EMAIL,
+        // Keys pasted into .env usually carry their newlines as "\n"
+        privateKey: env.FCM_PRIVATE_KEY.replace(/\\n/g, "\n"),
+        apiUrl: env.FCM_API_URL,
+        tokenUrl: env.FCM_TOKEN_URL,
+      })
+      : null;
+  }
+  return fcm;
+};
@@ -0,0 +1,53 @@
+import prisma from "../../config/prisma.js";
+import { NOTIFICATION_CHANNELS } from "../../config/constants.js";
+import { getIO } from "../../socket/index.js";
+
+/**
+ * Where clause for a recipient's inbox: their in-app notifications
+ * @param {Object} recipient - { type, id }
+ * @returns {Object} Prisma where clause
+ */
+export const inboxWhere = ({ type, id }) => ({
+  recipient_type: type,
+  recipient_id: id,
+  channel: NOTIFICATION_CHANNELS.IN_APP,
+});
+
+/**
+ * Count a recipient's unread in-app notifications
+ * @param {Object} recipient - { type, id }
+ * @returns {Promise<number>} Unread count
+ */
+export const getUnreadNotificationCount = (recipient) => {
+  return prisma.notification.count({ where: { ...inboxWhere(recipient), is_read: false } });
+};
+
+/**
+ * Shape a notification for the inbox (delivery bookkeeping left out)
+ * @param {Object} notification - Notification record
+ * @returns {Object} Inbox item
+ */
+export const formatInboxNotification = (notification) => ({
+  id: notification.id,
+  title: notification.title,
+  body: notification.body,
+  related_entity_type: notification.related_entity_type,
+  related_entity_id: notification.related_entity_id,
+  data: notification.data,
+  is_read: !!notification.is_read,
+  read_at: notification.read_at,
+  created_at: notification.created_at,
+});
+
+/**
+ * Emit an event to a recipient's personal Socket.IO room (`${type}-${id}`)
+ * @param {Object} recipient - { type, id }
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+export const emitToRecipient = ({ type, id }, event, payload) => {
+  const io = getIO();
+  if (io) {
+    io.to(`${type}-${id}`).emit(event, payload);
+  }
+};
@@ -0,0 +1,286 @@
+import { Router } from "express";
+import { authenticate } from "../../middleware/auth.js";
+import { validate } from "../../middleware/validate.js";
+import prisma from "../../config/prisma.js";
+import { successResponse, paginatedResponse, parsePaginationParams } from "../../utils/helpers.js";
+import { NotFoundError } from "../../utils/errors.js";
+import {
+  emitToRecipient,
+  formatInboxNotification,
+  getUnreadNotificationCount,
+  inboxWhere,
+} from "./notification.helpers.js";
+import { registerDevice, unregisterDevice } from "./device.service.js";
+import {
+  listNotificationsSchema,
+  markNotificationReadSchema,
+  registerDeviceSchema,
+  unregisterDeviceSchema,
+} from "./notification.schema.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /api/v1/notifications:
+ *   get:
+ *     summary: Get my notifications
+ *     description: |
+ *       Returns the caller's in-app notifications, newest first. Pass `pagination.nextCursor`
+ *       from a response as `cursor` to get the next page. New notifications are also pushed to
+ *       connected clients as a `new_notification` Socket.IO event with the current `unreadCount`.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: integer
+ *         description: Return notifications older than this notification ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread (true) or only read (false) notifications
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", authenticate, validate(listNotificationsSchema), async (req, res, next) => {
+  try {
+    const { limit } = parsePaginationParams(req.query);
+    const { cursor, unread } = req.query;
+
+    const where = inboxWhere(req.user);
+    if (unread !== undefined) {
+      where.is_read = unread !== "true";
+    }
+    if (cursor) {
+      where.id = { lt: parseInt(cursor, 10) };
+    }
+
+    // One extra row tells whether there's another page
+    const rows = await prisma.notification.findMany({
+      where,
+      orderBy: { id: "desc" },
+      take: limit + 1,
+    });
+
+    const hasMore = rows.length > limit;
+    const notifications = rows.slice(0, limit).map(formatInboxNotification);
+
+    res.json(paginatedResponse(notifications, {
+      limit,
+      nextCursor: hasMore ? notifications[notifications.length - 1].id : null,
+      hasMore,
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/notifications/unread-count:
+ *   get:
+ *     summary: Get my unread notification count
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/unread-count", authenticate, async (req, res, next) => {
+  try {
+    const unreadCount = await getUnreadNotificationCount(req.user);
+    res.json(successResponse({ unreadCount }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/notifications/read-all:
+ *   post:
+ *     summary: Mark all my notifications as read
+ *     description: Connected clients get a `notifications_read` Socket.IO event so other devices clear their badge.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/read-all", authenticate, async (req, res, next) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { ...inboxWhere(req.user), is_read: false },
+      data: { is_read: true, read_at: new Date() },
+    });
+
+    emitToRecipient(req.user, "notifications_read", { all: true, unreadCount: 0 });
+
+    res.json(successResponse({ updated: count, unreadCount: 0 }, "All notifications marked as read"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ */
+router.patch("/:id/read", authenticate, validate(markNotificationReadSchema), async (req, res, next) => {
+  try {
+    const notificationId = req.params.id;
+
+    // Scoped to the caller so other people's notifications look like they don't exist
+    const notification = await prisma.notification.findFirst({
+      where: { id: notificationId, ...inboxWhere(req.user) },
+    });
+
+    if (!notification) {
+      throw new NotFoundError("Notification not found");
+    }
+
+    let updated = notification;
+    if (!notification.is_read) {
+      updated = await prisma.notification.update({
+        where: { id: notificationId },
+        data: { is_read: true, read_at: new Date() },
+      });
+    }
+
+    const unreadCount = await getUnreadNotificationCount(req.user);
+    emitToRecipient(req.user, "notifications_read", { ids: [notificationId], unreadCount });
+
+    res.json(successResponse({ ...formatInboxNotification(updated), unreadCount }, "Notification marked as read"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/notifications/devices:
+ *   post:
+ *     summary: Register a device for push notifications
+ *     description: |
+ *       Call after sign-in and whenever Firebase issues a new registration token. Each
+ *       account can have several devices; registering a token that belongs to another
+ *       account moves it to the caller. Tokens Firebase reports as unregistered are
+ *       removed automatically.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - platform
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: FCM registration token
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android, web]
+ *               device_info:
+ *                 type: object
+ *                 properties:
+ *                   app_version:
+ *                     type: string
+ *                   model:
+ *                     type: string
+ *                   os_version:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Device registered
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/devices", authenticate, validate(registerDeviceSchema), async (req, res, next) => {
+  try {
+    const device = await registerDevice(req.user, req.body);
+
+    res.json(successResponse({
+      id: device.id,
+      platform: device.platform,
+      last_seen_at: device.last_seen_at,
+    }, "Device registered"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/notifications/devices/{token}:
+ *   delete:
+ *     summary: Unregister a push notification device
+ *     description: Call on sign-out so the device stops getting this account's notifications.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: FCM registration token (URL-encoded)
+ *     responses:
+ *       200:
+ *         description: Device unregistered (also when it wasn't registered)
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete("/devices/:token", authenticate, validate(unregisterDeviceSchema), async (req, res, next) => {
+  try {
+    const removed = await unregisterDevice(req.user, req.params.token);
+    res.json(successResponse({ removed }, "Device unregistered"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
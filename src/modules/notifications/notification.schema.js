@@ -0,0 +1,46 @@
+import { z } from "zod";
+import { DEVICE_PLATFORMS } from "../../config/constants.js";
+
+/**
+ * Schema for listing notifications
+ */
+export const listNotificationsSchema = z.object({
+  query: z.object({
+    cursor: z.string().regex(/^\d+$/, "Cursor must be a notification ID").optional(),
+    limit: z.string().regex(/^\d+$/, "Limit must be a number").optional(),
+    unread: z.enum(["true", "false"]).optional(),
+  }).optional(),
+});
+
+/**
+ * Schema for marking a notification as read
+ */
+export const markNotificationReadSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^\d+$/, "Notification ID must be a valid number").transform(Number),
+  }),
+});
+
+/**
+ * Schema for registering a push notification device
+ */
+export const registerDeviceSchema = z.object({
+  body: z.object({
+    token: z.string().trim().min(1, "Device token is required").max(255, "Device token is too long"),
+    platform: z.enum([DEVICE_PLATFORMS.IOS, DEVICE_PLATFORMS.ANDROID, DEVICE_PLATFORMS.WEB]),
+    device_info: z.object({
+      app_version: z.string().max(50).optional(),
+      model: z.string().max(100).optional(),
+      os_version: z.string().max(50).optional(),
+    }).optional(),
+  }),
+});
+
+/**
+ * Schema for unregistering a push notification device
+ */
+export const unregisterDeviceSchema = z.object({
+  params: z.object({
+    token: z.string().min(1).max(255, "Device token is too long"),
+  }),
+});
@@ -0,0 +1,236 @@
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { NOTIFICATION_CHANNELS, NOTIFICATION_STATUS, SUPPORTED_LANGUAGES, USER_TYPES } from "../../config/constants.js";
+import { resolveTimezone } from "../../utils/timezone.js";
+import { escapeHtml } from "../../utils/helpers.js";
+import { getNotificationChannel } from "./channels/index.js";
+import { getDevices } from "./device.service.js";
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Saved in place of secret variables (see notify's secretVariables option)
+const HIDDEN_VALUE = "[hidden]";
+
+// Our Kurdish content is Sorani (Arabic script); ICU's "ku" is Kurmanji (Latin script)
+const DATE_LOCALES = { [SUPPORTED_LANGUAGES.KU]: "ckb" };
+
+const recipientSelect = {
+  email: true,
+  phone: true,
+  first_name: true,
+  last_name: true,
+  preferred_language: true,
+  timezone: true,
+};
+
+/**
+ * Load what the channels need to know about a recipient
+ * @param {Object} recipient - { type, id }
+ * @returns {Promise<Object|null>} Recipient with language, timezone, addresses and push devices, or null if not found
+ */
+const loadRecipient = async ({ type, id }) => {
+  let record = null;
+
+  if (type === USER_TYPES.USER) {
+    record = await prisma.user.findUnique({ where: { id }, select: { ...recipientSelect, deleted_at: true } });
+  } else if (type === USER_TYPES.THERAPIST) {
+    record = await prisma.therapist.findUnique({ where: { id }, select: { ...recipientSelect, deleted_at: true } });
+  } else if (type === USER_TYPES.ADMIN) {
+    record = await prisma.admin.findUnique({ where: { id }, select: { email: true, first_name: true, last_name: true } });
+  }
+
+  if (!record || record.deleted_at) {
+    return null;
+  }
+
+  return {
+    ...record,
+    type,
+    id,
+    language: record.preferred_language || SUPPORTED_LANGUAGES.EN,
+    timezone: resolveTimezone(record.timezone),
+    devices: await getDevices({ type, id }),
+  };
+};
+
+/**
+ * Language a template is rendered in: the recipient's if the template has it, otherwise English
+ */
+const resolveTemplateLanguage = (template, language) => {
+  const title = template.title_template;
+  return title && typeof title === "object" && title[language] ? language : SUPPORTED_LANGUAGES.EN;
+};
+
+/**
+ * Get a multilingual template field in a language
+ * @param {Object|string} field - {"en": "...", "ar": "...", "ku": "..."} or a plain string
+ * @param {string} language - Language to pick
+ * @returns {string} Template text
+ */
+const pickLanguage = (field, language) => {
+  if (typeof field === "string") {
+    return field;
+  }
+  return field?.[language] ?? field?.[SUPPORTED_LANGUAGES.EN] ?? "";
+};
+
+/**
+ * Render a template in a language, filling {{placeholders}} from `variables`
+ * Templates without the language fall back to English. Dates are formatted in
+ * the rendered language and the recipient's timezone. Unknown placeholders
+ * render as empty text; values placed in the HTML body are escaped.
+ * @param {Object} template - NotificationTemplate record
+ * @param {Object} params
+ * @param {string} params.language - Recipient's language
+ * @param {string} [params.timezone] - Recipient's timezone
+ * @param {Object} [params.variables] - Placeholder values
+ * @returns {{ title: string, body: string, html: string|null, language: string }} Rendered notification
+ */
+export const renderTemplate = (template, { language, timezone = "UTC", variables = {} }) => {
+  const rendered = resolveTemplateLanguage(template, language);
+  const dateFormat = new Intl.DateTimeFormat(DATE_LOCALES[rendered] || rendered, {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: timezone,
+  });
+
+  const format = (value) => {
+    if (value instanceof Date) {
+      return dateFormat.format(value);
+    }
+    return value === undefined || value === null ? "" : String(value);
+  };
+
+  const fill = (text, escape = (value) => value) => {
+    return text.replace(PLACEHOLDER, (match, name) => escape(format(variables[name])));
+  };
+
+  return {
+    title: fill(pickLanguage(template.title_template, rendered)),
+    body: fill(pickLanguage(template.body_template, rendered)),
+    html: template.html_template ? fill(pickLanguage(template.html_template, rendered), escapeHtml) : null,
+    language: rendered,
+  };
+};
+
+/**
+ * Save one notification for a channel and hand it to the channel
+ * The channel sends `rendered`; the saved row gets `stored`, which differs when
+ * secret variables were left out of it.
+ * @returns {Promise<Object>} Notification with its final status
+ */
+const deliver = async ({ channel, recipient, template, rendered, stored = rendered, relatedEntity, data }) => {
+  const notification = await prisma.notification.create({
+    data: {
+      recipient_type: recipient.type,
+      recipient_id: recipient.id,
+      template_id: template.id,
+      title: stored.title,
+      body: stored.body,
+      channel: channel.name,
+      status: NOTIFICATION_STATUS.PENDING,
+      related_entity_type: relatedEntity?.type || null,
+      related_entity_id: relatedEntity?.id ?? null,
+      data,
+    },
+  });
+
+  // Channels can report delivery details (e.g., per-device push results)
+  const withResult = (result) => (result?.data ? { data: { ...data, ...result.data } } : {});
+
+  try {
+    const result = await channel.send({ notification, recipient, rendered });
+
+    // Queued: the channel records the outcome on the notification once it's known
+    if (result?.pending) {
+      return await prisma.notification.update({ where: { id: notification.id }, data: withResult(result) });
+    }
+
+    return await prisma.notification.update({
+      where: { id: notification.id },
+      data: { status: NOTIFICATION_STATUS.SENT, sent_at: new Date(), ...withResult(result) },
+    });
+  } catch (error) {
+    logger.warn("Notification delivery failed", {
+      notificationId: notification.id,
+      channel: channel.name,
+      error: error.message,
+    });
+    return prisma.notification.update({
+      where: { id: notification.id },
+      data: {
+        status: NOTIFICATION_STATUS.FAILED,
+        failed_at: new Date(),
+        failure_reason: error.message,
+        ...withResult(error),
+      },
+    });
+  }
+};
+
+/**
+ * Notify a user, therapist or admin using a notification template
+ *
+ * Renders the template in the recipient's preferred language (English if the
+ * template has no translation) and sends it on each channel: in-app plus the
+ * template's own channel by default. Every channel gets its own notification
+ * row tracking whether it was sent; channels without a provider or without an
+ * address for the recipient are skipped.
+ *
+ * Never throws: a notification that can't be sent must not fail the action
+ * that triggered it.
+ * @param {Object} recipient - { type, id }
+ * @param {string} templateName - NotificationTemplate name
+ * @param {Object} [variables] - Placeholder values (Date values are localized)
+ * @param {Object} [relatedEntity] - { type, id } the notification is about (e.g., the booking)
+ * @param {Object} [options]
+ * @param {string[]} [options.channels] - Override the channels to send on
+ * @param {string[]} [options.secretVariables] - Variables only the channels see (e.g., a link carrying a
+ *   token); the saved notification shows "[hidden]" instead
+ * @returns {Promise<Object[]>} Saved notifications, one per channel attempted
+ */
+export const notify = async (recipient, templateName, variables = {}, relatedEntity = null, options = {}) => {
+  try {
+    const template = await prisma.notificationTemplate.findUnique({ where: { name: templateName } });
+    if (!template || template.is_active === false) {
+      logger.warn("Notification template missing or inactive", { templateName });
+      return [];
+    }
+
+    const profile = await loadRecipient(recipient);
+    if (!profile) {
+      logger.warn("Notification recipient not found", { templateName, recipient });
+      return [];
+    }
+
+    const channelNames = options.channels || [
+      ...new Set([NOTIFICATION_CHANNELS.IN_APP, template.channel || NOTIFICATION_CHANNELS.PUSH]),
+    ];
+
+    const rendered = renderTemplate(template, { language: profile.language, timezone: profile.timezone, variables });
+    const secrets = options.secretVariables || [];
+    const stored = secrets.length === 0 ? rendered : renderTemplate(template, {
+      language: profile.language,
+      timezone: profile.timezone,
+      variables: { ...variables, ...Object.fromEntries(secrets.map((name) => [name, HIDDEN_VALUE])) },
+    });
+    const data = {
+      template: templateName,
+      ...(relatedEntity && { entity_type: relatedEntity.type, entity_id: relatedEntity.id }),
+    };
+
+    const notifications = [];
+    for (const name of channelNames) {
+      const channel = getNotificationChannel(name);
+      if (!channel || !channel.canDeliver(profile)) {
+        continue;
+      }
+      notifications.push(await deliver({ channel, recipient: profile, template, rendered, stored, relatedEntity, data }));
+    }
+
+    return notifications;
+  } catch (error) {
+    logger.error("Notification failed", { templateName, recipient, error: error.message });
+    return [];
+  }
+};
@@ -0,0 +1,59 @@
+import fs from "fs/promises";
+import path from "path";
+import { env } from "../../config/env.js";
+import logger from "../../config/logger.js";
+import { NODE_ENV, SMS_PROVIDERS } from "../../config/constants.js";
+
+/**
+ * SMS sender interface
+ *
+ * @typedef {Object} SmsSender
+ * @property {string} name - One of SMS_PROVIDERS
+ * @property {(message: { to: string, text: string }) => Promise<void>} send - Throws if the message wasn't sent
+ */
+
+/**
+ * Development sender: writes each message to the log instead of texting it
+ * @returns {SmsSender}
+ */
+export const createConsoleSmsSender = () => ({
+  name: SMS_PROVIDERS.CONSOLE,
+
+  async send({ to, text }) {
+    logger.info("SMS (console sender)", { to, text });
+  },
+});
+
+/**
+ * Development sender: appends each message to a file as a line of JSON
+ * @param {Object} config
+ * @param {string} config.filePath - File to append to (created if missing)
+ * @returns {SmsSender}
+ */
+export const createFileSmsSender = ({ filePath }) => ({
+  name: SMS_PROVIDERS.FILE,
+
+  async send({ to, text }) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify({ to, text, sent_at: new Date().toISOString() })}\n`);
+  },
+});
+
+const factories = {
+  [SMS_PROVIDERS.CONSOLE]: () => createConsoleSmsSender(),
+  [SMS_PROVIDERS.FILE]: () => createFileSmsSender({ filePath: env.SMS_FILE_PATH }),
+};
+
+let sender;
+
+/**
+ * Get the SMS sender configured for this environment
+ * @returns {SmsSender|null} Sender, or null when SMS isn't configured
+ */
+export const getSmsSender = () => {
+  if (sender === undefined) {
+    const provider = env.SMS_PROVIDER || (env.NODE_ENV === NODE_ENV.DEVELOPMENT ? SMS_PROVIDERS.CONSOLE : null);
+    sender = provider ? factories[provider]() : null;
+  }
+  return sender;
+};
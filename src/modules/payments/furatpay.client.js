@@ -0,0 +1,193 @@
+import crypto from "crypto";
+import axios from "axios";
+import { env } from "../../config/env.js";
+import logger from "../../config/logger.js";
+import { FURATPAY_EVENTS, PAYMENT_CONFIG } from "../../config/constants.js";
+import { InternalServerError, UnauthorizedError, BadRequestError } from "../../utils/errors.js";
+
+export const FURATPAY_SOURCE = "furatpay";
+
+export const SIGNATURE_HEADER = "x-furatpay-signature";
+export const TIMESTAMP_HEADER = "x-furatpay-timestamp";
+
+/**
+ * Sign a webhook body the way FuratPay does: hex HMAC-SHA256 of `${timestamp}.${rawBody}`
+ * @param {string} secret - Webhook signing secret
+ * @param {string|number} timestamp - Unix seconds sent in the timestamp header
+ * @param {string} rawBody - Exact request body
+ * @returns {string} Hex signature
+ */
+export const signWebhookPayload = (secret, timestamp, rawBody) => {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+};
+
+/**
+ * FuratPay API client
+ * @param {Object} config
+ * @param {string} config.apiUrl - FuratPay REST API base URL
+ * @param {string} config.apiKey - FuratPay API key
+ * @param {string} config.webhookSecret - Secret used to sign webhooks
+ * @param {string} config.callbackUrl - Where FuratPay sends invoice webhooks
+ * @param {string} [config.returnUrl] - Where the payer is sent after paying
+ * @returns {Object} FuratPay client
+ */
+export const createFuratPayClient = ({ apiUrl, apiKey, webhookSecret, callbackUrl, returnUrl }) => {
+  const client = axios.create({
+    baseURL: apiUrl,
+    timeout: 10000,
+    headers: { Authorization: `Bearer ${apiKey}` },
+  });
+
+  return {
+    /**
+     * Create an invoice and get its pay link
+     * @param {Object} params
+     * @param {string} params.reference - Our reference, echoed back in webhooks
+     * @param {number|string} params.amount - Amount to charge
+     * @param {string} params.currency - ISO currency code
+     * @param {string} params.description - Shown to the payer
+     * @param {Object} params.customer - { name, email, phone }
+     * @param {Date} params.expiresAt - When the pay link stops working
+     * @returns {Promise<{ invoice_id: string, pay_link: string, expires_at: Date }>}
+     */
+    async createInvoice({ reference, amount, currency, description, customer, expiresAt }) {
+      if (!apiKey) {
+        throw new InternalServerError("FuratPay is not configured");
+      }
+
+      try {
+        const { data } = await client.post("/invoices", {
+          reference,
+          amount: Number(amount).toFixed(2),
+          currency,
+          description,
+          customer,
+          callback_url: callbackUrl,
+          return_url: returnUrl,
+          expires_at: expiresAt.toISOString(),
+        });
+
+        return {
+          invoice_id: data.id,
+          pay_link: data.pay_link,
+          expires_at: data.expires_at ? new Date(data.expires_at) : expiresAt,
+        };
+      } catch (error) {
+        logger.error("FuratPay invoice creation failed", {
+          reference,
+          status: error.response?.status,
+          error: error.response?.data || error.message,
+        });
+        throw new InternalServerError("Payment provider request failed");
+      }
+    },
+
+    /**
+     * Refund all or part of a paid invoice
+     * @param {Object} params
+     * @param {string} params.invoiceId - FuratPay invoice ID
+     * @param {number|string} params.amount - Amount to refund
+     * @param {string} [params.reason] - Shown on the refund
+     * @param {string} params.idempotencyKey - Same key, same refund: retries never refund twice
+     * @returns {Promise<{ refund_id: string, amount: string, status: string }>}
+     * @throws {BadRequestError} If FuratPay rejects the refund (e.g., more than what's left)
+     */
+    async refundInvoice({ invoiceId, amount, reason, idempotencyKey }) {
+      if (!apiKey) {
+        throw new InternalServerError("FuratPay is not configured");
+      }
+
+      try {
+        const { data } = await client.post(
+          `/invoices/${encodeURIComponent(invoiceId)}/refunds`,
+          { amount: Number(amount).toFixed(2), reason },
+          { headers: { "Idempotency-Key": idempotencyKey } },
+        );
+
+        return { refund_id: data.id, amount: data.amount, status: data.status };
+      } catch (error) {
+        logger.error("FuratPay refund failed", {
+          invoiceId,
+          status: error.response?.status,
+          error: error.response?.data || error.message,
+        });
+        if (error.response?.status >= 400 && error.response?.status < 500) {
+          throw new BadRequestError(`Refund rejected by payment provider: ${error.response.data?.error || "unknown error"}`);
+        }
+        throw new InternalServerError("Payment provider request failed");
+      }
+    },
+
+    /**
+     * Verify a webhook's signature and freshness, then normalize it
+     * @param {Object} req
+     * @param {Object} req.headers - Request headers
+     * @param {Buffer} req.rawBody - Raw request body
+     * @param {Object} req.body - Parsed request body
+     * @param {Date} [now] - Reference time
+     * @returns {{ id: string, type: string, invoice_id: string, reference: string, amount: string, currency: string, payment_method: string, transaction_id: string, occurred_at: Date }}
+     * @throws {UnauthorizedError} If the signature is missing, wrong or too old
+     * @throws {BadRequestError} If the event is not an invoice event
+     */
+    parseWebhook({ headers, rawBody, body }, now = new Date()) {
+      if (!webhookSecret) {
+        throw new InternalServerError("FuratPay webhook secret is not configured");
+      }
+
+      const timestamp = headers[TIMESTAMP_HEADER];
+      const signature = headers[SIGNATURE_HEADER];
+      if (!timestamp || !signature || !rawBody) {
+        throw new UnauthorizedError("Missing webhook signature");
+      }
+
+      const expected = signWebhookPayload(webhookSecret, timestamp, rawBody.toString("utf8"));
+      const valid = expected.length === signature.length
+        && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+      if (!valid) {
+        throw new UnauthorizedError("Invalid webhook signature");
+      }
+
+      // A valid signature on an old timestamp is a replayed request
+      const age = Math.abs(now.getTime() / 1000 - Number(timestamp));
+      if (!Number.isFinite(age) || age > PAYMENT_CONFIG.WEBHOOK_TOLERANCE_SECONDS) {
+        throw new UnauthorizedError("Webhook timestamp is outside the allowed window");
+      }
+
+      const data = body?.data || {};
+      if (!Object.values(FURATPAY_EVENTS).includes(body?.type) || !body.id || !data.invoice_id) {
+        throw new BadRequestError("Unsupported FuratPay webhook event");
+      }
+
+      return {
+        id: body.id,
+        type: body.type,
+        invoice_id: data.invoice_id,
+        reference: data.reference,
+        amount: data.amount,
+        currency: data.currency,
+        payment_method: data.payment_method,
+        transaction_id: data.transaction_id,
+        occurred_at: body.created_at ? new Date(body.created_at) : now,
+      };
+    },
+  };
+};
+
+let furatPay = null;
+
+/**
+ * Get the FuratPay client configured for this environment
+ * @returns {Object} FuratPay client
+ */
+export const getFuratPayClient = () => {
+  if (!furatPay) {
+    furatPay = createFuratPayClient({
+      apiUrl: env.FURATPAY_API_URL,
+      apiKey: env.FURATPAY_API_KEY,
+      webhookSecret: env.FURATPAY_WEBHOOK_SECRET,
+      callbackUrl: env.FURATPAY_CALLBACK_URL,
+      returnUrl: env.FURATPAY_RETURN_URL,
+    });
+  }
+  return furatPay;
+};
@@ -1,10 +1,13 @@
 import { Router } from "express";
 import { authenticate } from "../../middleware/auth.js";
 import { authorize } from "../../middleware/rbac.js";
+import { audit } from "../../middleware/audit.js";
 import prisma from "../../config/prisma.js";
 import { successResponse, paginatedResponse, buildPaginationResponse, parsePaginationParams } from "../../utils/helpers.js";
-import { NotFoundError } from "../../utils/errors.js";
-import { HTTP_STATUS, PAYMENT_STATUS, USER_TYPES } from "../../config/constants.js";
+import { BadRequestError, NotFoundError } from "../../utils/errors.js";
+import { HTTP_STATUS, USER_TYPES } from "../../config/constants.js";
+import { getAuditContext } from "../audit/audit.service.js";
+import { createBookingPayment, handleFuratPayWebhook, refundPayment } from "./payment.service.js";
 
 const router = Router();
 
@@ -66,31 +69,121 @@ router.get("/:id", authenticate, async (req, res, next) => {
  * @swagger
  * /api/v1/payments:
  *   post:
- *     summary: Create a payment
+ *     summary: Create a FuratPay invoice for a booking
+ *     description: |
+ *       Creates a FuratPay invoice for the booking's own `amount` and `currency` (any amount in the
+ *       request body is ignored) and returns the payment with `furatpay_pay_link`. If the booking
+ *       already has a pending invoice that hasn't expired, that invoice is returned instead; a failed
+ *       or expired invoice is replaced by a new one. The booking is confirmed when the paid webhook
+ *       arrives.
  *     tags: [Payments]
  *     security:
  *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - booking_id
+ *             properties:
+ *               booking_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Invoice created
+ *       200:
+ *         description: Existing pending invoice returned
+ *       400:
+ *         description: Booking is free or can no longer be paid
+ *       403:
+ *         description: Forbidden - Not your booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking already paid
  */
-router.post("/", authenticate, authorize("payments:create"), async (req, res, next) => {
+router.post("/", authenticate, authorize("payments:create"), audit("payment.created"), async (req, res, next) => {
   try {
-    const { booking_id, amount, currency } = req.body;
-
-    const bookingIdInt = parseInt(booking_id, 10);
-    if (isNaN(bookingIdInt)) {
+    const bookingId = parseInt(req.body.booking_id, 10);
+    if (isNaN(bookingId)) {
       throw new NotFoundError("Invalid booking ID");
     }
 
-    const payment = await prisma.payment.create({
-      data: {
-        booking_id: bookingIdInt,
-        user_id: req.user.id,
-        amount,
-        currency: currency || "USD",
-        status: PAYMENT_STATUS.PENDING,
-      },
+    const { payment, created } = await createBookingPayment(bookingId, req.user);
+
+    if (created) {
+      res.status(HTTP_STATUS.CREATED).json(successResponse(payment, "Payment created"));
+    } else {
+      res.json(successResponse(payment, "Payment already pending"));
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/payments/{id}/refund:
+ *   post:
+ *     summary: Refund a payment (Admin only)
+ *     description: |
+ *       Refunds the payment through FuratPay. Omit `amount` to refund everything not yet refunded;
+ *       pass a smaller amount for a partial refund. Partial refunds can be repeated until the
+ *       payment is fully refunded. Each refund is written to the audit log.
+ *     tags: [Payments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 12.5
+ *               reason:
+ *                 type: string
+ *                 example: "Session quality issue"
+ *     responses:
+ *       200:
+ *         description: Payment refunded
+ *       400:
+ *         description: Payment not refundable or amount exceeds the refundable balance
+ *       403:
+ *         description: Forbidden - Requires payments:refund permission
+ *       404:
+ *         description: Payment not found
+ */
+router.post("/:id/refund", authenticate, authorize("payments:refund"), async (req, res, next) => {
+  try {
+    const paymentId = parseInt(req.params.id, 10);
+    if (isNaN(paymentId)) {
+      throw new NotFoundError("Payment not found");
+    }
+
+    const { amount, reason } = req.body;
+    if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
+      throw new BadRequestError("Refund amount must be a positive number");
+    }
+
+    const result = await refundPayment({
+      paymentId,
+      amount,
+      reason,
+      actor: { type: req.user.type, id: req.user.id },
+      context: getAuditContext(req),
     });
 
-    res.status(HTTP_STATUS.CREATED).json(successResponse(payment, "Payment created"));
+    res.json(successResponse(result, "Payment refunded"));
   } catch (error) {
     next(error);
   }
@@ -100,22 +193,30 @@ router.post("/", authenticate, authorize("payments:create"), async (req, res, ne
  * @swagger
  * /api/v1/payments/webhook:
  *   post:
- *     summary: Payment webhook handler
+ *     summary: FuratPay webhook handler
+ *     description: |
+ *       Receives invoice events from FuratPay. The `x-furatpay-signature` header must be the hex
+ *       HMAC-SHA256 of `${x-furatpay-timestamp}.${raw body}` using FURATPAY_WEBHOOK_SECRET, and the
+ *       timestamp must be within 5 minutes. Events already processed (same event `id`) are
+ *       acknowledged without being applied again.
+ *       - `invoice.paid` marks the payment paid and confirms a pending booking
+ *       - `invoice.failed` marks a pending payment failed
+ *       - `invoice.expired` marks a pending payment expired
  *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Webhook processed
+ *       400:
+ *         description: Unsupported event or amount mismatch
+ *       401:
+ *         description: Invalid, missing or stale signature
+ *       404:
+ *         description: Unknown invoice
  */
 router.post("/webhook", async (req, res, next) => {
   try {
-    // Log webhook
-    await prisma.webhookLog.create({
-      data: {
-        source: "payment_provider",
-        event_type: req.body.event,
-        headers: req.headers,
-        payload: req.body,
-      },
-    });
-
-    res.json({ received: true });
+    const result = await handleFuratPayWebhook({ headers: req.headers, rawBody: req.rawBody, body: req.body });
+    res.json({ received: true, duplicate: !!result.duplicate_of });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,462 @@
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import {
+  ACTOR_TYPES,
+  BOOKING_STATUS,
+  FURATPAY_EVENTS,
+  PAYMENT_CONFIG,
+  PAYMENT_STATUS,
+  PAYOUT_STATUS,
+} from "../../config/constants.js";
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../../utils/errors.js";
+import { toCents, fromCents } from "../../utils/helpers.js";
+import { transitionBooking } from "../bookings/booking.state.js";
+import { notifyBookingParties } from "../bookings/booking.notifications.js";
+import { recordAudit } from "../audit/audit.service.js";
+import { activateSubscriptionPeriod } from "../subscriptions/subscription.service.js";
+import { FURATPAY_SOURCE, getFuratPayClient } from "./furatpay.client.js";
+import { getCancellationRefund } from "./refund.policy.js";
+
+/**
+ * Create (or reuse) the FuratPay invoice for a booking
+ *
+ * The amount always comes from the booking, never from the client. A pending
+ * invoice that hasn't expired is returned as is; a failed or expired one is
+ * replaced by a fresh invoice on the same payment row.
+ * @param {number} bookingId - Booking ID
+ * @param {Object} user - Authenticated user ({ id })
+ * @returns {Promise<{ payment: Object, created: boolean }>} Payment with pay link
+ */
+export const createBookingPayment = async (bookingId, user) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    include: {
+      payment: true,
+      user: { select: { first_name: true, last_name: true, email: true, phone: true } },
+      therapist: { select: { first_name: true, last_name: true } },
+    },
+  });
+
+  if (!booking) {
+    throw new NotFoundError("Booking not found");
+  }
+
+  if (booking.user_id !== user.id) {
+    throw new ForbiddenError("You can only pay for your own bookings");
+  }
+
+  if (booking.is_free_session || !(Number(booking.amount) > 0)) {
+    throw new BadRequestError("This booking does not require payment");
+  }
+
+  if (!PAYMENT_CONFIG.PAYABLE_BOOKING_STATUSES.includes(booking.status)) {
+    throw new BadRequestError(`Cannot pay for a booking with status: ${booking.status}`);
+  }
+
+  const existing = booking.payment;
+  const now = new Date();
+
+  if (existing && [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED].includes(existing.status)) {
+    throw new ConflictError("This booking has already been paid");
+  }
+
+  if (existing?.status === PAYMENT_STATUS.PENDING && existing.furatpay_pay_link && existing.expires_at > now) {
+    return { payment: existing, created: false };
+  }
+
+  const invoice = await getFuratPayClient().createInvoice({
+    reference: `booking-${booking.id}`,
+    amount: booking.amount,
+    currency: booking.currency || "USD",
+    description: `Therapy session with ${booking.therapist.first_name} ${booking.therapist.last_name}`,
+    customer: {
+      name: `${booking.user.first_name} ${booking.user.last_name}`,
+      email: booking.user.email,
+      phone: booking.user.phone,
+    },
+    expiresAt: new Date(now.getTime() + PAYMENT_CONFIG.INVOICE_EXPIRES_MINUTES * 60 * 1000),
+  });
+
+  const data = {
+    user_id: booking.user_id,
+    amount: booking.amount,
+    currency: booking.currency || "USD",
+    status: PAYMENT_STATUS.PENDING,
+    furatpay_invoice_id: invoice.invoice_id,
+    furatpay_pay_link: invoice.pay_link,
+    expires_at: invoice.expires_at,
+  };
+
+  if (!existing) {
+    const payment = await prisma.payment.create({ data: { booking_id: booking.id, ...data } });
+    return { payment, created: true };
+  }
+
+  // Guard on the status we checked so a webhook landing meanwhile isn't overwritten
+  const { count } = await prisma.payment.updateMany({
+    where: { id: existing.id, status: existing.status },
+    data,
+  });
+  if (count === 0) {
+    throw new ConflictError("This payment was updated by someone else. Please refresh and try again.");
+  }
+
+  const payment = await prisma.payment.findUnique({ where: { id: existing.id } });
+  return { payment, created: true };
+};
+
+// Payment status each invoice event moves to, and the statuses it may move from
+const INVOICE_EVENT_TRANSITIONS = {
+  [FURATPAY_EVENTS.INVOICE_PAID]: {
+    to: PAYMENT_STATUS.PAID,
+    // A payer can finish right as the link expires or after a declined attempt
+    from: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.EXPIRED],
+  },
+  [FURATPAY_EVENTS.INVOICE_FAILED]: {
+    to: PAYMENT_STATUS.FAILED,
+    from: [PAYMENT_STATUS.PENDING],
+  },
+  [FURATPAY_EVENTS.INVOICE_EXPIRED]: {
+    to: PAYMENT_STATUS.EXPIRED,
+    from: [PAYMENT_STATUS.PENDING],
+  },
+};
+
+/**
+ * Apply a verified invoice event to its payment (and booking, once paid)
+ * Repeated or out-of-order events leave the payment untouched.
+ * @param {Object} event - Normalized FuratPay event
+ * @param {Object} body - Raw webhook payload, stored on the payment
+ * @returns {Promise<Object>} Outcome for the webhook log
+ */
+const applyInvoiceEvent = async (event, body) => {
+  const payment = await prisma.payment.findUnique({
+    where: { furatpay_invoice_id: event.invoice_id },
+    include: { booking: true },
+  });
+
+  if (!payment) {
+    throw new NotFoundError(`No payment found for FuratPay invoice ${event.invoice_id}`);
+  }
+
+  const isPaid = event.type === FURATPAY_EVENTS.INVOICE_PAID;
+  if (isPaid && (Number(event.amount) !== Number(payment.amount) || event.currency !== payment.currency)) {
+    throw new BadRequestError(
+      `Paid amount ${event.amount} ${event.currency} does not match payment ${payment.amount} ${payment.currency}`,
+    );
+  }
+
+  const transition = INVOICE_EVENT_TRANSITIONS[event.type];
+  let confirmedBooking = null;
+  // Set when the money arrived for something that no longer needs it
+  let unapplied = null;
+
+  const result = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.payment.updateMany({
+      where: { id: payment.id, status: { in: transition.from } },
+      data: {
+        status: transition.to,
+        webhook_payload: body,
+        webhook_received_at: new Date(),
+        ...(isPaid && {
+          paid_at: event.occurred_at,
+          payment_method: event.payment_method,
+          transaction_id: event.transaction_id,
+        }),
+      },
+    });
+
+    if (count === 0) {
+      return { payment_id: payment.id, status: payment.status, changed: false };
+    }
+
+    // Starts the subscription, or its next period after a renewal
+    if (isPaid && payment.subscription_id) {
+      const activated = await activateSubscriptionPeriod(tx, payment, event.occurred_at);
+      if (!activated) {
+        unapplied = {
+          reason: "Subscription was no longer awaiting this payment",
+          metadata: { subscription_id: payment.subscription_id },
+        };
+      }
+      return { payment_id: payment.id, status: transition.to, changed: true, unapplied: !activated };
+    }
+
+    const booking = payment.booking;
+    if (isPaid && booking) {
+      if (booking.status === BOOKING_STATUS.PENDING) {
+        confirmedBooking = await transitionBooking({
+          booking,
+          action: "confirm",
+          actor: { type: ACTOR_TYPES.SYSTEM, id: null },
+          reason: "Payment received",
+          metadata: { payment_id: payment.id, furatpay_invoice_id: event.invoice_id },
+          client: tx,
+        });
+      } else if (!PAYMENT_CONFIG.PAYABLE_BOOKING_STATUSES.includes(booking.status)) {
+        unapplied = {
+          reason: "Booking can no longer take place",
+          metadata: { booking_id: booking.id, booking_status: booking.status },
+        };
+        return { payment_id: payment.id, status: transition.to, changed: true, unapplied: true };
+      }
+    }
+
+    return { payment_id: payment.id, status: transition.to, changed: true };
+  });
+
+  // Paid after the booking was cancelled, or after the subscription expired, was cancelled or
+  // already renewed: give the money back
+  if (unapplied) {
+    logger.warn("Payment could not be applied, refunding", {
+      paymentId: payment.id,
+      reason: unapplied.reason,
+      ...unapplied.metadata,
+    });
+    const actor = { type: ACTOR_TYPES.SYSTEM, id: null };
+    const metadata = { ...unapplied.metadata, furatpay_invoice_id: event.invoice_id };
+
+    try {
+      await refundPayment({
+        paymentId: payment.id,
+        reason: unapplied.reason,
+        actor,
+        metadata,
+      });
+      result.refunded = true;
+    } catch (error) {
+      // The payment is already marked paid, so a webhook retry won't get here again
+      logger.error("Automatic refund of an unapplied payment failed", { paymentId: payment.id, error: error.message });
+      await recordAudit({
+        actor,
+        action: "payment.refund_failed",
+        entity_type: "payment",
+        entity_id: payment.id,
+        metadata: { ...metadata, error: error.message },
+      });
+      result.refunded = false;
+    }
+  }
+
+  if (confirmedBooking) {
+    await notifyBookingParties(confirmedBooking, "confirm", { type: ACTOR_TYPES.SYSTEM, id: null });
+  }
+
+  return result;
+};
+
+/**
+ * Handle a FuratPay webhook
+ *
+ * Every delivery is logged. The signature and timestamp are checked before
+ * anything is applied, and an event ID that was already processed is
+ * acknowledged without being applied again.
+ * @param {Object} req
+ * @param {Object} req.headers - Request headers
+ * @param {Buffer} req.rawBody - Raw request body
+ * @param {Object} req.body - Parsed request body
+ * @returns {Promise<Object>} Processing outcome
+ */
+export const handleFuratPayWebhook = async ({ headers, rawBody, body }) => {
+  const log = await prisma.webhookLog.create({
+    data: {
+      source: FURATPAY_SOURCE,
+      event_type: typeof body?.type === "string" ? body.type.slice(0, 100) : null,
+      event_id: typeof body?.id === "string" ? body.id.slice(0, 255) : null,
+      headers,
+      payload: body || {},
+    },
+  });
+
+  try {
+    const event = getFuratPayClient().parseWebhook({ headers, rawBody, body });
+
+    // Only verified deliveries are ever marked processed, so a forged copy can't block the real one
+    const duplicate = await prisma.webhookLog.findFirst({
+      where: { source: FURATPAY_SOURCE, event_id: event.id, processed: true, id: { not: log.id } },
+      select: { id: true },
+    });
+
+    const result = duplicate
+      ? { duplicate_of: duplicate.id, changed: false }
+      : await applyInvoiceEvent(event, body);
+
+    await prisma.webhookLog.update({
+      where: { id: log.id },
+      data: {
+        processed: true,
+        processed_at: new Date(),
+        response_status: 200,
+        response_body: JSON.stringify(result),
+      },
+    });
+
+    return result;
+  } catch (error) {
+    await prisma.webhookLog.update({
+      where: { id: log.id },
+      data: { processing_error: error.message, response_status: error.statusCode || 500 },
+    });
+    throw error;
+  }
+};
+
+/**
+ * Refund all or part of a paid payment through FuratPay
+ *
+ * The payment row is locked for the whole refund so two refunds can't both
+ * spend the same balance. The idempotency key is derived from what has been
+ * refunded so far, so a retried request never refunds twice. A session that is
+ * already on an approved or paid therapist payout can't be refunded (the
+ * therapist would be paid for it anyway); one on a pending payout is taken off
+ * it when the payout is approved.
+ * @param {Object} params
+ * @param {number} params.paymentId - Payment ID
+ * @param {number|string} [params.amount] - Amount to refund; defaults to everything not yet refunded
+ * @param {string} [params.reason] - Refund reason
+ * @param {Object} params.actor - { type, id } of who triggers it
+ * @param {Object} [params.metadata] - Extra context for the audit log
+ * @param {Object} [params.context] - Request context for the audit log
+ * @returns {Promise<{ payment: Object, refund: Object }>} Updated payment and the provider refund
+ */
+export const refundPayment = async ({ paymentId, amount, reason, actor, metadata, context }) => {
+  return prisma.$transaction(
+    async (tx) => {
+      await tx.$queryRaw`SELECT id FROM payments WHERE id = ${paymentId} FOR UPDATE`;
+
+      const payment = await tx.payment.findUnique({ where: { id: paymentId } });
+      if (!payment) {
+        throw new NotFoundError("Payment not found");
+      }
+
+      if (!PAYMENT_CONFIG.REFUNDABLE_STATUSES.includes(payment.status)) {
+        throw new BadRequestError(`Cannot refund a payment with status: ${payment.status}`);
+      }
+
+      if (!payment.furatpay_invoice_id) {
+        throw new BadRequestError("This payment has no provider invoice to refund");
+      }
+
+      const payoutItem = payment.booking_id
+        ? await tx.therapistPayoutItem.findUnique({ where: { booking_id: payment.booking_id } })
+        : null;
+      if (payoutItem) {
+        // Locked so the payout can't be approved while this refund is in flight
+        const [payout] = await tx.$queryRaw`SELECT id, status FROM therapist_payouts WHERE id = ${payoutItem.payout_id} FOR UPDATE`;
+        if ([PAYOUT_STATUS.PROCESSING, PAYOUT_STATUS.PAID].includes(payout?.status)) {
+          throw new ConflictError(`This session has already been paid out to the therapist (payout ${payout.id})`);
+        }
+      }
+
+      const paidCents = toCents(payment.amount);
+      const refundedCents = toCents(payment.refund_amount || 0);
+      const remainingCents = paidCents - refundedCents;
+      const cents = amount === undefined || amount === null ? remainingCents : toCents(amount);
+
+      if (!(cents > 0)) {
+        throw new BadRequestError("Refund amount must be greater than zero");
+      }
+
+      if (cents > remainingCents) {
+        throw new BadRequestError(`Refund amount exceeds the refundable balance of ${fromCents(remainingCents)}`);
+      }
+
+      const refund = await getFuratPayClient().refundInvoice({
+        invoiceId: payment.furatpay_invoice_id,
+        amount: fromCents(cents),
+        reason,
+        idempotencyKey: `payment-${payment.id}-refund-${refundedCents}`,
+      });
+
+      const totalCents = refundedCents + cents;
+      const status = totalCents === paidCents ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+
+      const updated = await tx.payment.update({
+        where: { id: payment.id },
+        data: {
+          status,
+          refund_amount: fromCents(totalCents),
+          refunded_at: new Date(),
+          refund_reason: reason || null,
+        },
+      });
+
+      await recordAudit(
+        {
+          actor,
+          action: "payment.refunded",
+          entity_type: "payment",
+          entity_id: payment.id,
+          old_values: { status: payment.status, refund_amount: fromCents(refundedCents) },
+          new_values: { status, refund_amount: fromCents(totalCents) },
+          metadata: {
+            ...metadata,
+            amount: fromCents(cents),
+            currency: payment.currency,
+            reason: reason || null,
+            provider_refund_id: refund.refund_id,
+          },
+          context,
+        },
+        tx,
+      );
+
+      return { payment: updated, refund: { ...refund, amount: fromCents(cents) } };
+    },
+    { timeout: PAYMENT_CONFIG.REFUND_TIMEOUT_MS },
+  );
+};
+
+/**
+ * Refund a cancelled booking's payment according to the cancellation policy
+ *
+ * Runs after the cancellation is committed. A failed refund doesn't undo the
+ * cancellation; it's logged and audited so an admin can refund by hand.
+ * @param {Object} params
+ * @param {Object} params.booking - Booking as it was before cancelling
+ * @param {Object} params.actor - { type, id } of who cancelled
+ * @param {Object} [params.context] - Request context for the audit log
+ * @returns {Promise<Object|null>} Refund outcome, or null if nothing was paid
+ */
+export const refundCancelledBooking = async ({ booking, actor, context }) => {
+  const payment = await prisma.payment.findUnique({ where: { booking_id: booking.id } });
+  if (!payment || !PAYMENT_CONFIG.REFUNDABLE_STATUSES.includes(payment.status)) {
+    return null;
+  }
+
+  const { cents, rule, percent } = getCancellationRefund({ booking, payment, actor });
+  const policy = { rule, percent };
+
+  if (cents === 0) {
+    return { status: "not_refunded", amount: fromCents(0), policy };
+  }
+
+  try {
+    const { refund } = await refundPayment({
+      paymentId: payment.id,
+      amount: fromCents(cents),
+      reason: `Booking cancelled (${rule})`,
+      actor,
+      metadata: { booking_id: booking.id, policy },
+      context,
+    });
+    return { status: "refunded", amount: refund.amount, provider_refund_id: refund.refund_id, policy };
+  } catch (error) {
+    logger.error("Automatic cancellation refund failed", {
+      paymentId: payment.id,
+      bookingId: booking.id,
+      error: error.message,
+    });
+
+    await recordAudit({
+      actor,
+      action: "payment.refund_failed",
+      entity_type: "payment",
+      entity_id: payment.id,
+      metadata: { booking_id: booking.id, amount: fromCents(cents), policy, error: error.message },
+      context,
+    });
+
+    return { status: "failed", amount: fromCents(cents), policy };
+  }
+};
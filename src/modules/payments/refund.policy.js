@@ -0,0 +1,53 @@
+import { env } from "../../config/env.js";
+import { ACTOR_TYPES } from "../../config/constants.js";
+import { toCents } from "../../utils/helpers.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Whether a cancellation qualifies for a full refund
+ *
+ * - Therapist, admin or system cancellations: yes
+ * - Patient cancels more than CANCELLATION_FULL_REFUND_HOURS ahead: yes
+ * - Patient cancels later than that: no (late cancellation)
+ * @param {Object} params
+ * @param {Object} params.booking - Booking being cancelled
+ * @param {Object} params.actor - { type, id } of who cancelled
+ * @param {Date} [params.now] - Reference time
+ * @returns {{ full: boolean, rule: string }} Outcome and the rule that decided it
+ */
+export const getCancellationRule = ({ booking, actor, now = new Date() }) => {
+  if (actor.type !== ACTOR_TYPES.USER) {
+    return { full: true, rule: `cancelled_by_${actor.type}` };
+  }
+
+  const hoursAhead = (new Date(booking.scheduled_start).getTime() - now.getTime()) / HOUR_MS;
+  if (hoursAhead > env.CANCELLATION_FULL_REFUND_HOURS) {
+    return { full: true, rule: "cancelled_in_advance" };
+  }
+
+  return { full: false, rule: "late_cancellation" };
+};
+
+/**
+ * Work out how much of a payment to refund when its booking is cancelled:
+ * everything for a full-refund cancellation, CANCELLATION_LATE_REFUND_PERCENT
+ * for a late one. Amounts already refunded are subtracted, so the result never
+ * exceeds what's left.
+ * @param {Object} params
+ * @param {Object} params.booking - Booking being cancelled (as it was before cancelling)
+ * @param {Object} params.payment - The booking's paid payment
+ * @param {Object} params.actor - { type, id } of who cancelled
+ * @param {Date} [params.now] - Reference time
+ * @returns {{ cents: number, rule: string, percent: number }} Amount to refund in cents and why
+ */
+export const getCancellationRefund = ({ booking, payment, actor, now = new Date() }) => {
+  const paidCents = toCents(payment.amount);
+  const remainingCents = paidCents - toCents(payment.refund_amount || 0);
+
+  const { full, rule } = getCancellationRule({ booking, actor, now });
+  const percent = full ? 100 : env.CANCELLATION_LATE_REFUND_PERCENT;
+
+  const cents = Math.min(Math.round((paidCents * percent) / 100), remainingCents);
+  return { cents: Math.max(cents, 0), rule, percent };
+};
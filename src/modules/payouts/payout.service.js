@@ -0,0 +1,409 @@
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { env } from "../../config/env.js";
+import { BOOKING_STATUS, DEFAULTS, PAYMENT_STATUS, PAYOUT_STATUS } from "../../config/constants.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../../utils/errors.js";
+import { toCents, fromCents } from "../../utils/helpers.js";
+import { recordAudit } from "../audit/audit.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const { PENDING, PROCESSING, PAID, FAILED } = PAYOUT_STATUS;
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ * @param {string} value - Date string
+ * @param {string} name - Field name for the error message
+ * @returns {Date} Parsed date
+ */
+const parsePeriodDate = (value, name) => {
+  const date = DATE_PATTERN.test(value || "") ? new Date(`${value}T00:00:00.000Z`) : null;
+  if (!date || isNaN(date.getTime())) {
+    throw new BadRequestError(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return date;
+};
+
+/**
+ * The previous calendar month in UTC, the default payout period
+ * @param {Date} [now] - Reference time
+ * @returns {{ periodStart: string, periodEnd: string }} Inclusive YYYY-MM-DD bounds
+ */
+export const getPreviousMonthPeriod = (now = new Date()) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0));
+  return {
+    periodStart: start.toISOString().slice(0, 10),
+    periodEnd: end.toISOString().slice(0, 10),
+  };
+};
+
+/**
+ * What a completed booking earned before commission, in cents
+ * A booking paid on its own earns its payment; one covered by a subscription
+ * earns its share of the subscription price.
+ * @param {Object} booking - Booking with payment and subscription
+ * @returns {number} Gross amount in cents
+ */
+const getBookingGrossCents = (booking) => {
+  if (booking.payment?.status === PAYMENT_STATUS.PAID) {
+    return toCents(booking.payment.amount);
+  }
+  if (booking.subscription) {
+    return Math.floor(toCents(booking.subscription.amount) / Math.max(booking.subscription.sessions_per_period, 1));
+  }
+  return 0;
+};
+
+/**
+ * Find bookings that can be paid out for a period: completed, scheduled inside
+ * the period, paid (not refunded, not even partly) or covered by a subscription,
+ * and not already on a payout
+ */
+const findPayableBookings = ({ from, to, therapistId }) => {
+  return prisma.booking.findMany({
+    where: {
+      status: BOOKING_STATUS.COMPLETED,
+      scheduled_start: { gte: from, lt: to },
+      ...(therapistId && { therapist_id: therapistId }),
+      payout_item: { is: null },
+      OR: [
+        { payment: { is: { status: PAYMENT_STATUS.PAID } } },
+        { subscription_id: { not: null } },
+      ],
+    },
+    include: { payment: true, subscription: true },
+    orderBy: { id: "asc" },
+  });
+};
+
+/**
+ * Create one payout with its line items
+ * @returns {Promise<Object|null>} Payout, or null if another run paid out one of the bookings first
+ */
+const createPayout = async ({ therapistId, currency, bookings, periodStart, periodEnd, commissionRate, actor, context }) => {
+  const items = bookings.map((booking) => {
+    const grossCents = getBookingGrossCents(booking);
+    const commissionCents = Math.round((grossCents * commissionRate) / 100);
+    return {
+      booking_id: booking.id,
+      payment_id: booking.payment?.status === PAYMENT_STATUS.PAID ? booking.payment.id : null,
+      subscription_id: booking.subscription_id,
+      grossCents,
+      commissionCents,
+    };
+  });
+
+  const grossCents = items.reduce((sum, item) => sum + item.grossCents, 0);
+  const commissionCents = items.reduce((sum, item) => sum + item.commissionCents, 0);
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const payout = await tx.therapistPayout.create({
+        data: {
+          therapist_id: therapistId,
+          period_start: periodStart,
+          period_end: periodEnd,
+          gross_amount: fromCents(grossCents),
+          commission_rate: commissionRate,
+          commission_amount: fromCents(commissionCents),
+          total_amount: fromCents(grossCents - commissionCents),
+          currency,
+          status: PENDING,
+          items: {
+            create: items.map((item) => ({
+              booking_id: item.booking_id,
+              payment_id: item.payment_id,
+              subscription_id: item.subscription_id,
+              gross_amount: fromCents(item.grossCents),
+              commission_amount: fromCents(item.commissionCents),
+              net_amount: fromCents(item.grossCents - item.commissionCents),
+            })),
+          },
+        },
+      });
+
+      await recordAudit(
+        {
+          actor,
+          action: "payout.created",
+          entity_type: "therapist_payout",
+          entity_id: payout.id,
+          new_values: { status: PENDING, total_amount: payout.total_amount },
+          metadata: {
+            therapist_id: therapistId,
+            bookings: items.length,
+            gross_amount: payout.gross_amount,
+            commission_rate: commissionRate,
+            currency,
+          },
+          context,
+        },
+        tx,
+      );
+
+      return payout;
+    });
+  } catch (error) {
+    // booking_id is unique on line items: a concurrent run got one of these bookings
+    if (error.code === "P2002") {
+      logger.warn("Payout skipped, bookings already paid out by another run", { therapistId, currency });
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Run payouts for a period
+ *
+ * Groups payable bookings by therapist and currency and creates a pending
+ * payout for each group, keeping PLATFORM_COMMISSION_PERCENT of every booking.
+ * Bookings are paid out once: running the same period again only picks up
+ * bookings that became payable since the last run.
+ * @param {Object} params
+ * @param {string} params.periodStart - First day (YYYY-MM-DD)
+ * @param {string} params.periodEnd - Last day, inclusive (YYYY-MM-DD)
+ * @param {number} [params.therapistId] - Limit the run to one therapist
+ * @param {Object} params.actor - { type, id } of who started the run
+ * @param {Object} [params.context] - Audit context
+ * @returns {Promise<{ period_start: string, period_end: string, commission_rate: number, payouts: Object[], skipped: number }>}
+ */
+export const runPayouts = async ({ periodStart, periodEnd, therapistId, actor, context }) => {
+  const from = parsePeriodDate(periodStart, "period_start");
+  const until = parsePeriodDate(periodEnd, "period_end");
+  if (until < from) {
+    throw new BadRequestError("period_end must not be before period_start");
+  }
+
+  const commissionRate = env.PLATFORM_COMMISSION_PERCENT;
+  const bookings = await findPayableBookings({ from, to: new Date(until.getTime() + DAY_MS), therapistId });
+
+  const groups = new Map();
+  for (const booking of bookings) {
+    const currency = booking.payment?.status === PAYMENT_STATUS.PAID
+      ? booking.payment.currency
+      : booking.subscription?.currency || booking.currency || DEFAULTS.CURRENCY;
+    const key = `${booking.therapist_id}:${currency}`;
+    if (!groups.has(key)) {
+      groups.set(key, { therapistId: booking.therapist_id, currency, bookings: [] });
+    }
+    groups.get(key).bookings.push(booking);
+  }
+
+  const payouts = [];
+  let skipped = 0;
+
+  for (const group of groups.values()) {
+    const payout = await createPayout({
+      ...group,
+      periodStart: from,
+      periodEnd: until,
+      commissionRate,
+      actor,
+      context,
+    });
+    if (payout) {
+      payouts.push(payout);
+    } else {
+      skipped++;
+    }
+  }
+
+  logger.info("Payout run completed", {
+    periodStart,
+    periodEnd,
+    therapistId,
+    bookings: bookings.length,
+    payouts: payouts.length,
+    skipped,
+  });
+
+  return { period_start: periodStart, period_end: periodEnd, commission_rate: commissionRate, payouts, skipped };
+};
+
+/**
+ * Get a payout with its line items
+ * @param {number} payoutId - Payout ID
+ * @returns {Promise<Object>} Payout
+ */
+export const getPayout = async (payoutId) => {
+  const payout = await prisma.therapistPayout.findUnique({
+    where: { id: payoutId },
+    include: {
+      therapist: { select: { id: true, first_name: true, last_name: true, email: true } },
+      items: {
+        orderBy: { id: "asc" },
+        include: { booking: { select: { id: true, user_id: true, scheduled_start: true, session_type: true } } },
+      },
+    },
+  });
+  if (!payout) {
+    throw new NotFoundError("Payout not found");
+  }
+  return payout;
+};
+
+/**
+ * Take sessions refunded since the payout was created off it and recompute its totals
+ * Runs after the payout row is locked, so a refund can't slip in between (refunds
+ * lock the payout too and are refused once it's processing or paid).
+ * @param {Object} tx - Transaction client
+ * @param {Object} payout - Payout
+ * @returns {Promise<{ data: Object, metadata: Object }|null>} New totals, or null if nothing was refunded
+ */
+const dropRefundedItems = async (tx, payout) => {
+  const items = await tx.therapistPayoutItem.findMany({ where: { payout_id: payout.id } });
+  const paymentIds = items.map((item) => item.payment_id).filter(Boolean);
+  if (paymentIds.length === 0) {
+    return null;
+  }
+
+  const refunded = await tx.payment.findMany({
+    where: { id: { in: paymentIds }, status: { not: PAYMENT_STATUS.PAID } },
+    select: { id: true },
+  });
+  if (refunded.length === 0) {
+    return null;
+  }
+
+  const refundedIds = new Set(refunded.map((payment) => payment.id));
+  const dropped = items.filter((item) => refundedIds.has(item.payment_id));
+  const kept = items.filter((item) => !refundedIds.has(item.payment_id));
+  await tx.therapistPayoutItem.deleteMany({ where: { id: { in: dropped.map((item) => item.id) } } });
+
+  const grossCents = kept.reduce((sum, item) => sum + toCents(item.gross_amount), 0);
+  const commissionCents = kept.reduce((sum, item) => sum + toCents(item.commission_amount), 0);
+  logger.warn("Refunded sessions removed from payout", {
+    payoutId: payout.id,
+    bookingIds: dropped.map((item) => item.booking_id),
+  });
+
+  return {
+    data: {
+      gross_amount: fromCents(grossCents),
+      commission_amount: fromCents(commissionCents),
+      total_amount: fromCents(grossCents - commissionCents),
+    },
+    metadata: {
+      removed_booking_ids: dropped.map((item) => item.booking_id),
+      previous_total_amount: payout.total_amount,
+      total_amount: fromCents(grossCents - commissionCents),
+    },
+  };
+};
+
+/**
+ * Move a payout from one of `fromStatuses` to a new status, guarded on the
+ * status it was read in, and audit the change
+ * `adjust` runs in the same transaction once the payout is locked and may return
+ * more fields to update plus audit metadata.
+ */
+const transitionPayout = async ({ payoutId, fromStatuses, data, verb, actor, metadata, context, adjust }) => {
+  const payout = await prisma.therapistPayout.findUnique({ where: { id: payoutId } });
+  if (!payout) {
+    throw new NotFoundError("Payout not found");
+  }
+
+  if (!fromStatuses.includes(payout.status)) {
+    throw new BadRequestError(`A payout with status ${payout.status} cannot be ${verb}`);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.therapistPayout.updateMany({
+      where: { id: payout.id, status: payout.status },
+      data,
+    });
+    if (count === 0) {
+      throw new ConflictError("This payout was updated by someone else. Please refresh and try again.");
+    }
+
+    const adjustment = adjust ? await adjust(tx, payout) : null;
+    if (adjustment) {
+      await tx.therapistPayout.update({ where: { id: payout.id }, data: adjustment.data });
+    }
+
+    await recordAudit(
+      {
+        actor,
+        action: `payout.${data.status}`,
+        entity_type: "therapist_payout",
+        entity_id: payout.id,
+        old_values: { status: payout.status },
+        new_values: { status: data.status },
+        metadata: adjustment ? { ...metadata, ...adjustment.metadata } : metadata,
+        context,
+      },
+      tx,
+    );
+
+    return tx.therapistPayout.findUnique({ where: { id: payout.id } });
+  });
+};
+
+/**
+ * Approve a pending payout for transfer (failed payouts can be approved again to retry)
+ * Sessions refunded since the payout was created are taken off it first.
+ * @param {number} payoutId - Payout ID
+ * @param {Object} actor - { type, id } of the approving admin
+ * @param {Object} [context] - Audit context
+ * @returns {Promise<Object>} Updated payout
+ */
+export const approvePayout = (payoutId, actor, context) => {
+  return transitionPayout({
+    payoutId,
+    fromStatuses: [PENDING, FAILED],
+    data: { status: PROCESSING, approved_at: new Date(), approved_by: actor.id, failed_at: null, failure_reason: null },
+    verb: "approved",
+    actor,
+    context,
+    adjust: dropRefundedItems,
+  });
+};
+
+/**
+ * Record that an approved payout's transfer went through
+ * @param {number} payoutId - Payout ID
+ * @param {Object} params
+ * @param {string} [params.reference] - Bank transfer reference
+ * @param {Object} params.actor - { type, id }
+ * @param {Object} [params.context] - Audit context
+ * @returns {Promise<Object>} Updated payout
+ */
+export const markPayoutPaid = (payoutId, { reference, actor, context }) => {
+  return transitionPayout({
+    payoutId,
+    fromStatuses: [PROCESSING],
+    data: { status: PAID, paid_at: new Date(), reference: reference || null },
+    verb: "marked as paid",
+    actor,
+    metadata: { reference: reference || null },
+    context,
+  });
+};
+
+/**
+ * Record that an approved payout's transfer failed
+ * @param {number} payoutId - Payout ID
+ * @param {Object} params
+ * @param {string} params.reason - Why the transfer failed
+ * @param {Object} params.actor - { type, id }
+ * @param {Object} [params.context] - Audit context
+ * @returns {Promise<Object>} Updated payout
+ */
+export const markPayoutFailed = async (payoutId, { reason, actor, context }) => {
+  if (!reason || !String(reason).trim()) {
+    throw new BadRequestError("A failure reason is required");
+  }
+
+  return transitionPayout({
+    payoutId,
+    fromStatuses: [PROCESSING],
+    data: { status: FAILED, failed_at: new Date(), failure_reason: String(reason).trim() },
+    verb: "marked as failed",
+    actor,
+    metadata: { reason: String(reason).trim() },
+    context,
+  });
+};
@@ -1,6 +1,7 @@
 import { Router } from "express";
 import { authenticate, optionalAuth } from "../../middleware/auth.js";
 import { authorize } from "../../middleware/rbac.js";
+import { audit } from "../../middleware/audit.js";
 import prisma from "../../config/prisma.js";
 import { successResponse, paginatedResponse, buildPaginationResponse, parsePaginationParams } from "../../utils/helpers.js";
 import { NotFoundError, ForbiddenError, BadRequestError } from "../../utils/errors.js";
@@ -663,7 +664,7 @@ router.get("/my-answers", authenticate, async (req, res, next) => {
  *       403:
  *         description: Forbidden - questionnaires:create permission required
  */
-router.post("/categories", authenticate, authorize("questionnaires:create"), async (req, res, next) => {
+router.post("/categories", authenticate, authorize("questionnaires:create"), audit("questionnaire_category.created"), async (req, res, next) => {
   try {
     const { name, description, display_order } = req.body;
     const category = await prisma.questionnaireCategory.create({
@@ -769,7 +770,7 @@ router.post("/categories", authenticate, authorize("questionnaires:create"), asy
  *       403:
  *         description: Forbidden - questionnaires:create permission required
  */
-router.post("/questions", authenticate, authorize("questionnaires:create"), async (req, res, next) => {
+router.post("/questions", authenticate, authorize("questionnaires:create"), audit("question.created"), async (req, res, next) => {
   try {
     const { category_id, question_text, question_type, is_required, display_order, scale_min, scale_max, scale_min_label, scale_max_label, options } = req.body;
 
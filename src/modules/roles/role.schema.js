@@ -0,0 +1,75 @@
+import { z } from "zod";
+
+const roleNameParams = z.object({
+  name: z.string().min(1).max(50),
+});
+
+const permissionNames = z.array(
+  z.string().regex(/^[a-z_]+:[a-z_]+$/, "Permission names look like module:action"),
+).max(200);
+
+/**
+ * Schema for creating a role
+ */
+export const createRoleSchema = z.object({
+  body: z.object({
+    name: z.string()
+      .trim()
+      .regex(/^[a-z][a-z0-9_]{1,49}$/, "Role name must be 2-50 lowercase letters, digits or underscores, starting with a letter"),
+    description: z.string().trim().max(1000).optional(),
+    permissions: permissionNames.optional(),
+  }),
+});
+
+/**
+ * Schema for updating a role
+ */
+export const updateRoleSchema = z.object({
+  params: roleNameParams,
+  body: z.object({
+    description: z.string().trim().max(1000).nullable().optional(),
+    is_active: z.boolean().optional(),
+    mfa_required: z.boolean().optional(),
+  }).refine(
+    (data) => Object.keys(data).length > 0,
+    { message: "Nothing to update" },
+  ),
+});
+
+/**
+ * Schema for routes that only take a role name
+ */
+export const roleParamsSchema = z.object({
+  params: roleNameParams,
+});
+
+/**
+ * Schema for granting permissions to a role
+ */
+export const grantPermissionsSchema = z.object({
+  params: roleNameParams,
+  body: z.object({
+    permissions: permissionNames.min(1, "At least one permission is required"),
+  }),
+});
+
+/**
+ * Schema for revoking a permission from a role
+ */
+export const revokePermissionSchema = z.object({
+  params: roleNameParams.extend({
+    permission: z.string().min(1).max(100),
+  }),
+});
+
+/**
+ * Schema for assigning a role to an admin
+ */
+export const assignAdminRoleSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^\d+$/, "Admin ID must be a valid number").transform(Number),
+  }),
+  body: z.object({
+    role: z.string().trim().min(1, "Role is required").max(50),
+  }),
+});
@@ -0,0 +1,375 @@
+import prisma from "../../config/prisma.js";
+import { SYSTEM_ROLES, USER_TYPES } from "../../config/constants.js";
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../../utils/errors.js";
+import { sanitizeAdmin } from "../../utils/helpers.js";
+import { clearPermissionCache, getRolePermissions } from "../../middleware/rbac.js";
+import { recordAudit } from "../audit/audit.service.js";
+import { logoutAll } from "../auth/auth.service.js";
+
+const systemRoleNames = Object.values(SYSTEM_ROLES);
+
+// Roles that belong to another account type and can't be given to admins
+const nonAdminRoles = [SYSTEM_ROLES.THERAPIST, SYSTEM_ROLES.PATIENT];
+
+const findRole = async (name) => {
+  const role = await prisma.role.findUnique({ where: { name } });
+  if (!role) {
+    throw new NotFoundError("Role not found");
+  }
+  return role;
+};
+
+/**
+ * Look up permissions by name
+ * @returns {Promise<Object[]>} Permission records
+ * @throws {BadRequestError} Naming the ones that don't exist
+ */
+const findPermissions = async (names) => {
+  const unique = [...new Set(names)];
+  const permissions = await prisma.permission.findMany({ where: { name: { in: unique } } });
+
+  const found = new Set(permissions.map((permission) => permission.name));
+  const unknown = unique.filter((name) => !found.has(name));
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown permission(s): ${unknown.join(", ")}`);
+  }
+
+  return permissions;
+};
+
+const isSuperAdmin = (actor) => actor.role === SYSTEM_ROLES.SUPER_ADMIN;
+
+/**
+ * Only a super admin can change their own role or the super_admin role
+ * @throws {ForbiddenError}
+ */
+const assertCanChangeRole = (role, actor) => {
+  if (isSuperAdmin(actor)) {
+    return;
+  }
+  if (role.name === actor.role) {
+    throw new ForbiddenError("You can't change your own role");
+  }
+  if (role.name === SYSTEM_ROLES.SUPER_ADMIN) {
+    throw new ForbiddenError("Only a super admin can change the super_admin role");
+  }
+};
+
+/**
+ * Only a super admin can grant permissions they don't have themselves
+ * @throws {ForbiddenError} Naming the ones the actor doesn't have
+ */
+const assertHoldsPermissions = async (permissions, actor) => {
+  if (isSuperAdmin(actor)) {
+    return;
+  }
+  const held = await getRolePermissions(actor.role);
+  const missing = permissions.filter((permission) => !held.has(permission.name)).map((permission) => permission.name);
+  if (missing.length > 0) {
+    throw new ForbiddenError(`You can only grant permissions you have yourself. Missing: ${missing.join(", ")}`);
+  }
+};
+
+/**
+ * List roles with how many permissions and admins each has
+ * @returns {Promise<Object[]>}
+ */
+export const listRoles = async () => {
+  const [roles, adminCounts] = await Promise.all([
+    prisma.role.findMany({
+      orderBy: { name: "asc" },
+      include: { _count: { select: { permissions: true } } },
+    }),
+    prisma.admin.groupBy({ by: ["role"], _count: { _all: true } }),
+  ]);
+  const admins = new Map(adminCounts.map((row) => [row.role, row._count._all]));
+
+  return roles.map(({ _count, ...role }) => ({
+    ...role,
+    system: systemRoleNames.includes(role.name),
+    permission_count: _count.permissions,
+    admin_count: admins.get(role.name) || 0,
+  }));
+};
+
+/**
+ * Get a role with its permissions
+ * @param {string} name - Role name
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError}
+ */
+export const getRole = async (name) => {
+  const role = await prisma.role.findUnique({
+    where: { name },
+    include: { permissions: { include: { permission: true } } },
+  });
+  if (!role) {
+    throw new NotFoundError("Role not found");
+  }
+
+  return {
+    ...role,
+    system: systemRoleNames.includes(role.name),
+    permissions: role.permissions
+      .map(({ permission }) => ({
+        id: permission.id,
+        name: permission.name,
+        description: permission.description,
+        module: permission.module,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+};
+
+/**
+ * List every permission, grouped by module
+ * @returns {Promise<Array<{ module: string, permissions: Object[] }>>}
+ */
+export const listPermissions = async () => {
+  const permissions = await prisma.permission.findMany({ orderBy: [{ module: "asc" }, { name: "asc" }] });
+
+  const modules = new Map();
+  for (const { id, name, description, module } of permissions) {
+    const key = module || name.split(":")[0];
+    if (!modules.has(key)) {
+      modules.set(key, []);
+    }
+    modules.get(key).push({ id, name, description });
+  }
+
+  return [...modules].map(([module, items]) => ({ module, permissions: items }));
+};
+
+/**
+ * Create a role, optionally with permissions
+ * @param {Object} data - { name, description, permissions }
+ * @param {Object} actor - req.user of the admin making the change
+ * @param {Object} [context] - Request context from getAuditContext
+ * @returns {Promise<Object>} Role with its permissions
+ * @throws {ConflictError} If the name is taken
+ * @throws {BadRequestError} If a permission doesn't exist
+ * @throws {ForbiddenError} For a permission the actor doesn't have (unless they're a super admin)
+ */
+export const createRole = async ({ name, description, permissions = [] }, actor, context) => {
+  if (await prisma.role.findUnique({ where: { name } })) {
+    throw new ConflictError("Role already exists");
+  }
+  const granted = await findPermissions(permissions);
+  await assertHoldsPermissions(granted, actor);
+
+  await prisma.$transaction(async (tx) => {
+    const role = await tx.role.create({ data: { name, description: description || null, is_active: true } });
+    if (granted.length > 0) {
+      await tx.rolePermission.createMany({
+        data: granted.map((permission) => ({ role_id: role.id, permission_id: permission.id })),
+      });
+    }
+    await recordAudit({
+      actor: { type: actor.type, id: actor.id },
+      action: "role.created",
+      entity_type: "role",
+      entity_id: role.id,
+      new_values: { name, description: role.description, permissions: granted.map((p) => p.name) },
+      context,
+    }, tx);
+  });
+
+  clearPermissionCache(name);
+  return getRole(name);
+};
+
+/**
+ * Change a role's description, active flag or two-factor requirement
+ * A deactivated role grants no permissions; its admins keep it but can't do anything
+ * that needs one until it's reactivated or they're given another role.
+ * @param {string} name - Role name
+ * @param {Object} data - { description, is_active, mfa_required }
+ * @param {Object} actor - req.user of the admin making the change
+ * @param {Object} [context] - Request context from getAuditContext
+ * @returns {Promise<Object>} Updated role
+ * @throws {NotFoundError}
+ * @throws {BadRequestError} For deactivating a system role or two-factor on the patient role
+ * @throws {ForbiddenError} For the actor's own role or super_admin (unless they're a super admin)
+ */
+export const updateRole = async (name, data, actor, context) => {
+  const role = await findRole(name);
+  assertCanChangeRole(role, actor);
+
+  if (data.is_active === false && systemRoleNames.includes(role.name)) {
+    throw new BadRequestError("System roles can't be deactivated");
+  }
+  if (data.mfa_required !== undefined && role.name === SYSTEM_ROLES.PATIENT) {
+    throw new BadRequestError("Two-factor authentication is only available to admins and therapists");
+  }
+
+  const changed = Object.keys(data).filter((key) => data[key] !== undefined && data[key] !== role[key]);
+  if (changed.length === 0) {
+    return role;
+  }
+  const pick = (source) => Object.fromEntries(changed.map((key) => [key, source[key]]));
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.role.update({ where: { id: role.id }, data: pick(data) });
+    await recordAudit({
+      actor: { type: actor.type, id: actor.id },
+      action: changed.length === 1 && changed[0] === "is_active"
+        ? (data.is_active ? "role.activated" : "role.deactivated")
+        : "role.updated",
+      entity_type: "role",
+      entity_id: role.id,
+      old_values: pick(role),
+      new_values: pick(data),
+      context,
+    }, tx);
+    return result;
+  });
+
+  clearPermissionCache(role.name);
+  return updated;
+};
+
+/**
+ * Grant permissions to a role (ones it already has are skipped)
+ * @param {string} name - Role name
+ * @param {string[]} permissionNames - Permissions to grant
+ * @param {Object} actor - req.user of the admin making the change
+ * @param {Object} [context] - Request context from getAuditContext
+ * @returns {Promise<Object>} Role with its permissions
+ * @throws {NotFoundError} If the role doesn't exist
+ * @throws {BadRequestError} If a permission doesn't exist
+ * @throws {ForbiddenError} For the actor's own role, super_admin or a permission the actor doesn't
+ *   have (unless they're a super admin)
+ */
+export const grantPermissions = async (name, permissionNames, actor, context) => {
+  const role = await findRole(name);
+  assertCanChangeRole(role, actor);
+  const permissions = await findPermissions(permissionNames);
+  await assertHoldsPermissions(permissions, actor);
+
+  const existing = await prisma.rolePermission.findMany({
+    where: { role_id: role.id, permission_id: { in: permissions.map((permission) => permission.id) } },
+    select: { permission_id: true },
+  });
+  const held = new Set(existing.map((row) => row.permission_id));
+  const added = permissions.filter((permission) => !held.has(permission.id));
+
+  if (added.length > 0) {
+    await prisma.$transaction(async (tx) => {
+      await tx.rolePermission.createMany({
+        data: added.map((permission) => ({ role_id: role.id, permission_id: permission.id })),
+        skipDuplicates: true,
+      });
+      await recordAudit({
+        actor: { type: actor.type, id: actor.id },
+        action: "role.permissions_granted",
+        entity_type: "role",
+        entity_id: role.id,
+        new_values: { permissions: added.map((permission) => permission.name) },
+        metadata: { role: role.name },
+        context,
+      }, tx);
+    });
+    clearPermissionCache(role.name);
+  }
+
+  return getRole(role.name);
+};
+
+/**
+ * Revoke a permission from a role
+ * @param {string} name - Role name
+ * @param {string} permissionName - Permission to revoke
+ * @param {Object} actor - req.user of the admin making the change
+ * @param {Object} [context] - Request context from getAuditContext
+ * @returns {Promise<Object>} Role with its permissions
+ * @throws {NotFoundError} If the role doesn't exist or doesn't have the permission
+ * @throws {ForbiddenError} For the actor's own role or super_admin (unless they're a super admin)
+ */
+export const revokePermission = async (name, permissionName, actor, context) => {
+  const role = await findRole(name);
+  assertCanChangeRole(role, actor);
+  const permission = await prisma.permission.findUnique({ where: { name: permissionName } });
+
+  const revoked = permission && await prisma.$transaction(async (tx) => {
+    const { count } = await tx.rolePermission.deleteMany({
+      where: { role_id: role.id, permission_id: permission.id },
+    });
+    if (count === 0) {
+      return false;
+    }
+    await recordAudit({
+      actor: { type: actor.type, id: actor.id },
+      action: "role.permission_revoked",
+      entity_type: "role",
+      entity_id: role.id,
+      old_values: { permissions: [permission.name] },
+      metadata: { role: role.name },
+      context,
+    }, tx);
+    return true;
+  });
+  if (!revoked) {
+    throw new NotFoundError("The role doesn't have this permission");
+  }
+
+  clearPermissionCache(role.name);
+  return getRole(role.name);
+};
+
+/**
+ * Give an admin another role
+ * The role is carried in the admin's tokens, so their sessions are ended: the new
+ * role applies from their next login (access tokens already issued keep the old
+ * one until they expire).
+ * @param {number} adminId - Admin ID
+ * @param {string} roleName - Role to assign
+ * @param {Object} actor - req.user of the admin making the change
+ * @param {Object} [context] - Request context from getAuditContext
+ * @returns {Promise<Object>} Updated admin (without the password hash)
+ * @throws {NotFoundError} If the admin or role doesn't exist
+ * @throws {BadRequestError} For an inactive or non-admin role
+ * @throws {ForbiddenError} For changing one's own role, or super_admin by anyone else
+ */
+export const assignAdminRole = async (adminId, roleName, actor, context) => {
+  const admin = await prisma.admin.findUnique({ where: { id: adminId } });
+  if (!admin) {
+    throw new NotFoundError("Admin not found");
+  }
+  const role = await findRole(roleName);
+
+  if (nonAdminRoles.includes(role.name)) {
+    throw new BadRequestError("This role can't be given to admins");
+  }
+  if (!role.is_active) {
+    throw new BadRequestError("Role is not active");
+  }
+  if (admin.id === actor.id) {
+    throw new ForbiddenError("You can't change your own role");
+  }
+  const involvesSuperAdmin = [admin.role, role.name].includes(SYSTEM_ROLES.SUPER_ADMIN);
+  if (involvesSuperAdmin && actor.role !== SYSTEM_ROLES.SUPER_ADMIN) {
+    throw new ForbiddenError("Only a super admin can grant or remove the super_admin role");
+  }
+
+  if (admin.role === role.name) {
+    return sanitizeAdmin(admin);
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.admin.update({ where: { id: admin.id }, data: { role: role.name } });
+    await recordAudit({
+      actor: { type: actor.type, id: actor.id },
+      action: "admin.role_assigned",
+      entity_type: "admin",
+      entity_id: admin.id,
+      old_values: { role: admin.role },
+      new_values: { role: role.name },
+      context,
+    }, tx);
+    return result;
+  });
+
+  await logoutAll(admin.id, USER_TYPES.ADMIN);
+  clearPermissionCache(role.name);
+  return sanitizeAdmin(updated);
+};
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import axios from "axios";
+import logger from "../../../config/logger.js";
+import { VIDEO_PROVIDERS, VIDEO_PROVIDER_EVENTS, SESSION_TYPES, SESSION_CONFIG } from "../../../config/constants.js";
+import { InternalServerError, UnauthorizedError, BadRequestError } from "../../../utils/errors.js";
+
+// Daily event names mapped to the normalized ones
+const EVENT_MAP = {
+  "participant.joined": VIDEO_PROVIDER_EVENTS.PARTICIPANT_JOINED,
+  "participant.left": VIDEO_PROVIDER_EVENTS.PARTICIPANT_LEFT,
+  "meeting.ended": VIDEO_PROVIDER_EVENTS.ROOM_ENDED,
+};
+
+/**
+ * Parse the "type-id" identity we put in meeting tokens
+ */
+const parseParticipantIdentity = (value) => {
+  const match = /^(user|therapist)-(\d+)$/.exec(value || "");
+  return match ? { type: match[1], id: parseInt(match[2], 10) } : null;
+};
+
+/**
+ * Daily.co provider
+ * @param {Object} config
+ * @param {string} config.apiKey - Daily REST API key
+ * @param {string} config.apiUrl - Daily REST API base URL
+ * @param {string} config.webhookSecret - Base64 HMAC secret for webhook signatures
+ * @returns {Object} Video provider
+ */
+export const createDailyProvider = ({ apiKey, apiUrl, webhookSecret }) => {
+  const client = axios.create({
+    baseURL: apiUrl,
+    timeout: 10000,
+    headers: { Authorization: `Bearer ${apiKey}` },
+  });
+
+  const request = async (method, url, data) => {
+    try {
+      const response = await client.request({ method, url, data });
+      return response.data;
+    } catch (error) {
+      logger.error("Daily API request failed", {
+        method,
+        url,
+        status: error.response?.status,
+        error: error.response?.data || error.message,
+      });
+      throw new InternalServerError("Video provider request failed");
+    }
+  };
+
+  const roomName = (sessionId) => `session-${sessionId}`;
+
+  return {
+    name: VIDEO_PROVIDERS.DAILY,
+
+    async createRoom({ session, startsAt, expiresAt }) {
+      const name = roomName(session.id);
+      const properties = {
+        nbf: Math.floor(startsAt.getTime() / 1000),
+        exp: Math.floor(expiresAt.getTime() / 1000),
+        eject_at_room_exp: true,
+        enable_chat: true,
+        start_video_off: session.session_type === SESSION_TYPES.AUDIO,
+      };
+
+      let room;
+      try {
+        room = await client.post("/rooms", { name, privacy: "private", properties }).then((r) => r.data);
+      } catch (error) {
+        // Both participants may join at once; the second create finds the room already there
+        if (error.response?.status !== 400) {
+          logger.error("Daily room creation failed", { name, error: error.response?.data || error.message });
+          throw new InternalServerError("Video provider request failed");
+        }
+        room = await request("get", `/rooms/${name}`);
+      }
+
+      return {
+        room_id: room.name,
+        room_url: room.url,
+        metadata: { daily_room_id: room.id, properties: room.config || properties },
+      };
+    },
+
+    async createParticipantToken({ roomId, participant, isOwner, expiresAt }) {
+      const { token } = await request("post", "/meeting-tokens", {
+        properties: {
+          room_name: roomId,
+          user_id: `${participant.type}-${participant.id}`,
+          user_name: participant.name,
+          is_owner: isOwner,
+          exp: Math.floor(expiresAt.getTime() / 1000),
+        },
+      });
+      return token;
+    },
+
+    async closeRoom(roomId) {
+      await request("delete", `/rooms/${roomId}`);
+    },
+
+    /**
+     * Verify and normalize a Daily webhook
+     * Daily signs `${timestamp}.${rawBody}` with HMAC-SHA256 using the base64-decoded secret
+     * @param {Object} req - { headers, rawBody, body }
+     * @param {Date} [now] - Reference time
+     * @throws {UnauthorizedError} If the signature is missing, wrong or too old
+     */
+    parseWebhook({ headers, rawBody, body }, now = new Date()) {
+      if (!webhookSecret) {
+        throw new InternalServerError("Daily webhook secret is not configured");
+      }
+
+      const timestamp = headers["x-webhook-timestamp"];
+      const signature = headers["x-webhook-signature"];
+      if (!timestamp || !signature || !rawBody) {
+        throw new UnauthorizedError("Missing webhook signature");
+      }
+
+      const expected = crypto
+        .createHmac("sha256", Buffer.from(webhookSecret, "base64"))
+        .update(`${timestamp}.${rawBody.toString("utf8")}`)
+        .digest("base64");
+
+      const valid = expected.length === signature.length
+        && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+      if (!valid) {
+        throw new UnauthorizedError("Invalid webhook signature");
+      }
+
+      // A valid signature on an old timestamp is a replayed request (seconds, or milliseconds)
+      const sentAt = Number(timestamp) > 1e12 ? Number(timestamp) / 1000 : Number(timestamp);
+      const age = Math.abs(now.getTime() / 1000 - sentAt);
+      if (!Number.isFinite(age) || age > SESSION_CONFIG.WEBHOOK_TOLERANCE_SECONDS) {
+        throw new UnauthorizedError("Webhook timestamp is outside the allowed window");
+      }
+
+      const type = EVENT_MAP[body?.type];
+      const payload = body?.payload || {};
+      if (!type || !payload.room) {
+        throw new BadRequestError("Unsupported Daily webhook event");
+      }
+
+      return {
+        type,
+        room_id: payload.room,
+        participant: parseParticipantIdentity(payload.user_id),
+        occurred_at: body.event_ts ? new Date(body.event_ts * 1000) : new Date(),
+      };
+    },
+  };
+};
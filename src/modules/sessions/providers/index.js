@@ -0,0 +1,40 @@
+import { env } from "../../../config/env.js";
+import { NODE_ENV, VIDEO_PROVIDERS } from "../../../config/constants.js";
+import { createLoopbackProvider } from "./loopback.provider.js";
+import { createDailyProvider } from "./daily.provider.js";
+
+/**
+ * Video/audio provider interface
+ *
+ * @typedef {Object} VideoProvider
+ * @property {string} name - Stored in sessions.provider
+ * @property {(params: { session: Object, startsAt: Date, expiresAt: Date }) => Promise<{ room_id: string, room_url: string, metadata: Object }>} createRoom
+ * @property {(params: { roomId: string, participant: { type: string, id: number, name: string }, isOwner: boolean, expiresAt: Date }) => Promise<string>} createParticipantToken
+ * @property {(roomId: string) => Promise<void>} closeRoom
+ * @property {(req: { headers: Object, rawBody: Buffer, body: Object }) => { type: string, room_id: string, participant: ({ type: string, id: number }|null), occurred_at: Date }} parseWebhook
+ */
+
+const factories = {
+  [VIDEO_PROVIDERS.LOOPBACK]: () => createLoopbackProvider({
+    baseUrl: env.VIDEO_LOOPBACK_BASE_URL,
+    acceptWebhooks: env.NODE_ENV !== NODE_ENV.PRODUCTION,
+  }),
+  [VIDEO_PROVIDERS.DAILY]: () => createDailyProvider({
+    apiKey: env.DAILY_API_KEY,
+    apiUrl: env.DAILY_API_URL,
+    webhookSecret: env.DAILY_WEBHOOK_SECRET,
+  }),
+};
+
+let provider = null;
+
+/**
+ * Get the provider configured for this environment (VIDEO_PROVIDER)
+ * @returns {VideoProvider} Video provider
+ */
+export const getVideoProvider = () => {
+  if (!provider) {
+    provider = factories[env.VIDEO_PROVIDER]();
+  }
+  return provider;
+};
@@ -0,0 +1,65 @@
+import crypto from "crypto";
+import { VIDEO_PROVIDERS, VIDEO_PROVIDER_EVENTS } from "../../../config/constants.js";
+import { BadRequestError, ForbiddenError } from "../../../utils/errors.js";
+
+const EVENT_TYPES = Object.values(VIDEO_PROVIDER_EVENTS);
+
+/**
+ * Local provider for development and tests
+ *
+ * Rooms and tokens are derived from the session and participant, so the same
+ * input always yields the same output and nothing leaves the process.
+ * @param {Object} config
+ * @param {string} config.baseUrl - Base URL used to build room links
+ * @param {boolean} [config.acceptWebhooks] - Whether unsigned webhooks are accepted (never in production)
+ * @returns {Object} Video provider
+ */
+export const createLoopbackProvider = ({ baseUrl, acceptWebhooks = true }) => {
+  const roomName = (sessionId) => `loopback-session-${sessionId}`;
+
+  return {
+    name: VIDEO_PROVIDERS.LOOPBACK,
+
+    async createRoom({ session, expiresAt }) {
+      const room_id = roomName(session.id);
+      return {
+        room_id,
+        room_url: `${baseUrl.replace(/\/$/, "")}/rooms/${room_id}`,
+        metadata: { session_type: session.session_type, expires_at: expiresAt.toISOString() },
+      };
+    },
+
+    async createParticipantToken({ roomId, participant, isOwner }) {
+      const digest = crypto
+        .createHash("sha256")
+        .update(`${roomId}:${participant.type}-${participant.id}:${isOwner ? "owner" : "guest"}`)
+        .digest("base64url");
+      return `loopback.${digest}`;
+    },
+
+    async closeRoom() {
+      // Nothing to release locally
+    },
+
+    /**
+     * Loopback webhooks are posted as already-normalized JSON:
+     * { type, room_id, participant: { type, id }, occurred_at }
+     * They're unsigned and room IDs are predictable, so they're refused in production.
+     */
+    parseWebhook({ body }) {
+      if (!acceptWebhooks) {
+        throw new ForbiddenError("Loopback webhooks are disabled in production");
+      }
+      if (!body || !EVENT_TYPES.includes(body.type) || !body.room_id) {
+        throw new BadRequestError("Invalid loopback webhook payload");
+      }
+
+      return {
+        type: body.type,
+        room_id: body.room_id,
+        participant: body.participant || null,
+        occurred_at: body.occurred_at ? new Date(body.occurred_at) : new Date(),
+      };
+    },
+  };
+};
@@ -2,16 +2,38 @@ import { Router } from "express";
 import { authenticate } from "../../middleware/auth.js";
 import prisma from "../../config/prisma.js";
 import { successResponse, paginatedResponse, buildPaginationResponse, parsePaginationParams } from "../../utils/helpers.js";
-import { NotFoundError } from "../../utils/errors.js";
-import { HTTP_STATUS, SESSION_STATUS, USER_TYPES } from "../../config/constants.js";
+import { NotFoundError, ForbiddenError } from "../../utils/errors.js";
+import { USER_TYPES } from "../../config/constants.js";
+import {
+  joinSession,
+  leaveSession,
+  endSession,
+  formatSessionForActor,
+  handleProviderWebhook,
+} from "./session.service.js";
 
 const router = Router();
 
+/**
+ * Parse the :id param into a session ID
+ */
+const parseSessionId = (req) => {
+  const sessionId = parseInt(req.params.id, 10);
+  if (isNaN(sessionId)) {
+    throw new NotFoundError("Session not found");
+  }
+  return sessionId;
+};
+
 /**
  * @swagger
  * /api/v1/sessions:
  *   get:
  *     summary: Get sessions
+ *     description: |
+ *       - Users see sessions for their own bookings
+ *       - Therapists see their own sessions
+ *       - Admins see all sessions
  *     tags: [Sessions]
  *     security:
  *       - BearerAuth: []
@@ -19,10 +41,20 @@ const router = Router();
 router.get("/", authenticate, async (req, res, next) => {
   try {
     const { page, limit, skip } = parsePaginationParams(req.query);
-    const sessions = await prisma.session.findMany({ skip, take: limit, orderBy: { created_at: "desc" } });
-    const total = await prisma.session.count();
+
+    const where = {};
+    if (req.user.type === USER_TYPES.USER) {
+      where.booking = { user_id: req.user.id };
+    } else if (req.user.type === USER_TYPES.THERAPIST) {
+      where.therapist_id = req.user.id;
+    }
+
+    const [sessions, total] = await Promise.all([
+      prisma.session.findMany({ where, skip, take: limit, orderBy: { created_at: "desc" } }),
+      prisma.session.count({ where }),
+    ]);
     const pagination = buildPaginationResponse(page, limit, total);
-    res.json(paginatedResponse(sessions, pagination));
+    res.json(paginatedResponse(sessions.map((session) => formatSessionForActor(session, req.user)), pagination));
   } catch (error) {
     next(error);
   }
@@ -33,20 +65,48 @@ router.get("/", authenticate, async (req, res, next) => {
  * /api/v1/sessions/{id}:
  *   get:
  *     summary: Get session by ID
+ *     description: Returns the session with its booking and per-participant attendance
  *     tags: [Sessions]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session retrieved successfully
+ *       403:
+ *         description: Forbidden - Not a participant
+ *       404:
+ *         description: Session not found
  */
 router.get("/:id", authenticate, async (req, res, next) => {
   try {
-    const sessionId = parseInt(req.params.id, 10);
-    if (isNaN(sessionId)) {
-      throw new NotFoundError("Session not found");
-    }
+    const sessionId = parseSessionId(req);
 
-    const session = await prisma.session.findUnique({ where: { id: sessionId } });
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      include: {
+        booking: {
+          select: { id: true, user_id: true, therapist_id: true, status: true, scheduled_start: true, scheduled_end: true },
+        },
+        participants: { orderBy: { joined_at: "asc" } },
+      },
+    });
     if (!session) throw new NotFoundError("Session not found");
-    res.json(successResponse(session));
+
+    const isUser = req.user.type === USER_TYPES.USER && session.booking.user_id === req.user.id;
+    const isTherapist = req.user.type === USER_TYPES.THERAPIST && session.therapist_id === req.user.id;
+    const isAdmin = req.user.type === USER_TYPES.ADMIN;
+
+    if (!isUser && !isTherapist && !isAdmin) {
+      throw new ForbiddenError("You don't have permission to view this session");
+    }
+
+    res.json(successResponse(formatSessionForActor(session, req.user)));
   } catch (error) {
     next(error);
   }
@@ -54,25 +114,78 @@ router.get("/:id", authenticate, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/v1/sessions/{id}/start:
+ * /api/v1/sessions/{id}/join:
  *   post:
- *     summary: Start a session
+ *     summary: Join a session
+ *     description: |
+ *       The booking's patient or therapist joins the session. Joining opens 10 minutes before
+ *       `scheduled_start` and closes 15 minutes after it; the first participant to join starts
+ *       the session, after which participants can rejoin until it ends.
+ *       For video/audio sessions the provider room is created on first join; the response
+ *       carries `room_url` and the caller's own `access_token`.
+ *       `POST /sessions/{id}/start` is kept as an alias.
  *     tags: [Sessions]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Joined session
+ *       400:
+ *         description: Outside the join window or session not open
+ *       403:
+ *         description: Forbidden - Not a participant
+ *       404:
+ *         description: Session not found
  */
-router.post("/:id/start", authenticate, async (req, res, next) => {
+const join = async (req, res, next) => {
   try {
-    const sessionId = parseInt(req.params.id, 10);
-    if (isNaN(sessionId)) {
-      throw new NotFoundError("Session not found");
-    }
+    const actor = { type: req.user.type, id: req.user.id };
+    const session = await joinSession(parseSessionId(req), actor);
+    res.json(successResponse(formatSessionForActor(session, actor), "Joined session"));
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const session = await prisma.session.update({
-      where: { id: sessionId },
-      data: { status: SESSION_STATUS.IN_PROGRESS, started_at: new Date() },
-    });
-    res.json(successResponse(session, "Session started"));
+router.post("/:id/join", authenticate, join);
+router.post("/:id/start", authenticate, join);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/leave:
+ *   post:
+ *     summary: Leave a session
+ *     description: Records the caller leaving; the session stays in progress and can be rejoined
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Left session
+ *       400:
+ *         description: Session is not in progress
+ *       403:
+ *         description: Forbidden - Not a participant
+ *       404:
+ *         description: Session not found
+ */
+router.post("/:id/leave", authenticate, async (req, res, next) => {
+  try {
+    const actor = { type: req.user.type, id: req.user.id };
+    const session = await leaveSession(parseSessionId(req), actor);
+    res.json(successResponse(formatSessionForActor(session, actor), "Left session"));
   } catch (error) {
     next(error);
   }
@@ -82,30 +195,64 @@ router.post("/:id/start", authenticate, async (req, res, next) => {
  * @swagger
  * /api/v1/sessions/{id}/end:
  *   post:
- *     summary: End a session
+ *     summary: End a session (Therapist only)
+ *     description: |
+ *       Closes attendance, sets `actual_duration_minutes` to the time both participants were
+ *       connected together, and marks the linked booking as completed.
  *     tags: [Sessions]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       400:
+ *         description: Session is not in progress
+ *       403:
+ *         description: Forbidden - Only the session's therapist can end it
+ *       404:
+ *         description: Session not found
  */
 router.post("/:id/end", authenticate, async (req, res, next) => {
   try {
-    const sessionId = parseInt(req.params.id, 10);
-    if (isNaN(sessionId)) {
-      throw new NotFoundError("Session not found");
-    }
-
-    const session = await prisma.session.findUnique({ where: { id: sessionId } });
-    if (!session) {
-      throw new NotFoundError("Session not found");
-    }
-
-    const duration = session.started_at ? Math.round((Date.now() - new Date(session.started_at).getTime()) / 60000) : 0;
+    const actor = { type: req.user.type, id: req.user.id };
+    const session = await endSession(parseSessionId(req), actor);
+    res.json(successResponse(formatSessionForActor(session, actor), "Session ended"));
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const updated = await prisma.session.update({
-      where: { id: sessionId },
-      data: { status: SESSION_STATUS.COMPLETED, ended_at: new Date(), actual_duration_minutes: duration },
-    });
-    res.json(successResponse(updated, "Session ended"));
+/**
+ * @swagger
+ * /api/v1/sessions/webhook:
+ *   post:
+ *     summary: Video provider webhook handler
+ *     description: |
+ *       Receives room events from the configured provider (VIDEO_PROVIDER). Daily webhooks are
+ *       verified with DAILY_WEBHOOK_SECRET and must be less than 5 minutes old; unsigned loopback
+ *       webhooks are refused in production. A participant leaving closes their attendance
+ *       record; the room ending completes an in-progress session.
+ *     tags: [Sessions]
+ *     responses:
+ *       200:
+ *         description: Webhook received
+ *       400:
+ *         description: Unsupported event
+ *       401:
+ *         description: Invalid or expired signature
+ *       403:
+ *         description: Loopback webhooks are disabled in production
+ */
+router.post("/webhook", async (req, res, next) => {
+  try {
+    await handleProviderWebhook({ headers: req.headers, rawBody: req.rawBody, body: req.body });
+    res.json({ received: true });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,556 @@
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../../utils/errors.js";
+import {
+  ACTOR_TYPES,
+  BOOKING_STATUS,
+  SESSION_STATUS,
+  SESSION_CONFIG,
+  SESSION_TYPES,
+  USER_TYPES,
+  VIDEO_PROVIDERS,
+  VIDEO_PROVIDER_EVENTS,
+} from "../../config/constants.js";
+import { transitionBooking } from "../bookings/booking.state.js";
+import { getVideoProvider } from "./providers/index.js";
+
+const MINUTE_MS = 60 * 1000;
+
+const OPEN_SESSION_STATUSES = [SESSION_STATUS.SCHEDULED, SESSION_STATUS.IN_PROGRESS];
+
+const sessionInclude = {
+  booking: {
+    select: {
+      id: true,
+      user_id: true,
+      therapist_id: true,
+      status: true,
+      scheduled_start: true,
+      scheduled_end: true,
+      duration_minutes: true,
+      is_free_session: true,
+    },
+  },
+  participants: {
+    orderBy: { joined_at: "asc" },
+  },
+};
+
+/**
+ * Create the session for a confirmed booking, or reopen it after a reschedule
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} booking - Confirmed booking
+ * @returns {Promise<Object>} Session
+ */
+export const ensureSessionForBooking = (client, booking) => {
+  return client.session.upsert({
+    where: { booking_id: booking.id },
+    create: {
+      booking_id: booking.id,
+      therapist_id: booking.therapist_id,
+      session_type: booking.session_type,
+      status: SESSION_STATUS.SCHEDULED,
+    },
+    update: {
+      session_type: booking.session_type,
+      status: SESSION_STATUS.SCHEDULED,
+    },
+  });
+};
+
+/**
+ * Cancel a booking's session if it hasn't finished
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object>} Update count
+ */
+export const cancelSessionForBooking = (client, bookingId) => {
+  return client.session.updateMany({
+    where: { booking_id: bookingId, status: { in: OPEN_SESSION_STATUSES } },
+    data: { status: SESSION_STATUS.CANCELLED },
+  });
+};
+
+/**
+ * Merge [start, end) intervals into a sorted, non-overlapping list
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+};
+
+/**
+ * Minutes both the therapist and the patient were in the session together
+ * @param {Array} participants - SessionParticipant rows
+ * @param {Date} endedAt - Used for rows that were never closed
+ * @returns {number} Whole minutes of shared attendance
+ */
+export const calculateAttendedMinutes = (participants, endedAt) => {
+  const intervalsFor = (type) => mergeIntervals(
+    participants
+      .filter((p) => p.participant_type === type)
+      .map((p) => ({
+        start: new Date(p.joined_at).getTime(),
+        end: new Date(p.left_at || endedAt).getTime(),
+      }))
+      .filter((i) => i.end > i.start),
+  );
+
+  const therapist = intervalsFor(USER_TYPES.THERAPIST);
+  const user = intervalsFor(USER_TYPES.USER);
+
+  let overlapMs = 0;
+  for (const t of therapist) {
+    for (const u of user) {
+      overlapMs += Math.max(0, Math.min(t.end, u.end) - Math.max(t.start, u.start));
+    }
+  }
+
+  return Math.round(overlapMs / MINUTE_MS);
+};
+
+/**
+ * Close open attendance rows and mark a session completed
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} sessionId - Session ID
+ * @param {Date} [endedAt] - End time
+ * @returns {Promise<Object>} Updated session
+ */
+export const finalizeSession = async (client, sessionId, endedAt = new Date()) => {
+  await client.sessionParticipant.updateMany({
+    where: { session_id: sessionId, left_at: null },
+    data: { left_at: endedAt },
+  });
+
+  const participants = await client.sessionParticipant.findMany({
+    where: { session_id: sessionId },
+  });
+
+  return client.session.update({
+    where: { id: sessionId },
+    data: {
+      status: SESSION_STATUS.COMPLETED,
+      ended_at: endedAt,
+      actual_duration_minutes: calculateAttendedMinutes(participants, endedAt),
+    },
+  });
+};
+
+/**
+ * Complete a booking's session if it is still open (e.g., booking completed by hand)
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object|null>} Updated session, if one was open
+ */
+export const completeSessionForBooking = async (client, bookingId) => {
+  const session = await client.session.findUnique({ where: { booking_id: bookingId } });
+  if (!session || !OPEN_SESSION_STATUSES.includes(session.status)) {
+    return null;
+  }
+  return finalizeSession(client, session.id);
+};
+
+/**
+ * Load a session and work out the caller's role in it
+ * @param {number} sessionId - Session ID
+ * @param {Object} actor - { type, id }
+ * @returns {Promise<Object>} Session with booking and participants
+ * @throws {NotFoundError} If missing
+ * @throws {ForbiddenError} If the caller is not the booking's patient or therapist
+ */
+export const getSessionForParticipant = async (sessionId, actor) => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    include: sessionInclude,
+  });
+
+  if (!session) {
+    throw new NotFoundError("Session not found");
+  }
+
+  const isUser = actor.type === USER_TYPES.USER && session.booking.user_id === actor.id;
+  const isTherapist = actor.type === USER_TYPES.THERAPIST && session.booking.therapist_id === actor.id;
+
+  if (!isUser && !isTherapist) {
+    throw new ForbiddenError("Only the session's participants can do this");
+  }
+
+  return session;
+};
+
+/**
+ * Check the join window around scheduled_start
+ * Before the session starts, joining opens JOIN_OPENS_BEFORE_MINUTES early and
+ * closes JOIN_CLOSES_AFTER_MINUTES after the scheduled start. Once someone has
+ * started it, participants can rejoin until it ends.
+ * @param {Object} session - Session with booking
+ * @param {Date} now - Current time
+ * @throws {BadRequestError} If the session can't be joined right now
+ */
+const assertCanJoin = (session, now) => {
+  if (!OPEN_SESSION_STATUSES.includes(session.status)) {
+    throw new BadRequestError(`Cannot join a session with status: ${session.status}`);
+  }
+
+  if (session.booking.status !== BOOKING_STATUS.CONFIRMED) {
+    throw new BadRequestError("Only confirmed bookings can be joined");
+  }
+
+  if (session.status === SESSION_STATUS.IN_PROGRESS) {
+    return;
+  }
+
+  const start = new Date(session.booking.scheduled_start).getTime();
+  const opensAt = start - SESSION_CONFIG.JOIN_OPENS_BEFORE_MINUTES * MINUTE_MS;
+  const closesAt = start + SESSION_CONFIG.JOIN_CLOSES_AFTER_MINUTES * MINUTE_MS;
+
+  if (now.getTime() < opensAt) {
+    throw new BadRequestError(
+      `This session opens ${SESSION_CONFIG.JOIN_OPENS_BEFORE_MINUTES} minutes before its scheduled start`,
+    );
+  }
+  if (now.getTime() > closesAt) {
+    throw new BadRequestError("The join window for this session has closed");
+  }
+};
+
+/**
+ * Hide provider tokens from a session and expose only the caller's own token
+ * @param {Object} session - Session record
+ * @param {Object} actor - { type, id }
+ * @returns {Object} Session safe to return to the caller
+ */
+export const formatSessionForActor = (session, actor) => {
+  const { user_token, therapist_token, ...safe } = session;
+
+  if (actor.type === USER_TYPES.USER) {
+    return { ...safe, access_token: user_token };
+  }
+  if (actor.type === USER_TYPES.THERAPIST) {
+    return { ...safe, access_token: therapist_token };
+  }
+  return safe;
+};
+
+/**
+ * Create the provider room and participant tokens the first time a video or
+ * audio session is joined. Chat sessions run over the messaging socket and
+ * don't need a room. When both participants join at once, the first room saved
+ * wins and the other is closed.
+ * @param {Object} session - Session with booking
+ * @returns {Promise<Object>} Session with room details filled in
+ */
+export const provisionRoom = async (session) => {
+  if (session.session_type === SESSION_TYPES.CHAT || session.room_id || session.provider === VIDEO_PROVIDERS.WEBRTC) {
+    return session;
+  }
+
+  const provider = getVideoProvider();
+  const { booking } = session;
+  const startsAt = new Date(
+    new Date(booking.scheduled_start).getTime() - SESSION_CONFIG.JOIN_OPENS_BEFORE_MINUTES * MINUTE_MS,
+  );
+  const expiresAt = new Date(
+    new Date(booking.scheduled_end).getTime() + SESSION_CONFIG.ROOM_EXPIRES_AFTER_END_MINUTES * MINUTE_MS,
+  );
+
+  const [room, user, therapist] = await Promise.all([
+    provider.createRoom({ session, startsAt, expiresAt }),
+    prisma.user.findUnique({ where: { id: booking.user_id }, select: { first_name: true, last_name: true } }),
+    prisma.therapist.findUnique({ where: { id: booking.therapist_id }, select: { first_name: true, last_name: true } }),
+  ]);
+
+  const [user_token, therapist_token] = await Promise.all([
+    provider.createParticipantToken({
+      roomId: room.room_id,
+      participant: { type: USER_TYPES.USER, id: booking.user_id, name: `${user?.first_name || ""} ${user?.last_name || ""}`.trim() },
+      isOwner: false,
+      expiresAt,
+    }),
+    provider.createParticipantToken({
+      roomId: room.room_id,
+      participant: { type: USER_TYPES.THERAPIST, id: booking.therapist_id, name: `${therapist?.first_name || ""} ${therapist?.last_name || ""}`.trim() },
+      isOwner: true,
+      expiresAt,
+    }),
+  ]);
+
+  // Only save the room if nobody else has saved one in the meantime
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, room_id: null },
+    data: {
+      provider: provider.name,
+      room_id: room.room_id,
+      room_url: room.room_url,
+      provider_metadata: room.metadata,
+      user_token,
+      therapist_token,
+    },
+  });
+  if (count === 0) {
+    await releaseRoom({ id: session.id, room_id: room.room_id });
+  }
+
+  return prisma.session.findUnique({ where: { id: session.id }, include: sessionInclude });
+};
+
+/**
+ * Close a session's provider room; failures are logged, not thrown
+ * @param {Object} session - Session record
+ */
+const releaseRoom = async (session) => {
+  if (!session.room_id) return;
+  try {
+    await getVideoProvider().closeRoom(session.room_id);
+  } catch (error) {
+    logger.warn("Failed to close video room", { sessionId: session.id, roomId: session.room_id, error: error.message });
+  }
+};
+
+/**
+ * Join a session. The first participant to join starts it.
+ * @param {number} sessionId - Session ID
+ * @param {Object} actor - { type, id }
+ * @param {Object} [options]
+ * @param {boolean} [options.peerToPeer] - Call runs over our own WebRTC signaling instead of a provider room
+ * @returns {Promise<Object>} Session with booking and participants
+ */
+export const joinSession = async (sessionId, actor, { peerToPeer = false } = {}) => {
+  const session = await getSessionForParticipant(sessionId, actor);
+  const now = new Date();
+
+  assertCanJoin(session, now);
+
+  if (peerToPeer) {
+    if (session.session_type === SESSION_TYPES.CHAT) {
+      throw new BadRequestError("Chat sessions don't support calls");
+    }
+    if (!session.provider) {
+      await prisma.session.update({
+        where: { id: sessionId },
+        data: { provider: VIDEO_PROVIDERS.WEBRTC },
+      });
+    }
+  } else {
+    await provisionRoom(session);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // A dropped connection may have left a row open; close it before opening a new one
+    await tx.sessionParticipant.updateMany({
+      where: {
+        session_id: sessionId,
+        participant_type: actor.type,
+        participant_id: actor.id,
+        left_at: null,
+      },
+      data: { left_at: now },
+    });
+
+    await tx.sessionParticipant.create({
+      data: {
+        session_id: sessionId,
+        participant_type: actor.type,
+        participant_id: actor.id,
+        joined_at: now,
+      },
+    });
+
+    if (session.status === SESSION_STATUS.SCHEDULED) {
+      await tx.session.updateMany({
+        where: { id: sessionId, status: SESSION_STATUS.SCHEDULED },
+        data: { status: SESSION_STATUS.IN_PROGRESS, started_at: now },
+      });
+    }
+
+    return tx.session.findUnique({ where: { id: sessionId }, include: sessionInclude });
+  });
+};
+
+/**
+ * Leave a session without ending it
+ * @param {number} sessionId - Session ID
+ * @param {Object} actor - { type, id }
+ * @returns {Promise<Object>} Session with booking and participants
+ */
+export const leaveSession = async (sessionId, actor) => {
+  const session = await getSessionForParticipant(sessionId, actor);
+
+  if (session.status !== SESSION_STATUS.IN_PROGRESS) {
+    throw new BadRequestError(`Cannot leave a session with status: ${session.status}`);
+  }
+
+  await prisma.sessionParticipant.updateMany({
+    where: {
+      session_id: sessionId,
+      participant_type: actor.type,
+      participant_id: actor.id,
+      left_at: null,
+    },
+    data: { left_at: new Date() },
+  });
+
+  return prisma.session.findUnique({ where: { id: sessionId }, include: sessionInclude });
+};
+
+/**
+ * End a session (therapist only): closes attendance, records the attended
+ * duration and completes the linked booking
+ * @param {number} sessionId - Session ID
+ * @param {Object} actor - { type, id }
+ * @returns {Promise<Object>} Session with booking and participants
+ */
+export const endSession = async (sessionId, actor) => {
+  const session = await getSessionForParticipant(sessionId, actor);
+
+  if (actor.type !== USER_TYPES.THERAPIST) {
+    throw new ForbiddenError("Only the therapist can end a session");
+  }
+
+  if (session.status !== SESSION_STATUS.IN_PROGRESS) {
+    throw new BadRequestError(`Cannot end a session with status: ${session.status}`);
+  }
+
+  return completeSession(session, actor);
+};
+
+/**
+ * Finalize attendance, complete the booking and release the room
+ * @param {Object} session - In-progress session
+ * @param {Object} actor - { type, id } credited with completing the booking
+ * @param {Date} [endedAt] - End time
+ * @returns {Promise<Object>} Session with booking and participants
+ */
+const completeSession = async (session, actor, endedAt = new Date()) => {
+  const booking = await prisma.booking.findUnique({ where: { id: session.booking_id } });
+
+  const completed = await prisma.$transaction(async (tx) => {
+    await finalizeSession(tx, session.id, endedAt);
+
+    await transitionBooking({
+      booking,
+      action: "complete",
+      actor,
+      metadata: { session_id: session.id },
+      client: tx,
+    });
+
+    return tx.session.findUnique({ where: { id: session.id }, include: sessionInclude });
+  });
+
+  await releaseRoom(completed);
+
+  return completed;
+};
+
+/**
+ * Complete sessions still in progress after their room expired
+ * (ROOM_EXPIRES_AFTER_END_MINUTES past scheduled_end), e.g. when both participants
+ * left or dropped without the therapist ending the call. The session ends when the
+ * last participant left, or at the room's expiry if someone never left.
+ * Registered as a recurring job (every CLOSE_EXPIRED_INTERVAL_MINUTES).
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{ closed: number, failed: number }>} Summary
+ */
+export const closeExpiredSessions = async (now = new Date()) => {
+  const expiredBefore = new Date(now.getTime() - SESSION_CONFIG.ROOM_EXPIRES_AFTER_END_MINUTES * MINUTE_MS);
+  const sessions = await prisma.session.findMany({
+    where: { status: SESSION_STATUS.IN_PROGRESS, booking: { scheduled_end: { lte: expiredBefore } } },
+    include: sessionInclude,
+    orderBy: { id: "asc" },
+    take: SESSION_CONFIG.CLOSE_EXPIRED_BATCH_SIZE,
+  });
+
+  const summary = { closed: 0, failed: 0 };
+
+  for (const session of sessions) {
+    const roomExpiredAt = new Date(
+      new Date(session.booking.scheduled_end).getTime() + SESSION_CONFIG.ROOM_EXPIRES_AFTER_END_MINUTES * MINUTE_MS,
+    );
+    const allLeft = session.participants.length > 0 && session.participants.every((p) => p.left_at);
+    const endedAt = allLeft
+      ? new Date(Math.max(...session.participants.map((p) => new Date(p.left_at).getTime())))
+      : roomExpiredAt;
+
+    try {
+      await completeSession(session, { type: ACTOR_TYPES.SYSTEM, id: null }, endedAt);
+      summary.closed++;
+    } catch (error) {
+      summary.failed++;
+      logger.error("Failed to close expired session", { sessionId: session.id, error: error.message });
+    }
+  }
+
+  if (sessions.length > 0) {
+    logger.info("Expired sessions closed", summary);
+  }
+
+  return summary;
+};
+
+/**
+ * Handle a webhook from the configured video provider
+ * Logged to webhook_logs first, then applied: a participant leaving closes their
+ * attendance row, and the room ending completes an in-progress session.
+ * @param {Object} req - { headers, rawBody, body }
+ * @returns {Promise<Object>} Normalized event
+ */
+export const handleProviderWebhook = async ({ headers, rawBody, body }) => {
+  const provider = getVideoProvider();
+
+  const log = await prisma.webhookLog.create({
+    data: {
+      source: provider.name,
+      event_type: body?.type,
+      headers,
+      payload: body || {},
+    },
+  });
+
+  try {
+    const event = provider.parseWebhook({ headers, rawBody, body });
+
+    const session = await prisma.session.findFirst({
+      where: { provider: provider.name, room_id: event.room_id },
+      include: sessionInclude,
+    });
+
+    if (session && session.status === SESSION_STATUS.IN_PROGRESS) {
+      if (event.type === VIDEO_PROVIDER_EVENTS.PARTICIPANT_LEFT && event.participant) {
+        await prisma.sessionParticipant.updateMany({
+          where: {
+            session_id: session.id,
+            participant_type: event.participant.type,
+            participant_id: event.participant.id,
+            left_at: null,
+          },
+          data: { left_at: event.occurred_at },
+        });
+      } else if (event.type === VIDEO_PROVIDER_EVENTS.ROOM_ENDED) {
+        await completeSession(session, { type: ACTOR_TYPES.SYSTEM, id: null }, event.occurred_at);
+      }
+    }
+
+    await prisma.webhookLog.update({
+      where: { id: log.id },
+      data: { processed: true, processed_at: new Date() },
+    });
+
+    return event;
+  } catch (error) {
+    await prisma.webhookLog.update({
+      where: { id: log.id },
+      data: { processing_error: error.message },
+    });
+    throw error;
+  }
+};
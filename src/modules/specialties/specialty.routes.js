@@ -1,6 +1,7 @@
 import { Router } from "express";
 import { authenticate } from "../../middleware/auth.js";
 import { authorize } from "../../middleware/rbac.js";
+import { audit } from "../../middleware/audit.js";
 import prisma from "../../config/prisma.js";
 import { successResponse, paginatedResponse, buildPaginationResponse, parsePaginationParams } from "../../utils/helpers.js";
 import { NotFoundError } from "../../utils/errors.js";
@@ -191,7 +192,7 @@ router.get("/:id", async (req, res, next) => {
  *       403:
  *         description: Forbidden - specialties:create permission required
  */
-router.post("/", authenticate, authorize("specialties:create"), async (req, res, next) => {
+router.post("/", authenticate, authorize("specialties:create"), audit("specialty.created"), async (req, res, next) => {
   try {
     const { name, description, icon_url, display_order } = req.body;
     const specialty = await prisma.specialty.create({
@@ -268,7 +269,7 @@ router.post("/", authenticate, authorize("specialties:create"), async (req, res,
  *       404:
  *         description: Specialty not found
  */
-router.patch("/:id", authenticate, authorize("specialties:update"), async (req, res, next) => {
+router.patch("/:id", authenticate, authorize("specialties:update"), audit("specialty.updated", { model: "specialty" }), async (req, res, next) => {
   try {
     const specialtyId = parseInt(req.params.id, 10);
     if (isNaN(specialtyId)) {
@@ -319,7 +320,7 @@ router.patch("/:id", authenticate, authorize("specialties:update"), async (req,
  *       404:
  *         description: Specialty not found
  */
-router.delete("/:id", authenticate, authorize("specialties:delete"), async (req, res, next) => {
+router.delete("/:id", authenticate, authorize("specialties:delete"), audit("specialty.deactivated", { model: "specialty" }), async (req, res, next) => {
   try {
     const specialtyId = parseInt(req.params.id, 10);
     if (isNaN(specialtyId)) {
@@ -0,0 +1,118 @@
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { SUBSCRIPTION_CONFIG, SUBSCRIPTION_STATUS } from "../../config/constants.js";
+import { issueSubscriptionInvoice } from "./subscription.service.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const { ACTIVE, PAST_DUE, EXPIRED } = SUBSCRIPTION_STATUS;
+
+/**
+ * When the next dunning step runs after `attempts` renewal invoices
+ * While retries are left it's the next retry time; after the last one it's the expiry time.
+ * @param {Object} subscription - Subscription with renews_at
+ * @param {number} attempts - Renewal invoices issued so far
+ * @returns {Date} Next step
+ */
+const nextDunningStep = (subscription, attempts) => {
+  const hours = SUBSCRIPTION_CONFIG.RETRY_AFTER_HOURS[attempts - 1] ?? SUBSCRIPTION_CONFIG.EXPIRE_AFTER_HOURS;
+  return new Date(new Date(subscription.renews_at).getTime() + hours * HOUR_MS);
+};
+
+/**
+ * Claim a due subscription by moving it on, guarded on the state it was read in,
+ * so two billing runs never act on the same step
+ */
+const claim = async (subscription, data) => {
+  const { count } = await prisma.subscription.updateMany({
+    where: {
+      id: subscription.id,
+      status: subscription.status,
+      renewal_attempts: subscription.renewal_attempts,
+    },
+    data,
+  });
+  return count === 1;
+};
+
+/**
+ * Take one due subscription a step through renewal
+ *
+ * - Active, period over: becomes past_due and gets a renewal invoice
+ * - Past due, retry time reached: gets a fresh renewal invoice
+ * - Past due, retries used up: expires
+ *
+ * Each invoice's pay link stays valid until the next step. A paid invoice
+ * reactivates the subscription through the payment webhook.
+ * @param {Object} subscription - Due subscription
+ * @param {Date} now - Reference time
+ * @returns {Promise<string|null>} What happened (renewed, retried, expired), null if another run got there first
+ */
+const processDueSubscription = async (subscription, now) => {
+  if (subscription.status === PAST_DUE && subscription.renewal_attempts > SUBSCRIPTION_CONFIG.RETRY_AFTER_HOURS.length) {
+    const claimed = await claim(subscription, { status: EXPIRED, expired_at: now, next_retry_at: null });
+    if (claimed) {
+      logger.info("Subscription expired after failed renewals", {
+        subscriptionId: subscription.id,
+        attempts: subscription.renewal_attempts,
+      });
+    }
+    return claimed ? "expired" : null;
+  }
+
+  const outcome = subscription.status === ACTIVE ? "renewed" : "retried";
+  const attempts = subscription.renewal_attempts + 1;
+  const nextStep = nextDunningStep(subscription, attempts);
+
+  const claimed = await claim(subscription, {
+    status: PAST_DUE,
+    renewal_attempts: attempts,
+    next_retry_at: nextStep,
+  });
+  if (!claimed) {
+    return null;
+  }
+
+  // A failed invoice still counts as an attempt; the next step tries again
+  await issueSubscriptionInvoice(subscription, nextStep);
+
+  logger.info("Subscription renewal invoice issued", { subscriptionId: subscription.id, attempt: attempts });
+  return outcome;
+};
+
+/**
+ * Run one pass of the subscription billing engine
+ * Registered as a recurring job (every BILLING_INTERVAL_MINUTES), so one instance runs it at a time.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{ renewed: number, retried: number, expired: number, failed: number }>} Summary
+ */
+export const runSubscriptionBilling = async (now = new Date()) => {
+  const due = await prisma.subscription.findMany({
+    where: {
+      OR: [
+        { status: ACTIVE, renews_at: { lte: now } },
+        { status: PAST_DUE, next_retry_at: { lte: now } },
+      ],
+    },
+    orderBy: { id: "asc" },
+    take: SUBSCRIPTION_CONFIG.BILLING_BATCH_SIZE,
+  });
+
+  const summary = { renewed: 0, retried: 0, expired: 0, failed: 0 };
+
+  for (const subscription of due) {
+    try {
+      const outcome = await processDueSubscription(subscription, now);
+      if (outcome) summary[outcome]++;
+    } catch (error) {
+      summary.failed++;
+      logger.error("Subscription billing failed", { subscriptionId: subscription.id, error: error.message });
+    }
+  }
+
+  if (due.length > 0) {
+    logger.info("Subscription billing run completed", summary);
+  }
+
+  return summary;
+};
@@ -1,10 +1,12 @@
 import { Router } from "express";
 import { authenticate } from "../../middleware/auth.js";
 import { authorize } from "../../middleware/rbac.js";
+import { audit } from "../../middleware/audit.js";
 import prisma from "../../config/prisma.js";
 import { successResponse, paginatedResponse, buildPaginationResponse, parsePaginationParams } from "../../utils/helpers.js";
-import { NotFoundError } from "../../utils/errors.js";
+import { NotFoundError, ForbiddenError } from "../../utils/errors.js";
 import { HTTP_STATUS, SUBSCRIPTION_STATUS, USER_TYPES } from "../../config/constants.js";
+import { createSubscription, pauseSubscription, resumeSubscription } from "./subscription.service.js";
 
 const router = Router();
 
@@ -45,33 +47,56 @@ router.get("/", authenticate, async (req, res, next) => {
  * /api/v1/subscriptions:
  *   post:
  *     summary: Create subscription
+ *     description: |
+ *       Subscribes the patient to a therapist. The price is the therapist's session rate times the
+ *       period's session allowance (weekly: 1 session, monthly: 4). The subscription stays `pending`
+ *       until the returned FuratPay invoice (`payment.furatpay_pay_link`) is paid, then becomes
+ *       `active` and bookings with the therapist use up the allowance instead of being charged.
+ *       Renewal invoices are issued at `renews_at`; unpaid renewals are retried 1, 3 and 5 days
+ *       later (`past_due`) and the subscription expires after 7 days.
+ *       Calling this again while pending returns the open invoice (or a fresh one if it expired).
  *     tags: [Subscriptions]
  *     security:
  *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - therapist_id
+ *               - type
+ *             properties:
+ *               therapist_id:
+ *                 type: integer
+ *               type:
+ *                 type: string
+ *                 enum: [weekly, monthly]
+ *     responses:
+ *       201:
+ *         description: Subscription created, waiting for payment
+ *       200:
+ *         description: Pending subscription returned with its open invoice
+ *       400:
+ *         description: Invalid type or therapist not available
+ *       409:
+ *         description: Already subscribed to this therapist
  */
-router.post("/", authenticate, authorize("subscriptions:create"), async (req, res, next) => {
+router.post("/", authenticate, authorize("subscriptions:create"), audit("subscription.created"), async (req, res, next) => {
   try {
-    const { therapist_id, type, amount, currency } = req.body;
+    const { therapist_id, type } = req.body;
 
     const therapistIdInt = parseInt(therapist_id, 10);
     if (isNaN(therapistIdInt)) {
       throw new NotFoundError("Invalid therapist ID");
     }
 
-    const subscription = await prisma.subscription.create({
-      data: {
-        user_id: req.user.id,
-        therapist_id: therapistIdInt,
-        type,
-        amount,
-        currency,
-        status: SUBSCRIPTION_STATUS.ACTIVE,
-        started_at: new Date(),
-        renews_at: new Date(Date.now() + (type === "weekly" ? 7 : 30) * 24 * 60 * 60 * 1000),
-      },
-    });
+    const { subscription, payment, created } = await createSubscription(req.user, { therapistId: therapistIdInt, type });
 
-    res.status(HTTP_STATUS.CREATED).json(successResponse(subscription, "Subscription created"));
+    res
+      .status(created ? HTTP_STATUS.CREATED : HTTP_STATUS.OK)
+      .json(successResponse({ ...subscription, payment }, created ? "Subscription created" : "Subscription awaiting payment"));
   } catch (error) {
     next(error);
   }
@@ -82,6 +107,7 @@ router.post("/", authenticate, authorize("subscriptions:create"), async (req, re
  * /api/v1/subscriptions/{id}:
  *   get:
  *     summary: Get subscription by ID
+ *     description: Returns the subscription with its most recent payments (including any open pay link)
  *     tags: [Subscriptions]
  *     security:
  *       - BearerAuth: []
@@ -93,14 +119,88 @@ router.get("/:id", authenticate, async (req, res, next) => {
       throw new NotFoundError("Subscription not found");
     }
 
-    const subscription = await prisma.subscription.findUnique({ where: { id: subscriptionId } });
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: subscriptionId },
+      include: { payments: { orderBy: { created_at: "desc" }, take: 5 } },
+    });
     if (!subscription) throw new NotFoundError("Subscription not found");
+
+    const isUser = req.user.type === USER_TYPES.USER && subscription.user_id === req.user.id;
+    const isTherapist = req.user.type === USER_TYPES.THERAPIST && subscription.therapist_id === req.user.id;
+    if (!isUser && !isTherapist && req.user.type !== USER_TYPES.ADMIN) {
+      throw new ForbiddenError("You don't have permission to view this subscription");
+    }
+
     res.json(successResponse(subscription));
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/subscriptions/{id}/pause:
+ *   post:
+ *     summary: Pause subscription
+ *     description: |
+ *       Pauses an active subscription. While paused it isn't renewed and its allowance can't be
+ *       used. Resuming extends the current period by the time spent paused.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription paused
+ *       400:
+ *         description: Subscription is not active
+ *       403:
+ *         description: Forbidden - Not your subscription
+ */
+router.post("/:id/pause", authenticate, audit("subscription.paused", { model: "subscription" }), async (req, res, next) => {
+  try {
+    const subscriptionId = parseInt(req.params.id, 10);
+    if (isNaN(subscriptionId)) {
+      throw new NotFoundError("Subscription not found");
+    }
+
+    const subscription = await pauseSubscription(subscriptionId, { type: req.user.type, id: req.user.id });
+    res.json(successResponse(subscription, "Subscription paused"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/{id}/resume:
+ *   post:
+ *     summary: Resume subscription
+ *     description: Resumes a paused subscription; `renews_at` moves forward by the time spent paused
+ *     tags: [Subscriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription resumed
+ *       400:
+ *         description: Subscription is not paused
+ *       403:
+ *         description: Forbidden - Not your subscription
+ */
+router.post("/:id/resume", authenticate, audit("subscription.resumed", { model: "subscription" }), async (req, res, next) => {
+  try {
+    const subscriptionId = parseInt(req.params.id, 10);
+    if (isNaN(subscriptionId)) {
+      throw new NotFoundError("Subscription not found");
+    }
+
+    const subscription = await resumeSubscription(subscriptionId, { type: req.user.type, id: req.user.id });
+    res.json(successResponse(subscription, "Subscription resumed"));
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/v1/subscriptions/{id}/cancel:
@@ -110,7 +210,7 @@ router.get("/:id", authenticate, async (req, res, next) => {
  *     security:
  *       - BearerAuth: []
  */
-router.post("/:id/cancel", authenticate, async (req, res, next) => {
+router.post("/:id/cancel", authenticate, audit("subscription.cancelled", { model: "subscription" }), async (req, res, next) => {
   try {
     const subscriptionId = parseInt(req.params.id, 10);
     if (isNaN(subscriptionId)) {
@@ -0,0 +1,291 @@
+import prisma from "../../config/prisma.js";
+import {
+  DEFAULTS,
+  PAYMENT_CONFIG,
+  PAYMENT_STATUS,
+  SUBSCRIPTION_CONFIG,
+  SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_TYPES,
+  THERAPIST_STATUS,
+  USER_TYPES,
+} from "../../config/constants.js";
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../../utils/errors.js";
+import { toCents, fromCents } from "../../utils/helpers.js";
+import { getFuratPayClient } from "../payments/furatpay.client.js";
+import { getCancellationRule } from "../payments/refund.policy.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const { PENDING, ACTIVE, PAST_DUE, PAUSED } = SUBSCRIPTION_STATUS;
+
+// Statuses that still tie a user to a therapist; only one such subscription per pair
+export const OPEN_SUBSCRIPTION_STATUSES = [PENDING, ACTIVE, PAST_DUE, PAUSED];
+
+/**
+ * End of a period of the given type starting at `from`
+ * @param {string} type - weekly or monthly
+ * @param {Date} from - Period start
+ * @returns {Date} Period end
+ */
+export const addSubscriptionPeriod = (type, from) => {
+  return new Date(from.getTime() + SUBSCRIPTION_CONFIG.PERIOD_DAYS[type] * DAY_MS);
+};
+
+/**
+ * Issue a FuratPay invoice for one period of a subscription and record it as a pending payment
+ * @param {Object} subscription - Subscription record
+ * @param {Date} expiresAt - When the pay link stops working
+ * @returns {Promise<Object>} Pending payment with pay link
+ */
+export const issueSubscriptionInvoice = async (subscription, expiresAt) => {
+  const { user, therapist } = await prisma.subscription.findUnique({
+    where: { id: subscription.id },
+    select: {
+      user: { select: { first_name: true, last_name: true, email: true, phone: true } },
+      therapist: { select: { first_name: true, last_name: true } },
+    },
+  });
+
+  const invoice = await getFuratPayClient().createInvoice({
+    reference: `subscription-${subscription.id}`,
+    amount: subscription.amount,
+    currency: subscription.currency,
+    description: `${subscription.type === SUBSCRIPTION_TYPES.WEEKLY ? "Weekly" : "Monthly"} therapy subscription with ${therapist.first_name} ${therapist.last_name}`,
+    customer: {
+      name: `${user.first_name} ${user.last_name}`,
+      email: user.email,
+      phone: user.phone,
+    },
+    expiresAt,
+  });
+
+  return prisma.payment.create({
+    data: {
+      subscription_id: subscription.id,
+      user_id: subscription.user_id,
+      amount: subscription.amount,
+      currency: subscription.currency,
+      status: PAYMENT_STATUS.PENDING,
+      furatpay_invoice_id: invoice.invoice_id,
+      furatpay_pay_link: invoice.pay_link,
+      expires_at: invoice.expires_at,
+    },
+  });
+};
+
+/**
+ * Start a subscription with a therapist
+ *
+ * The price is the therapist's session rate times the period's session
+ * allowance. The subscription stays pending until the first invoice is paid.
+ * Calling this again while it's pending returns the open invoice, or a new one
+ * if the previous link expired.
+ * @param {Object} user - Authenticated user ({ id })
+ * @param {Object} params
+ * @param {number} params.therapistId - Therapist ID
+ * @param {string} params.type - weekly or monthly
+ * @returns {Promise<{ subscription: Object, payment: Object, created: boolean }>}
+ */
+export const createSubscription = async (user, { therapistId, type }) => {
+  if (!Object.values(SUBSCRIPTION_TYPES).includes(type)) {
+    throw new BadRequestError(`Invalid subscription type. Must be one of: ${Object.values(SUBSCRIPTION_TYPES).join(", ")}`);
+  }
+
+  const therapist = await prisma.therapist.findUnique({ where: { id: therapistId } });
+  if (!therapist || therapist.deleted_at) {
+    throw new NotFoundError("Therapist not found");
+  }
+
+  if (therapist.status !== THERAPIST_STATUS.APPROVED || !(Number(therapist.session_rate_amount) > 0)) {
+    throw new BadRequestError("This therapist is not available for subscriptions");
+  }
+
+  const now = new Date();
+  const invoiceExpiresAt = new Date(now.getTime() + PAYMENT_CONFIG.INVOICE_EXPIRES_MINUTES * 60 * 1000);
+
+  const existing = await prisma.subscription.findFirst({
+    where: { user_id: user.id, therapist_id: therapistId, status: { in: OPEN_SUBSCRIPTION_STATUSES } },
+    include: { payments: { where: { status: PAYMENT_STATUS.PENDING }, orderBy: { created_at: "desc" }, take: 1 } },
+  });
+
+  if (existing && existing.status !== PENDING) {
+    throw new ConflictError("You already have a subscription with this therapist");
+  }
+
+  if (existing) {
+    const [openPayment] = existing.payments;
+    if (openPayment && openPayment.expires_at > now) {
+      return { subscription: existing, payment: openPayment, created: false };
+    }
+    const payment = await issueSubscriptionInvoice(existing, invoiceExpiresAt);
+    return { subscription: existing, payment, created: false };
+  }
+
+  const sessionsPerPeriod = SUBSCRIPTION_CONFIG.SESSIONS_PER_PERIOD[type];
+
+  const subscription = await prisma.subscription.create({
+    data: {
+      user_id: user.id,
+      therapist_id: therapistId,
+      type,
+      amount: fromCents(toCents(therapist.session_rate_amount) * sessionsPerPeriod),
+      currency: therapist.session_rate_currency || DEFAULTS.CURRENCY,
+      status: PENDING,
+      sessions_per_period: sessionsPerPeriod,
+      started_at: now,
+    },
+  });
+
+  const payment = await issueSubscriptionInvoice(subscription, invoiceExpiresAt);
+  return { subscription, payment, created: true };
+};
+
+/**
+ * Start a new period for a subscription whose invoice was just paid
+ * Only pending (first payment) and past-due (renewal) subscriptions take a
+ * payment; anything else means the payment arrived too late or twice.
+ * @param {Object} tx - Transaction client
+ * @param {Object} payment - Paid payment with subscription_id
+ * @param {Date} paidAt - When it was paid; the new period starts here
+ * @returns {Promise<boolean>} True if a period was started
+ */
+export const activateSubscriptionPeriod = async (tx, payment, paidAt) => {
+  const subscription = await tx.subscription.findUnique({ where: { id: payment.subscription_id } });
+  if (!subscription || ![PENDING, PAST_DUE].includes(subscription.status)) {
+    return false;
+  }
+
+  const { count } = await tx.subscription.updateMany({
+    where: { id: subscription.id, status: subscription.status },
+    data: {
+      status: ACTIVE,
+      current_period_start: paidAt,
+      renews_at: addSubscriptionPeriod(subscription.type, paidAt),
+      sessions_used: 0,
+      renewal_attempts: 0,
+      next_retry_at: null,
+    },
+  });
+
+  return count === 1;
+};
+
+/**
+ * Use one session from the user's active subscription with a therapist, if there is allowance left
+ * @param {Object} tx - Transaction client
+ * @param {Object} params
+ * @param {number} params.userId - Patient ID
+ * @param {number} params.therapistId - Therapist ID
+ * @returns {Promise<Object|null>} Subscription that covers the session, or null if none does
+ */
+export const consumeSessionAllowance = async (tx, { userId, therapistId }) => {
+  const subscription = await tx.subscription.findFirst({
+    where: { user_id: userId, therapist_id: therapistId, status: ACTIVE },
+  });
+  if (!subscription) {
+    return null;
+  }
+
+  // Guarded increment so concurrent bookings can't overdraw the allowance
+  const { count } = await tx.subscription.updateMany({
+    where: {
+      id: subscription.id,
+      status: ACTIVE,
+      renews_at: { gt: new Date() },
+      sessions_used: { lt: subscription.sessions_per_period },
+    },
+    data: { sessions_used: { increment: 1 } },
+  });
+
+  return count === 1 ? subscription : null;
+};
+
+/**
+ * Give a cancelled booking's session back to its subscription
+ * Only when the cancellation qualifies for a full refund (late patient
+ * cancellations use the session up) and the session came out of the current period.
+ * @param {Object} tx - Transaction client
+ * @param {Object} booking - Cancelled booking
+ * @param {Object} actor - { type, id } of who cancelled
+ */
+export const restoreSessionAllowance = async (tx, booking, actor) => {
+  if (!booking.subscription_id || !getCancellationRule({ booking, actor }).full) {
+    return;
+  }
+
+  await tx.subscription.updateMany({
+    where: {
+      id: booking.subscription_id,
+      current_period_start: { lte: booking.created_at },
+      sessions_used: { gt: 0 },
+    },
+    data: { sessions_used: { decrement: 1 } },
+  });
+};
+
+/**
+ * Load a subscription the actor may manage (its patient or an admin)
+ */
+const getManageableSubscription = async (subscriptionId, actor) => {
+  const subscription = await prisma.subscription.findUnique({ where: { id: subscriptionId } });
+  if (!subscription) {
+    throw new NotFoundError("Subscription not found");
+  }
+
+  const isOwner = actor.type === USER_TYPES.USER && subscription.user_id === actor.id;
+  if (!isOwner && actor.type !== USER_TYPES.ADMIN) {
+    throw new ForbiddenError("You don't have permission to manage this subscription");
+  }
+
+  return subscription;
+};
+
+/**
+ * Update a subscription only if it's still in the status it was loaded with
+ */
+const updateIfUnchanged = async (subscription, data) => {
+  const { count } = await prisma.subscription.updateMany({
+    where: { id: subscription.id, status: subscription.status },
+    data,
+  });
+  if (count === 0) {
+    throw new ConflictError("This subscription was updated by someone else. Please refresh and try again.");
+  }
+  return prisma.subscription.findUnique({ where: { id: subscription.id } });
+};
+
+/**
+ * Pause an active subscription: no renewals and no allowance use until resumed
+ * @param {number} subscriptionId - Subscription ID
+ * @param {Object} actor - { type, id }
+ * @returns {Promise<Object>} Updated subscription
+ */
+export const pauseSubscription = async (subscriptionId, actor) => {
+  const subscription = await getManageableSubscription(subscriptionId, actor);
+  if (subscription.status !== ACTIVE) {
+    throw new BadRequestError(`Cannot pause a subscription with status: ${subscription.status}`);
+  }
+
+  return updateIfUnchanged(subscription, { status: PAUSED, paused_at: new Date() });
+};
+
+/**
+ * Resume a paused subscription; the period is extended by the time spent paused
+ * @param {number} subscriptionId - Subscription ID
+ * @param {Object} actor - { type, id }
+ * @returns {Promise<Object>} Updated subscription
+ */
+export const resumeSubscription = async (subscriptionId, actor) => {
+  const subscription = await getManageableSubscription(subscriptionId, actor);
+  if (subscription.status !== PAUSED) {
+    throw new BadRequestError(`Cannot resume a subscription with status: ${subscription.status}`);
+  }
+
+  const pausedFor = Date.now() - new Date(subscription.paused_at).getTime();
+
+  return updateIfUnchanged(subscription, {
+    status: ACTIVE,
+    paused_at: null,
+    renews_at: subscription.renews_at ? new Date(new Date(subscription.renews_at).getTime() + pausedFor) : null,
+  });
+};
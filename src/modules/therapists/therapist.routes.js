@@ -1,10 +1,13 @@
 import { Router } from "express";
-import { authenticate, adminOnly } from "../../middleware/auth.js";
+import { authenticate, optionalAuth, adminOnly } from "../../middleware/auth.js";
 import { authorize } from "../../middleware/rbac.js";
+import { audit, auditOwnAccount } from "../../middleware/audit.js";
 import prisma from "../../config/prisma.js";
 import { successResponse, paginatedResponse, buildPaginationResponse, parsePaginationParams, sanitizeTherapist } from "../../utils/helpers.js";
 import { NotFoundError, BadRequestError } from "../../utils/errors.js";
-import { HTTP_STATUS, THERAPIST_STATUS, USER_TYPES } from "../../config/constants.js";
+import { HTTP_STATUS, THERAPIST_STATUS, USER_TYPES, SESSION_TYPES, SLOT_CONFIG, BOOKING_RULES, DAYS_OF_WEEK } from "../../config/constants.js";
+import { resolveTimezone } from "../../utils/timezone.js";
+import { getBookableSlots, resolveSessionLength } from "../bookings/booking.slots.js";
 
 const router = Router();
 
@@ -314,6 +317,143 @@ router.get("/:id/availability", async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/therapists/{id}/slots:
+ *   get:
+ *     summary: Get therapist's bookable slots
+ *     description: |
+ *       Expands the weekly schedule in the therapist's timezone, removes availability
+ *       exceptions and pending/confirmed bookings, and returns concrete start/end instants.
+ *       Signed-in patients who have not used their free session get 30-minute slots.
+ *     tags: [Therapists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Therapist ID
+ *         example: 1
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Range start (default now)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Range end (default 14 days after from, max 31 days)
+ *       - in: query
+ *         name: session_type
+ *         schema:
+ *           type: string
+ *           enum: [video, audio, chat]
+ *           default: video
+ *     responses:
+ *       200:
+ *         description: Slots retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     timezone:
+ *                       type: string
+ *                       example: "Asia/Baghdad"
+ *                     duration_minutes:
+ *                       type: integer
+ *                       example: 50
+ *                     is_free_session:
+ *                       type: boolean
+ *                     slots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: string
+ *                             format: date-time
+ *                           end:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: Invalid range or session type
+ *       404:
+ *         description: Therapist not found
+ */
+router.get("/:id/slots", optionalAuth, async (req, res, next) => {
+  try {
+    const therapistId = parseInt(req.params.id, 10);
+    if (isNaN(therapistId)) {
+      throw new NotFoundError("Therapist not found");
+    }
+
+    const { session_type = SESSION_TYPES.VIDEO } = req.query;
+    if (!Object.values(SESSION_TYPES).includes(session_type)) {
+      throw new BadRequestError(`Invalid session type. Must be one of: ${Object.values(SESSION_TYPES).join(", ")}`);
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + SLOT_CONFIG.DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      throw new BadRequestError("Invalid date format for from/to");
+    }
+    if (to <= from) {
+      throw new BadRequestError("'to' must be after 'from'");
+    }
+    if (to - from > SLOT_CONFIG.MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new BadRequestError(`Range cannot exceed ${SLOT_CONFIG.MAX_RANGE_DAYS} days`);
+    }
+
+    const therapist = await prisma.therapist.findUnique({
+      where: { id: therapistId },
+    });
+
+    if (!therapist || therapist.deleted_at || therapist.status !== THERAPIST_STATUS.APPROVED) {
+      throw new NotFoundError("Therapist not found");
+    }
+
+    // Patients who still have their free session see free-session-length slots
+    const user = req.user?.type === USER_TYPES.USER
+      ? await prisma.user.findUnique({ where: { id: req.user.id } })
+      : null;
+
+    const { is_free_session, duration_minutes } = resolveSessionLength(therapist, user, session_type);
+
+    const slots = await getBookableSlots({
+      therapist,
+      from,
+      to,
+      durationMinutes: duration_minutes,
+    });
+
+    res.json(successResponse({
+      therapist_id: therapist.id,
+      timezone: resolveTimezone(therapist.timezone),
+      session_type,
+      is_free_session,
+      duration_minutes,
+      from,
+      to,
+      slots,
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/v1/therapists/me/availability:
@@ -402,7 +542,7 @@ router.get("/:id/availability", async (req, res, next) => {
  *       401:
  *         description: Unauthorized - Must be logged in
  */
-router.put("/me/availability", authenticate, async (req, res, next) => {
+router.put("/me/availability", authenticate, auditOwnAccount("therapist.availability_updated", { values: (req, data) => ({ availability: data }) }), async (req, res, next) => {
   try {
     if (req.user.type !== USER_TYPES.THERAPIST) {
       throw new BadRequestError("Only therapists can update availability");
@@ -414,6 +554,14 @@ router.put("/me/availability", authenticate, async (req, res, next) => {
       throw new BadRequestError("Availability must be an array");
     }
 
+    // Slots are matched on lowercase weekday names
+    const weekdays = Object.values(DAYS_OF_WEEK);
+    const days = availability.map((slot) => String(slot?.day_of_week ?? "").trim().toLowerCase());
+    const invalidDay = days.find((day) => !weekdays.includes(day));
+    if (invalidDay !== undefined) {
+      throw new BadRequestError(`day_of_week must be one of: ${weekdays.join(", ")}`);
+    }
+
     // Delete existing availability and recreate
     await prisma.therapistAvailability.deleteMany({
       where: { therapist_id: req.user.id },
@@ -421,11 +569,11 @@ router.put("/me/availability", authenticate, async (req, res, next) => {
 
     // Create new availability entries
     const newAvailability = await Promise.all(
-      availability.map(slot =>
+      availability.map((slot, index) =>
         prisma.therapistAvailability.create({
           data: {
             therapist_id: req.user.id,
-            day_of_week: slot.day_of_week,
+            day_of_week: days[index],
             start_time: new Date(`1970-01-01T${slot.start_time}`),
             end_time: new Date(`1970-01-01T${slot.end_time}`),
             is_active: slot.is_active !== false,
@@ -487,7 +635,7 @@ router.put("/me/availability", authenticate, async (req, res, next) => {
  *       401:
  *         description: Unauthorized
  */
-router.post("/me/availability/exception", authenticate, async (req, res, next) => {
+router.post("/me/availability/exception", authenticate, auditOwnAccount("therapist.availability_exception_added", { values: (req, data) => data }), async (req, res, next) => {
   try {
     if (req.user.type !== USER_TYPES.THERAPIST) {
       throw new BadRequestError("Only therapists can add availability exceptions");
@@ -512,6 +660,98 @@ router.post("/me/availability/exception", authenticate, async (req, res, next) =
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/therapists/me/booking-settings:
+ *   put:
+ *     summary: Update booking rules (Therapist only)
+ *     description: |
+ *       Set the free gap kept after each session and how far in advance patients must book.
+ *       Both values apply to the bookable slots and to conflict checks on create/reschedule.
+ *     tags: [Therapists]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               buffer_minutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 120
+ *                 example: 10
+ *                 description: Minutes kept free after each session
+ *               min_notice_minutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 20160
+ *                 example: 120
+ *                 description: Minimum minutes between booking time and session start
+ *     responses:
+ *       200:
+ *         description: Booking settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     buffer_minutes:
+ *                       type: integer
+ *                     min_notice_minutes:
+ *                       type: integer
+ *       400:
+ *         description: Only therapists can update booking settings or invalid values
+ *       401:
+ *         description: Unauthorized
+ */
+router.put("/me/booking-settings", authenticate, auditOwnAccount("therapist.booking_settings_updated", { model: "therapist" }), async (req, res, next) => {
+  try {
+    if (req.user.type !== USER_TYPES.THERAPIST) {
+      throw new BadRequestError("Only therapists can update booking settings");
+    }
+
+    const { buffer_minutes, min_notice_minutes } = req.body;
+    const data = {};
+
+    if (buffer_minutes !== undefined) {
+      if (!Number.isInteger(buffer_minutes) || buffer_minutes < 0 || buffer_minutes > BOOKING_RULES.MAX_BUFFER_MINUTES) {
+        throw new BadRequestError(`buffer_minutes must be an integer between 0 and ${BOOKING_RULES.MAX_BUFFER_MINUTES}`);
+      }
+      data.buffer_minutes = buffer_minutes;
+    }
+
+    if (min_notice_minutes !== undefined) {
+      if (!Number.isInteger(min_notice_minutes) || min_notice_minutes < 0 || min_notice_minutes > BOOKING_RULES.MAX_MIN_NOTICE_MINUTES) {
+        throw new BadRequestError(`min_notice_minutes must be an integer between 0 and ${BOOKING_RULES.MAX_MIN_NOTICE_MINUTES}`);
+      }
+      data.min_notice_minutes = min_notice_minutes;
+    }
+
+    if (Object.keys(data).length === 0) {
+      throw new BadRequestError("Provide buffer_minutes and/or min_notice_minutes");
+    }
+
+    const therapist = await prisma.therapist.update({
+      where: { id: req.user.id },
+      data,
+      select: { buffer_minutes: true, min_notice_minutes: true },
+    });
+
+    res.json(successResponse(therapist, "Booking settings updated successfully"));
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/v1/therapists/me/clients:
@@ -586,6 +826,95 @@ router.get("/me/clients", authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/therapists/me/payouts:
+ *   get:
+ *     summary: Get my payouts (Therapist only)
+ *     description: Lists the therapist's payouts, newest first, each with the bookings it covers and the commission kept.
+ *     tags: [Therapists]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, paid, failed]
+ *     responses:
+ *       200:
+ *         description: Payouts retrieved successfully
+ *       400:
+ *         description: Only therapists can view their payouts
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/me/payouts", authenticate, async (req, res, next) => {
+  try {
+    if (req.user.type !== USER_TYPES.THERAPIST) {
+      throw new BadRequestError("Only therapists can view their payouts");
+    }
+
+    const { page, limit, skip } = parsePaginationParams(req.query);
+
+    const where = { therapist_id: req.user.id };
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+
+    const [payouts, total] = await Promise.all([
+      prisma.therapistPayout.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { created_at: "desc" },
+        select: {
+          id: true,
+          period_start: true,
+          period_end: true,
+          gross_amount: true,
+          commission_rate: true,
+          commission_amount: true,
+          total_amount: true,
+          currency: true,
+          status: true,
+          paid_at: true,
+          reference: true,
+          created_at: true,
+          items: {
+            orderBy: { id: "asc" },
+            select: {
+              booking_id: true,
+              gross_amount: true,
+              commission_amount: true,
+              net_amount: true,
+              booking: { select: { scheduled_start: true, session_type: true } },
+            },
+          },
+        },
+      }),
+      prisma.therapistPayout.count({ where }),
+    ]);
+
+    const pagination = buildPaginationResponse(page, limit, total);
+    res.json(paginatedResponse(payouts, pagination));
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/v1/therapists/{id}/approve:
@@ -613,7 +942,7 @@ router.get("/me/clients", authenticate, async (req, res, next) => {
  *       404:
  *         description: Therapist not found
  */
-router.post("/:id/approve", authenticate, authorize("therapists:approve"), async (req, res, next) => {
+router.post("/:id/approve", authenticate, authorize("therapists:approve"), audit("therapist.approved", { model: "therapist" }), async (req, res, next) => {
   try {
     const therapistId = parseInt(req.params.id, 10);
     if (isNaN(therapistId)) {
@@ -672,7 +1001,7 @@ router.post("/:id/approve", authenticate, authorize("therapists:approve"), async
  *       404:
  *         description: Therapist not found
  */
-router.post("/:id/reject", authenticate, authorize("therapists:approve"), async (req, res, next) => {
+router.post("/:id/reject", authenticate, authorize("therapists:approve"), audit("therapist.rejected", { model: "therapist" }), async (req, res, next) => {
   try {
     const therapistId = parseInt(req.params.id, 10);
     if (isNaN(therapistId)) {
@@ -734,7 +1063,7 @@ router.post("/:id/reject", authenticate, authorize("therapists:approve"), async
  *       404:
  *         description: Therapist not found
  */
-router.put("/:id/specialties", authenticate, authorize("therapists:update"), async (req, res, next) => {
+router.put("/:id/specialties", authenticate, authorize("therapists:update"), audit("therapist.specialties_updated", { values: (req) => ({ specialty_ids: req.body.specialty_ids }) }), async (req, res, next) => {
   try {
     const therapistId = parseInt(req.params.id, 10);
     if (isNaN(therapistId)) {
@@ -0,0 +1,274 @@
+import prisma from "../../config/prisma.js";
+import logger from "../../config/logger.js";
+import { env } from "../../config/env.js";
+import { DATA_EXPORT_CONFIG, DATA_EXPORT_STATUS, JOB_TYPES, USER_TYPES } from "../../config/constants.js";
+import { ConflictError, NotFoundError, TooManyRequestsError, UnauthorizedError } from "../../utils/errors.js";
+import { generateDownloadToken, verifyDownloadToken } from "../../utils/jwt.js";
+import { sanitizeUser } from "../../utils/helpers.js";
+import { toCsv } from "../../utils/csv.js";
+import { createZip } from "../../utils/zip.js";
+import { scheduleJob } from "../../jobs/scheduler.js";
+import { notify } from "../notifications/notification.service.js";
+
+const { PENDING, PROCESSING, READY, FAILED, EXPIRED } = DATA_EXPORT_STATUS;
+
+// Everything but the file itself
+const EXPORT_FIELDS = {
+  id: true,
+  user_id: true,
+  status: true,
+  file_size: true,
+  error: true,
+  completed_at: true,
+  expires_at: true,
+  created_at: true,
+};
+
+const hoursFromNow = (now, hours) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+// Drop fields that are credentials or someone else's private notes
+const without = (records, fields) => records.map((record) => Object.fromEntries(
+  Object.entries(record).filter(([key]) => !fields.includes(key)),
+));
+
+/**
+ * Collect every record held about a patient, one list per file
+ * @param {number} userId - Patient ID
+ * @returns {Promise<Object<string, Object[]>>} Records keyed by file name
+ */
+const collectUserData = async (userId) => {
+  const [user, identities, deviceTokens, bookings, answers, payments, subscriptions, conversations, notifications] =
+    await Promise.all([
+      prisma.user.findUnique({ where: { id: userId } }),
+      prisma.userIdentity.findMany({ where: { user_id: userId }, orderBy: { created_at: "asc" } }),
+      prisma.deviceToken.findMany({ where: { owner_type: USER_TYPES.USER, owner_id: userId }, orderBy: { created_at: "asc" } }),
+      prisma.booking.findMany({ where: { user_id: userId }, orderBy: { created_at: "asc" } }),
+      prisma.questionnaireAnswer.findMany({ where: { user_id: userId }, orderBy: { answered_at: "asc" } }),
+      prisma.payment.findMany({ where: { user_id: userId }, orderBy: { created_at: "asc" } }),
+      prisma.subscription.findMany({ where: { user_id: userId }, orderBy: { created_at: "asc" } }),
+      prisma.conversation.findMany({ where: { user_id: userId }, orderBy: { created_at: "asc" } }),
+      prisma.notification.findMany({
+        where: { recipient_type: USER_TYPES.USER, recipient_id: userId },
+        orderBy: { created_at: "asc" },
+      }),
+    ]);
+
+  const bookingIds = bookings.map((booking) => booking.id);
+  const conversationIds = conversations.map((conversation) => conversation.id);
+  const [bookingHistory, sessions, sessionAttendance, messages] = await Promise.all([
+    prisma.bookingStatusHistory.findMany({ where: { booking_id: { in: bookingIds } }, orderBy: { created_at: "asc" } }),
+    prisma.session.findMany({ where: { booking_id: { in: bookingIds } }, orderBy: { created_at: "asc" } }),
+    // The patient's own join/leave records, not the therapist's
+    prisma.sessionParticipant.findMany({
+      where: { participant_type: USER_TYPES.USER, participant_id: userId },
+      orderBy: { joined_at: "asc" },
+    }),
+    prisma.message.findMany({ where: { conversation_id: { in: conversationIds } }, orderBy: { created_at: "asc" } }),
+  ]);
+
+  return {
+    profile: user ? [sanitizeUser(user)] : [],
+    linked_accounts: identities,
+    devices: without(deviceTokens, ["token"]),
+    bookings: without(bookings, ["therapist_notes"]),
+    booking_status_history: bookingHistory,
+    sessions: without(sessions, ["user_token", "therapist_token", "provider_metadata"]),
+    session_participants: sessionAttendance,
+    conversations,
+    messages,
+    questionnaire_answers: answers,
+    payments: without(payments, ["webhook_payload"]),
+    subscriptions,
+    notifications,
+  };
+};
+
+// Prisma Decimals and Dates serialize to strings; BigInts don't serialize at all
+const toJson = (records) => JSON.stringify(
+  records,
+  (key, value) => (typeof value === "bigint" ? value.toString() : value),
+  2,
+);
+
+/**
+ * Build the export's ZIP: a JSON and a CSV file for each kind of record
+ * @param {Object<string, Object[]>} data - From collectUserData
+ * @param {Date} now - Export time
+ * @returns {Buffer} ZIP file
+ */
+const buildArchive = (data, now) => {
+  const files = [{
+    name: "README.txt",
+    content: [
+      `Personal data export created ${now.toISOString()}.`,
+      "",
+      "Each kind of record is included twice: as JSON and as CSV (one row per record).",
+      "Sign-in tokens, device push tokens and your therapist's private notes are not included.",
+      "",
+    ].join("\r\n"),
+  }];
+
+  for (const [name, records] of Object.entries(data)) {
+    const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+    files.push(
+      { name: `${name}.json`, content: toJson(records) },
+      { name: `${name}.csv`, content: toCsv(columns, records) },
+    );
+  }
+
+  return createZip(files, now);
+};
+
+/**
+ * Start building a copy of a patient's data
+ * The ZIP is built by a background job and the patient is notified when it's ready.
+ * @param {number} userId - Patient ID
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} Data export (pending)
+ * @throws {ConflictError} If an export is already being built
+ * @throws {TooManyRequestsError} Within DATA_EXPORT_CONFIG.COOLDOWN_HOURS of the last request
+ */
+export const requestDataExport = async (userId, now = new Date()) => {
+  const latest = await prisma.dataExport.findFirst({
+    where: { user_id: userId },
+    orderBy: { created_at: "desc" },
+    select: EXPORT_FIELDS,
+  });
+
+  if (latest && [PENDING, PROCESSING].includes(latest.status)) {
+    throw new ConflictError("Your data export is already being prepared");
+  }
+  // A failed export can be retried straight away
+  if (latest && latest.status !== FAILED && latest.created_at > hoursFromNow(now, -DATA_EXPORT_CONFIG.COOLDOWN_HOURS)) {
+    throw new TooManyRequestsError(
+      `You can request a data export once every ${DATA_EXPORT_CONFIG.COOLDOWN_HOURS} hours`,
+    );
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const dataExport = await tx.dataExport.create({ data: { user_id: userId }, select: EXPORT_FIELDS });
+    await scheduleJob(
+      {
+        type: JOB_TYPES.DATA_EXPORT,
+        key: `data-export-${dataExport.id}`,
+        runAt: now,
+        payload: { export_id: dataExport.id },
+      },
+      tx,
+    );
+    return dataExport;
+  });
+};
+
+/**
+ * Job handler: build a data export and notify the patient
+ * A failure is recorded on the export and rethrown so the job is retried.
+ * @param {Object} payload - { export_id }
+ */
+export const buildDataExport = async ({ export_id }) => {
+  const dataExport = await prisma.dataExport.findUnique({ where: { id: export_id }, select: EXPORT_FIELDS });
+  if (!dataExport || ![PENDING, PROCESSING, FAILED].includes(dataExport.status)) {
+    return;
+  }
+
+  await prisma.dataExport.update({ where: { id: export_id }, data: { status: PROCESSING, error: null } });
+
+  let file;
+  const now = new Date();
+  try {
+    file = buildArchive(await collectUserData(dataExport.user_id), now);
+    await prisma.dataExport.update({
+      where: { id: export_id },
+      data: {
+        status: READY,
+        file,
+        file_size: file.length,
+        completed_at: now,
+        expires_at: hoursFromNow(now, DATA_EXPORT_CONFIG.RETENTION_DAYS * 24),
+      },
+    });
+  } catch (error) {
+    await prisma.dataExport.update({ where: { id: export_id }, data: { status: FAILED, error: error.message } });
+    throw error;
+  }
+
+  logger.info("Data export ready", { exportId: export_id, userId: dataExport.user_id, size: file.length });
+
+  const user = await prisma.user.findUnique({ where: { id: dataExport.user_id } });
+  await notify(
+    { type: USER_TYPES.USER, id: dataExport.user_id },
+    "data_export_ready",
+    {
+      name: user?.first_name || "",
+      link: `${env.APP_URL}/settings/data-export`,
+      days: DATA_EXPORT_CONFIG.RETENTION_DAYS,
+    },
+    { type: "data_export", id: export_id },
+  );
+};
+
+/**
+ * Get a patient's latest data export
+ * A ready export comes with a fresh download token (valid for DATA_EXPORT_CONFIG.LINK_EXPIRES_IN).
+ * @param {number} userId - Patient ID
+ * @returns {Promise<Object>} Data export, with download_token when ready
+ * @throws {NotFoundError} If the patient hasn't requested one
+ */
+export const getLatestDataExport = async (userId) => {
+  const dataExport = await prisma.dataExport.findFirst({
+    where: { user_id: userId },
+    orderBy: { created_at: "desc" },
+    select: EXPORT_FIELDS,
+  });
+  if (!dataExport) {
+    throw new NotFoundError("No data export requested");
+  }
+
+  if (dataExport.status !== READY) {
+    return dataExport;
+  }
+  return {
+    ...dataExport,
+    download_token: generateDownloadToken({ export_id: dataExport.id, user_id: userId }),
+  };
+};
+
+/**
+ * Get the file for a signed download link
+ * @param {string} token - Download token from getLatestDataExport
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{ file: Buffer, filename: string }>}
+ * @throws {UnauthorizedError} If the token is invalid or expired
+ * @throws {NotFoundError} If the export is no longer available
+ */
+export const getDataExportFile = async (token, now = new Date()) => {
+  if (!token) {
+    throw new UnauthorizedError("Download token is required");
+  }
+  const { export_id, user_id } = verifyDownloadToken(token);
+
+  const dataExport = await prisma.dataExport.findUnique({ where: { id: export_id } });
+  if (!dataExport || dataExport.user_id !== user_id || dataExport.status !== READY || !dataExport.file
+    || dataExport.expires_at <= now) {
+    throw new NotFoundError("This data export is no longer available. Please request a new one");
+  }
+
+  const date = dataExport.completed_at.toISOString().slice(0, 10);
+  return { file: Buffer.from(dataExport.file), filename: `nurozh-data-export-${date}.zip` };
+};
+
+/**
+ * Delete the files of exports past their retention period (the rows are kept as history)
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of exports expired
+ */
+export const purgeExpiredDataExports = async (now = new Date()) => {
+  const { count } = await prisma.dataExport.updateMany({
+    where: { status: READY, expires_at: { lte: now } },
+    data: { status: EXPIRED, file: null, file_size: null },
+  });
+  if (count > 0) {
+    logger.info("Expired data exports purged", { count });
+  }
+  return count;
+};
@@ -1,10 +1,12 @@
 import { Router } from "express";
-import { authenticate, adminOnly, ownerOrAdmin } from "../../middleware/auth.js";
+import { authenticate, adminOnly, ownerOrAdmin, userOnly } from "../../middleware/auth.js";
 import { authorize } from "../../middleware/rbac.js";
+import { audit } from "../../middleware/audit.js";
 import prisma from "../../config/prisma.js";
 import { successResponse, paginatedResponse, buildPaginationResponse, parsePaginationParams, sanitizeUser } from "../../utils/helpers.js";
 import { NotFoundError } from "../../utils/errors.js";
 import { HTTP_STATUS } from "../../config/constants.js";
+import { getDataExportFile, getLatestDataExport, requestDataExport } from "./data-export.service.js";
 
 const router = Router();
 
@@ -102,6 +104,121 @@ router.get("/", authenticate, authorize("users:read"), async (req, res, next) =>
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/users/me/export:
+ *   post:
+ *     summary: Request a copy of my data (Patient only)
+ *     description: |
+ *       Starts building a ZIP of everything held about the patient (profile, bookings, sessions,
+ *       messages, questionnaire answers, payments, subscriptions and notifications) as JSON and CSV
+ *       files. The patient is notified when it's ready; the file is kept for 7 days. One request
+ *       every 24 hours (a failed export can be retried straight away).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export started
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Patients only
+ *       409:
+ *         description: An export is already being prepared
+ *       429:
+ *         description: Requested too recently
+ *   get:
+ *     summary: Get my latest data export (Patient only)
+ *     description: |
+ *       Returns the status of the latest export. When it's ready, download_url is a signed link
+ *       valid for 15 minutes; call this again for a fresh one.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data export
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 id: 12
+ *                 status: ready
+ *                 file_size: 48213
+ *                 completed_at: "2026-10-23T15:02:11.000Z"
+ *                 expires_at: "2026-10-30T15:02:11.000Z"
+ *                 download_url: "/api/v1/users/me/export/download?token=eyJhbGciOi..."
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Patients only
+ *       404:
+ *         description: No data export requested
+ */
+router.post("/me/export", authenticate, userOnly, audit("data_export.requested"), async (req, res, next) => {
+  try {
+    const dataExport = await requestDataExport(req.user.id);
+    res.status(HTTP_STATUS.ACCEPTED).json(successResponse(dataExport, "We're preparing your data. We'll let you know when it's ready"));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /me/export - Latest data export (documentation above with POST)
+router.get("/me/export", authenticate, userOnly, async (req, res, next) => {
+  try {
+    const { download_token, ...dataExport } = await getLatestDataExport(req.user.id);
+    res.json(successResponse({
+      ...dataExport,
+      ...(download_token && {
+        download_url: `${req.baseUrl}/me/export/download?token=${encodeURIComponent(download_token)}`,
+      }),
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/me/export/download:
+ *   get:
+ *     summary: Download a data export
+ *     description: Signed link from GET /users/me/export; the token is the only credential needed.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP file
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Link missing, invalid or expired
+ *       404:
+ *         description: Export no longer available
+ */
+router.get("/me/export/download", async (req, res, next) => {
+  try {
+    const { file, filename } = await getDataExportFile(req.query.token);
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Cache-Control", "no-store");
+    res.send(file);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/v1/users/{id}:
@@ -226,7 +343,7 @@ router.get("/:id", authenticate, authorize("users:read"), async (req, res, next)
 });
 
 // PATCH /:id - Update user (documentation above with GET)
-router.patch("/:id", authenticate, ownerOrAdmin((req) => parseInt(req.params.id, 10)), async (req, res, next) => {
+router.patch("/:id", authenticate, ownerOrAdmin((req) => parseInt(req.params.id, 10)), audit("user.updated", { model: "user" }), async (req, res, next) => {
   try {
     const userId = parseInt(req.params.id, 10);
     if (isNaN(userId)) {
@@ -255,7 +372,7 @@ router.patch("/:id", authenticate, ownerOrAdmin((req) => parseInt(req.params.id,
 });
 
 // DELETE /:id - Soft delete user (documentation above with GET)
-router.delete("/:id", authenticate, authorize("users:delete"), async (req, res, next) => {
+router.delete("/:id", authenticate, authorize("users:delete"), audit("user.deleted", { model: "user" }), async (req, res, next) => {
   try {
     const userId = parseInt(req.params.id, 10);
     if (isNaN(userId)) {
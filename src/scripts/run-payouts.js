@@ -0,0 +1,54 @@
+import prisma from "../config/prisma.js";
+import { ACTOR_TYPES } from "../config/constants.js";
+import { runPayouts, getPreviousMonthPeriod } from "../modules/payouts/payout.service.js";
+
+/**
+ * Create therapist payouts for a period
+ *
+ * Usage: npm run payouts:run -- [period_start period_end] [--therapist=<id>]
+ * Without dates, pays out the previous calendar month (UTC).
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const therapistArg = args.find((arg) => arg.startsWith("--therapist="));
+  const dates = args.filter((arg) => !arg.startsWith("--"));
+
+  const { periodStart, periodEnd } = dates.length === 2
+    ? { periodStart: dates[0], periodEnd: dates[1] }
+    : getPreviousMonthPeriod();
+
+  const therapistId = therapistArg ? parseInt(therapistArg.split("=")[1], 10) : undefined;
+  if (Number.isNaN(therapistId)) {
+    throw new Error("--therapist must be a therapist ID");
+  }
+
+  console.log(`\n💸 Running payouts for ${periodStart} to ${periodEnd}...\n`);
+
+  try {
+    const result = await runPayouts({
+      periodStart,
+      periodEnd,
+      therapistId,
+      actor: { type: ACTOR_TYPES.SYSTEM, id: null },
+    });
+
+    for (const payout of result.payouts) {
+      console.log(
+        `  ✓ Payout #${payout.id}: therapist ${payout.therapist_id}, ` +
+          `${payout.total_amount} ${payout.currency} (gross ${payout.gross_amount}, commission ${payout.commission_amount})`,
+      );
+    }
+
+    console.log(`\n✅ ${result.payouts.length} payout(s) created at ${result.commission_rate}% commission`);
+    if (result.skipped > 0) {
+      console.log(`⚠️  ${result.skipped} group(s) skipped, already paid out by another run`);
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error("\n❌ Payout run failed:", error.message);
+  process.exit(1);
+});
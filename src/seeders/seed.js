@@ -3,6 +3,140 @@ import bcrypt from "bcryptjs";
 
 const prisma = new PrismaClient();
 
+// Notification templates ({{placeholders}} are filled in by the notification service)
+const notificationTemplates = [
+  {
+    name: "booking_requested",
+    channel: "push",
+    title_template: { en: "New booking request", ar: "طلب حجز جديد", ku: "داواکاری نۆرەی نوێ" },
+    body_template: {
+      en: "{{name}} requested a session on {{date}}.",
+      ar: "طلب {{name}} جلسة بتاريخ {{date}}.",
+      ku: "{{name}} داوای دانیشتنێکی کردووە بۆ {{date}}.",
+    },
+  },
+  {
+    name: "booking_confirmed",
+    channel: "push",
+    title_template: { en: "Session confirmed", ar: "تم تأكيد الجلسة", ku: "دانیشتن پشتڕاستکرایەوە" },
+    body_template: {
+      en: "Your session with {{name}} on {{date}} is confirmed.",
+      ar: "تم تأكيد جلستك مع {{name}} بتاريخ {{date}}.",
+      ku: "دانیشتنەکەت لەگەڵ {{name}} لە {{date}} پشتڕاستکرایەوە.",
+    },
+  },
+  {
+    name: "booking_rescheduled",
+    channel: "push",
+    title_template: { en: "New time proposed", ar: "تم اقتراح موعد جديد", ku: "کاتێکی نوێ پێشنیار کرا" },
+    body_template: {
+      en: "{{name}} proposed moving your session to {{date}}. Please accept it or choose another time.",
+      ar: "اقترح {{name}} نقل جلستك إلى {{date}}. يرجى قبوله أو اختيار موعد آخر.",
+      ku: "{{name}} پێشنیاری کرد دانیشتنەکەت بگوازرێتەوە بۆ {{date}}. تکایە قبوڵی بکە یان کاتێکی تر هەڵبژێرە.",
+    },
+  },
+  {
+    name: "booking_cancelled",
+    channel: "push",
+    title_template: { en: "Session cancelled", ar: "تم إلغاء الجلسة", ku: "دانیشتن هەڵوەشایەوە" },
+    body_template: {
+      en: "Your session with {{name}} on {{date}} has been cancelled.",
+      ar: "تم إلغاء جلستك مع {{name}} بتاريخ {{date}}.",
+      ku: "دانیشتنەکەت لەگەڵ {{name}} لە {{date}} هەڵوەشایەوە.",
+    },
+  },
+  {
+    name: "session_reminder_24h",
+    channel: "push",
+    title_template: { en: "Session tomorrow", ar: "جلستك غدًا", ku: "دانیشتنەکەت سبەینێیە" },
+    body_template: {
+      en: "Reminder: your session with {{name}} is on {{date}}.",
+      ar: "تذكير: جلستك مع {{name}} بتاريخ {{date}}.",
+      ku: "بیرخستنەوە: دانیشتنەکەت لەگەڵ {{name}} لە {{date}}ە.",
+    },
+  },
+  {
+    name: "session_reminder_1h",
+    channel: "push",
+    title_template: { en: "Session in 1 hour", ar: "جلستك بعد ساعة", ku: "یەک کاتژمێر بۆ دانیشتنەکەت ماوە" },
+    body_template: {
+      en: "Your session with {{name}} starts at {{date}}.",
+      ar: "تبدأ جلستك مع {{name}} في {{date}}.",
+      ku: "دانیشتنەکەت لەگەڵ {{name}} لە {{date}} دەست پێدەکات.",
+    },
+  },
+  {
+    name: "session_reminder_10m",
+    channel: "push",
+    title_template: { en: "Session starting soon", ar: "جلستك على وشك البدء", ku: "دانیشتنەکەت خەریکە دەست پێدەکات" },
+    body_template: {
+      en: "Your session with {{name}} starts in 10 minutes. You can join now.",
+      ar: "تبدأ جلستك مع {{name}} خلال 10 دقائق. يمكنك الانضمام الآن.",
+      ku: "دانیشتنەکەت لەگەڵ {{name}} لە ماوەی ١٠ خولەکدا دەست پێدەکات. ئێستا دەتوانیت بچیتە ژوورەوە.",
+    },
+  },
+  {
+    name: "email_verification",
+    channel: "email",
+    title_template: { en: "Verify your email address", ar: "تأكيد بريدك الإلكتروني", ku: "پشتڕاستکردنەوەی ئیمەیڵەکەت" },
+    body_template: {
+      en: "Hi {{name}},\n\nWelcome to Nurozh! Please confirm your email address by opening this link:\n{{link}}\n\nThe link expires in {{hours}} hours. You'll be able to book sessions and message therapists once it's confirmed.",
+      ar: "مرحبًا {{name}}،\n\nأهلًا بك في Nurozh! يرجى تأكيد بريدك الإلكتروني بفتح هذا الرابط:\n{{link}}\n\nتنتهي صلاحية الرابط خلال {{hours}} ساعة. بعد التأكيد يمكنك حجز الجلسات ومراسلة المعالجين.",
+      ku: "سڵاو {{name}}،\n\nبەخێربێیت بۆ Nurozh! تکایە ئیمەیڵەکەت پشتڕاست بکەرەوە بە کردنەوەی ئەم بەستەرە:\n{{link}}\n\nبەستەرەکە دوای {{hours}} کاتژمێر بەسەردەچێت. دوای پشتڕاستکردنەوە دەتوانیت نۆرەی دانیشتن بگریت و نامە بۆ چارەسەرکاران بنێریت.",
+    },
+    html_template: {
+      en: "<p style=\"margin:0 0 16px;\">Hi {{name}},</p><p style=\"margin:0 0 16px;\">Welcome to Nurozh! Please confirm your email address.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">Verify email</a></p><p style=\"margin:0 0 16px;\">The link expires in {{hours}} hours. You'll be able to book sessions and message therapists once it's confirmed.</p>",
+      ar: "<p style=\"margin:0 0 16px;\">مرحبًا {{name}}،</p><p style=\"margin:0 0 16px;\">أهلًا بك في Nurozh! يرجى تأكيد بريدك الإلكتروني.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">تأكيد البريد الإلكتروني</a></p><p style=\"margin:0 0 16px;\">تنتهي صلاحية الرابط خلال {{hours}} ساعة. بعد التأكيد يمكنك حجز الجلسات ومراسلة المعالجين.</p>",
+      ku: "<p style=\"margin:0 0 16px;\">سڵاو {{name}}،</p><p style=\"margin:0 0 16px;\">بەخێربێیت بۆ Nurozh! تکایە ئیمەیڵەکەت پشتڕاست بکەرەوە.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">پشتڕاستکردنەوەی ئیمەیڵ</a></p><p style=\"margin:0 0 16px;\">بەستەرەکە دوای {{hours}} کاتژمێر بەسەردەچێت. دوای پشتڕاستکردنەوە دەتوانیت نۆرەی دانیشتن بگریت و نامە بۆ چارەسەرکاران بنێریت.</p>",
+    },
+  },
+  {
+    name: "password_reset",
+    channel: "email",
+    title_template: { en: "Reset your password", ar: "إعادة تعيين كلمة المرور", ku: "گۆڕینی وشەی نهێنی" },
+    body_template: {
+      en: "Hi {{name}},\n\nWe received a request to reset your Nurozh password. Open this link to choose a new one:\n{{link}}\n\nThe link expires in {{minutes}} minutes and can only be used once. If you didn't ask for this, you can ignore this email.",
+      ar: "مرحبًا {{name}}،\n\nتلقينا طلبًا لإعادة تعيين كلمة مرورك في Nurozh. افتح هذا الرابط لاختيار كلمة مرور جديدة:\n{{link}}\n\nتنتهي صلاحية الرابط خلال {{minutes}} دقيقة ويمكن استخدامه مرة واحدة فقط. إذا لم تطلب ذلك، يمكنك تجاهل هذه الرسالة.",
+      ku: "سڵاو {{name}}،\n\nداواکارییەکمان پێگەیشت بۆ گۆڕینی وشەی نهێنیی Nurozh ـەکەت. ئەم بەستەرە بکەرەوە بۆ هەڵبژاردنی وشەیەکی نوێ:\n{{link}}\n\nبەستەرەکە دوای {{minutes}} خولەک بەسەردەچێت و تەنها یەکجار بەکاردێت. ئەگەر تۆ داوات نەکردووە، دەتوانیت ئەم ئیمەیڵە پشتگوێ بخەیت.",
+    },
+    html_template: {
+      en: "<p style=\"margin:0 0 16px;\">Hi {{name}},</p><p style=\"margin:0 0 16px;\">We received a request to reset your Nurozh password. Use the button below to choose a new one.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">Reset password</a></p><p style=\"margin:0 0 16px;\">The link expires in {{minutes}} minutes and can only be used once. If you didn't ask for this, you can ignore this email.</p>",
+      ar: "<p style=\"margin:0 0 16px;\">مرحبًا {{name}}،</p><p style=\"margin:0 0 16px;\">تلقينا طلبًا لإعادة تعيين كلمة مرورك في Nurozh. استخدم الزر أدناه لاختيار كلمة مرور جديدة.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">إعادة تعيين كلمة المرور</a></p><p style=\"margin:0 0 16px;\">تنتهي صلاحية الرابط خلال {{minutes}} دقيقة ويمكن استخدامه مرة واحدة فقط. إذا لم تطلب ذلك، يمكنك تجاهل هذه الرسالة.</p>",
+      ku: "<p style=\"margin:0 0 16px;\">سڵاو {{name}}،</p><p style=\"margin:0 0 16px;\">داواکارییەکمان پێگەیشت بۆ گۆڕینی وشەی نهێنیی Nurozh ـەکەت. دوگمەی خوارەوە بەکاربهێنە بۆ هەڵبژاردنی وشەیەکی نوێ.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">گۆڕینی وشەی نهێنی</a></p><p style=\"margin:0 0 16px;\">بەستەرەکە دوای {{minutes}} خولەک بەسەردەچێت و تەنها یەکجار بەکاردێت. ئەگەر تۆ داوات نەکردووە، دەتوانیت ئەم ئیمەیڵە پشتگوێ بخەیت.</p>",
+    },
+  },
+  {
+    name: "account_locked",
+    channel: "email",
+    title_template: { en: "Sign-in locked", ar: "تم قفل تسجيل الدخول", ku: "چوونەژوورەوە داخرا" },
+    body_template: {
+      en: "Hi {{name}},\n\nThere were too many failed attempts to sign in to your Nurozh account, so signing in with a password is locked for {{minutes}} minutes.\n\nIf this wasn't you, someone may be trying to guess your password. You can choose a new one here, which also lifts the lock:\n{{link}}",
+      ar: "مرحبًا {{name}}،\n\nحدثت محاولات فاشلة كثيرة لتسجيل الدخول إلى حسابك في Nurozh، لذلك تم قفل تسجيل الدخول بكلمة المرور لمدة {{minutes}} دقيقة.\n\nإذا لم تكن أنت، فقد يحاول شخص ما تخمين كلمة مرورك. يمكنك اختيار كلمة مرور جديدة من هنا، وهذا يرفع القفل أيضًا:\n{{link}}",
+      ku: "سڵاو {{name}}،\n\nهەوڵی سەرنەکەوتووی زۆر درا بۆ چوونەژوورەوە بۆ هەژماری Nurozh ـەکەت، بۆیە چوونەژوورەوە بە وشەی نهێنی بۆ ماوەی {{minutes}} خولەک داخرا.\n\nئەگەر تۆ نەبوویت، لەوانەیە کەسێک هەوڵ بدات وشەی نهێنییەکەت بدۆزێتەوە. دەتوانیت لێرەوە وشەیەکی نوێ هەڵبژێریت، کە داخستنەکەش لادەبات:\n{{link}}",
+    },
+    html_template: {
+      en: "<p style=\"margin:0 0 16px;\">Hi {{name}},</p><p style=\"margin:0 0 16px;\">There were too many failed attempts to sign in to your Nurozh account, so signing in with a password is locked for {{minutes}} minutes.</p><p style=\"margin:0 0 16px;\">If this wasn't you, someone may be trying to guess your password. Choosing a new one also lifts the lock.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">Reset password</a></p>",
+      ar: "<p style=\"margin:0 0 16px;\">مرحبًا {{name}}،</p><p style=\"margin:0 0 16px;\">حدثت محاولات فاشلة كثيرة لتسجيل الدخول إلى حسابك في Nurozh، لذلك تم قفل تسجيل الدخول بكلمة المرور لمدة {{minutes}} دقيقة.</p><p style=\"margin:0 0 16px;\">إذا لم تكن أنت، فقد يحاول شخص ما تخمين كلمة مرورك. اختيار كلمة مرور جديدة يرفع القفل أيضًا.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">إعادة تعيين كلمة المرور</a></p>",
+      ku: "<p style=\"margin:0 0 16px;\">سڵاو {{name}}،</p><p style=\"margin:0 0 16px;\">هەوڵی سەرنەکەوتووی زۆر درا بۆ چوونەژوورەوە بۆ هەژماری Nurozh ـەکەت، بۆیە چوونەژوورەوە بە وشەی نهێنی بۆ ماوەی {{minutes}} خولەک داخرا.</p><p style=\"margin:0 0 16px;\">ئەگەر تۆ نەبوویت، لەوانەیە کەسێک هەوڵ بدات وشەی نهێنییەکەت بدۆزێتەوە. هەڵبژاردنی وشەیەکی نوێ داخستنەکەش لادەبات.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">گۆڕینی وشەی نهێنی</a></p>",
+    },
+  },
+  {
+    name: "data_export_ready",
+    channel: "email",
+    title_template: { en: "Your data is ready to download", ar: "بياناتك جاهزة للتنزيل", ku: "زانیارییەکانت ئامادەن بۆ داگرتن" },
+    body_template: {
+      en: "Hi {{name}},\n\nThe copy of your Nurozh data you asked for is ready. Download it from your account settings:\n{{link}}\n\nIt will be available for {{days}} days. If you didn't ask for this, please change your password.",
+      ar: "مرحبًا {{name}}،\n\nنسخة بياناتك في Nurozh التي طلبتها جاهزة. يمكنك تنزيلها من إعدادات حسابك:\n{{link}}\n\nستكون متاحة لمدة {{days}} أيام. إذا لم تطلب ذلك، يرجى تغيير كلمة مرورك.",
+      ku: "سڵاو {{name}}،\n\nئەو کۆپییەی زانیارییەکانت لە Nurozh کە داوات کردبوو ئامادەیە. لە ڕێکخستنەکانی هەژمارەکەتەوە دایبگرە:\n{{link}}\n\nبۆ ماوەی {{days}} ڕۆژ بەردەست دەبێت. ئەگەر تۆ داوات نەکردووە، تکایە وشەی نهێنییەکەت بگۆڕە.",
+    },
+    html_template: {
+      en: "<p style=\"margin:0 0 16px;\">Hi {{name}},</p><p style=\"margin:0 0 16px;\">The copy of your Nurozh data you asked for is ready. You can download it from your account settings.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">Download my data</a></p><p style=\"margin:0 0 16px;\">It will be available for {{days}} days. If you didn't ask for this, please change your password.</p>",
+      ar: "<p style=\"margin:0 0 16px;\">مرحبًا {{name}}،</p><p style=\"margin:0 0 16px;\">نسخة بياناتك في Nurozh التي طلبتها جاهزة. يمكنك تنزيلها من إعدادات حسابك.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">تنزيل بياناتي</a></p><p style=\"margin:0 0 16px;\">ستكون متاحة لمدة {{days}} أيام. إذا لم تطلب ذلك، يرجى تغيير كلمة مرورك.</p>",
+      ku: "<p style=\"margin:0 0 16px;\">سڵاو {{name}}،</p><p style=\"margin:0 0 16px;\">ئەو کۆپییەی زانیارییەکانت لە Nurozh کە داوات کردبوو ئامادەیە. دەتوانیت لە ڕێکخستنەکانی هەژمارەکەتەوە دایبگریت.</p><p style=\"margin:0 0 16px;\"><a href=\"{{link}}\" style=\"display:inline-block; padding:12px 24px; background:#2f6f9f; color:#ffffff; border-radius:6px; text-decoration:none;\">داگرتنی زانیارییەکانم</a></p><p style=\"margin:0 0 16px;\">بۆ ماوەی {{days}} ڕۆژ بەردەست دەبێت. ئەگەر تۆ داوات نەکردووە، تکایە وشەی نهێنییەکەت بگۆڕە.</p>",
+    },
+  },
+];
+
 // Default roles
 const roles = [
   { name: "super_admin", description: "Full system access with all permissions" },
@@ -73,6 +207,8 @@ const permissionsByModule = {
     { name: "admin:reports", description: "View reports" },
     { name: "admin:settings", description: "Manage settings" },
     { name: "admin:audit_logs", description: "View audit logs" },
+    { name: "admin:security", description: "Manage login lockouts" },
+    { name: "admin:roles", description: "Manage roles and permissions" },
   ],
   uploads: [
     { name: "uploads:create", description: "Upload files" },
@@ -103,7 +239,7 @@ const rolePermissions = {
     "questionnaires:read", "questionnaires:create", "questionnaires:update",
     "specialties:read", "specialties:create", "specialties:update",
     "subscriptions:read",
-    "admin:dashboard", "admin:reports",
+    "admin:dashboard", "admin:reports", "admin:security",
     "notifications:read", "notifications:create", "notifications:templates",
     "payouts:read", "payouts:create", "payouts:process",
   ],
@@ -296,6 +432,22 @@ async function seed() {
     }
     console.log(`  ✓ Created ${specialties.length} default specialties`);
 
+    // 6. Notification templates (upserted so wording changes reach existing databases)
+    console.log("\n🔔 Creating notification templates...");
+    for (const template of notificationTemplates) {
+      await prisma.notificationTemplate.upsert({
+        where: { name: template.name },
+        update: {
+          title_template: template.title_template,
+          body_template: template.body_template,
+          html_template: template.html_template,
+          channel: template.channel,
+        },
+        create: { ...template, is_active: true },
+      });
+    }
+    console.log(`  ✓ Created ${notificationTemplates.length} notification templates`);
+
     console.log("\n✅ Database seeding completed successfully!\n");
   } catch (error) {
     console.error("\n❌ Error seeding database:", error);
@@ -0,0 +1,205 @@
+import logger from "../../config/logger.js";
+import { USER_TYPES } from "../../config/constants.js";
+import { APIError } from "../../utils/errors.js";
+import { joinSession, leaveSession, endSession } from "../../modules/sessions/session.service.js";
+
+// Keep SDP/ICE payloads small; real offers are a few KB
+const MAX_SIGNAL_SIZE = 64 * 1024;
+
+/**
+ * Register WebRTC call signaling handlers on the /calls namespace
+ * @param {Object} io - Root Socket.IO server (used to ring the other party)
+ * @param {Object} calls - /calls namespace
+ * @param {Object} socket - Socket instance
+ */
+export const registerCallHandlers = (io, calls, socket) => {
+  // Session rooms this socket has joined
+  socket.data.callSessions = new Set();
+
+  socket.on("join_call", async (data) => {
+    await handleJoinCall(io, calls, socket, data);
+  });
+
+  socket.on("leave_call", async (data) => {
+    await handleLeaveCall(calls, socket, data);
+  });
+
+  socket.on("end_call", async (data) => {
+    await handleEndCall(calls, socket, data);
+  });
+
+  // Relay SDP offers/answers and ICE candidates to the other participant
+  socket.on("webrtc_offer", (data) => relaySignal(socket, "webrtc_offer", data, "sdp"));
+  socket.on("webrtc_answer", (data) => relaySignal(socket, "webrtc_answer", data, "sdp"));
+  socket.on("webrtc_ice_candidate", (data) => relaySignal(socket, "webrtc_ice_candidate", data, "candidate"));
+
+  socket.on("disconnect", async () => {
+    for (const sessionId of socket.data.callSessions) {
+      await handleLeaveCall(calls, socket, { sessionId }, { silent: true });
+    }
+  });
+};
+
+/**
+ * Room name for a session's call
+ */
+const callRoom = (sessionId) => `session-${sessionId}`;
+
+/**
+ * Participant info sent with lifecycle events
+ */
+const participantOf = (socket) => ({ id: socket.user.id, type: socket.user.type });
+
+/**
+ * Handle joining a call: validates participant and window, records attendance,
+ * rings the other party if they aren't in the call yet
+ */
+const handleJoinCall = async (io, calls, socket, data) => {
+  try {
+    const sessionId = parseInt(data?.sessionId, 10);
+    if (isNaN(sessionId)) {
+      return emitError(socket, "Session ID is required");
+    }
+
+    const actor = { type: socket.user.type, id: socket.user.id };
+    const session = await joinSession(sessionId, actor, { peerToPeer: true });
+
+    const room = callRoom(sessionId);
+    const others = await calls.in(room).fetchSockets();
+
+    socket.join(room);
+    socket.data.callSessions.add(sessionId);
+
+    socket.emit("call_joined", {
+      sessionId,
+      participant: participantOf(socket),
+      startedAt: session.started_at,
+      peers: others.map((s) => participantOf(s)),
+    });
+    socket.to(room).emit("call_joined", {
+      sessionId,
+      participant: participantOf(socket),
+      startedAt: session.started_at,
+    });
+
+    // Nobody else is in the call yet: ring the other participant wherever they're connected
+    if (others.length === 0) {
+      const other = socket.user.type === USER_TYPES.USER
+        ? `${USER_TYPES.THERAPIST}-${session.booking.therapist_id}`
+        : `${USER_TYPES.USER}-${session.booking.user_id}`;
+
+      io.to(other).emit("call_ringing", {
+        sessionId,
+        sessionType: session.session_type,
+        from: participantOf(socket),
+      });
+    }
+
+    logger.info("User joined call", { userId: socket.user.id, userType: socket.user.type, sessionId });
+  } catch (error) {
+    logger.error("Error joining call", { error: error.message });
+    emitError(socket, error instanceof APIError ? error.message : "Failed to join call");
+  }
+};
+
+/**
+ * Handle leaving a call without ending it
+ */
+const handleLeaveCall = async (calls, socket, data, { silent = false } = {}) => {
+  try {
+    const sessionId = parseInt(data?.sessionId, 10);
+    if (isNaN(sessionId) || !socket.data.callSessions.has(sessionId)) {
+      return silent ? undefined : emitError(socket, "You are not in this call");
+    }
+
+    const room = callRoom(sessionId);
+    socket.leave(room);
+    socket.data.callSessions.delete(sessionId);
+
+    await leaveSession(sessionId, { type: socket.user.type, id: socket.user.id });
+
+    calls.to(room).emit("call_left", { sessionId, participant: participantOf(socket) });
+    if (!silent) {
+      socket.emit("call_left", { sessionId, participant: participantOf(socket) });
+    }
+
+    logger.info("User left call", { userId: socket.user.id, userType: socket.user.type, sessionId });
+  } catch (error) {
+    logger.error("Error leaving call", { error: error.message });
+    if (!silent) {
+      emitError(socket, error instanceof APIError ? error.message : "Failed to leave call");
+    }
+  }
+};
+
+/**
+ * Handle ending a call (therapist only): completes the session and booking
+ * and removes everyone from the room
+ */
+const handleEndCall = async (calls, socket, data) => {
+  try {
+    const sessionId = parseInt(data?.sessionId, 10);
+    if (isNaN(sessionId) || !socket.data.callSessions.has(sessionId)) {
+      return emitError(socket, "You are not in this call");
+    }
+
+    const session = await endSession(sessionId, { type: socket.user.type, id: socket.user.id });
+
+    const room = callRoom(sessionId);
+    calls.to(room).emit("call_ended", {
+      sessionId,
+      endedBy: participantOf(socket),
+      endedAt: session.ended_at,
+      actualDurationMinutes: session.actual_duration_minutes,
+    });
+
+    const sockets = await calls.in(room).fetchSockets();
+    sockets.forEach((s) => s.data.callSessions?.delete(sessionId));
+    calls.in(room).socketsLeave(room);
+
+    logger.info("Call ended", { userId: socket.user.id, sessionId });
+  } catch (error) {
+    logger.error("Error ending call", { error: error.message });
+    emitError(socket, error instanceof APIError ? error.message : "Failed to end call");
+  }
+};
+
+/**
+ * Forward a signaling message to the other participant in the call
+ * @param {Object} socket - Sender socket
+ * @param {string} event - Event name to forward
+ * @param {Object} data - { sessionId, sdp } or { sessionId, candidate }
+ * @param {string} field - Payload field to forward
+ */
+const relaySignal = (socket, event, data, field) => {
+  const sessionId = parseInt(data?.sessionId, 10);
+  if (isNaN(sessionId) || !socket.data.callSessions.has(sessionId)) {
+    return emitError(socket, "You are not in this call");
+  }
+
+  const payload = data[field];
+  if (!payload) {
+    return emitError(socket, `${field} is required`);
+  }
+
+  if (JSON.stringify(payload).length > MAX_SIGNAL_SIZE) {
+    return emitError(socket, "Signaling payload is too large");
+  }
+
+  socket.to(callRoom(sessionId)).emit(event, {
+    sessionId,
+    from: participantOf(socket),
+    [field]: payload,
+  });
+};
+
+/**
+ * Emit error to socket
+ * @param {Object} socket - Socket instance
+ * @param {string} message - Error message
+ */
+const emitError = (socket, message) => {
+  socket.emit("error", { message });
+};
+
+export default { registerCallHandlers };
@@ -1,6 +1,8 @@
 import prisma from "../../config/prisma.js";
 import logger from "../../config/logger.js";
 import { USER_TYPES, BOOKING_STATUS } from "../../config/constants.js";
+import { APIError } from "../../utils/errors.js";
+import { assertEmailVerified } from "../../middleware/auth.js";
 
 /**
  * Register message-related Socket.IO event handlers
@@ -117,6 +119,9 @@ const handleSendMessage = async (io, socket, data) => {
       return emitError(socket, "System message type is reserved");
     }
 
+    // Same rule as POST /conversations/:id/messages
+    await assertEmailVerified(socket.user);
+
     // Verify user has access to this conversation
     const hasAccess = await checkConversationAccess(conversationId, socket.user);
     if (!hasAccess) {
@@ -159,7 +164,7 @@ const handleSendMessage = async (io, socket, data) => {
     });
   } catch (error) {
     logger.error("Error sending message", { error: error.message });
-    emitError(socket, "Failed to send message");
+    emitError(socket, error instanceof APIError ? error.message : "Failed to send message");
   }
 };
 
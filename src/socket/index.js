@@ -1,9 +1,10 @@
 import { Server } from "socket.io";
 import { verifyAccessToken } from "../utils/jwt.js";
-import { USER_TYPES } from "../config/constants.js";
+import { USER_TYPES, ACTIVE_USER_STATUSES } from "../config/constants.js";
 import prisma from "../config/prisma.js";
 import logger from "../config/logger.js";
 import { registerMessageHandlers } from "./handlers/messageHandler.js";
+import { registerCallHandlers } from "./handlers/callHandler.js";
 
 let io = null;
 
@@ -22,45 +23,7 @@ export const initializeSocket = (httpServer) => {
   });
 
   // Authentication middleware
-  io.use(async (socket, next) => {
-    try {
-      const token = socket.handshake.auth.token;
-
-      if (!token) {
-        return next(new Error("Authentication required"));
-      }
-
-      // Remove "Bearer " prefix if present
-      const cleanToken = token.startsWith("Bearer ") ? token.substring(7) : token;
-
-      // Verify the token
-      const decoded = verifyAccessToken(cleanToken);
-
-      // Block admins from Socket.IO connections
-      if (decoded.type === USER_TYPES.ADMIN) {
-        return next(new Error("Admins cannot access messaging features"));
-      }
-
-      // Verify user is active
-      const isActive = await verifyUserIsActive(decoded.id, decoded.type);
-      if (!isActive) {
-        return next(new Error("User account is not active"));
-      }
-
-      // Attach user info to socket
-      socket.user = {
-        id: decoded.id,
-        email: decoded.email,
-        type: decoded.type,
-        role: decoded.role,
-      };
-
-      next();
-    } catch (error) {
-      logger.error("Socket authentication failed", { error: error.message });
-      next(new Error(error.message || "Authentication failed"));
-    }
-  });
+  io.use(authenticateSocket);
 
   // Connection handler
   io.on("connection", async (socket) => {
@@ -99,10 +62,77 @@ export const initializeSocket = (httpServer) => {
     });
   });
 
+  // WebRTC call signaling for video/audio sessions
+  const calls = io.of("/calls");
+  calls.use(authenticateSocket);
+
+  calls.on("connection", (socket) => {
+    logger.info("Call socket connected", {
+      socketId: socket.id,
+      userId: socket.user.id,
+      userType: socket.user.type,
+    });
+
+    registerCallHandlers(io, calls, socket);
+
+    socket.on("disconnect", (reason) => {
+      logger.info("Call socket disconnected", {
+        socketId: socket.id,
+        userId: socket.user.id,
+        reason,
+      });
+    });
+  });
+
   logger.info("Socket.IO initialized");
   return io;
 };
 
+/**
+ * Authenticate a socket from its handshake token
+ * @param {Object} socket - Socket instance
+ * @param {Function} next - Middleware callback
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth.token;
+
+    if (!token) {
+      return next(new Error("Authentication required"));
+    }
+
+    // Remove "Bearer " prefix if present
+    const cleanToken = token.startsWith("Bearer ") ? token.substring(7) : token;
+
+    // Verify the token
+    const decoded = verifyAccessToken(cleanToken);
+
+    // Block admins from Socket.IO connections
+    if (decoded.type === USER_TYPES.ADMIN) {
+      return next(new Error("Admins cannot access messaging features"));
+    }
+
+    // Verify user is active
+    const isActive = await verifyUserIsActive(decoded.id, decoded.type);
+    if (!isActive) {
+      return next(new Error("User account is not active"));
+    }
+
+    // Attach user info to socket
+    socket.user = {
+      id: decoded.id,
+      email: decoded.email,
+      type: decoded.type,
+      role: decoded.role,
+    };
+
+    next();
+  } catch (error) {
+    logger.error("Socket authentication failed", { error: error.message });
+    next(new Error(error.message || "Authentication failed"));
+  }
+};
+
 /**
  * Verify user is active in the database
  * @param {number} userId - User ID
@@ -116,7 +146,7 @@ const verifyUserIsActive = async (userId, userType) => {
         where: { id: userId },
         select: { id: true, status: true, deleted_at: true },
       });
-      return user && !user.deleted_at && user.status === "active";
+      return user && !user.deleted_at && ACTIVE_USER_STATUSES.includes(user.status);
     } else if (userType === USER_TYPES.THERAPIST) {
       const therapist = await prisma.therapist.findUnique({
         where: { id: userId },
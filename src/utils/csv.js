@@ -0,0 +1,44 @@
+/**
+ * Format one CSV cell (RFC 4180)
+ * Objects are written as JSON, and dates and decimals as text. Text starting with a
+ * character spreadsheets treat as a formula gets a leading quote mark, so opening
+ * an export can't run anything.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export const formatCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value?.toFixed === "function" && typeof value.toJSON === "function") {
+    // Prisma Decimal
+    text = value.toString();
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {string[]} columns - Header row; also the keys read from each row
+ * @param {Object[]} rows - Records
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map(formatCsvCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => formatCsvCell(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+};
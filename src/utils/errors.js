@@ -68,6 +68,15 @@ export class ConflictError extends APIError {
   }
 }
 
+/**
+ * Too Many Requests Error (429)
+ */
+export class TooManyRequestsError extends APIError {
+  constructor(message = "Too many requests, please try again later") {
+    super(message, HTTP_STATUS.TOO_MANY_REQUESTS);
+  }
+}
+
 /**
  * Database Error (500)
  */
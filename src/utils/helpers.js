@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import { DEFAULT_PAGE, DEFAULT_LIMIT, MAX_LIMIT } from "../config/constants.js";
 
 /**
@@ -123,15 +124,14 @@ export const buildMultilingualField = (en, ar = null, ku = null) => {
 };
 
 /**
- * Generate OTP code
+ * Generate OTP code (cryptographically random digits)
  * @param {number} length - OTP length (default: 6)
  * @returns {string} OTP code
  */
 export const generateOTP = (length = 6) => {
-  const digits = "0123456789";
   let otp = "";
   for (let i = 0; i < length; i++) {
-    otp += digits[Math.floor(Math.random() * digits.length)];
+    otp += crypto.randomInt(10);
   }
   return otp;
 };
@@ -175,6 +175,24 @@ export const calculateDurationMinutes = (start, end) => {
   return Math.round((endDate - startDate) / (1000 * 60));
 };
 
+/**
+ * Convert a money amount (number, string or Prisma Decimal) to integer cents
+ * @param {number|string|Object} amount - Amount in major units
+ * @returns {number} Amount in cents
+ */
+export const toCents = (amount) => {
+  return Math.round(Number(amount) * 100);
+};
+
+/**
+ * Format integer cents as a two-decimal amount string
+ * @param {number} cents - Amount in cents
+ * @returns {string} Amount (e.g., "12.50")
+ */
+export const fromCents = (cents) => {
+  return (cents / 100).toFixed(2);
+};
+
 /**
  * Parse time string to minutes from midnight
  * @param {string} timeString - Time string (HH:MM)
@@ -249,3 +267,10 @@ export const isEmpty = (value) => {
  * @returns {Promise<void>}
  */
 export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Escape text for safe use inside HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
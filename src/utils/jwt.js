@@ -1,7 +1,13 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import { env } from "../config/env.js";
 import { UnauthorizedError } from "./errors.js";
-import { ERROR_MESSAGES } from "../config/constants.js";
+import { DATA_EXPORT_CONFIG, ERROR_MESSAGES, MFA_CONFIG } from "../config/constants.js";
+
+// Two-factor challenge tokens get their own key, so they can never pass as access tokens
+const mfaTokenSecret = crypto.createHash("sha256").update(`mfa:${env.JWT_ACCESS_SECRET}`).digest("hex");
+// Likewise for download links, which travel in URLs
+const downloadTokenSecret = crypto.createHash("sha256").update(`download:${env.JWT_ACCESS_SECRET}`).digest("hex");
 
 /**
  * Generate access token
@@ -16,12 +22,14 @@ export const generateAccessToken = (payload) => {
 
 /**
  * Generate refresh token
+ * Each one gets a unique ID, so tokens issued in the same second still differ.
  * @param {Object} payload - Token payload (user info)
  * @returns {string} JWT refresh token
  */
 export const generateRefreshToken = (payload) => {
   return jwt.sign(payload, env.JWT_REFRESH_SECRET, {
     expiresIn: env.JWT_REFRESH_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
   });
 };
 
@@ -71,6 +79,52 @@ export const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Generate a two-factor challenge token (proves the password was right)
+ * @param {Object} payload - { id, type, enroll }
+ * @returns {string} JWT challenge token, valid for MFA_CONFIG.CHALLENGE_EXPIRES_IN
+ */
+export const generateMfaToken = (payload) => {
+  return jwt.sign(payload, mfaTokenSecret, { expiresIn: MFA_CONFIG.CHALLENGE_EXPIRES_IN });
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - JWT challenge token
+ * @returns {Object} Decoded token payload
+ * @throws {UnauthorizedError} If token is invalid or expired
+ */
+export const verifyMfaToken = (token) => {
+  try {
+    return jwt.verify(token, mfaTokenSecret);
+  } catch {
+    throw new UnauthorizedError("Two-factor sign-in has expired. Please log in again");
+  }
+};
+
+/**
+ * Generate a signed download link token for a personal data export
+ * @param {Object} payload - { export_id, user_id }
+ * @returns {string} JWT download token, valid for DATA_EXPORT_CONFIG.LINK_EXPIRES_IN
+ */
+export const generateDownloadToken = (payload) => {
+  return jwt.sign(payload, downloadTokenSecret, { expiresIn: DATA_EXPORT_CONFIG.LINK_EXPIRES_IN });
+};
+
+/**
+ * Verify a download link token
+ * @param {string} token - JWT download token
+ * @returns {Object} Decoded token payload
+ * @throws {UnauthorizedError} If token is invalid or expired
+ */
+export const verifyDownloadToken = (token) => {
+  try {
+    return jwt.verify(token, downloadTokenSecret);
+  } catch {
+    throw new UnauthorizedError("This download link has expired. Please request a new one");
+  }
+};
+
 /**
  * Decode token without verification (useful for debugging)
  * @param {string} token - JWT token
@@ -0,0 +1,150 @@
+import { DEFAULTS } from "../config/constants.js";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached Intl formatter for a time zone
+ * @param {string} timeZone - IANA time zone (e.g., "Asia/Baghdad")
+ * @returns {Intl.DateTimeFormat} Formatter producing numeric date/time parts
+ */
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Check if a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone to check
+ * @returns {boolean} True if valid
+ */
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Resolve a stored time zone, falling back to the platform default
+ * @param {string|null} timeZone - Stored time zone
+ * @returns {string} Valid IANA time zone
+ */
+export const resolveTimezone = (timeZone) => {
+  return isValidTimezone(timeZone) ? timeZone : DEFAULTS.TIMEZONE;
+};
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday }
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") {
+      parts[type] = parseInt(value, 10);
+    }
+  }
+
+  const weekday = WEEKDAYS[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()];
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday,
+  };
+};
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (positive east of UTC)
+ */
+export const getTimezoneOffsetMinutes = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant
+ * @param {Object} local - { year, month, day } plus minutes from midnight
+ * @param {number} minutesOfDay - Minutes from local midnight (0-1440)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} UTC instant
+ */
+export const zonedTimeToUtc = ({ year, month, day }, minutesOfDay, timeZone) => {
+  const naive = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+
+  // Two passes settle the offset across DST transitions
+  let offset = getTimezoneOffsetMinutes(new Date(naive), timeZone);
+  let result = naive - offset * 60000;
+  const correctedOffset = getTimezoneOffsetMinutes(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    offset = correctedOffset;
+    result = naive - offset * 60000;
+  }
+
+  return new Date(result);
+};
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {Object} local - { year, month, day }
+ * @returns {string} Date key
+ */
+export const toDateKey = ({ year, month, day }) => {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+/**
+ * Add days to a calendar date
+ * @param {Object} local - { year, month, day }
+ * @param {number} days - Days to add
+ * @returns {Object} { year, month, day, weekday }
+ */
+export const addCalendarDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: WEEKDAYS[date.getUTCDay()],
+  };
+};
+
+/**
+ * Read a TIME column value as minutes from midnight
+ * @param {Date|null} time - Prisma TIME value (1970-01-01THH:MM:SSZ)
+ * @returns {number|null} Minutes from midnight
+ */
+export const timeColumnToMinutes = (time) => {
+  if (!time) return null;
+  const date = new Date(time);
+  return date.getUTCHours() * 60 + date.getUTCMinutes();
+};
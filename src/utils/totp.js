@@ -0,0 +1,121 @@
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding), the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case, spaces and padding are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} On a character outside the alphabet
+ */
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226)
+ */
+const hotp = (key, counter, digits) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+/**
+ * Check a TOTP code (RFC 6238, SHA-1) allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code from the authenticator app
+ * @param {Object} options
+ * @param {number} options.digits - Code length
+ * @param {number} options.period - Seconds per time step
+ * @param {number} options.window - Time steps accepted either side of the current one
+ * @param {number} [options.now] - Reference time in milliseconds
+ * @returns {number|null} The time step the code matched, or null
+ */
+export const verifyTotp = (secret, code, { digits, period, window, now = Date.now() }) => {
+  if (typeof code !== "string" || code.length !== digits) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = Math.floor(now / 1000 / period);
+
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(key, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually shown as a QR code)
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.issuer - Service name shown in the app
+ * @param {string} params.account - Account label (e.g., the email address)
+ * @param {number} params.digits - Code length
+ * @param {number} params.period - Seconds per time step
+ * @returns {string} Provisioning URI
+ */
+export const buildTotpUri = ({ secret, issuer, account, digits, period }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(digits), period: String(period) });
+  return `otpauth://totp/${label}?${query}`;
+};